@@ -0,0 +1,1234 @@
+/**
+ * @file anvil-math.js
+ * @fileoverview The Anvil calculator's math: Expected Value functions, the seeded random source, the exact and
+ * Monte Carlo probability engines, the season planner, the scenario comparison and the shard-source forecast for
+ * champions farmed outside the LM banner. Every function here is pure (apart from memoization caches) and touches
+ * neither the DOM nor worker globals, so the module can be imported by the worker, the page or Node alike.
+ *
+ * Functions that take a `rules` object expect { nmGuarantee, shardRequirements } from the page's active rule profile.
+ * The soft-pity curve and the non-LM bonus table travel with the inputs, since the user can edit them.
+ */
+
+// =================================================================================================
+// #region: --- EXPECTED VALUE CALCULATIONS ---
+// =================================================================================================
+
+/**
+ * Creates a memoized version of a function. The cache is a simple object, so it's best for functions with primitive arguments.
+ * @param {Function} func The function to memoize.
+ * @returns {Function} The new memoized function.
+ */
+function memoize(func) {
+    const cache = {};
+    return function(...args) {
+        const key = JSON.stringify(args);
+        if (cache[key]) {
+            return cache[key];
+        }
+        const result = func.apply(this, args);
+        cache[key] = result;
+        return result;
+    };
+}
+
+
+/**
+ * @typedef {object} LmCycleMetrics
+ * @property {number} averageShardsPerEffectiveMythic - The average number of shards gained per mythic pull, considering the entire LM/NM cycle.
+ * @property {number} expectedMythicPullsPerLmCycle - The average number of mythic pulls required to complete one full LM cycle (i.e., to get one LM).
+ * @property {number} worstCaseMythicPullsPerLmCycle - The maximum number of mythic pulls to guarantee one LM.
+ */
+
+/**
+ * A soft-pity curve that raises the mythic rate as the pity counter climbs.
+ * `ramp`: from pull `startPull` on, the rate rises by `ratePerPull` each pull (capped at 1).
+ * `table`: each point sets the rate from its pull onward, until the next point.
+ * @typedef {{type: 'ramp', startPull: number, ratePerPull: number} | {type: 'table', points: Array<{pull: number, rate: number}>}} SoftPityCurve
+ */
+
+/**
+ * Builds the per-pull mythic rate implied by the base rate, hard pity and an optional soft-pity curve.
+ * @param {number} mythicProbability - The base probability of a mythic pull (0 to 1).
+ * @param {number} hardPity - The number of draws at which a mythic is guaranteed.
+ * @param {SoftPityCurve|null} [softPity=null] - The soft-pity curve, or null for a flat rate.
+ * @returns {Float64Array} Index c holds the mythic chance on the pull that takes the pity counter to c (index `hardPity` is 1).
+ */
+export function buildMythicRateCurve(mythicProbability, hardPity, softPity = null) {
+    const rates = new Float64Array(hardPity + 1).fill(mythicProbability);
+    if (softPity && softPity.type === 'ramp') {
+        for (let c = softPity.startPull; c < hardPity; c++) {
+            rates[c] = Math.min(1, mythicProbability + (c - softPity.startPull + 1) * softPity.ratePerPull);
+        }
+    } else if (softPity && softPity.type === 'table') {
+        const points = [...softPity.points].sort((a, b) => a.pull - b.pull);
+        points.forEach(({ pull, rate }, i) => {
+            const end = i + 1 < points.length ? points[i + 1].pull : hardPity;
+            for (let c = Math.max(1, pull); c < Math.min(end, hardPity); c++) rates[c] = rate;
+        });
+    }
+    rates[0] = 0;
+    rates[hardPity] = 1;
+    return rates;
+}
+
+/**
+ * A drop table rolled when a non-LM mythic is pulled, granting bonus shards of the featured LM. Outcome chances may
+ * sum to less than 1; the rest of the time nothing drops. Only the first `maxTriggers` non-LM mythics of a goal roll
+ * the table (null for every one).
+ * @typedef {{outcomes: Array<{shards: number, probability: number}>, maxTriggers: number|null}} NmBonusTable
+ */
+
+/**
+ * Lists the shard outcomes of one non-LM bonus roll, including the no-drop remainder.
+ * @param {NmBonusTable|null} nmBonusShards - The bonus table, or null for none.
+ * @returns {Array<{shards: number, probability: number}>} The outcomes, or an empty array if no bonus can drop.
+ */
+function getNmBonusOutcomes(nmBonusShards) {
+    if (!nmBonusShards || nmBonusShards.maxTriggers === 0) return [];
+    const outcomes = (nmBonusShards.outcomes || []).filter(({ shards, probability }) => shards > 0 && probability > 0);
+    if (outcomes.length === 0) return [];
+    const noDropChance = 1 - outcomes.reduce((sum, { probability }) => sum + probability, 0);
+    return noDropChance > 1e-12 ? [...outcomes, { shards: 0, probability: noDropChance }] : outcomes;
+}
+
+/**
+ * Calculates the expected number of draws required to obtain one mythic item. This function is memoized for performance.
+ * @param {number} mythicProbability - The base probability of a mythic pull (0 to 1).
+ * @param {number} hardPity - The number of draws at which a mythic is guaranteed.
+ * @param {SoftPityCurve|null} [softPity=null] - The soft-pity curve, or null for a flat rate.
+ * @returns {number} The expected number of draws per mythic, or NaN if inputs are invalid.
+ */
+export const calculateExpectedDrawsPerMythic = memoize((mythicProbability, hardPity, softPity = null) => {
+    if (!(mythicProbability > 0 && mythicProbability <= 1) || hardPity < 1) {
+        return NaN;
+    }
+    const rates = buildMythicRateCurve(mythicProbability, hardPity, softPity);
+    let expectedDraws = 0.0;
+    let noMythicYet = 1;
+    for (let k = 1; k <= hardPity; k++) {
+        expectedDraws += k * noMythicYet * rates[k];
+        noMythicYet *= 1 - rates[k];
+    }
+    return expectedDraws;
+});
+
+/**
+ * Calculates metrics for a full "Legendary Mythic" (LM) cycle. This function is memoized for performance.
+ * @param {number} lmShardYield - The number of shards from an LM pull.
+ * @param {number} nmShardYield - The number of shards from a Non-Mythic (NM) pull.
+ * @param {number} lmRateUpChance - The probability of a mythic being an LM (0 to 1).
+ * @param {number} nmGuaranteeThreshold - The number of NM pulls before an LM is guaranteed.
+ * @returns {LmCycleMetrics} The calculated metrics for the cycle.
+ */
+export const calculateLmCycleMetrics = memoize((lmShardYield, nmShardYield, lmRateUpChance, nmGuaranteeThreshold) => {
+    if (!(lmRateUpChance >= 0 && lmRateUpChance <= 1) || nmGuaranteeThreshold < 0) {
+        return { averageShardsPerEffectiveMythic: NaN, expectedMythicPullsPerLmCycle: NaN, worstCaseMythicPullsPerLmCycle: NaN };
+    }
+    const nmRateUpChance = 1.0 - lmRateUpChance;
+    let totalExpectedShardsInCycle = 0.0;
+    let totalExpectedMythicPullsInCycle = 0.0;
+
+    // Direct LM hit
+    totalExpectedShardsInCycle += lmShardYield * lmRateUpChance;
+    totalExpectedMythicPullsInCycle += 1 * lmRateUpChance;
+
+    // Sequences of NM hits followed by an LM
+    for (let i = 1; i < nmGuaranteeThreshold; i++) {
+        const p_sequence = Math.pow(nmRateUpChance, i) * lmRateUpChance;
+        totalExpectedShardsInCycle += ((nmShardYield * i) + lmShardYield) * p_sequence;
+        totalExpectedMythicPullsInCycle += (i + 1) * p_sequence;
+    }
+
+    // Hitting the guarantee
+    const p_guarantee_hit = Math.pow(nmRateUpChance, nmGuaranteeThreshold);
+    totalExpectedShardsInCycle += ((nmShardYield * nmGuaranteeThreshold) + lmShardYield) * p_guarantee_hit;
+    totalExpectedMythicPullsInCycle += (nmGuaranteeThreshold + 1) * p_guarantee_hit;
+
+    const averageShards = (totalExpectedMythicPullsInCycle > 0) ? totalExpectedShardsInCycle / totalExpectedMythicPullsInCycle : 0.0;
+
+    return {
+        averageShardsPerEffectiveMythic: averageShards,
+        expectedMythicPullsPerLmCycle: totalExpectedMythicPullsInCycle,
+        worstCaseMythicPullsPerLmCycle: nmGuaranteeThreshold + 1
+    };
+});
+
+
+/**
+ * @typedef {object} NmBonusMetrics
+ * @property {number} meanShards - The average bonus shards from one roll of the table.
+ * @property {number} maxTriggers - How many non-LM mythics per goal roll the table (Infinity for every one).
+ * @property {number} nmMythicShare - The fraction of mythic pulls that are non-LM.
+ */
+
+/**
+ * Calculates the expected number of mythic pulls needed to acquire a target number of shards. With a bonus table,
+ * every non-LM mythic adds its average bonus until the expected number of non-LM mythics passes the cap; past that
+ * point the remaining shards come from the base yield alone.
+ * @param {number} targetShards - The number of shards to acquire.
+ * @param {number} avgShardsPerMythic - The average shards obtained per mythic pull, before any bonus.
+ * @param {NmBonusMetrics|null} [nmBonus=null] - The non-LM bonus table's averages, or null for none.
+ * @returns {number} The expected (fractional) number of mythic pulls, or Infinity if the target is out of reach.
+ */
+export function calculateMythicPullsForShards(targetShards, avgShardsPerMythic, nmBonus = null) {
+    if (targetShards <= 0) return 0;
+    const bonusPerMythic = nmBonus ? nmBonus.meanShards * nmBonus.nmMythicShare : 0;
+    if (avgShardsPerMythic + bonusPerMythic <= 0) return Infinity;
+    const mythicPulls = targetShards / (avgShardsPerMythic + bonusPerMythic);
+    if (!nmBonus || mythicPulls * nmBonus.nmMythicShare <= nmBonus.maxTriggers) return mythicPulls;
+    if (avgShardsPerMythic <= 0) return Infinity;
+    return (targetShards - nmBonus.meanShards * nmBonus.maxTriggers) / avgShardsPerMythic;
+}
+
+/**
+ * Calculates the total number of anvils needed to acquire a target number of shards.
+ * @param {number} targetShards - The number of shards to acquire.
+ * @param {number} avgShardsPerMythic - The average shards obtained per mythic pull, before any bonus.
+ * @param {number} drawsPerMythic - The average draws required for one mythic pull.
+ * @param {NmBonusMetrics|null} [nmBonus=null] - The non-LM bonus table's averages, or null for none.
+ * @returns {number} The estimated total number of anvils. Returns 0 if targetShards <= 0, or Infinity if inputs are invalid.
+ */
+export function calculateGachaAnvils(targetShards, avgShardsPerMythic, drawsPerMythic, nmBonus = null) {
+    if (targetShards <= 0) return 0;
+    const mythicPulls = calculateMythicPullsForShards(targetShards, avgShardsPerMythic, nmBonus);
+    if (!isFinite(mythicPulls) || drawsPerMythic <= 0) {
+        return Infinity;
+    }
+    return Math.ceil(mythicPulls) * drawsPerMythic;
+}
+
+/**
+ * Calculates the actual (base) probability rate from a known effective rate by inverting
+ * the pity mechanism calculation. It uses an iterative binary search for precision.
+ * @param {number} effectiveRate - The effective probability of an LM pull (0 to 1), including pity.
+ * @param {number} nmGuaranteeThreshold - The number of non-LM pulls before a guarantee.
+ * @returns {number} The calculated actual base rate.
+ */
+export function calculateActualRateFromEffectiveRate(effectiveRate, nmGuaranteeThreshold) {
+    if (effectiveRate <= 0) return 0;
+    if (effectiveRate >= 1) return 1;
+
+    // The target expected number of pulls is the reciprocal of the effective rate.
+    const targetExpectedPulls = 1 / effectiveRate;
+    const n = nmGuaranteeThreshold + 1; // Max number of pulls in a cycle (e.g., 4)
+
+    // This is the function we are trying to solve. It calculates the expected pulls for a given base rate 'r'.
+    // E(P) = 4 - 6r + 4r^2 - r^3 (for a guarantee at 4)
+    // This is a generalized version for any nmGuaranteeThreshold.
+    const calculateExpectedPulls = (rate) => {
+        let expectedPulls = 0;
+        for (let i = 1; i < n; i++) {
+            expectedPulls += i * Math.pow(1 - rate, i - 1) * rate;
+        }
+        expectedPulls += n * Math.pow(1 - rate, n - 1);
+        return expectedPulls;
+    };
+
+    // Use a binary search to find the rate 'r' that produces the targetExpectedPulls.
+    let low = 0, high = effectiveRate; // The actual rate must be lower than the effective rate.
+    let mid, calculatedPulls;
+
+    // Iterate 100 times for high precision, which is more than enough.
+    for(let i=0; i < 100; i++) {
+        mid = (low + high) / 2;
+        calculatedPulls = calculateExpectedPulls(mid);
+
+        if (calculatedPulls > targetExpectedPulls) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Performs all the core Expected Value calculations based on validated inputs.
+ * @param {object} inputs - The validated input data from `validateAndGetInputs`.
+ * @param {{nmGuarantee: number, shardRequirements: Object.<string, number>}} rules - The banner rules to calculate against.
+ * @returns {{isValid: boolean, data: object, errorMessage: string|null}} An object with calculation results or an error message.
+ */
+export function performExpectedValueCalculations(inputs, rules) {
+    const { nmGuarantee, shardRequirements } = rules;
+    const { mythicProbability, mythicHardPity, softPity, lmRateUpChance, shardsNeededForUpgrade, lmShardsYield, nmShardsYield, nmBonusShards } = inputs;
+    const results = {};
+    
+    const actualLmRateUpChance = calculateActualRateFromEffectiveRate(lmRateUpChance, nmGuarantee);
+
+    results.drawsPerMythicAverage = calculateExpectedDrawsPerMythic(mythicProbability, mythicHardPity, softPity || null);
+    if (isNaN(results.drawsPerMythicAverage)) return { isValid: false, errorMessage: 'Error in base Mythic calculation.' };
+
+    results.unlockCycleMetrics = calculateLmCycleMetrics(1, 0, actualLmRateUpChance, nmGuarantee);
+    if (isNaN(results.unlockCycleMetrics.expectedMythicPullsPerLmCycle)) return { isValid: false, errorMessage: 'Error calculating unlock cycle.' };
+
+    results.anvilsUnlockAvg = results.unlockCycleMetrics.expectedMythicPullsPerLmCycle * results.drawsPerMythicAverage;
+    results.anvilsUnlockBest = 1 * 1;
+    results.anvilsUnlockWorst = results.unlockCycleMetrics.worstCaseMythicPullsPerLmCycle * mythicHardPity;
+
+    const lmCycleMetrics = calculateLmCycleMetrics(lmShardsYield, nmShardsYield, actualLmRateUpChance, nmGuarantee);
+    if (isNaN(lmCycleMetrics.averageShardsPerEffectiveMythic)) return { isValid: false, errorMessage: 'Error in shard per mythic calculation.' };
+
+    // Each LM cycle holds exactly one LM, so every other mythic in it is a non-LM that rolls the bonus table.
+    // The best and worst cases leave the bonus out: all-LM pulls never roll it, and every roll can come up empty.
+    const bonusOutcomes = getNmBonusOutcomes(nmBonusShards);
+    const nmBonus = bonusOutcomes.length === 0 ? null : {
+        meanShards: bonusOutcomes.reduce((sum, { shards, probability }) => sum + shards * probability, 0),
+        maxTriggers: nmBonusShards.maxTriggers == null ? Infinity : nmBonusShards.maxTriggers,
+        nmMythicShare: 1 - 1 / lmCycleMetrics.expectedMythicPullsPerLmCycle,
+    };
+
+    results.avgEffShards = lmCycleMetrics.averageShardsPerEffectiveMythic;
+    results.bestShards = lmShardsYield;
+    results.worstShards = (nmShardsYield * nmGuarantee + lmShardsYield) / (nmGuarantee + 1);
+    results.upgradeMythicPullsAvg = calculateMythicPullsForShards(shardsNeededForUpgrade, results.avgEffShards, nmBonus);
+    results.nmBonus = nmBonus && {
+        ...nmBonus,
+        expectedBonusShards: Math.min(shardsNeededForUpgrade, nmBonus.meanShards * Math.min(nmBonus.maxTriggers, results.upgradeMythicPullsAvg * nmBonus.nmMythicShare)),
+    };
+    results.upgradeAnvilsAvg = calculateGachaAnvils(shardsNeededForUpgrade, results.avgEffShards, results.drawsPerMythicAverage, nmBonus);
+    results.upgradeAnvilsBest = calculateGachaAnvils(shardsNeededForUpgrade, results.bestShards, 1);
+    results.upgradeAnvilsWorst = calculateGachaAnvils(shardsNeededForUpgrade, results.worstShards, mythicHardPity);
+    results.shardsNeededForUpgrade = shardsNeededForUpgrade;
+    results.lmShardsYield = lmShardsYield;
+    results.nmShardsYield = nmShardsYield;
+    results.chartLabels = Object.keys(shardRequirements);
+    results.chartCosts = results.chartLabels.map(lvl => calculateGachaAnvils(shardRequirements[lvl], results.avgEffShards, results.drawsPerMythicAverage, nmBonus));
+
+    return { isValid: true, data: results };
+}
+
+// =================================================================================================
+// #region: --- RANDOM NUMBER GENERATION ---
+// =================================================================================================
+
+/**
+ * Hashes a seed string into a 32-bit integer (xmur3 string hash).
+ * @param {string} seed - Any seed text, e.g. one a player shares on Discord.
+ * @returns {number} An unsigned 32-bit hash of the seed.
+ */
+export function hashSeed(seed) {
+    let h = 1779033703 ^ seed.length;
+    for (let i = 0; i < seed.length; i++) {
+        h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^= h >>> 16) >>> 0;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32) with the same contract as `Math.random`.
+ * The same seed always produces the same sequence, so simulation results can be reproduced exactly.
+ * @param {string} seed - The seed text.
+ * @returns {function(): number} A function returning floats in [0, 1).
+ */
+export function createSeededRandom(seed) {
+    let a = hashSeed(String(seed));
+    return () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = Math.imul(a ^ (a >>> 15), 1 | a);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// =================================================================================================
+// #region: --- PROBABILITY SIMULATION ---
+// =================================================================================================
+
+/**
+ * Simulates pulling toward a shard goal until it is reached or the budget runs out.
+ * @param {object} params - The parameters for the simulation. Pass `mythicRates` from `buildMythicRateCurve` to skip rebuilding it per attempt.
+ * @param {function(): number} random - The random source.
+ * @returns {{anvilsSpent: number, shards: number, isUnlocked: boolean, isGoalReached: boolean}} How the attempt ended.
+ */
+function simulatePullAttempt({ budget, mythicProb, hardPity, mythicRates, softPity, lmRateUp, nmGuarantee, includeUnlock, targetShardsForUpgrade, lmShardsYield, nmShardsYield = 0, nmBonusShards = null, initialMythicPity, initialLMPityStreak }, random = Math.random) {
+    const rates = mythicRates || buildMythicRateCurve(mythicProb, hardPity, softPity);
+    const bonusOutcomes = getNmBonusOutcomes(nmBonusShards);
+    const maxBonusTriggers = nmBonusShards && nmBonusShards.maxTriggers != null ? nmBonusShards.maxTriggers : Infinity;
+    let totalAnvilsSpent = 0;
+    let currentShards = 0;
+    let mythicPityCounter = initialMythicPity;
+    let nmFailStreak = initialLMPityStreak;
+    let isUnlocked = !includeUnlock;
+    let nmPullCounterForBonus = 0;
+
+    const performPull = () => {
+        mythicPityCounter++;
+        totalAnvilsSpent++;
+        if (mythicPityCounter >= hardPity || random() < rates[mythicPityCounter]) {
+            mythicPityCounter = 0;
+            const isLMPull = nmFailStreak >= nmGuarantee || random() < lmRateUp;
+            if (isLMPull) {
+                nmFailStreak = 0;
+                return { isLM: true, shards: lmShardsYield };
+            } else {
+                nmFailStreak++;
+                let bonusShards = 0;
+                if (bonusOutcomes.length > 0 && nmPullCounterForBonus < maxBonusTriggers) {
+                    nmPullCounterForBonus++;
+                    let roll = random();
+                    const outcome = bonusOutcomes.find(({ probability }) => (roll -= probability) < 0);
+                    bonusShards = outcome ? outcome.shards : 0;
+                }
+                return { isLM: false, shards: nmShardsYield + bonusShards };
+            }
+        }
+        return null;
+    };
+    if (includeUnlock && !isUnlocked) {
+        while (totalAnvilsSpent < budget) {
+            const pullResult = performPull();
+            if (pullResult) { currentShards += pullResult.shards; if (pullResult.isLM) { isUnlocked = true; break; } }
+        }
+        if (!isUnlocked) return { anvilsSpent: totalAnvilsSpent, shards: currentShards, isUnlocked, isGoalReached: false };
+    }
+    while (currentShards < targetShardsForUpgrade) {
+        if (totalAnvilsSpent >= budget) return { anvilsSpent: totalAnvilsSpent, shards: currentShards, isUnlocked, isGoalReached: false };
+        const pullResult = performPull();
+        if (pullResult) { currentShards += pullResult.shards; }
+    }
+    return { anvilsSpent: totalAnvilsSpent, shards: currentShards, isUnlocked, isGoalReached: true };
+}
+
+/**
+ * Simulates a single attempt to reach a shard goal within a budget.
+ * @param {object} params - The parameters for the simulation. Pass `mythicRates` from `buildMythicRateCurve` to skip rebuilding it per attempt.
+ * @param {function(): number} [random=Math.random] - The random source; pass a `createSeededRandom` generator for reproducible runs.
+ * @returns {number} The total anvils spent. Returns budget + 1 if the goal was not met.
+ */
+export function simulateSingleSuccessAttempt(params, random = Math.random) {
+    const { anvilsSpent, isGoalReached } = simulatePullAttempt(params, random);
+    return isGoalReached ? anvilsSpent : params.budget + 1;
+}
+
+/**
+ * Simulates spending the whole budget (or pulling until `targetShardsForUpgrade` is reached) and records where the run ends.
+ * @param {object} params - The parameters for the simulation, as for `simulateSingleSuccessAttempt`.
+ * @param {function(): number} [random=Math.random] - The random source.
+ * @returns {{shards: number, isUnlocked: boolean}} The shards gained and whether the champion was unlocked.
+ */
+export function simulateFinalShards(params, random = Math.random) {
+    const { shards, isUnlocked } = simulatePullAttempt(params, random);
+    return { shards, isUnlocked };
+}
+
+/**
+ * Builds the exact distribution of anvils spent until the next mythic, starting from a given pity counter.
+ * @param {number} mythicProb - The base probability of a mythic pull (0 to 1).
+ * @param {number} hardPity - The number of draws at which a mythic is guaranteed.
+ * @param {number} [startPity=0] - Pulls already made since the last mythic.
+ * @param {SoftPityCurve|null} [softPity=null] - The soft-pity curve, or null for a flat rate.
+ * @returns {number[]} Index k holds the probability that the next mythic lands on exactly the k-th pull.
+ */
+function getDrawsPerMythicDistribution(mythicProb, hardPity, startPity = 0, softPity = null) {
+    const rates = buildMythicRateCurve(mythicProb, hardPity, softPity);
+    const maxDraws = Math.max(1, hardPity - startPity);
+    const distribution = new Array(maxDraws + 1).fill(0);
+    let noMythicYet = 1;
+    for (let k = 1; k < maxDraws; k++) {
+        distribution[k] = noMythicYet * rates[startPity + k];
+        noMythicYet *= 1 - rates[startPity + k];
+    }
+    distribution[maxDraws] = noMythicYet;
+    return distribution;
+}
+
+/**
+ * Solves the LM/NM outcome chain exactly across a sequence of goals chased one after another on the same pulls,
+ * e.g. several LM banners in a season. The chain state is (goal index, NM fail streak, shards so far, unlocked flag,
+ * bonus rolls so far), mirroring `simulateSingleSuccessAttempt` within each goal. Bonus rolls are only tracked when
+ * the goal's bonus table is capped, and restart at zero for each goal. A goal is always finished by a mythic, so
+ * mythic pity restarts at zero for the next goal and the draws stay a single renewal process.
+ * @param {Array<{includeUnlock: boolean, targetShardsForUpgrade: number, lmShardsYield: number, nmShardsYield?: number, nmBonusShards?: NmBonusTable|null}>} stages - The goals, in pull order.
+ * @param {object} chainParams - The shared chain parameters.
+ * @param {number} chainParams.lmRateUp - Chance (0 to 1) that a mythic is the LM.
+ * @param {number} chainParams.nmGuarantee - NM fail streak that guarantees the next mythic is the LM.
+ * @param {number} chainParams.initialLMPityStreak - NM fail streak before the first goal.
+ * @param {boolean} [chainParams.carryLMPity=true] - Whether the NM fail streak carries into the next goal.
+ * @param {number} maxMythics - The largest mythic count worth tracking (a mythic costs at least one anvil).
+ * @returns {number[][]} For each goal, index n holds the probability that it is reached on exactly the n-th mythic overall.
+ */
+function getStagedMythicsDistribution(stages, { lmRateUp, nmGuarantee, initialLMPityStreak, carryLMPity = true }, maxMythics) {
+    const streakStates = nmGuarantee + 1;
+    const layouts = stages.map(({ includeUnlock, targetShardsForUpgrade, nmBonusShards = null }) => {
+        const target = Math.max(0, targetShardsForUpgrade);
+        const bonusOutcomes = getNmBonusOutcomes(nmBonusShards);
+        const isBonusCapped = bonusOutcomes.length > 0 && nmBonusShards.maxTriggers != null;
+        return { target, shardStates: target + 1, initialUnlocked: includeUnlock ? 0 : 1, bonusOutcomes, isBonusCapped, rollStates: isBonusCapped ? nmBonusShards.maxTriggers + 1 : 1 };
+    });
+    const indexOf = (layout, streak, shards, unlocked, rolls) => ((((unlocked * layout.shardStates) + shards) * streakStates + streak) * layout.rollStates) + rolls;
+    const isGoalReached = (layout, shards, unlocked) => unlocked === 1 && shards >= layout.target;
+    const createStates = () => layouts.map(layout => new Float64Array(streakStates * layout.shardStates * 2 * layout.rollStates));
+    const reachedOn = stages.map(() => [0]);
+    const noBonus = [{ shards: 0, probability: 1 }];
+
+    // Starts goal `stage` with the given mass, passing straight through any goal that needs no pulls.
+    const enterStage = (states, stage, streak, mass, n) => {
+        for (let s = stage; s < stages.length; s++) {
+            const layout = layouts[s];
+            const startStreak = s === 0 || carryLMPity ? Math.min(streak, nmGuarantee) : 0;
+            if (!isGoalReached(layout, 0, layout.initialUnlocked)) {
+                states[s][indexOf(layout, startStreak, 0, layout.initialUnlocked, 0)] += mass;
+                return;
+            }
+            reachedOn[s][n] = (reachedOn[s][n] || 0) + mass;
+        }
+    };
+
+    let current = createStates();
+    enterStage(current, 0, initialLMPityStreak, 1, 0);
+    let remainingMass = 1 - (reachedOn[stages.length - 1][0] || 0);
+
+    for (let n = 1; n <= maxMythics && remainingMass > 1e-15; n++) {
+        const next = createStates();
+        reachedOn.forEach(dist => { dist[n] = 0; });
+        for (let stage = 0; stage < stages.length; stage++) {
+            const layout = layouts[stage];
+            const { lmShardsYield, nmShardsYield = 0 } = stages[stage];
+            const finishStage = (streak, mass) => {
+                reachedOn[stage][n] += mass;
+                enterStage(next, stage + 1, streak, mass, n);
+            };
+            for (let unlocked = 0; unlocked <= 1; unlocked++) {
+                for (let shards = 0; shards < layout.shardStates; shards++) {
+                    for (let streak = 0; streak < streakStates; streak++) {
+                        for (let rolls = 0; rolls < layout.rollStates; rolls++) {
+                            const mass = current[stage][indexOf(layout, streak, shards, unlocked, rolls)];
+                            if (mass === 0) continue;
+                            const lmChance = streak >= nmGuarantee ? 1 : lmRateUp;
+
+                            const lmShards = Math.min(layout.target, shards + lmShardsYield);
+                            if (isGoalReached(layout, lmShards, 1)) finishStage(0, mass * lmChance);
+                            else next[stage][indexOf(layout, 0, lmShards, 1, rolls)] += mass * lmChance;
+
+                            if (lmChance < 1) {
+                                const rollsBonus = layout.bonusOutcomes.length > 0 && (!layout.isBonusCapped || rolls < layout.rollStates - 1);
+                                const nextRolls = rollsBonus && layout.isBonusCapped ? rolls + 1 : rolls;
+                                for (const { shards: bonusShards, probability } of rollsBonus ? layout.bonusOutcomes : noBonus) {
+                                    const nmMass = mass * (1 - lmChance) * probability;
+                                    const nmShards = Math.min(layout.target, shards + nmShardsYield + bonusShards);
+                                    if (isGoalReached(layout, nmShards, unlocked)) finishStage(streak + 1, nmMass);
+                                    else next[stage][indexOf(layout, streak + 1, nmShards, unlocked, nextRolls)] += nmMass;
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        remainingMass -= reachedOn[stages.length - 1][n];
+        current = next;
+    }
+    return reachedOn;
+}
+
+/**
+ * Solves the LM/NM outcome chain exactly to find how many mythics are needed to reach a single goal.
+ * @param {object} params - The simulation parameters (see `runProbabilityCalculation`).
+ * @param {number} maxMythics - The largest mythic count worth tracking (a mythic costs at least one anvil).
+ * @returns {number[]} Index n holds the probability that the goal is reached on exactly the n-th mythic.
+ */
+function getMythicsNeededDistribution(params, maxMythics) {
+    return getStagedMythicsDistribution([params], params, maxMythics)[0];
+}
+
+/**
+ * Solves the LM/NM outcome chain once for a ladder of shard thresholds, e.g. every star level above the start.
+ * Shards only ever grow, so the first mythic on which a threshold is met falls out of one chain capped at the
+ * highest threshold, rather than one chain per level.
+ * @param {object} params - The simulation parameters (see `runProbabilityCalculation`); the goal fields are ignored.
+ * @param {number[]} thresholds - Shards to gain for each rung, ascending (0 means unlocking only, when `includeUnlock` is set).
+ * @param {number} maxMythics - The largest mythic count worth tracking.
+ * @returns {number[][]} For each threshold, index n holds the probability that it is first met on exactly the n-th mythic.
+ */
+function getLadderMythicsNeededDistributions({ includeUnlock, lmRateUp, nmGuarantee, initialLMPityStreak, lmShardsYield, nmShardsYield = 0, nmBonusShards = null }, thresholds, maxMythics) {
+    const cap = Math.max(0, ...thresholds);
+    const shardStates = cap + 1;
+    const streakStates = nmGuarantee + 1;
+    const bonusOutcomes = getNmBonusOutcomes(nmBonusShards);
+    const isBonusCapped = bonusOutcomes.length > 0 && nmBonusShards.maxTriggers != null;
+    const rollStates = isBonusCapped ? nmBonusShards.maxTriggers + 1 : 1;
+    const indexOf = (streak, shards, unlocked, rolls) => ((((unlocked * shardStates) + shards) * streakStates + streak) * rollStates) + rolls;
+    const noBonus = [{ shards: 0, probability: 1 }];
+
+    // The probability that each threshold has been met: unlocked, with at least that many shards.
+    const measure = (states) => {
+        const atLeast = new Float64Array(shardStates + 1);
+        for (let shards = cap; shards >= 0; shards--) {
+            let mass = 0;
+            for (let streak = 0; streak < streakStates; streak++) {
+                for (let rolls = 0; rolls < rollStates; rolls++) mass += states[indexOf(streak, shards, 1, rolls)];
+            }
+            atLeast[shards] = atLeast[shards + 1] + mass;
+        }
+        return thresholds.map(threshold => atLeast[threshold]);
+    };
+
+    let current = new Float64Array(shardStates * streakStates * 2 * rollStates);
+    current[indexOf(Math.min(initialLMPityStreak, nmGuarantee), 0, includeUnlock ? 0 : 1, 0)] = 1;
+    let metBefore = measure(current);
+    const firstMetOn = metBefore.map(mass => [mass]);
+
+    for (let n = 1; n <= maxMythics && metBefore[metBefore.length - 1] < 1 - 1e-15; n++) {
+        const next = new Float64Array(current.length);
+        for (let unlocked = 0; unlocked <= 1; unlocked++) {
+            for (let shards = 0; shards < shardStates; shards++) {
+                for (let streak = 0; streak < streakStates; streak++) {
+                    for (let rolls = 0; rolls < rollStates; rolls++) {
+                        const mass = current[indexOf(streak, shards, unlocked, rolls)];
+                        if (mass === 0) continue;
+                        if (unlocked === 1 && shards === cap) {
+                            next[indexOf(streak, shards, unlocked, rolls)] += mass;
+                            continue;
+                        }
+                        const lmChance = streak >= nmGuarantee ? 1 : lmRateUp;
+                        next[indexOf(0, Math.min(cap, shards + lmShardsYield), 1, rolls)] += mass * lmChance;
+                        if (lmChance < 1) {
+                            const rollsBonus = bonusOutcomes.length > 0 && (!isBonusCapped || rolls < rollStates - 1);
+                            const nextRolls = rollsBonus && isBonusCapped ? rolls + 1 : rolls;
+                            for (const { shards: bonusShards, probability } of rollsBonus ? bonusOutcomes : noBonus) {
+                                next[indexOf(streak + 1, Math.min(cap, shards + nmShardsYield + bonusShards), unlocked, nextRolls)] += mass * (1 - lmChance) * probability;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        const metNow = measure(next);
+        metNow.forEach((mass, k) => { firstMetOn[k][n] = Math.max(0, mass - metBefore[k]); });
+        metBefore = metNow;
+        current = next;
+    }
+    return firstMetOn;
+}
+
+/**
+ * Turns mythics-needed distributions into exact anvil cost distributions, truncated at the budget.
+ * Draws between mythics form a renewal process that is independent of the LM/NM outcome chain,
+ * so the cost of reaching a goal on the n-th mythic is the sum of n draw counts.
+ * @param {number[][]} mythicsNeededList - One mythics-needed distribution per goal.
+ * @param {object} params - The simulation parameters (`budget`, `mythicProb`, `hardPity`, `softPity`, `initialMythicPity`).
+ * @param {Function} [onProgress] - Called with the fraction (0 to 1) of the solve completed.
+ * @returns {Array<{pmf: Float64Array, successProbability: number}>} One distribution per goal; `pmf[t]` is the probability of finishing on exactly the t-th anvil.
+ */
+function accumulateCostDistributions(mythicsNeededList, { budget, mythicProb, hardPity, softPity = null, initialMythicPity }, onProgress = () => {}) {
+    const pmfs = mythicsNeededList.map(mythicsNeeded => {
+        const pmf = new Float64Array(budget + 1);
+        pmf[0] = mythicsNeeded[0] || 0;
+        return pmf;
+    });
+    const maxLength = Math.max(...mythicsNeededList.map(mythicsNeeded => mythicsNeeded.length));
+
+    const convolve = (costDist, drawsDist) => {
+        const result = new Float64Array(budget + 1);
+        for (let t = 0; t <= budget; t++) {
+            if (costDist[t] === 0) continue;
+            for (let k = 1; k < drawsDist.length && t + k <= budget; k++) {
+                result[t + k] += costDist[t] * drawsDist[k];
+            }
+        }
+        return result;
+    };
+
+    const nextMythicDraws = getDrawsPerMythicDistribution(mythicProb, hardPity, 0, softPity);
+    const startingCost = new Float64Array(budget + 1);
+    startingCost[0] = 1;
+    let costAfterNMythics = convolve(startingCost, getDrawsPerMythicDistribution(mythicProb, hardPity, initialMythicPity, softPity));
+
+    for (let n = 1; n < maxLength; n++) {
+        mythicsNeededList.forEach((mythicsNeeded, i) => {
+            const weight = mythicsNeeded[n] || 0;
+            if (weight > 0) {
+                for (let t = 0; t <= budget; t++) pmfs[i][t] += weight * costAfterNMythics[t];
+            }
+        });
+        if (costAfterNMythics.reduce((sum, p) => sum + p, 0) < 1e-15) break;
+        onProgress(n / maxLength);
+        costAfterNMythics = convolve(costAfterNMythics, nextMythicDraws);
+    }
+
+    return pmfs.map(pmf => ({ pmf, successProbability: Math.min(1, pmf.reduce((sum, p) => sum + p, 0)) }));
+}
+
+/**
+ * Computes the exact distribution of anvils needed to reach the goal, truncated at the budget.
+ * @param {object} params - The simulation parameters (see `runProbabilityCalculation`).
+ * @param {Function} [onProgress] - Called with the fraction (0 to 1) of the solve completed.
+ * @returns {{pmf: Float64Array, successProbability: number}} `pmf[t]` is the probability of finishing on exactly the t-th anvil.
+ */
+export function computeExactCostDistribution(params, onProgress = () => {}) {
+    return accumulateCostDistributions([getMythicsNeededDistribution(params, params.budget)], params, onProgress)[0];
+}
+
+/**
+ * Finds the anvil cost at a given percentile of the successful outcomes of an exact cost distribution.
+ * @param {Float64Array} pmf - Probability of finishing on exactly each anvil count.
+ * @param {number} successProbability - Total probability mass of `pmf`.
+ * @param {number} percentile - The percentile to find (0-100).
+ * @returns {number} The smallest anvil count whose conditional CDF reaches the percentile, or NaN if nothing succeeds.
+ */
+export function getDistributionPercentile(pmf, successProbability, percentile) {
+    if (!(successProbability > 0)) return NaN;
+    const threshold = (percentile / 100) * successProbability;
+    let cumulative = 0;
+    for (let t = 0; t < pmf.length; t++) {
+        cumulative += pmf[t];
+        if (cumulative >= threshold * (1 - 1e-12) && pmf[t] > 0) return t;
+    }
+    return pmf.length - 1;
+}
+
+/**
+ * Calculates a specific percentile from a sorted array of data.
+ * @param {number[]} sortedData - The pre-sorted array of numbers.
+ * @param {number} percentile - The percentile to calculate (0-100).
+ * @returns {number} The value at the given percentile.
+ */
+export function getPercentile(sortedData, percentile) {
+    if (!sortedData || sortedData.length === 0) return NaN;
+    const index = (percentile / 100) * (sortedData.length - 1);
+    if (index === Math.floor(index)) { return sortedData[index]; }
+    else { const lower = Math.floor(index); const upper = Math.ceil(index); return sortedData[lower] * (upper - index) + sortedData[upper] * (index - lower); }
+}
+
+/**
+ * Creates histogram data from simulation results.
+ * @param {number[]} anvilCosts - An array of anvil costs from all simulation runs.
+ * @param {number} budget - The anvil budget for the simulation.
+ * @param {number} [numBins=20] - The desired number of bins for the histogram.
+ * @returns {{labels: string[], data: number[], successRate: number, medianCost: number, p90Cost: number}}
+ */
+export function createHistogramData(anvilCosts, budget, numBins = 20) {
+    const successfulRuns = anvilCosts.filter(cost => cost <= budget);
+    if (successfulRuns.length === 0) { return { labels: [`> ${budget} (Failures)`], data: [anvilCosts.length], successRate: 0, medianCost: NaN, p90Cost: NaN }; }
+    successfulRuns.sort((a, b) => a - b);
+    const minCost = successfulRuns[0];
+    const maxCost = successfulRuns[successfulRuns.length - 1];
+    const binSize = Math.max(1, Math.ceil((maxCost - minCost + 1) / numBins));
+    const bins = [];
+    for (let i = minCost; i <= maxCost; i += binSize) { bins.push({ start: i, end: i + binSize - 1, count: 0 }); }
+    let failures = 0;
+    anvilCosts.forEach(cost => {
+        if (cost <= budget) { const targetBin = bins.find(bin => cost >= bin.start && cost <= bin.end); if (targetBin) targetBin.count++; }
+        else { failures++; }
+    });
+    const chartData = bins.map(bin => bin.count);
+    const chartLabels = bins.map(bin => `${bin.start}-${bin.end}`);
+    if (failures > 0) { chartLabels.push(`> ${budget} (Failed)`); chartData.push(failures); }
+    return { labels: chartLabels, data: chartData, successRate: (successfulRuns.length / anvilCosts.length) * 100, medianCost: getPercentile(successfulRuns, 50), p90Cost: getPercentile(successfulRuns, 90), };
+}
+
+/**
+ * Creates histogram data from an exact cost distribution, in the same shape as `createHistogramData`.
+ * Bin heights are probabilities in percent rather than run counts.
+ * @param {Float64Array} pmf - Probability of finishing on exactly each anvil count, up to the budget.
+ * @param {number} successProbability - Total probability mass of `pmf`.
+ * @param {number} budget - The anvil budget for the simulation.
+ * @param {number} [numBins=20] - The desired number of bins for the histogram.
+ * @returns {{labels: string[], data: number[], successRate: number, medianCost: number, p90Cost: number}}
+ */
+export function createHistogramFromDistribution(pmf, successProbability, budget, numBins = 20) {
+    const failurePercent = Math.max(0, (1 - successProbability) * 100);
+    if (!(successProbability > 0)) { return { labels: [`> ${budget} (Failures)`], data: [100], successRate: 0, medianCost: NaN, p90Cost: NaN }; }
+    const minCost = pmf.findIndex(p => p > 0);
+    let maxCost = pmf.length - 1;
+    while (maxCost > minCost && pmf[maxCost] === 0) maxCost--;
+    const binSize = Math.max(1, Math.ceil((maxCost - minCost + 1) / numBins));
+    const chartLabels = [];
+    const chartData = [];
+    for (let start = minCost; start <= maxCost; start += binSize) {
+        const end = start + binSize - 1;
+        let binMass = 0;
+        for (let t = start; t <= Math.min(end, maxCost); t++) binMass += pmf[t];
+        chartLabels.push(`${start}-${end}`);
+        chartData.push(binMass * 100);
+    }
+    if (failurePercent > 0.05) { chartLabels.push(`> ${budget} (Failed)`); chartData.push(failurePercent); }
+    return { labels: chartLabels, data: chartData, successRate: successProbability * 100, medianCost: getDistributionPercentile(pmf, successProbability, 50), p90Cost: getDistributionPercentile(pmf, successProbability, 90), };
+}
+
+/** Largest budget the inverse solver will search before reporting a confidence level as out of reach. @type {number} */
+const MAX_REQUIRED_BUDGET_SEARCH = 10000;
+
+/**
+ * Extends an exact cost distribution past the budget so quantiles and tail figures can be read off it.
+ * The distribution is re-solved with a doubled budget until it covers 99% or hits the search limit.
+ * @param {object} simParams - The simulation parameters (see `runProbabilityCalculation`).
+ * @param {{pmf: Float64Array, successProbability: number}} distribution - The exact distribution already solved at `simParams.budget`.
+ * @returns {{pmf: Float64Array, successProbability: number, searchLimit: number, isReachable: boolean}} The extended distribution,
+ *   solved up to `searchLimit` Anvils. Unreachable goals are returned unextended.
+ */
+export function extendCostDistribution(simParams, distribution) {
+    let { pmf, successProbability } = distribution;
+    let budget = simParams.budget;
+    // The LM guarantee always delivers LMs eventually, so the goal is only out of reach when no pull yields shards
+    // (or the only source is a capped bonus table that cannot cover the target).
+    const bonusOutcomes = getNmBonusOutcomes(simParams.nmBonusShards);
+    const maxBonusShards = bonusOutcomes.length === 0 ? 0
+        : simParams.nmBonusShards.maxTriggers == null ? Infinity
+        : simParams.nmBonusShards.maxTriggers * Math.max(...bonusOutcomes.map(({ shards }) => shards));
+    const isReachable = simParams.targetShardsForUpgrade <= maxBonusShards || simParams.lmShardsYield > 0 || simParams.nmShardsYield > 0;
+    if (!isReachable) return { pmf, successProbability, searchLimit: budget, isReachable };
+    while (successProbability < 0.99 && budget < MAX_REQUIRED_BUDGET_SEARCH) {
+        budget = Math.min(MAX_REQUIRED_BUDGET_SEARCH, budget * 2);
+        ({ pmf, successProbability } = computeExactCostDistribution({ ...simParams, budget }));
+    }
+    return { pmf, successProbability, searchLimit: budget, isReachable };
+}
+
+/**
+ * Finds the minimum budget needed for every whole-percent chance of success, by reading quantiles off the
+ * extended cost distribution.
+ * @param {{pmf: Float64Array, searchLimit: number, isReachable: boolean}} extended - The distribution from `extendCostDistribution`.
+ * @returns {{requiredBudgets: Array<number|null>, searchLimit: number}} `requiredBudgets[p]` is the smallest budget with at least a p% chance (1 to 99),
+ *   or null if even `searchLimit` Anvils are not enough.
+ */
+export function findRequiredBudgets({ pmf, searchLimit, isReachable }) {
+    if (!isReachable) return { requiredBudgets: new Array(100).fill(null), searchLimit };
+    const requiredBudgets = [null];
+    let cumulative = 0;
+    let t = 0;
+    for (let percent = 1; percent <= 99; percent++) {
+        const threshold = percent / 100 - 1e-12;
+        while (t < pmf.length && cumulative < threshold) cumulative += pmf[t++];
+        requiredBudgets.push(cumulative >= threshold ? t - 1 : null);
+    }
+    return { requiredBudgets, searchLimit };
+}
+
+/** Percentiles of the Anvil cost listed in the risk report. @type {number[]} */
+export const RISK_PERCENTILES = [10, 25, 50, 75, 90, 99];
+
+/** Most points sent for the risk report's CDF line. @type {number} */
+const MAX_CDF_POINTS = 150;
+
+/**
+ * Finds the chance of reaching each of several shard goals within the budget, with the same pity and rates.
+ * The goals share one pass over the draws, so checking many star levels costs little more than one.
+ * @param {object} simParams - The simulation parameters (see `runProbabilityCalculation`); its goal is replaced by each target.
+ * @param {number[]} targets - Shards to gain for each goal (0 means unlocking only, when `includeUnlock` is set).
+ * @returns {number[]} The chance (0 to 1) of reaching each goal, in the same order.
+ */
+export function getGoalReachProbabilities(simParams, targets) {
+    const mythicsNeededList = targets.map(target => getMythicsNeededDistribution({ ...simParams, targetShardsForUpgrade: target }, simParams.budget));
+    return accumulateCostDistributions(mythicsNeededList, simParams).map(({ successProbability }) => successProbability);
+}
+
+/**
+ * @typedef {object} RiskReport
+ * @property {Array<{percentile: number, cost: number|null}>} percentiles - Anvil cost at each of `RISK_PERCENTILES` over all outcomes,
+ *   or null if it lies past `searchLimit`.
+ * @property {number} failureRate - Chance in percent that the budget runs out first.
+ * @property {number|null} expectedShortfall - Average Anvils still missing when the budget runs out, or null if it never does.
+ *   Outcomes past `searchLimit` count as finishing just past it.
+ * @property {Array<{level: string, percent: number}>} failureLevels - Where the budget runs out, as a percent of failed outcomes, lowest level first.
+ * @property {string|null} medianFailureLevel - The median level among failed outcomes (half of them end at or below it), or null if nothing fails.
+ * @property {Array<{x: number, y: number}>} cdf - Chance in percent (y) of reaching the goal within x Anvils.
+ * @property {number} searchLimit - The largest budget the distribution was solved for.
+ */
+
+/**
+ * Builds the risk report: cost percentiles, the shortfall when the budget runs out, where failed outcomes end,
+ * and the cost CDF.
+ * @param {object} simParams - The simulation parameters; `levelLadder` lists the start level and every level above it.
+ * @param {{pmf: Float64Array, successProbability: number, searchLimit: number}} extended - The distribution from `extendCostDistribution`.
+ * @param {Array<number|null>} requiredBudgets - Quantiles from `findRequiredBudgets`.
+ * @param {number} successProbability - The chance (0 to 1) of reaching the goal within the budget.
+ * @returns {RiskReport} The report.
+ */
+export function buildRiskReport(simParams, extended, requiredBudgets, successProbability) {
+    const { budget, includeUnlock, targetShardsForUpgrade, levelLadder = [] } = simParams;
+    const levelsBelowTarget = levelLadder.filter(({ shardsNeeded }) => shardsNeeded < targetShardsForUpgrade);
+    const { pmf, searchLimit } = extended;
+    const failureProbability = Math.max(0, 1 - successProbability);
+
+    let expectedShortfall = null;
+    const failureLevels = [];
+    let medianFailureLevel = null;
+    if (failureProbability > 1e-9) {
+        let shortfall = 0;
+        let solvedMass = 0;
+        for (let t = budget + 1; t < pmf.length; t++) {
+            shortfall += (t - budget) * pmf[t];
+            solvedMass += pmf[t];
+        }
+        shortfall += Math.max(0, failureProbability - solvedMass) * (searchLimit + 1 - budget);
+        expectedShortfall = shortfall / failureProbability;
+
+        // P(end at a level) = P(reach it) - P(reach the next one); the start level is always reached once unlocked.
+        const levels = includeUnlock ? [{ level: 'Not Unlocked', shardsNeeded: null }, ...levelsBelowTarget] : levelsBelowTarget;
+        const reachTargets = levels.filter(({ shardsNeeded }) => shardsNeeded !== null && (includeUnlock || shardsNeeded > 0)).map(({ shardsNeeded }) => shardsNeeded);
+        const reachList = getGoalReachProbabilities(simParams, reachTargets);
+        const reach = levels.map(({ shardsNeeded }) => shardsNeeded === null || (!includeUnlock && shardsNeeded === 0) ? 1 : reachList.shift());
+        reach.push(successProbability);
+        let cumulative = 0;
+        levels.forEach(({ level }, i) => {
+            const percent = Math.max(0, reach[i] - reach[i + 1]) / failureProbability * 100;
+            cumulative += percent;
+            if (medianFailureLevel === null && cumulative >= 50) medianFailureLevel = level;
+            failureLevels.push({ level, percent });
+        });
+    }
+
+    const cdf = [];
+    const step = Math.max(1, Math.ceil(pmf.length / MAX_CDF_POINTS));
+    let cumulative = 0;
+    for (let t = 0; t < pmf.length; t++) {
+        cumulative += pmf[t];
+        if (t % step === 0 || t === pmf.length - 1) cdf.push({ x: t, y: Math.min(100, cumulative * 100) });
+    }
+
+    return {
+        percentiles: RISK_PERCENTILES.map(percentile => ({ percentile, cost: requiredBudgets[percentile] })),
+        failureRate: failureProbability * 100,
+        expectedShortfall,
+        failureLevels,
+        medianFailureLevel,
+        cdf,
+        searchLimit,
+    };
+}
+
+/**
+ * @typedef {object} StopLossResult
+ * @property {'exact'|'monte_carlo'} method - The method used.
+ * @property {Array<{level: string, percent: number, isTarget: boolean}>} levels - Chance in percent of ending at each level after
+ *   spending the whole budget, lowest level first.
+ * @property {number} targetOrBetter - Chance in percent of ending at the target level or higher.
+ */
+
+/**
+ * Answers "where does this budget get me?": pulls the whole budget, stopping only at the highest level, and finds the
+ * chance of ending at each level. The exact method reads it off the reach chance of every rung of the level ladder;
+ * Monte Carlo records each run's final shards and maps them onto the ladder.
+ * @param {object} simParams - The simulation parameters; `levelLadder` lists the start level and every level above it.
+ * @param {'exact'|'monte_carlo'} method - The calculation method.
+ * @param {number} numSimRuns - The number of Monte Carlo runs.
+ * @param {string} seed - Seed for the Monte Carlo random source.
+ * @returns {StopLossResult} The chance of ending at each level.
+ */
+export function computeStopLossDistribution(simParams, method, numSimRuns, seed) {
+    const { includeUnlock, targetShardsForUpgrade, levelLadder = [] } = simParams;
+    const levels = includeUnlock ? [{ level: 'Not Unlocked', shardsNeeded: null }, ...levelLadder] : levelLadder;
+    const rungs = levels.filter(({ shardsNeeded }) => shardsNeeded !== null);
+    const topShards = Math.max(0, ...rungs.map(({ shardsNeeded }) => shardsNeeded));
+    // reach[i]: chance of ending at level i or higher.
+    let reach;
+    if (method === 'monte_carlo') {
+        const random = createSeededRandom(seed);
+        const runParams = { ...simParams, targetShardsForUpgrade: topShards, mythicRates: buildMythicRateCurve(simParams.mythicProb, simParams.hardPity, simParams.softPity) };
+        const counts = new Array(levels.length).fill(0);
+        for (let i = 0; i < numSimRuns; i++) {
+            const { shards, isUnlocked } = simulateFinalShards(runParams, random);
+            let endLevel = 0;
+            levels.forEach(({ shardsNeeded }, index) => { if (shardsNeeded !== null && isUnlocked && shards >= shardsNeeded) endLevel = index; });
+            counts[endLevel]++;
+        }
+        let atLeast = 0;
+        reach = counts.map(() => 0);
+        for (let i = counts.length - 1; i >= 0; i--) { atLeast += counts[i]; reach[i] = atLeast / numSimRuns; }
+    } else {
+        const thresholds = rungs.map(({ shardsNeeded }) => shardsNeeded);
+        const mythicsNeededList = getLadderMythicsNeededDistributions(simParams, thresholds, simParams.budget);
+        const rungReach = accumulateCostDistributions(mythicsNeededList, simParams).map(({ successProbability }) => successProbability);
+        reach = levels.map(({ shardsNeeded }) => shardsNeeded === null ? 1 : rungReach.shift());
+    }
+    reach.push(0);
+
+    const targetIndex = levels.findIndex(({ shardsNeeded }) => shardsNeeded !== null && shardsNeeded >= targetShardsForUpgrade);
+    return {
+        method: method === 'monte_carlo' ? 'monte_carlo' : 'exact',
+        levels: levels.map(({ level }, i) => ({ level, percent: Math.max(0, reach[i] - reach[i + 1]) * 100, isTarget: i === targetIndex })),
+        targetOrBetter: targetIndex === -1 ? 0 : reach[targetIndex] * 100,
+    };
+}
+
+/**
+ * @typedef {object} ProbabilityResults
+ * @property {'exact'|'monte_carlo'} method - The method used to produce the histogram.
+ * @property {{labels: string[], data: number[], successRate: number, medianCost: number, p90Cost: number}} histData - Histogram and percentile payload.
+ * @property {number} exactSuccessRate - The exact success probability in percent, for cross-checking Monte Carlo runs.
+ * @property {number} numRuns - The number of Monte Carlo runs, or 0 for the exact method.
+ * @property {string} seed - The seed the Monte Carlo runs were drawn from.
+ * @property {{requiredBudgets: Array<number|null>, searchLimit: number}} budgetForConfidence - Minimum budgets per confidence level, from `findRequiredBudgets`.
+ * @property {RiskReport} riskReport - Exact percentiles, shortfall and CDF, whichever method produced the histogram.
+ * @property {StopLossResult} [stopLoss] - Where spending the whole budget ends up; only set in stop-loss mode.
+ */
+
+/**
+ * Runs the probability calculation with the chosen method.
+ * @param {object} simParams - The simulation parameters passed to `simulateSingleSuccessAttempt`.
+ * @param {'exact'|'monte_carlo'} method - The calculation method.
+ * @param {number} numSimRuns - The number of Monte Carlo runs.
+ * @param {string} seed - Seed for the Monte Carlo random source; the exact method ignores it.
+ * @param {Function} onProgress - Called with the percentage (0 to 100) of the run completed.
+ * @param {{pmf: Float64Array, successProbability: number}|null} [exact=null] - The exact distribution, if the caller has already solved it.
+ * @returns {ProbabilityResults} The histogram and percentile payload for the results area.
+ */
+export function runProbabilityCalculation(simParams, method, numSimRuns, seed, onProgress, exact = null) {
+    const numBins = Math.min(25, Math.max(8, Math.floor(simParams.budget / 25)));
+    const isMonteCarlo = method === 'monte_carlo';
+    if (!exact) exact = computeExactCostDistribution(simParams, fraction => onProgress(Math.round(fraction * (isMonteCarlo ? 20 : 100))));
+    const extended = extendCostDistribution(simParams, exact);
+    const budgetForConfidence = findRequiredBudgets(extended);
+    const riskReport = buildRiskReport(simParams, extended, budgetForConfidence.requiredBudgets, exact.successProbability);
+
+    if (!isMonteCarlo) {
+        const histData = createHistogramFromDistribution(exact.pmf, exact.successProbability, simParams.budget, numBins);
+        return { method, histData, exactSuccessRate: exact.successProbability * 100, numRuns: 0, seed, budgetForConfidence, riskReport };
+    }
+
+    const random = createSeededRandom(seed);
+    const runParams = { ...simParams, mythicRates: buildMythicRateCurve(simParams.mythicProb, simParams.hardPity, simParams.softPity) };
+    const progressEvery = Math.max(1, Math.floor(numSimRuns / 20));
+    const anvilCosts = new Array(numSimRuns);
+    for (let i = 0; i < numSimRuns; i++) {
+        anvilCosts[i] = simulateSingleSuccessAttempt(runParams, random);
+        if (i % progressEvery === 0) onProgress(20 + Math.round((i / numSimRuns) * 80));
+    }
+    const histData = createHistogramData(anvilCosts, simParams.budget, numBins);
+    return { method, histData, exactSuccessRate: exact.successProbability * 100, numRuns: numSimRuns, seed, budgetForConfidence, riskReport };
+}
+
+/**
+ * Maps validated calculator inputs onto the parameter names used by the probability functions.
+ * @param {object} inputs - The validated inputs from the calculator.
+ * @param {object} rules - The game rules to calculate against.
+ * @param {object} [goal={}] - Goal fields (`includeUnlock`, `targetShardsForUpgrade`) for single-goal runs.
+ * @returns {object} The simulation parameters.
+ */
+export function buildSimulationParams(inputs, rules, goal = {}) {
+    return { budget: inputs.anvilBudget, mythicProb: inputs.mythicProbability, hardPity: inputs.mythicHardPity, softPity: inputs.softPity || null, nmBonusShards: inputs.nmBonusShards || null, lmRateUp: inputs.lmRateUpChance, nmGuarantee: rules.nmGuarantee, lmShardsYield: inputs.lmShardsYield, nmShardsYield: inputs.nmShardsYield, initialMythicPity: inputs.currentMythicPity, initialLMPityStreak: inputs.currentLMPity, levelLadder: inputs.levelLadder || [], ...goal };
+}
+
+// =================================================================================================
+// #region: --- SEASON PLANNER ---
+// =================================================================================================
+
+/**
+ * Finds the expected number of anvils spent before a goal is reached or the budget runs out.
+ * @param {Float64Array} pmf - Probability of finishing on exactly each anvil count, up to the budget.
+ * @returns {number} E[min(cost, budget)], using E[min(X, B)] = sum of P(X > t) for t below B.
+ */
+function getExpectedCappedCost(pmf) {
+    let expected = 0;
+    let cumulative = 0;
+    for (let t = 0; t < pmf.length - 1; t++) {
+        cumulative += pmf[t];
+        expected += Math.max(0, 1 - cumulative);
+    }
+    return expected;
+}
+
+/**
+ * @typedef {object} SeasonBannerResult
+ * @property {number} successRate - Chance in percent that this banner's target is reached within the shared budget.
+ * @property {number} expectedSpend - Expected anvils spent on this banner before it finishes or the budget runs out.
+ * @property {number} medianCost - Median cumulative anvils spent when this banner finishes, among successful outcomes.
+ */
+
+/**
+ * Plans a season of LM banners pulled in priority order from one shared budget: each banner is pulled until its
+ * target is reached, and whatever is left rolls forward to the next. Mythic pity always carries over (a finished
+ * banner ends on a mythic, so it restarts at zero anyway); the NM fail streak carries over when the rules allow it.
+ * @param {object} simParams - The shared simulation parameters (see `runProbabilityCalculation`); goal fields are ignored.
+ * @param {Array<{includeUnlock: boolean, targetShardsForUpgrade: number}>} banners - The banners, in pull order.
+ * @param {boolean} carryLMPity - Whether the NM fail streak carries from one banner to the next.
+ * @param {Function} onProgress - Called with the percentage (0 to 100) of the plan completed.
+ * @returns {{banners: SeasonBannerResult[], allSuccessRate: number}} Per-banner results and the chance of hitting every target.
+ */
+export function computeSeasonPlan(simParams, banners, carryLMPity, onProgress) {
+    const stages = banners.map(({ includeUnlock, targetShardsForUpgrade }) => ({ includeUnlock, targetShardsForUpgrade, lmShardsYield: simParams.lmShardsYield, nmShardsYield: simParams.nmShardsYield, nmBonusShards: simParams.nmBonusShards }));
+    const mythicsNeededList = getStagedMythicsDistribution(stages, { ...simParams, carryLMPity }, simParams.budget);
+    const distributions = accumulateCostDistributions(mythicsNeededList, simParams, fraction => onProgress(Math.round(fraction * 100)));
+
+    let previousCappedCost = 0;
+    const results = distributions.map(({ pmf, successProbability }) => {
+        const cappedCost = getExpectedCappedCost(pmf);
+        const result = { successRate: successProbability * 100, expectedSpend: cappedCost - previousCappedCost, medianCost: getDistributionPercentile(pmf, successProbability, 50) };
+        previousCappedCost = cappedCost;
+        return result;
+    });
+    return { banners: results, allSuccessRate: results.length > 0 ? results[results.length - 1].successRate : 0 };
+}
+
+// =================================================================================================
+// #region: --- SCENARIO COMPARISON ---
+// =================================================================================================
+
+/**
+ * @typedef {object} ComparisonResult
+ * @property {boolean} isValid - False if the scenario's EV calculation failed.
+ * @property {string|null} errorMessage - Why the scenario failed, if it did.
+ * @property {number} anvilsAvg - Average Anvils for the scenario's goal, including the unlock when it is part of the goal.
+ * @property {number} anvilsBest - Best-case Anvils for the goal.
+ * @property {number} anvilsWorst - Worst-case Anvils for the goal.
+ * @property {ProbabilityResults} probability - The scenario's probability results, from its own method.
+ * @property {number[]} binnedPercent - Chance in percent of finishing in each shared bin, then of failing within the scenario's budget.
+ */
+
+/**
+ * Bins several exact cost distributions onto one set of Anvil ranges so their histograms can be overlaid.
+ * @param {Array<{pmf: Float64Array, successProbability: number}>} distributions - The exact distributions to bin.
+ * @param {number} [numBins=20] - The desired number of bins.
+ * @returns {{labels: string[], binnedPercent: number[][]}} Shared bin labels (the last one is the failure bucket) and each distribution's heights.
+ */
+export function createSharedHistogramBins(distributions, numBins = 20) {
+    const successful = distributions.filter(({ successProbability }) => successProbability > 0);
+    const minCost = successful.length > 0 ? Math.min(...successful.map(({ pmf }) => pmf.findIndex(p => p > 0))) : 0;
+    const maxCost = successful.length > 0 ? Math.max(...successful.map(({ pmf }) => {
+        let last = pmf.length - 1;
+        while (last > 0 && pmf[last] === 0) last--;
+        return last;
+    })) : 0;
+    const binSize = Math.max(1, Math.ceil((maxCost - minCost + 1) / numBins));
+    const labels = [];
+    for (let start = minCost; start <= maxCost; start += binSize) labels.push(`${start}-${start + binSize - 1}`);
+    labels.push('Over Budget (Failed)');
+
+    const binnedPercent = distributions.map(({ pmf, successProbability }) => {
+        const heights = new Array(labels.length).fill(0);
+        for (let t = minCost; t < pmf.length && t <= maxCost; t++) heights[Math.floor((t - minCost) / binSize)] += pmf[t] * 100;
+        heights[labels.length - 1] = Math.max(0, (1 - successProbability) * 100);
+        return heights;
+    });
+    return { labels, binnedPercent };
+}
+
+/**
+ * Runs every pinned scenario through the EV and probability calculations, then bins their exact cost
+ * distributions onto shared Anvil ranges. Histograms always come from the exact distributions so they line up;
+ * the success rate and percentiles follow each scenario's own method.
+ * @param {Array<{inputs: object, includeUnlock: boolean, method: string, numSimRuns: number, rules: object}>} scenarios - The scenario payloads.
+ * @param {Function} onProgress - Called with the percentage (0 to 100) of the comparison completed.
+ * @returns {{labels: string[], scenarios: ComparisonResult[]}} The shared bin labels and one result per scenario, in order.
+ */
+export function compareScenarios(scenarios, onProgress) {
+    const distributions = [];
+    const results = scenarios.map(({ inputs, includeUnlock, method, numSimRuns, rules }, index) => {
+        const scenarioProgress = (percent) => onProgress(Math.round(((index + percent / 100) / scenarios.length) * 100));
+        const metrics = performExpectedValueCalculations(inputs, rules);
+        if (!metrics.isValid) {
+            distributions.push({ pmf: new Float64Array(1), successProbability: 0 });
+            return { isValid: false, errorMessage: metrics.errorMessage };
+        }
+        const ev = metrics.data;
+        const simParams = buildSimulationParams(inputs, rules, { includeUnlock, targetShardsForUpgrade: inputs.shardsNeededForUpgrade });
+        const isMonteCarlo = method === 'monte_carlo';
+        const exact = computeExactCostDistribution(simParams, fraction => scenarioProgress(Math.round(fraction * (isMonteCarlo ? 20 : 100))));
+        distributions.push(exact);
+        return {
+            isValid: true,
+            errorMessage: null,
+            anvilsAvg: ev.upgradeAnvilsAvg + (includeUnlock ? ev.anvilsUnlockAvg : 0),
+            anvilsBest: ev.upgradeAnvilsBest + (includeUnlock ? ev.anvilsUnlockBest : 0),
+            anvilsWorst: ev.upgradeAnvilsWorst + (includeUnlock ? ev.anvilsUnlockWorst : 0),
+            probability: runProbabilityCalculation(simParams, method, numSimRuns, inputs.seed, scenarioProgress, exact),
+        };
+    });
+    const { labels, binnedPercent } = createSharedHistogramBins(distributions);
+    results.forEach((result, index) => { if (result.isValid) result.binnedPercent = binnedPercent[index]; });
+    return { labels, scenarios: results };
+}
+
+// =================================================================================================
+// #region: --- SHARD SOURCES ---
+// =================================================================================================
+
+/**
+ * Weekly shard income for a champion that is not farmed on the LM banner.
+ * @typedef {object} ShardSourceModel
+ * @property {number} fixedShardsPerWeek - Shards gained every week for certain: shop purchases plus fusion.
+ * @property {Array<{shards: number, probability: number}>} eventDrops - One weekly roll of the event drop table; the remaining chance drops nothing.
+ * @property {number} bannerAnvilsPerWeek - Whole Anvils spent on a banner that can pull the champion each week.
+ * @property {number} bannerHitChance - Chance that one of those Anvils pulls the champion (0 to 1).
+ * @property {number} bannerShardsPerHit - Shards granted each time the champion is pulled.
+ */
+
+/**
+ * @typedef {object} ShardSourcePlan
+ * @property {number[]} reachByWeek - Chance in percent of having the target shards by the end of each week, from week 0 (today).
+ * @property {number|null} expectedWeeks - Average weeks to the target, or null if it is not certain within the horizon.
+ * @property {number} expectedShardsPerWeek - Average shards gained per week.
+ */
+
+/**
+ * Lists the chance of each number of banner hits in a week. Each Anvil is an independent chance at the champion,
+ * which ignores pity but is close for a champion that is one of many in the pool. Worked in log space so
+ * large Anvil counts cannot underflow.
+ * @param {number} anvils - Anvils spent in the week.
+ * @param {number} hitChance - Chance that one Anvil pulls the champion.
+ * @returns {number[]} `hits[k]` is the chance of exactly k hits; negligible tails are dropped.
+ */
+function getBinomialDistribution(anvils, hitChance) {
+    if (anvils <= 0 || hitChance <= 0) return [1];
+    if (hitChance >= 1) {
+        const certain = new Array(anvils + 1).fill(0);
+        certain[anvils] = 1;
+        return certain;
+    }
+    const hits = [];
+    const logOdds = Math.log(hitChance / (1 - hitChance));
+    let logP = anvils * Math.log1p(-hitChance);
+    for (let k = 0; k <= anvils; k++) {
+        hits.push(Math.exp(logP));
+        logP += Math.log((anvils - k) / (k + 1)) + logOdds;
+    }
+    let last = hits.length - 1;
+    while (last > 0 && hits[last] < 1e-15) last--;
+    return hits.slice(0, last + 1);
+}
+
+/**
+ * Builds the distribution of shards gained in one week: the fixed shards, plus one roll of the event table,
+ * plus the banner hits.
+ * @param {ShardSourceModel} model - The weekly income model.
+ * @returns {Float64Array} `pmf[s]` is the chance of gaining exactly s shards in a week.
+ */
+export function getWeeklyShardDistribution({ fixedShardsPerWeek, eventDrops, bannerAnvilsPerWeek, bannerHitChance, bannerShardsPerHit }) {
+    const eventOutcomes = getNmBonusOutcomes({ outcomes: eventDrops, maxTriggers: 1 });
+    const events = eventOutcomes.length > 0 ? eventOutcomes : [{ shards: 0, probability: 1 }];
+    const hits = bannerShardsPerHit > 0 ? getBinomialDistribution(bannerAnvilsPerWeek, bannerHitChance) : [1];
+    const maxEventShards = Math.max(...events.map(({ shards }) => shards));
+    const pmf = new Float64Array(fixedShardsPerWeek + maxEventShards + (hits.length - 1) * bannerShardsPerHit + 1);
+    events.forEach(({ shards, probability }) => {
+        hits.forEach((hitChance, k) => { pmf[fixedShardsPerWeek + shards + k * bannerShardsPerHit] += probability * hitChance; });
+    });
+    return pmf;
+}
+
+/**
+ * Projects week by week the chance of having collected the target shards, with shards over the target absorbed.
+ * @param {ShardSourceModel} model - The weekly income model.
+ * @param {number} targetShards - Shards still needed.
+ * @param {number} maxWeeks - The forecast horizon in weeks.
+ * @returns {ShardSourcePlan} The week-by-week chances and the averages.
+ */
+export function computeShardSourcePlan(model, targetShards, maxWeeks) {
+    const weekly = getWeeklyShardDistribution(model);
+    const expectedShardsPerWeek = weekly.reduce((sum, p, shards) => sum + p * shards, 0);
+    const gains = [];
+    weekly.forEach((p, shards) => { if (p > 0) gains.push([shards, p]); });
+
+    const reachByWeek = [targetShards <= 0 ? 100 : 0];
+    let reached = targetShards <= 0 ? 1 : 0;
+    let dist = new Float64Array(Math.max(1, targetShards));
+    dist[0] = 1;
+    for (let week = 1; week <= maxWeeks && reached < 1 - 1e-9 && expectedShardsPerWeek > 0; week++) {
+        const next = new Float64Array(dist.length);
+        for (let s = 0; s < dist.length; s++) {
+            if (dist[s] === 0) continue;
+            for (const [shards, p] of gains) {
+                if (s + shards >= targetShards) reached += dist[s] * p;
+                else next[s + shards] += dist[s] * p;
+            }
+        }
+        dist = next;
+        reachByWeek.push(Math.min(100, reached * 100));
+    }
+    // E[weeks] = sum over weeks of the chance the target is still missing at that week's start.
+    const expectedWeeks = reached >= 1 - 1e-9 ? reachByWeek.reduce((sum, percent) => sum + (1 - percent / 100), 0) : null;
+    return { reachByWeek, expectedWeeks, expectedShardsPerWeek };
+}
@@ -0,0 +1,96 @@
+/**
+ * @file anvil-worker.js
+ * @fileoverview Web Worker that runs the Anvil calculator's math (from anvil-math.js) off the main thread,
+ * so a long simulation never freezes the page. Messages are tagged with a `runId`; the page terminates
+ * the worker to cancel a stale run, so every run here is free to block until it finishes.
+ *
+ * Messages in:  { type: 'calculate' | 'plan_season' | 'compare' | 'plan_sources', runId, payload }
+ * Messages out: { type: 'metrics' | 'progress' | 'result' | 'error', runId, ... }
+ *
+ * Payloads carry a `rules` object built from the page's active rule profile:
+ * { nmGuarantee, carryLMPity, shardRequirements }. The soft-pity curve and the non-LM bonus table travel with the inputs, since the user can edit them.
+ */
+
+import { performExpectedValueCalculations, buildSimulationParams, runProbabilityCalculation, computeStopLossDistribution, computeSeasonPlan, compareScenarios, computeShardSourcePlan } from './anvil-math.js';
+
+// =================================================================================================
+// #region: --- MESSAGE HANDLING ---
+// =================================================================================================
+
+/**
+ * Creates a progress callback that posts 'progress' messages, skipping repeats of the same percentage.
+ * @param {number} runId - The ID of the run, echoed back on every message.
+ * @returns {Function} Callback taking a percentage (0 to 100).
+ */
+function createProgressReporter(runId) {
+    let lastPercent = -1;
+    return (percent) => {
+        if (percent === lastPercent) return;
+        lastPercent = percent;
+        self.postMessage({ type: 'progress', runId, percent });
+    };
+}
+
+/**
+ * Handles a 'calculate' request: posts the EV metrics first so they render immediately,
+ * then streams progress while the probability calculation runs, then posts the result.
+ * In stop-loss mode the result also says where spending the whole budget ends up.
+ * @param {number} runId - The ID of the run, echoed back on every message.
+ * @param {object} payload - The validated inputs and the rules to calculate against.
+ */
+function handleCalculate(runId, { inputs, includeUnlock, method, numSimRuns, rules, stopLoss = false }) {
+    const metrics = performExpectedValueCalculations(inputs, rules);
+    self.postMessage({ type: 'metrics', runId, metrics });
+    if (!metrics.isValid) return;
+
+    const simParams = buildSimulationParams(inputs, rules, { includeUnlock, targetShardsForUpgrade: inputs.shardsNeededForUpgrade });
+    const probability = runProbabilityCalculation(simParams, method, numSimRuns, inputs.seed, createProgressReporter(runId));
+    if (stopLoss) probability.stopLoss = computeStopLossDistribution(simParams, method, numSimRuns, inputs.seed);
+    self.postMessage({ type: 'result', runId, result: probability });
+}
+
+/**
+ * Handles a 'plan_season' request: streams progress while the season is solved, then posts the plan.
+ * @param {number} runId - The ID of the run, echoed back on every message.
+ * @param {object} payload - The validated shared inputs, the banners in pull order and the rules (whose `carryLMPity` sets the carry-over).
+ */
+function handlePlanSeason(runId, { inputs, banners, rules }) {
+    const simParams = buildSimulationParams(inputs, rules);
+    const plan = computeSeasonPlan(simParams, banners, rules.carryLMPity, createProgressReporter(runId));
+    self.postMessage({ type: 'result', runId, result: plan });
+}
+
+/**
+ * Handles a 'compare' request: streams progress while each pinned scenario is calculated, then posts the comparison.
+ * @param {number} runId - The ID of the run, echoed back on every message.
+ * @param {{scenarios: object[]}} payload - One 'calculate' payload per pinned scenario.
+ */
+function handleCompare(runId, { scenarios }) {
+    const comparison = compareScenarios(scenarios, createProgressReporter(runId));
+    self.postMessage({ type: 'result', runId, result: comparison });
+}
+
+/**
+ * Handles a 'plan_sources' request: forecasts the weeks to a star target from shop, event, fusion and banner shards.
+ * @param {number} runId - The ID of the run, echoed back on every message.
+ * @param {{model: object, targetShards: number, maxWeeks: number}} payload - The weekly income model, the shards still needed and the horizon.
+ */
+function handlePlanSources(runId, { model, targetShards, maxWeeks }) {
+    const plan = computeShardSourcePlan(model, targetShards, maxWeeks);
+    self.postMessage({ type: 'result', runId, result: plan });
+}
+
+self.onmessage = (event) => {
+    const { type, runId, payload } = event.data;
+    try {
+        switch (type) {
+            case 'calculate': handleCalculate(runId, payload); break;
+            case 'plan_season': handlePlanSeason(runId, payload); break;
+            case 'compare': handleCompare(runId, payload); break;
+            case 'plan_sources': handlePlanSources(runId, payload); break;
+            default: throw new Error(`Unknown message type "${type}".`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', runId, message: error.message });
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * @file banner-rules.js
+ * @fileoverview The built-in Limited Mythic banner rules, shared by the Anvil calculator (calculator.js), where they are the
+ * default rule profile, and the Team Builder's upgrade planner (teams.js), which costs star upgrades in Anvils with them.
+ */
+
+/**
+ * The built-in "Standard LM Banner" rule profile. Its fields are documented by the RuleProfile typedef in calculator.js.
+ * @type {object}
+ */
+export const DEFAULT_RULE_PROFILE = {
+    id: 'standard_lm',
+    name: 'Standard LM Banner',
+    description: 'Current Limited Mythic banner rules: 3.84% mythic rate, hard pity at 50, LM guaranteed after 3 Non-LM Mythics.',
+    order: 0,
+    mythicProbability: 0.0384,
+    mythicHardPity: 50,
+    lmRateUpChance: 0.269,
+    lmShardsYield: 40,
+    nmGuarantee: 3,
+    carryLMPity: true,
+    shardRequirements: {
+        "White 1-Star": 2, "White 2-Star": 5, "White 3-Star": 10, "White 4-Star": 20, "White 5-Star": 40,
+        "Blue 1-Star": 60, "Blue 2-Star": 80, "Blue 3-Star": 100, "Blue 4-Star": 130, "Blue 5-Star": 160,
+        "Purple 1-Star": 200, "Purple 2-Star": 240, "Purple 3-Star": 280, "Purple 4-Star": 320, "Purple 5-Star": 360,
+        "Gold 1-Star": 400, "Gold 2-Star": 440, "Gold 3-Star": 480, "Gold 4-Star": 540, "Gold 5-Star": 600,
+        "Red 1-Star": 680, "Red 2-Star": 760, "Red 3-Star": 840, "Red 4-Star": 920, "Red 5-Star": 1000
+    },
+    nmBonusShards: null,
+    softPity: null,
+    acquisitionModels: {},
+};
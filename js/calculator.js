@@ -3,11 +3,26 @@
  * @fileoverview Interactive web application to calculate and simulate the "Anvil" cost for character upgrades in a gacha game.
  * It features two main functionalities:
  * 1.  **Expected Value (EV) Calculation**: Determines the average, best-case, and worst-case Anvil cost to upgrade a character between specified star levels.
- * 2.  **Probability Simulation**: Runs a Monte Carlo simulation to find the probability of successfully achieving an upgrade goal within a given Anvil budget.
+ * 2.  **Probability Simulation**: Solves the pull process exactly as a Markov chain to find the probability of successfully achieving an upgrade goal
+ *      within a given Anvil budget. A Monte Carlo simulation is kept as an optional cross-check.
+ * 3.  **Season Planner**: Splits one Anvil budget across several upcoming LM banners pulled in order and finds the chance of hitting
+ *      every target, and each one, with pity carried from banner to banner.
+ * 4.  **Pull History**: Logs the user's pull sessions in Firestore, derives their current pity counts from the log, and compares
+ *      their Mythic luck against the expected rate.
+ *
+ * An Anvil income model turns the exact cost distribution into a dated forecast of when the target is likely to be reached.
+ * A stop-loss mode shows which star level spending the whole budget is likely to end at.
+ * The Guided View walks through the champion, budget, pity, income and how much the champion matters to the user's saved teams,
+ * and ends with a "pull now / save / skip" recommendation.
+ * Two to four scenarios can be pinned and compared side by side, with their cost histograms overlaid on one chart.
+ * Any scenario can be shared as a link (its inputs are encoded in the URL hash) or saved as a named preset in Firestore.
+ *
+ * All of the math (anvil-math.js) runs in a module Web Worker (anvil-worker.js) so the page stays responsive; stale runs are cancelled when inputs change.
  *
  * The application integrates with Firebase for user authentication, cloud storage of configurations, and analytics.
  * It also supports local import/export of settings and allows for UI customization.
- * A "Champion Guidance" feature pulls champion data and provides upgrade recommendations.
+ * A "Champion Guidance" feature pulls champion data and provides upgrade recommendations. The champion list is cached in IndexedDB
+ * (offline-store.js) so it still loads without a connection.
  *
  * @author Originally by the user, refactored and documented by Google's Gemini.
  * @version 3.1.0 - Replaced standard champion dropdown with a custom dropdown featuring images.
@@ -16,8 +31,11 @@
 // --- Firebase SDK Imports ---
 import { initializeApp, getApp } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-app.js";
 import { getAuth, signInAnonymously, onAuthStateChanged, signInWithCustomToken } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js";
-import { getFirestore, collection, query, orderBy, where, getDocs } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+import { getFirestore, collection, query, orderBy, getDocs, doc, addDoc, setDoc, deleteDoc, serverTimestamp } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
 import { getAnalytics, logEvent as fbLogEventInternal } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-analytics.js";
+import { loadGameCollection, readUserDoc } from './offline-store.js';
+import { getChampionAvatarSrc } from './champion-picker.js';
+import { DEFAULT_RULE_PROFILE } from './banner-rules.js';
 
 /**
  * Creates a debounced function that delays invoking `func` until after `wait` milliseconds have elapsed
@@ -38,23 +56,6 @@ function debounce(func, wait) {
     };
 }
 
-/**
- * Creates a memoized version of a function. The cache is a simple object, so it's best for functions with primitive arguments.
- * @param {Function} func The function to memoize.
- * @returns {Function} The new memoized function.
- */
-function memoize(func) {
-    const cache = {};
-    return function(...args) {
-        const key = JSON.stringify(args);
-        if (cache[key]) {
-            return cache[key];
-        }
-        const result = func.apply(this, args);
-        cache[key] = result;
-        return result;
-    };
-}
 
 
 // =================================================================================================
@@ -71,6 +72,40 @@ function memoize(func) {
  * @property {string} appId - The Firebase application ID.
  */
 
+/**
+ * A named set of banner rules. Every calculation runs off the active profile.
+ * @typedef {object} RuleProfile
+ * @property {string} id - The profile ID (the Firestore document ID for loaded profiles).
+ * @property {string} name - Display name.
+ * @property {string} description - Short description shown under the selector.
+ * @property {number} order - Sort order in the selector.
+ * @property {number} mythicProbability - Default base chance of a mythic per pull (0 to 1).
+ * @property {number} mythicHardPity - Pull at which a mythic is guaranteed.
+ * @property {number} lmRateUpChance - Default chance that a mythic is the featured LM (0 to 1).
+ * @property {number} lmShardsYield - Default shards granted by an LM pull.
+ * @property {number} nmGuarantee - Non-LM mythics in a row before the next mythic is guaranteed to be the LM.
+ * @property {boolean} carryLMPity - Whether the Non-LM count carries over from one banner to the next (the season planner's default).
+ * @property {Object.<string, number>} shardRequirements - Total shards required for each star level, in ascending order.
+ * @property {{outcomes: Array<{shards: number, probability: number}>, maxTriggers: number|null}|null} nmBonusShards -
+ *   Default bonus-shard drop table rolled by non-LM mythic pulls (`maxTriggers` caps the rolls per goal), or null for none.
+ * @property {{type: 'ramp', startPull: number, ratePerPull: number}|{type: 'table', points: Array<{pull: number, rate: number}>}|null} softPity -
+ *   Default soft-pity curve for the mythic rate, or null for a flat rate.
+ * @property {Object.<string, Partial<AcquisitionAmounts>>} acquisitionModels - Weekly shard income per champion rarity,
+ *   overriding `CONSTANTS.DEFAULT_ACQUISITION_AMOUNTS` for champions that are not farmed on the LM banner.
+ */
+
+/**
+ * Weekly shard income for a champion farmed outside the LM banner. Which of these apply depends on the rarity.
+ * @typedef {object} AcquisitionAmounts
+ * @property {number} shopShardsPerWeek - Shards bought from shops each week.
+ * @property {number} shopCostPerShard - Shop currency paid per shard.
+ * @property {Array<{shards: number, probability: number}>} eventDrops - Weekly event drop table.
+ * @property {number} fusionShardsPerWeek - Shards gained from fusion each week.
+ * @property {number} bannerAnvilsPerWeek - Anvils spent each week on the LM banner, whose Non-LM Mythics can be this champion.
+ * @property {number} bannerPoolSize - Non-LM Mythics the banner can give, this champion included.
+ * @property {number} bannerShardsPerHit - Shards granted when the banner gives this champion.
+ */
+
 /**
  * Global constants and configuration settings for the application.
  * @namespace
@@ -88,21 +123,25 @@ const CONSTANTS = {
         appId: "1:786517074225:web:9f14dc4dcae0705fcfd010",
         measurementId: "G-FTF00DHGV6"
     },
-    /** The number of non-LM pulls before an LM pull is guaranteed. @type {number} */
-    NM_GUARANTEE_THRESHOLD: 3,
-    /** The number of simulation runs for the probability calculation. @type {number} */
+    /** The number of simulation runs for the Monte Carlo cross-check. @type {number} */
     NUM_SIM_RUNS: 10000,
     /**
-     * Shards required to reach each star level.
-     * @type {Object.<string, number>}
+     * The built-in rule profile (shared with the Team Builder through banner-rules.js), used until profiles load from Firestore and as the fallback for missing fields.
+     * @type {RuleProfile}
      */
-    SHARD_REQUIREMENTS: {
-        "White 1-Star": 2, "White 2-Star": 5, "White 3-Star": 10, "White 4-Star": 20, "White 5-Star": 40,
-        "Blue 1-Star": 60, "Blue 2-Star": 80, "Blue 3-Star": 100, "Blue 4-Star": 130, "Blue 5-Star": 160,
-        "Purple 1-Star": 200, "Purple 2-Star": 240, "Purple 3-Star": 280, "Purple 4-Star": 320, "Purple 5-Star": 360,
-        "Gold 1-Star": 400, "Gold 2-Star": 440, "Gold 3-Star": 480, "Gold 4-Star": 540, "Gold 5-Star": 600,
-        "Red 1-Star": 680, "Red 2-Star": 760, "Red 3-Star": 840, "Red 4-Star": 920, "Red 5-Star": 1000
+    DEFAULT_RULE_PROFILE,
+    /** Shard sources offered per champion rarity. Limited Mythics come from their banner and use the main calculator. @type {Object.<string, Array<'shop'|'events'|'fusion'|'banner'>>} */
+    ACQUISITION_SOURCES: {
+        'Mythic': ['shop', 'events', 'banner'],
+        'Legendary': ['shop', 'events', 'fusion'],
+        'Epic': ['shop', 'events', 'fusion'],
     },
+    /** Shard sources for a rarity missing from `ACQUISITION_SOURCES`. @type {string[]} */
+    DEFAULT_ACQUISITION_SOURCES: ['shop', 'events'],
+    /** Weekly shard income used when the rule profile does not set one for the rarity. @type {AcquisitionAmounts} */
+    DEFAULT_ACQUISITION_AMOUNTS: { shopShardsPerWeek: 0, shopCostPerShard: 0, eventDrops: [], fusionShardsPerWeek: 0, bannerAnvilsPerWeek: 0, bannerPoolSize: 0, bannerShardsPerHit: 0 },
+    /** Longest shard-source forecast horizon, in weeks. @type {number} */
+    SHARD_SOURCE_MAX_WEEKS: 260,
     /** Chart.js styling options */
     CHART_STYLING: {
         GRID_COLOR: 'rgba(0, 0, 0, 0.1)',
@@ -110,10 +149,39 @@ const CONSTANTS = {
         TITLE_COLOR: '#1e293b',
         TOOLTIP_BG_COLOR: '#f8fafc',
     },
+    /** Confidence levels (in percent) always listed by the "What budget do I need?" solver. @type {number[]} */
+    CONFIDENCE_PRESETS: [50, 80, 90, 99],
+    /** Maximum length of a user-entered simulation seed. @type {number} */
+    MAX_SEED_LENGTH: 32,
      /** Debounce wait time in milliseconds for input calculations. @type {number} */
     DEBOUNCE_WAIT_MS: 300,
-    /** Max steps in the guided mode wizard. @type {number} */
-    WIZARD_MAX_STEPS: 2,
+    /** Input steps in the guided mode wizard; the results are shown on the step after the last one. @type {number} */
+    WIZARD_MAX_STEPS: 5,
+    /**
+     * How the guided advisor weighs a champion by importance: pull now with at least a `pullAt`% chance, otherwise save
+     * if the Anvils for that chance can be earned within `saveWithinDays`. A champion marked "not needed" is always a skip.
+     * @type {Object.<string, {label: string, pullAt: number, saveWithinDays: number}>}
+     */
+    PULL_ADVICE_THRESHOLDS: {
+        core: { label: 'core', pullAt: 70, saveWithinDays: 90 },
+        useful: { label: 'useful', pullAt: 90, saveWithinDays: 30 },
+    },
+    /** Short URL hash keys for each scenario field, to keep shared links compact. @type {Object.<string, string>} */
+    SCENARIO_URL_KEYS: {
+        profileId: 'p', view: 'v', championName: 'c', includeUnlock: 'u',
+        mythicProbability: 'mr', mythicHardPity: 'hp', lmRateUpChance: 'lr', currentMythicPity: 'mp', currentLMPity: 'lp', lmShardsYield: 'ly',
+        startLevel: 'from', targetLevel: 'to', anvilBudget: 'b', method: 'm', seed: 'seed',
+        softPityMode: 'sp', softPityStartPull: 'sps', softPityRampStep: 'spr', softPityTable: 'spt', nmBonusTable: 'nb', nmBonusMaxTriggers: 'nbc',
+        incomeDaily: 'id', incomeWeeklyEvents: 'iw', incomeBattlePass: 'ibp', incomeBattlePassDays: 'ibd', incomeMonthlyPacks: 'im',
+    },
+    /** Longest income forecast horizon, in days. @type {number} */
+    FORECAST_MAX_DAYS: 365,
+    /** Most scenarios that can be pinned for comparison. @type {number} */
+    MAX_COMPARISON_SCENARIOS: 4,
+    /** Chart and swatch colors for pinned scenarios, in pin order. @type {string[]} */
+    COMPARISON_COLORS: ['#10b981', '#3b82f6', '#f59e0b', '#ef4444'],
+    /** Maximum length of a saved preset name. @type {number} */
+    MAX_PRESET_NAME_LENGTH: 60,
 };
 
 // =================================================================================================
@@ -139,6 +207,20 @@ const state = {
     championsColRef: null,
     /** @type {Function|null} */
     unsubscribeChampionsListener: null,
+    /** @type {import("firebase/firestore").CollectionReference|null} */
+    pullHistoryColRef: null,
+    /** The signed-in user's pull sessions, oldest first. @type {PullSession[]} */
+    pullHistory: [],
+    /** @type {import("firebase/firestore").CollectionReference|null} */
+    presetsColRef: null,
+    /** The signed-in user's saved calculator presets, sorted by name. @type {Array<{id: string, name: string, scenario: CalculatorScenario}>} */
+    calculatorPresets: [],
+    /** A scenario from the URL still waiting for rule profiles and champions to load. @type {CalculatorScenario|null} */
+    pendingScenario: null,
+    /** Scenarios pinned for side-by-side comparison, with the worker payload captured when each was pinned. @type {Array<{label: string, scenario: CalculatorScenario, payload: object}>} */
+    comparisonScenarios: [],
+    /** Expected draws per mythic and LM share per mythic from the last EV run, for the luck chart and the shard-source banner model. @type {{drawsPerMythic: number, lmShare: number}|null} */
+    pullHistoryExpectation: null,
     /** The instance of the main anvil cost Chart.js chart. @type {Chart|null} */
     anvilCostChart: null,
     /** Whether the initial character unlock cost is included in calculations. @type {boolean} */
@@ -147,6 +229,30 @@ const state = {
     isGuidedMode: false,
     /** NEW: Current step in the wizard. @type {number} */
     wizardCurrentStep: 1,
+    /** The user's saved teams and roster from the Team Builder, for the wizard's importance step; null until loaded. @type {{savedTeams: Array<{name: string, memberNames: string[]}>, roster: Array<{name: string, starColorTier: string}>}|null} */
+    teamBuilderUsage: null,
+    /** The champion the wizard last suggested an importance for, so a user's own choice is not overwritten. @type {string|null} */
+    wizardImportanceChampion: null,
+    /** The module workers running the EV and probability math, one per run type so different kinds of run never cancel each other. @type {Map<string, Worker>} */
+    anvilWorkers: new Map(),
+    /** Incrementing ID used to ignore messages from stale worker runs. @type {number} */
+    workerRunCounter: 0,
+    /** The in-flight worker run of each type. @type {Map<string, {runId: number, reject: Function}>} */
+    activeWorkerRuns: new Map(),
+    /** Rule profiles available in the selector; the built-in profile until Firestore profiles load. @type {RuleProfile[]} */
+    ruleProfiles: [],
+    /** ID of the selected rule profile. @type {string} */
+    activeRuleProfileId: 'standard_lm',
+    /** Whether the user has changed any calculation input since the page loaded. @type {boolean} */
+    hasEditedInputs: false,
+    /** Minimum budgets per confidence level from the last probability run, plus the budget and target it ran with. @type {{requiredBudgets: Array<number|null>, searchLimit: number, currentBudget: number, targetLevel: string}|null} */
+    budgetForConfidence: null,
+    /** Limited Mythic champions from the public collection, with their recommendations. @type {Array<{name: string, recMin: string, recF2p: string, imgSrc: string}>} */
+    lmChampions: [],
+    /** Every champion in the public collection, for the shard-source forecast. @type {Array<{name: string, baseRarity: string}>} */
+    allChampions: [],
+    /** Banners in the season planner, in pull order. @type {Array<{championName: string, startLevel: string, targetChoice: string}>} */
+    seasonBanners: [],
 };
 
 // =================================================================================================
@@ -165,10 +271,20 @@ const DOM = {
     switchToAdvancedBtn: document.getElementById('switchToAdvancedBtn'),
     switchToGuidedBtn: document.getElementById('switchToGuidedBtn'),
     wizardContainer: document.getElementById('wizard-container'),
+    wizardSteps: [1, 2, 3, 4, 5, 6].map(step => document.getElementById(`wizard-step-${step}`)),
     wizardStep1: document.getElementById('wizard-step-1'),
-    wizardStep2: document.getElementById('wizard-step-2'),
-    wizardStep3: document.getElementById('wizard-step-3'),
     wizardBudgetInputContainer: document.getElementById('wizard-budget-input-container'),
+    wizardPityInputContainer: document.getElementById('wizard-pity-input-container'),
+    wizardUsePullLogBtn: document.getElementById('wizardUsePullLogBtn'),
+    wizardIncomeInputContainer: document.getElementById('wizard-income-input-container'),
+    wizardIncomeRate: document.getElementById('wizardIncomeRate'),
+    wizardRosterNote: document.getElementById('wizardRosterNote'),
+    wizardImportanceSelect: document.getElementById('wizardImportance'),
+    wizardAdvice: document.getElementById('wizardAdvice'),
+    wizardAdviceVerdict: document.getElementById('wizardAdviceVerdict'),
+    wizardAdviceReason: document.getElementById('wizardAdviceReason'),
+    wizardAdviceNumbers: document.getElementById('wizardAdviceNumbers'),
+    wizardAdvancedLink: document.getElementById('wizardAdvancedLink'),
     wizardProbabilityStatus: document.getElementById('wizard-probability-status'),
     wizardResultsContainer: document.getElementById('wizard-results-container'),
     wizardNavigation: document.getElementById('wizard-navigation'),
@@ -180,16 +296,18 @@ const DOM = {
     championGuidanceSection: document.getElementById('championGuidanceSection'),
     probabilitySection: document.getElementById('probabilitySection'),
     anvilBudgetInputGroup: document.getElementById('anvilBudgetInputGroup'),
+    probabilityInputsGrid: document.getElementById('probabilityInputsGrid'),
+    pityInputsGroup: document.getElementById('pityInputsGroup'),
+    incomeInputsGroup: document.getElementById('incomeInputsGroup'),
     results: document.getElementById('results'),
     probabilityResultsArea: document.getElementById('probabilityResultsArea'),
 
     // --- Inputs & Controls (shared or advanced) ---
+    ruleProfileSelect: document.getElementById('ruleProfileSelect'),
+    ruleProfileDescription: document.getElementById('ruleProfileDescription'),
+    nmGuaranteeNote: document.getElementById('nmGuaranteeNote'),
     lmChampionSelect: document.getElementById('lmChampionSelect'), // This is now the hidden input
-    customChampionDropdown: document.getElementById('customChampionDropdown'),
-    customDropdownTrigger: document.getElementById('customDropdownTrigger'),
-    customDropdownOptions: document.getElementById('customDropdownOptions'),
-    selectedChampionImg: document.getElementById('selectedChampionImg'),
-    selectedChampionName: document.getElementById('selectedChampionName'),
+    lmChampionPicker: document.getElementById('lmChampionPicker'),
     guidanceButtons: document.getElementById('guidanceButtons'),
     f2pRecBtn: document.getElementById('f2pRecBtn'),
     minRecBtn: document.getElementById('minRecBtn'),
@@ -202,6 +320,16 @@ const DOM = {
     lmRateUpChanceInput: document.getElementById('lmRateUpChance'),
     lmShardsYieldInput: document.getElementById('lmShardsYield'),
     anvilBudgetInput: document.getElementById('anvilBudget'),
+    softPityModeSelect: document.getElementById('softPityMode'),
+    softPityRampFields: document.getElementById('softPityRampFields'),
+    softPityStartPullInput: document.getElementById('softPityStartPull'),
+    softPityRampStepInput: document.getElementById('softPityRampStep'),
+    softPityTableFields: document.getElementById('softPityTableFields'),
+    softPityTableInput: document.getElementById('softPityTable'),
+    nmBonusTableInput: document.getElementById('nmBonusTable'),
+    nmBonusMaxTriggersInput: document.getElementById('nmBonusMaxTriggers'),
+    simulationSeedInput: document.getElementById('simulationSeed'),
+    simulationMethodSelect: document.getElementById('simulationMethod'),
     startStarLevelSelect: document.getElementById('startStarLevel'),
     targetStarLevelSelect: document.getElementById('targetStarLevel'),
     calculateBtn: document.getElementById('calculateBtn'),
@@ -214,8 +342,15 @@ const DOM = {
     currentLMPityError: document.getElementById('currentLMPityError'),
     lmRateUpChanceError: document.getElementById('lmRateUpChanceError'),
     lmShardsYieldError: document.getElementById('lmShardsYieldError'),
+    simulationSeedError: document.getElementById('simulationSeedError'),
+    softPityError: document.getElementById('softPityError'),
+    nmBonusShardsError: document.getElementById('nmBonusShardsError'),
+    effectiveMythicRate: document.getElementById('effectiveMythicRate'),
     starLevelError: document.getElementById('starLevelError'),
     probabilityStatusDiv: document.getElementById('probabilityStatus'),
+    simulationProgress: document.getElementById('simulationProgress'),
+    simulationProgressBar: document.getElementById('simulationProgressBar'),
+    simulationProgressText: document.getElementById('simulationProgressText'),
     
     // --- Results Display ---
     shardsNeededForUpgradeSpan: document.getElementById('shardsNeededForUpgrade'),
@@ -229,6 +364,10 @@ const DOM = {
     anvilsUnlockWorstSpan: document.getElementById('anvilsUnlockWorst'),
     anvilCostBreakdownNote: document.getElementById('anvilCostBreakdownNote'),
     probabilitySummaryText: document.getElementById('probabilitySummaryText'),
+    targetConfidenceInput: document.getElementById('targetConfidence'),
+    targetConfidenceError: document.getElementById('targetConfidenceError'),
+    requiredBudgetResult: document.getElementById('requiredBudgetResult'),
+    requiredBudgetPresets: document.getElementById('requiredBudgetPresets'),
     
     // --- Detailed Calculations Display ---
     detailUnlockCostSection: document.getElementById('detailUnlockCostSection'),
@@ -237,6 +376,8 @@ const DOM = {
     calcAvgShardsSpan: document.getElementById('calcAvgShards'),
     detailLMSSpan: document.getElementById('detailLMS'),
     detailNMSSpan: document.getElementById('detailNMS'),
+    detailNmBonusSection: document.getElementById('detailNmBonusSection'),
+    detailNmBonusSpan: document.getElementById('detailNmBonus'),
     detailAvgMythicsForLMSpan: document.getElementById('detailAvgMythicsForLM'),
     detailAnvilsUnlockAvgSpan: document.getElementById('detailAnvilsUnlockAvg'),
     detailAnvilsUnlockBestSpan: document.getElementById('detailAnvilsUnlockBest'),
@@ -251,6 +392,93 @@ const DOM = {
     detailWorstShardsSpan: document.getElementById('detailWorstShards'),
     detailMythicPullsWorstSpan: document.getElementById('detailMythicPullsWorst'),
     detailAnvilsWorstSpan: document.getElementById('detailAnvilsWorst'),
+
+    // --- Season Planner ---
+    seasonBannerList: document.getElementById('seasonBannerList'),
+    seasonPlannerEmpty: document.getElementById('seasonPlannerEmpty'),
+    addSeasonBannerBtn: document.getElementById('addSeasonBannerBtn'),
+    seasonCarryLMPityCheckbox: document.getElementById('seasonCarryLMPity'),
+    planSeasonBtn: document.getElementById('planSeasonBtn'),
+    seasonPlannerStatus: document.getElementById('seasonPlannerStatus'),
+    seasonPlanResults: document.getElementById('seasonPlanResults'),
+    seasonPlanSummary: document.getElementById('seasonPlanSummary'),
+    seasonPlanTableBody: document.getElementById('seasonPlanTableBody'),
+
+    // --- Sharing & Presets ---
+    shareScenarioBtn: document.getElementById('shareScenarioBtn'),
+    scenarioShareLink: document.getElementById('scenarioShareLink'),
+    scenarioPresetSelect: document.getElementById('scenarioPresetSelect'),
+    deletePresetBtn: document.getElementById('deletePresetBtn'),
+    presetNameInput: document.getElementById('presetName'),
+    savePresetBtn: document.getElementById('savePresetBtn'),
+    scenarioStatus: document.getElementById('scenarioStatus'),
+
+    // --- Scenario Comparison ---
+    pinScenarioBtn: document.getElementById('pinScenarioBtn'),
+    comparisonList: document.getElementById('comparisonList'),
+    comparisonEmpty: document.getElementById('comparisonEmpty'),
+    compareScenariosBtn: document.getElementById('compareScenariosBtn'),
+    comparisonStatus: document.getElementById('comparisonStatus'),
+    comparisonResults: document.getElementById('comparisonResults'),
+    comparisonTableBody: document.getElementById('comparisonTableBody'),
+
+    // --- Shard Sources ---
+    shardSourceChampionSelect: document.getElementById('shardSourceChampion'),
+    shardSourceLMNote: document.getElementById('shardSourceLMNote'),
+    useLMCalculatorBtn: document.getElementById('useLMCalculatorBtn'),
+    shardSourceInputs: document.getElementById('shardSourceInputs'),
+    shardSourceStartLevelSelect: document.getElementById('shardSourceStartLevel'),
+    shardSourceTargetLevelSelect: document.getElementById('shardSourceTargetLevel'),
+    shardSourceShopFields: document.getElementById('shardSourceShopFields'),
+    shopShardsPerWeekInput: document.getElementById('shopShardsPerWeek'),
+    shopCostPerShardInput: document.getElementById('shopCostPerShard'),
+    shardSourceEventFields: document.getElementById('shardSourceEventFields'),
+    eventShardTableInput: document.getElementById('eventShardTable'),
+    shardSourceFusionFields: document.getElementById('shardSourceFusionFields'),
+    fusionShardsPerWeekInput: document.getElementById('fusionShardsPerWeek'),
+    shardSourceBannerFields: document.getElementById('shardSourceBannerFields'),
+    bannerAnvilsPerWeekInput: document.getElementById('bannerAnvilsPerWeek'),
+    bannerPoolSizeInput: document.getElementById('bannerPoolSize'),
+    bannerShardsPerHitInput: document.getElementById('bannerShardsPerHit'),
+    shardSourceError: document.getElementById('shardSourceError'),
+    planShardSourcesBtn: document.getElementById('planShardSourcesBtn'),
+    shardSourceStatus: document.getElementById('shardSourceStatus'),
+    shardSourceResults: document.getElementById('shardSourceResults'),
+    shardSourceSummary: document.getElementById('shardSourceSummary'),
+
+    // --- Stop-Loss ---
+    stopLossModeCheckbox: document.getElementById('stopLossMode'),
+    stopLossSection: document.getElementById('stopLossSection'),
+    stopLossSummary: document.getElementById('stopLossSummary'),
+
+    // --- Risk Report ---
+    riskPercentileHeader: document.getElementById('riskPercentileHeader'),
+    riskPercentileRow: document.getElementById('riskPercentileRow'),
+    riskShortfall: document.getElementById('riskShortfall'),
+    riskFailureLevels: document.getElementById('riskFailureLevels'),
+
+    // --- Income Forecast ---
+    incomeDailyInput: document.getElementById('incomeDaily'),
+    incomeWeeklyEventsInput: document.getElementById('incomeWeeklyEvents'),
+    incomeBattlePassInput: document.getElementById('incomeBattlePass'),
+    incomeBattlePassDaysInput: document.getElementById('incomeBattlePassDays'),
+    incomeMonthlyPacksInput: document.getElementById('incomeMonthlyPacks'),
+    incomeForecastError: document.getElementById('incomeForecastError'),
+    incomeForecastRate: document.getElementById('incomeForecastRate'),
+    incomeForecastSummary: document.getElementById('incomeForecastSummary'),
+
+    // --- Pull History ---
+    pullLogAnvilsInput: document.getElementById('pullLogAnvils'),
+    pullLogOutcomesInput: document.getElementById('pullLogOutcomes'),
+    pullLogPullsAfterInput: document.getElementById('pullLogPullsAfter'),
+    addPullSessionBtn: document.getElementById('addPullSessionBtn'),
+    pullHistoryStatus: document.getElementById('pullHistoryStatus'),
+    pullHistoryEmpty: document.getElementById('pullHistoryEmpty'),
+    pullHistoryResults: document.getElementById('pullHistoryResults'),
+    pullHistoryPity: document.getElementById('pullHistoryPity'),
+    applyPullHistoryPityBtn: document.getElementById('applyPullHistoryPityBtn'),
+    pullHistoryLuckSummary: document.getElementById('pullHistoryLuckSummary'),
+    pullHistoryTableBody: document.getElementById('pullHistoryTableBody'),
 };
 
 
@@ -277,89 +505,267 @@ function logAnalyticEvent(eventName, params = {}) {
     }
 }
 
-// ## Calculation Service ##
+// ## Simulation Worker Service ##
 
 /**
- * @typedef {object} LmCycleMetrics
- * @property {number} averageShardsPerEffectiveMythic - The average number of shards gained per mythic pull, considering the entire LM/NM cycle.
- * @property {number} expectedMythicPullsPerLmCycle - The average number of mythic pulls required to complete one full LM cycle (i.e., to get one LM).
- * @property {number} worstCaseMythicPullsPerLmCycle - The maximum number of mythic pulls to guarantee one LM.
+ * Returns the anvil worker for a run type, creating it on first use or after a cancellation terminated it.
+ * @param {string} type - The kind of run the worker is for.
+ * @returns {Worker} The module worker that runs the EV and probability math.
  */
+function getAnvilWorker(type) {
+    if (!state.anvilWorkers.has(type)) {
+        state.anvilWorkers.set(type, new Worker(new URL('./anvil-worker.js', import.meta.url), { type: 'module' }));
+    }
+    return state.anvilWorkers.get(type);
+}
 
 /**
- * Calculates the expected number of draws required to obtain one mythic item. This function is memoized for performance.
- * @param {number} mythicProbability - The base probability of a mythic pull (0 to 1).
- * @param {number} hardPity - The number of draws at which a mythic is guaranteed.
- * @returns {number} The expected number of draws per mythic, or NaN if inputs are invalid.
+ * Cancels the in-flight worker run of one type, if any. The worker is busy in a synchronous loop and
+ * cannot read new messages, so it is terminated and a fresh one is created for the next run of that type.
+ * @param {string} [type='calculate'] - The kind of run to cancel; runs of other types keep going.
  */
-const calculateExpectedDrawsPerMythic = memoize((mythicProbability, hardPity) => {
-    if (!(mythicProbability > 0 && mythicProbability <= 1) || hardPity < 1) {
-        return NaN;
+function cancelActiveSimulation(type = 'calculate') {
+    const run = state.activeWorkerRuns.get(type);
+    if (!run) return;
+    state.activeWorkerRuns.delete(type);
+    if (state.anvilWorkers.has(type)) {
+        state.anvilWorkers.get(type).terminate();
+        state.anvilWorkers.delete(type);
     }
-    let expectedDraws = 0.0;
-    for (let k = 1; k < hardPity; k++) {
-        const p_k = Math.pow(1 - mythicProbability, k - 1) * mythicProbability;
-        expectedDraws += k * p_k;
-    }
-    expectedDraws += hardPity * Math.pow(1 - mythicProbability, hardPity - 1);
-    return expectedDraws;
-});
+    const cancelError = new Error('Calculation superseded by newer inputs.');
+    cancelError.isCancelled = true;
+    run.reject(cancelError);
+    logAnalyticEvent('simulation_cancelled', { type });
+}
 
 /**
- * Calculates metrics for a full "Legendary Mythic" (LM) cycle. This function is memoized for performance.
- * @param {number} lmShardYield - The number of shards from an LM pull.
- * @param {number} nmShardYield - The number of shards from a Non-Mythic (NM) pull.
- * @param {number} lmRateUpChance - The probability of a mythic being an LM (0 to 1).
- * @param {number} nmGuaranteeThreshold - The number of NM pulls before an LM is guaranteed.
- * @returns {LmCycleMetrics} The calculated metrics for the cycle.
+ * Sends a calculation to the anvil worker for its type, cancelling any stale run of the same type first.
+ * @param {object} payload - The validated inputs, options and rules for the worker.
+ * @param {{onMetrics?: Function, onProgress: Function}} handlers - Callbacks for the EV metrics and progress messages.
+ * @param {'calculate'|'plan_season'|'compare'|'plan_sources'} [type='calculate'] - The kind of run to start.
+ * @returns {Promise<object|null>} Resolves with the run's result payload, or null if the EV step was invalid.
+ *   Rejects with an error flagged `isCancelled` if it was cancelled or a newer run of the same type replaced it.
  */
-const calculateLmCycleMetrics = memoize((lmShardYield, nmShardYield, lmRateUpChance, nmGuaranteeThreshold) => {
-    if (!(lmRateUpChance >= 0 && lmRateUpChance <= 1) || nmGuaranteeThreshold < 0) {
-        return { averageShardsPerEffectiveMythic: NaN, expectedMythicPullsPerLmCycle: NaN, worstCaseMythicPullsPerLmCycle: NaN };
-    }
-    const nmRateUpChance = 1.0 - lmRateUpChance;
-    let totalExpectedShardsInCycle = 0.0;
-    let totalExpectedMythicPullsInCycle = 0.0;
+function requestWorkerCalculation(payload, handlers, type = 'calculate') {
+    cancelActiveSimulation(type);
+    const worker = getAnvilWorker(type);
+    const runId = ++state.workerRunCounter;
 
-    // Direct LM hit
-    totalExpectedShardsInCycle += lmShardYield * lmRateUpChance;
-    totalExpectedMythicPullsInCycle += 1 * lmRateUpChance;
+    return new Promise((resolve, reject) => {
+        state.activeWorkerRuns.set(type, { runId, reject });
+        const finish = () => { if (state.activeWorkerRuns.has(type) && state.activeWorkerRuns.get(type).runId === runId) state.activeWorkerRuns.delete(type); };
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.runId !== runId) return;
+            switch (message.type) {
+                case 'metrics':
+                    if (handlers.onMetrics) handlers.onMetrics(message.metrics);
+                    if (!message.metrics.isValid) { finish(); resolve(null); }
+                    break;
+                case 'progress': handlers.onProgress(message.percent); break;
+                case 'result': finish(); resolve(message.result); break;
+                case 'error': finish(); reject(new Error(message.message)); break;
+            }
+        };
+        worker.onerror = (event) => {
+            finish();
+            reject(new Error(event.message || 'Anvil worker failed to load.'));
+        };
+        worker.postMessage({ type, runId, payload });
+    });
+}
 
-    // Sequences of NM hits followed by an LM
-    for (let i = 1; i < nmGuaranteeThreshold; i++) {
-        const p_sequence = Math.pow(nmRateUpChance, i) * lmRateUpChance;
-        totalExpectedShardsInCycle += ((nmShardYield * i) + lmShardYield) * p_sequence;
-        totalExpectedMythicPullsInCycle += (i + 1) * p_sequence;
-    }
+// ## Rule Profile Service ##
 
-    // Hitting the guarantee
-    const p_guarantee_hit = Math.pow(nmRateUpChance, nmGuaranteeThreshold);
-    totalExpectedShardsInCycle += ((nmShardYield * nmGuaranteeThreshold) + lmShardYield) * p_guarantee_hit;
-    totalExpectedMythicPullsInCycle += (nmGuaranteeThreshold + 1) * p_guarantee_hit;
+/**
+ * Returns the selected rule profile, falling back to the built-in one.
+ * @returns {RuleProfile} The active profile.
+ */
+function getActiveRuleProfile() {
+    return state.ruleProfiles.find(profile => profile.id === state.activeRuleProfileId) || CONSTANTS.DEFAULT_RULE_PROFILE;
+}
 
-    const averageShards = (totalExpectedMythicPullsInCycle > 0) ? totalExpectedShardsInCycle / totalExpectedMythicPullsInCycle : 0.0;
+/**
+ * Builds the rules object the anvil worker calculates against, from the active profile.
+ * The soft-pity curve and the non-LM bonus table are sent with the inputs instead, since the user can edit them.
+ * @returns {{nmGuarantee: number, carryLMPity: boolean, shardRequirements: Object.<string, number>}} The worker rules.
+ */
+function getWorkerRules() {
+    const { nmGuarantee, carryLMPity, shardRequirements } = getActiveRuleProfile();
+    return { nmGuarantee, carryLMPity, shardRequirements };
+}
 
+/**
+ * Validates a rule profile document, filling missing or invalid fields from the built-in profile.
+ * Firestore maps do not keep key order, so the shard table is sorted by shard count.
+ * @param {string} id - The profile ID.
+ * @param {object} data - The raw profile data.
+ * @returns {RuleProfile|null} The normalized profile, or null if it has no usable shard table.
+ */
+function normalizeRuleProfile(id, data) {
+    const defaults = CONSTANTS.DEFAULT_RULE_PROFILE;
+    const shardEntries = Object.entries(data.shardRequirements || {})
+        .filter(([, shards]) => Number.isInteger(shards) && shards > 0)
+        .sort((a, b) => a[1] - b[1]);
+    if (shardEntries.length === 0) {
+        console.warn(`Rule profile "${id}" has no valid shard table and was skipped.`);
+        return null;
+    }
+    const numberOr = (value, fallback, isValid) => (typeof value === 'number' && isValid(value)) ? value : fallback;
     return {
-        averageShardsPerEffectiveMythic: averageShards,
-        expectedMythicPullsPerLmCycle: totalExpectedMythicPullsInCycle,
-        worstCaseMythicPullsPerLmCycle: nmGuaranteeThreshold + 1
+        id,
+        name: typeof data.name === 'string' && data.name ? data.name : id,
+        description: typeof data.description === 'string' ? data.description : '',
+        order: numberOr(data.order, 100, Number.isFinite),
+        mythicProbability: numberOr(data.mythicProbability, defaults.mythicProbability, v => v > 0 && v <= 1),
+        mythicHardPity: numberOr(data.mythicHardPity, defaults.mythicHardPity, v => Number.isInteger(v) && v >= 1),
+        lmRateUpChance: numberOr(data.lmRateUpChance, defaults.lmRateUpChance, v => v >= 0 && v <= 1),
+        lmShardsYield: numberOr(data.lmShardsYield, defaults.lmShardsYield, v => Number.isInteger(v) && v >= 0),
+        nmGuarantee: numberOr(data.nmGuarantee, defaults.nmGuarantee, v => Number.isInteger(v) && v >= 0),
+        carryLMPity: typeof data.carryLMPity === 'boolean' ? data.carryLMPity : defaults.carryLMPity,
+        shardRequirements: Object.fromEntries(shardEntries),
+        nmBonusShards: data.nmBonusShards || null,
+        softPity: data.softPity || null,
+        acquisitionModels: data.acquisitionModels && typeof data.acquisitionModels === 'object' ? data.acquisitionModels : {},
     };
-});
+}
+
+/**
+ * Loads rule profiles from the public Firestore collection. Profiles with the built-in ID replace it;
+ * the rest are added. On failure the built-in profile stays available.
+ * @async
+ */
+async function loadRuleProfiles() {
+    if (!state.fbDb) return;
+    try {
+        const profilesRef = collection(state.fbDb, `artifacts/${CONSTANTS.APP_ID}/public/data/ruleProfiles`);
+        const querySnapshot = await getDocs(profilesRef);
+        const profiles = [CONSTANTS.DEFAULT_RULE_PROFILE];
+        querySnapshot.forEach(doc => {
+            const profile = normalizeRuleProfile(doc.id, doc.data());
+            if (!profile) return;
+            const existingIndex = profiles.findIndex(p => p.id === profile.id);
+            if (existingIndex >= 0) profiles[existingIndex] = profile;
+            else profiles.push(profile);
+        });
+        state.ruleProfiles = profiles.sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+        if (!state.ruleProfiles.some(p => p.id === state.activeRuleProfileId)) state.activeRuleProfileId = CONSTANTS.DEFAULT_RULE_PROFILE.id;
+        UI.populateRuleProfiles();
+        // Refresh the rate inputs from the loaded profile unless the user has already started editing them.
+        applyRuleProfile(state.activeRuleProfileId, { updateInputs: !state.hasEditedInputs });
+        logAnalyticEvent('firestore_rule_profiles_loaded', { count: querySnapshot.size });
+    } catch (error) {
+        console.error("Error fetching rule profiles:", error);
+        logAnalyticEvent('firestore_public_read_error', { collection: 'ruleProfiles', error_message: error.message });
+    }
+}
+
+// ## Pull History Service ##
+
+/**
+ * One logged pull session.
+ * @typedef {object} PullSession
+ * @property {string} id - The Firestore document ID.
+ * @property {number} anvilsSpent - Anvils spent in the session.
+ * @property {Array<'LM'|'NM'>} outcomes - The mythics hit, in pull order.
+ * @property {number} pullsAfterLastMythic - Pulls made after the session's last mythic (the whole session if it hit none).
+ * @property {Date|null} createdAt - When the session was logged.
+ */
+
+/**
+ * Loads the signed-in user's pull log, oldest session first, and prefills the pity inputs from it
+ * unless the user has already edited the inputs.
+ * @async
+ */
+async function loadPullHistory() {
+    if (!state.pullHistoryColRef) return;
+    try {
+        const querySnapshot = await getDocs(query(state.pullHistoryColRef, orderBy('createdAt', 'asc')));
+        state.pullHistory = querySnapshot.docs.map(docSnap => {
+            const data = docSnap.data();
+            const outcomes = Array.isArray(data.outcomes) ? data.outcomes.filter(o => o === 'LM' || o === 'NM') : [];
+            const anvilsSpent = Number.isInteger(data.anvilsSpent) && data.anvilsSpent > 0 ? data.anvilsSpent : 0;
+            return {
+                id: docSnap.id,
+                anvilsSpent,
+                outcomes,
+                pullsAfterLastMythic: outcomes.length === 0 ? anvilsSpent : (Number.isInteger(data.pullsAfterLastMythic) ? data.pullsAfterLastMythic : 0),
+                createdAt: data.createdAt && typeof data.createdAt.toDate === 'function' ? data.createdAt.toDate() : null,
+            };
+        });
+        renderPullHistory();
+        if (state.pullHistory.length > 0 && !state.hasEditedInputs && !state.isGuidedMode) applyPullHistoryPity('history_loaded');
+    } catch (error) {
+        console.error("Error fetching pull history:", error);
+        UI.displayNotification("Could not load your pull history.", 'error', 'pull_history');
+        logAnalyticEvent('firestore_user_read_error', { collection: 'pullHistory', error_message: error.message });
+    }
+}
+
+/**
+ * Saves a pull session to the signed-in user's log.
+ * @async
+ * @param {{anvilsSpent: number, outcomes: Array<'LM'|'NM'>, pullsAfterLastMythic: number}} session - The validated session.
+ */
+async function savePullSession(session) {
+    await addDoc(state.pullHistoryColRef, { ...session, createdAt: serverTimestamp() });
+    logAnalyticEvent('pull_session_logged', { anvils: session.anvilsSpent, mythics: session.outcomes.length });
+}
+
+/**
+ * Deletes a pull session from the signed-in user's log.
+ * @async
+ * @param {string} sessionId - The session's document ID.
+ */
+async function deletePullSession(sessionId) {
+    await deleteDoc(doc(state.pullHistoryColRef, sessionId));
+    logAnalyticEvent('pull_session_deleted');
+}
 
+// ## Calculator Preset Service ##
 
 /**
- * Calculates the total number of anvils needed to acquire a target number of shards.
- * @param {number} targetShards - The number of shards to acquire.
- * @param {number} avgShardsPerMythic - The average shards obtained per mythic pull.
- * @param {number} drawsPerMythic - The average draws required for one mythic pull.
- * @returns {number} The estimated total number of anvils. Returns 0 if targetShards <= 0, or Infinity if inputs are invalid.
+ * Loads the signed-in user's saved calculator presets.
+ * @async
  */
-function calculateGachaAnvils(targetShards, avgShardsPerMythic, drawsPerMythic) {
-    if (targetShards <= 0) return 0;
-    if (avgShardsPerMythic <= 0 || drawsPerMythic <= 0) {
-        return Infinity;
+async function loadCalculatorPresets() {
+    if (!state.presetsColRef) return;
+    try {
+        const querySnapshot = await getDocs(state.presetsColRef);
+        state.calculatorPresets = querySnapshot.docs
+            .map(docSnap => ({ id: docSnap.id, name: docSnap.data().name || 'Untitled', scenario: docSnap.data().scenario || {} }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        renderCalculatorPresets();
+    } catch (error) {
+        console.error("Error fetching calculator presets:", error);
+        UI.displayNotification("Could not load your saved presets.", 'error', 'scenario');
+        logAnalyticEvent('firestore_user_read_error', { collection: 'calculatorPresets', error_message: error.message });
     }
-    return Math.ceil(targetShards / avgShardsPerMythic) * drawsPerMythic;
+}
+
+/**
+ * Saves a calculator preset, replacing any existing preset with the same name.
+ * @async
+ * @param {string} name - The preset name.
+ * @param {CalculatorScenario} scenario - The scenario to save.
+ */
+async function saveCalculatorPreset(name, scenario) {
+    const existing = state.calculatorPresets.find(preset => preset.name === name);
+    const data = { name, scenario, updatedAt: serverTimestamp() };
+    if (existing) await setDoc(doc(state.presetsColRef, existing.id), data);
+    else await addDoc(state.presetsColRef, data);
+    logAnalyticEvent('calculator_preset_saved', { replaced: Boolean(existing) });
+}
+
+/**
+ * Deletes a saved calculator preset.
+ * @async
+ * @param {string} presetId - The preset's document ID.
+ */
+async function deleteCalculatorPreset(presetId) {
+    await deleteDoc(doc(state.presetsColRef, presetId));
+    logAnalyticEvent('calculator_preset_deleted');
 }
 
 /**
@@ -406,148 +812,108 @@ async function handleAuthStateChange(user) {
         state.currentUserId = user.uid;
         DOM.userIdDisplay.textContent = `User ID: ${state.currentUserId.substring(0, 8)}...`;
         state.championsColRef = collection(state.fbDb, `artifacts/${CONSTANTS.APP_ID}/users/${state.currentUserId}/champions`);
-        await populateLMChampionsDropdown(); 
+        state.pullHistoryColRef = collection(state.fbDb, `artifacts/${CONSTANTS.APP_ID}/users/${state.currentUserId}/pullHistory`);
+        state.presetsColRef = collection(state.fbDb, `artifacts/${CONSTANTS.APP_ID}/users/${state.currentUserId}/calculatorPresets`);
+        // The wizard reads the Team Builder's data when it needs it, for whoever is signed in then.
+        state.teamBuilderUsage = null;
+        await Promise.all([populateLMChampionsDropdown(), loadAllChampions(), loadRuleProfiles(), loadPullHistory(), loadCalculatorPresets()]);
+        // A shared link may name a rule profile or champion that only exists once Firestore has loaded.
+        if (state.pendingScenario) {
+            applyScenario(state.pendingScenario);
+            state.pendingScenario = null;
+        }
         logAnalyticEvent('firebase_auth_status', { status: 'signed_in', method: user.isAnonymous ? 'anonymous' : 'custom' });
     } else {
         state.currentUserId = null;
         DOM.userIdDisplay.textContent = "User ID: Not signed in";
         state.championsColRef = null;
-        DOM.selectedChampionName.textContent = '-- Sign in to load champions --';
-        DOM.customDropdownTrigger.disabled = true;
+        state.pullHistoryColRef = null;
+        state.pullHistory = [];
+        renderPullHistory();
+        state.presetsColRef = null;
+        state.calculatorPresets = [];
+        renderCalculatorPresets();
+        state.allChampions = [];
+        renderShardSourceChampions();
+        state.teamBuilderUsage = null;
+        DOM.lmChampionPicker.placeholder = '-- Sign in to load champions --';
+        DOM.lmChampionPicker.disabled = true;
         logAnalyticEvent('firebase_auth_status', { status: 'signed_out' });
     }
 }
 
 /**
- * Fetches the master list of Limited Mythic champions from the public Firestore collection and populates the custom guidance dropdown.
- * Recommendation data is stored on the option elements themselves.
+ * Loads the public champions collection (from the offline cache when it is current or the network is down), sorted by name.
+ * The LM dropdown and the shard-source list both call this; they share one load.
+ * @async
+ * @returns {Promise<object[]>} The champion documents, each with a `name` (falling back to the document ID).
+ */
+async function loadSortedChampions() {
+    const { docs } = await loadGameCollection(state.fbDb, CONSTANTS.APP_ID, 'champions');
+    return docs.map(champData => ({ ...champData, name: champData.name || champData.id })).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Fetches the master list of Limited Mythic champions from the public Firestore collection and fills the guidance champion picker.
+ * Recommendation data is kept in `state.lmChampions` and copied onto the hidden input when a champion is picked.
  * @async
  */
 async function populateLMChampionsDropdown() {
     if (!state.fbDb) {
-        DOM.selectedChampionName.textContent = '-- DB Error --';
+        DOM.lmChampionPicker.placeholder = '-- DB Error --';
         return;
     }
-    DOM.customDropdownTrigger.disabled = true;
-    DOM.selectedChampionName.textContent = '-- Loading Champions... --';
-    DOM.customDropdownOptions.innerHTML = '<li class="text-gray-500 px-4 py-2">Loading...</li>';
+    DOM.lmChampionPicker.disabled = true;
+    DOM.lmChampionPicker.placeholder = '-- Loading Champions... --';
 
     try {
-        const publicChampionsRef = collection(state.fbDb, `artifacts/${CONSTANTS.APP_ID}/public/data/champions`);
-        const q = query(publicChampionsRef, where("baseRarity", "==", "Limited Mythic"), orderBy("name"));
-        const querySnapshot = await getDocs(q);
-        
-        DOM.customDropdownOptions.innerHTML = ''; // Clear loading state
-        
-        // Add a default, non-selectable option
-        const defaultOption = document.createElement('li');
-        defaultOption.className = 'px-4 py-2 text-gray-500';
-        defaultOption.textContent = '-- Select a Champion --';
-        DOM.customDropdownOptions.appendChild(defaultOption);
-
-        if (querySnapshot.empty) {
-            DOM.selectedChampionName.textContent = '-- No LM Champions Found --';
-            defaultOption.textContent = '-- No LM Champions Found --';
+        const lmChampions = (await loadSortedChampions()).filter(champData => champData.baseRarity === 'Limited Mythic');
+
+        state.lmChampions = lmChampions.map(champData => ({
+            name: champData.name,
+            recMin: champData.recommendationMin || 'not set',
+            recF2p: champData.recommendationF2P || 'not set',
+            imgSrc: getChampionAvatarSrc(champData.name),
+        }));
+        DOM.lmChampionPicker.champions = lmChampions.map(champData => ({
+            value: champData.name,
+            name: champData.name,
+            rarity: champData.baseRarity,
+            class: champData.class,
+            factions: champData.inherentSynergies,
+        }));
+
+        if (lmChampions.length === 0) {
+            DOM.lmChampionPicker.placeholder = '-- No LM Champions Found --';
         } else {
-            querySnapshot.forEach((doc) => {
-                const champData = doc.data();
-                const champName = champData.name || doc.id;
-                const sanitizedName = champName.replace(/[^a-zA-Z0-9-_]/g, "");
-                const imgSrc = `img/champions/avatars/${sanitizedName}.webp`;
-
-                const optionEl = document.createElement('li');
-                optionEl.className = 'text-gray-900 cursor-default select-none relative py-2 pl-3 pr-9 hover:bg-indigo-600 hover:text-white';
-                optionEl.setAttribute('role', 'option');
-                optionEl.dataset.value = champName;
-                optionEl.dataset.recMin = champData.recommendationMin || 'not set';
-                optionEl.dataset.recF2p = champData.recommendationF2P || 'not set';
-                optionEl.dataset.imgSrc = imgSrc;
-
-                optionEl.innerHTML = `
-                    <div class="flex items-center">
-                        <img src="${imgSrc}" alt="${champName}" class="h-6 w-6 flex-shrink-0 rounded-full" onerror="this.style.display='none'">
-                        <span class="font-normal ml-3 block truncate">${champName}</span>
-                    </div>
-                `;
-
-                // Event listener for selecting an option
-                optionEl.addEventListener('click', () => {
-                    // Update the hidden input
-                    DOM.lmChampionSelect.value = optionEl.dataset.value;
-                    // Copy dataset for recommendations to the hidden input
-                    DOM.lmChampionSelect.dataset.recMin = optionEl.dataset.recMin;
-                    DOM.lmChampionSelect.dataset.recF2p = optionEl.dataset.recF2p;
-
-                    // Update the trigger button's display
-                    DOM.selectedChampionName.textContent = optionEl.dataset.value;
-                    DOM.selectedChampionImg.src = optionEl.dataset.imgSrc;
-                    DOM.selectedChampionImg.classList.remove('hidden');
-                    
-                    // Hide the dropdown
-                    DOM.customDropdownOptions.classList.add('hidden');
-                    DOM.customDropdownTrigger.setAttribute('aria-expanded', 'false');
-
-                    // Manually trigger a change event so other listeners can pick it up
-                    DOM.lmChampionSelect.dispatchEvent(new Event('change'));
-                });
-
-                DOM.customDropdownOptions.appendChild(optionEl);
-            });
-            DOM.customDropdownTrigger.disabled = false;
-            DOM.selectedChampionName.textContent = '-- Select a Champion --';
+            DOM.lmChampionPicker.disabled = false;
+            DOM.lmChampionPicker.placeholder = '-- Select a Champion --';
         }
-        logAnalyticEvent('firestore_dropdown_populated', { type: 'lm_champions_custom', count: querySnapshot.size });
+        renderSeasonBanners();
+        logAnalyticEvent('firestore_dropdown_populated', { type: 'lm_champions_custom', count: lmChampions.length });
     } catch(error) {
         console.error("Error fetching LM champions:", error);
-        DOM.selectedChampionName.textContent = '-- Error Loading Champions --';
+        DOM.lmChampionPicker.placeholder = '-- Error Loading Champions --';
         UI.displayNotification("Could not load champion list.", 'error', 'guidance');
         logAnalyticEvent('firestore_public_read_error', { collection: 'champions', error_message: error.message });
     }
 }
 
 /**
- * Calculates the actual (base) probability rate from a known effective rate by inverting
- * the pity mechanism calculation. It uses an iterative binary search for precision.
- * @param {number} effectiveRate - The effective probability of an LM pull (0 to 1), including pity.
- * @param {number} nmGuaranteeThreshold - The number of non-LM pulls before a guarantee.
- * @returns {number} The calculated actual base rate.
+ * Fetches every champion from the public Firestore collection for the shard-source forecast, which covers all rarities.
+ * @async
  */
-function calculateActualRateFromEffectiveRate(effectiveRate, nmGuaranteeThreshold) {
-    if (effectiveRate <= 0) return 0;
-    if (effectiveRate >= 1) return 1;
-
-    // The target expected number of pulls is the reciprocal of the effective rate.
-    const targetExpectedPulls = 1 / effectiveRate;
-    const n = nmGuaranteeThreshold + 1; // Max number of pulls in a cycle (e.g., 4)
-
-    // This is the function we are trying to solve. It calculates the expected pulls for a given base rate 'r'.
-    // E(P) = 4 - 6r + 4r^2 - r^3 (for a guarantee at 4)
-    // This is a generalized version for any nmGuaranteeThreshold.
-    const calculateExpectedPulls = (rate) => {
-        let expectedPulls = 0;
-        for (let i = 1; i < n; i++) {
-            expectedPulls += i * Math.pow(1 - rate, i - 1) * rate;
-        }
-        expectedPulls += n * Math.pow(1 - rate, n - 1);
-        return expectedPulls;
-    };
-
-    // Use a binary search to find the rate 'r' that produces the targetExpectedPulls.
-    let low = 0, high = effectiveRate; // The actual rate must be lower than the effective rate.
-    let mid, calculatedPulls;
-
-    // Iterate 100 times for high precision, which is more than enough.
-    for(let i=0; i < 100; i++) {
-        mid = (low + high) / 2;
-        calculatedPulls = calculateExpectedPulls(mid);
-
-        if (calculatedPulls > targetExpectedPulls) {
-            low = mid;
-        } else {
-            high = mid;
-        }
+async function loadAllChampions() {
+    if (!state.fbDb) return;
+    try {
+        state.allChampions = (await loadSortedChampions()).map(champData => ({ name: champData.name, baseRarity: champData.baseRarity || 'Unknown' }));
+        renderShardSourceChampions();
+        logAnalyticEvent('firestore_dropdown_populated', { type: 'all_champions', count: state.allChampions.length });
+    } catch (error) {
+        console.error("Error fetching all champions:", error);
+        UI.displayNotification("Could not load the full champion list.", 'error', 'shard_sources');
+        logAnalyticEvent('firestore_public_read_error', { collection: 'champions', error_message: error.message });
     }
-    return (low + high) / 2;
 }
 
 // =================================================================================================
@@ -556,7 +922,7 @@ function calculateActualRateFromEffectiveRate(effectiveRate, nmGuaranteeThreshol
 
 const UI = {
     /**
-     * @typedef {'guidance' | 'probability_sim' | 'wizard'} NotificationArea
+     * @typedef {'guidance' | 'probability_sim' | 'wizard' | 'season_planner' | 'pull_history' | 'scenario' | 'comparison' | 'shard_sources'} NotificationArea
      * @typedef {'info' | 'success' | 'error'} NotificationType
      */
 
@@ -571,6 +937,11 @@ const UI = {
         switch (area) {
             case 'probability_sim': statusDiv = DOM.probabilityStatusDiv; break;
             case 'wizard': statusDiv = state.isGuidedMode ? DOM.wizardProbabilityStatus : DOM.probabilityStatusDiv; break;
+            case 'season_planner': statusDiv = DOM.seasonPlannerStatus; break;
+            case 'pull_history': statusDiv = DOM.pullHistoryStatus; break;
+            case 'scenario': statusDiv = DOM.scenarioStatus; break;
+            case 'comparison': statusDiv = DOM.comparisonStatus; break;
+            case 'shard_sources': statusDiv = DOM.shardSourceStatus; break;
             case 'guidance':
             default: statusDiv = DOM.guidanceStatus;
         }
@@ -611,9 +982,35 @@ const UI = {
     },
     
     /**
-     * Populates the star level dropdowns with options from SHARD_REQUIREMENTS.
+     * Shows the progress of the worker's probability calculation.
+     * @param {number|null} percent - Percentage complete (0 to 100), or null to hide the progress bar.
+     */
+    updateSimulationProgress(percent) {
+        if (!DOM.simulationProgress) return;
+        const isHidden = percent === null;
+        DOM.simulationProgress.classList.toggle('hidden', isHidden);
+        if (isHidden) return;
+        DOM.simulationProgressBar.style.width = `${percent}%`;
+        DOM.simulationProgressText.textContent = `Calculating probabilities... ${percent}%`;
+    },
+
+    /**
+     * Populates the rule profile selector from `state.ruleProfiles`.
+     */
+    populateRuleProfiles() {
+        if (!DOM.ruleProfileSelect) return;
+        DOM.ruleProfileSelect.innerHTML = '';
+        state.ruleProfiles.forEach(profile => DOM.ruleProfileSelect.add(new Option(profile.name, profile.id, false, profile.id === state.activeRuleProfileId)));
+    },
+
+    /**
+     * Populates the star level dropdowns with options from the active profile's shard table.
+     * Current selections are kept when the new table still has them.
      */
     populateStarLevels() {
+        const previousStart = DOM.startStarLevelSelect.value;
+        const previousTarget = DOM.targetStarLevelSelect.value;
+        const { shardRequirements } = getActiveRuleProfile();
         DOM.startStarLevelSelect.innerHTML = '';
         DOM.targetStarLevelSelect.innerHTML = '';
 
@@ -622,7 +1019,7 @@ const UI = {
         baseOption.textContent = "Base Character (0 Shards)";
         DOM.startStarLevelSelect.appendChild(baseOption);
 
-        for (const level in CONSTANTS.SHARD_REQUIREMENTS) {
+        for (const level in shardRequirements) {
             const optS = document.createElement('option');
             optS.value = level;
             optS.textContent = level;
@@ -635,6 +1032,45 @@ const UI = {
         }
         if (DOM.targetStarLevelSelect.options.length > 0) DOM.targetStarLevelSelect.selectedIndex = 0;
         if (DOM.startStarLevelSelect.options.length > 0) DOM.startStarLevelSelect.selectedIndex = 0;
+        if (previousStart && (previousStart === '0_shards' || previousStart in shardRequirements)) DOM.startStarLevelSelect.value = previousStart;
+        if (previousTarget in shardRequirements) DOM.targetStarLevelSelect.value = previousTarget;
+    },
+
+    /**
+     * Shows the soft-pity fields that match the selected mode.
+     */
+    updateSoftPityEditorVisibility() {
+        if (!DOM.softPityModeSelect) return;
+        DOM.softPityRampFields.classList.toggle('hidden', DOM.softPityModeSelect.value !== 'ramp');
+        DOM.softPityTableFields.classList.toggle('hidden', DOM.softPityModeSelect.value !== 'table');
+    },
+
+    /**
+     * Loads a soft-pity curve into the editor.
+     * @param {object|null} softPity - The curve from a rule profile, or null for a flat rate.
+     */
+    setSoftPityEditor(softPity) {
+        if (!DOM.softPityModeSelect) return;
+        const mode = softPity && (softPity.type === 'ramp' || softPity.type === 'table') ? softPity.type : 'none';
+        DOM.softPityModeSelect.value = mode;
+        if (mode === 'ramp') {
+            DOM.softPityStartPullInput.value = softPity.startPull;
+            DOM.softPityRampStepInput.value = softPity.ratePerPull;
+        } else if (mode === 'table') {
+            DOM.softPityTableInput.value = (softPity.points || []).map(({ pull, rate }) => `${pull}: ${rate}`).join('\n');
+        }
+        this.updateSoftPityEditorVisibility();
+    },
+
+    /**
+     * Loads a non-LM bonus drop table into the editor.
+     * @param {object|null} nmBonusShards - The table from a rule profile, or null for no bonus.
+     */
+    setNmBonusEditor(nmBonusShards) {
+        if (!DOM.nmBonusTableInput) return;
+        const outcomes = nmBonusShards && Array.isArray(nmBonusShards.outcomes) ? nmBonusShards.outcomes : [];
+        DOM.nmBonusTableInput.value = outcomes.map(({ shards, probability }) => `${shards}: ${probability}`).join('\n');
+        DOM.nmBonusMaxTriggersInput.value = nmBonusShards && nmBonusShards.maxTriggers != null ? nmBonusShards.maxTriggers : '';
     },
 
     /**
@@ -656,15 +1092,19 @@ const UI = {
      * Resets the UI to its default state, used for Guided Mode.
      */
     resetToDefaults() {
-        DOM.mythicProbabilityInput.value = "0.0384";
-        DOM.mythicHardPityInput.value = "50";
-        DOM.lmRateUpChanceInput.value = "0.269";
+        const profile = getActiveRuleProfile();
+        DOM.mythicProbabilityInput.value = profile.mythicProbability.toString();
+        DOM.mythicHardPityInput.value = profile.mythicHardPity.toString();
+        DOM.lmRateUpChanceInput.value = profile.lmRateUpChance.toString();
         DOM.currentMythicPityInput.value = "0";
         DOM.currentLMPityInput.value = "0";
-        DOM.lmShardsYieldInput.value = "40";
+        DOM.lmShardsYieldInput.value = profile.lmShardsYield.toString();
+        this.setSoftPityEditor(profile.softPity);
+        this.setNmBonusEditor(profile.nmBonusShards);
         DOM.anvilBudgetInput.value = "100";
+        if (DOM.simulationSeedInput) DOM.simulationSeedInput.value = "";
         DOM.startStarLevelSelect.value = "0_shards";
-        DOM.targetStarLevelSelect.value = Object.keys(CONSTANTS.SHARD_REQUIREMENTS)[0];
+        DOM.targetStarLevelSelect.value = Object.keys(profile.shardRequirements)[0];
         state.isUnlockCostIncluded = false;
         this.updateToggleUnlockButtonAppearance();
     },
@@ -720,10 +1160,12 @@ function updateMainAnvilCostChart(costs, labels, includeUnlock, unlockCostAvgFor
  * Displays a probability distribution histogram chart.
  * @param {string} canvasId - The ID of the canvas element for the chart.
  * @param {object} histogram - The histogram data (labels, data).
+ * @param {'runs'|'percent'} [unit='runs'] - Whether bar heights are run counts (Monte Carlo) or probabilities (exact).
  */
-function displayProbabilityDistributionChart(canvasId, histogram) {
-    const data = { labels: histogram.labels, datasets: [{ label: `Anvil Cost Frequency`, data: histogram.data, backgroundColor: 'rgba(16, 185, 129, 0.7)', }] };
-    const options = { responsive: true, maintainAspectRatio: false, scales: { y: { beginAtZero: true, title: { display: true, text: 'Number of Runs', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { color: CONSTANTS.CHART_STYLING.GRID_COLOR }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, x: { title: { display: true, text: 'Anvils Spent', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { display: false }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR, autoSkip: true, maxTicksLimit: 15 } } }, plugins: { legend: { display: false }, tooltip: { backgroundColor: CONSTANTS.CHART_STYLING.TOOLTIP_BG_COLOR, titleColor: CONSTANTS.CHART_STYLING.TITLE_COLOR, bodyColor: CONSTANTS.CHART_STYLING.FONT_COLOR, callbacks: { label: context => `${context.dataset.label}: ${context.parsed.y} runs` } } } };
+function displayProbabilityDistributionChart(canvasId, histogram, unit = 'runs') {
+    const isPercent = unit === 'percent';
+    const data = { labels: histogram.labels, datasets: [{ label: isPercent ? `Probability` : `Anvil Cost Frequency`, data: histogram.data, backgroundColor: 'rgba(16, 185, 129, 0.7)', }] };
+    const options = { responsive: true, maintainAspectRatio: false, scales: { y: { beginAtZero: true, title: { display: true, text: isPercent ? 'Probability (%)' : 'Number of Runs', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { color: CONSTANTS.CHART_STYLING.GRID_COLOR }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, x: { title: { display: true, text: 'Anvils Spent', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { display: false }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR, autoSkip: true, maxTicksLimit: 15 } } }, plugins: { legend: { display: false }, tooltip: { backgroundColor: CONSTANTS.CHART_STYLING.TOOLTIP_BG_COLOR, titleColor: CONSTANTS.CHART_STYLING.TITLE_COLOR, bodyColor: CONSTANTS.CHART_STYLING.FONT_COLOR, callbacks: { label: context => isPercent ? `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%` : `${context.dataset.label}: ${context.parsed.y} runs` } } } };
     createChart(canvasId, data, options);
 }
 
@@ -748,53 +1190,93 @@ function setView(showGuided) {
         // Move shared components into the wizard
         DOM.wizardStep1.appendChild(DOM.championGuidanceSection);
         DOM.wizardBudgetInputContainer.appendChild(DOM.anvilBudgetInputGroup);
+        DOM.wizardPityInputContainer.appendChild(DOM.pityInputsGroup);
+        DOM.wizardIncomeInputContainer.appendChild(DOM.incomeInputsGroup);
         navigateToWizardStep(1, true); // Reset to first step
     } else {
         // Move shared components back to the advanced view
         DOM.calculatorSectionsContainer.insertBefore(DOM.championGuidanceSection, DOM.calculatorSectionsContainer.firstChild);
         DOM.probabilitySection.insertBefore(DOM.anvilBudgetInputGroup, DOM.probabilityStatusDiv);
+        DOM.probabilityInputsGrid.insertBefore(DOM.pityInputsGroup, DOM.probabilityInputsGrid.firstChild);
+        DOM.incomeForecastError.parentNode.insertBefore(DOM.incomeInputsGroup, DOM.incomeForecastError);
         // Move results back if they were in the wizard
         DOM.calculatorSectionsContainer.appendChild(DOM.results);
+        DOM.calculatorSectionsContainer.appendChild(DOM.simulationProgress);
         DOM.calculatorSectionsContainer.appendChild(DOM.probabilityResultsArea);
     }
     logAnalyticEvent('view_switched', { view: showGuided ? 'guided' : 'advanced' });
 }
 
+/**
+ * Checks the inputs on a wizard step before moving past it, showing a message if they are not usable.
+ * @param {number} stepNumber - The step being left.
+ * @returns {boolean} Whether the step's inputs are valid.
+ */
+function validateWizardStep(stepNumber) {
+    if (stepNumber === 1 && !DOM.lmChampionSelect.value) {
+        UI.displayNotification("Please select a champion to continue.", 'error', 'guidance');
+        return false;
+    }
+    if (stepNumber === 2 && !DOM.anvilBudgetInput.value) {
+        UI.displayNotification("Please enter a budget to see probabilities.", 'error', 'wizard');
+        return false;
+    }
+    if (stepNumber === 3) {
+        const { mythicHardPity, nmGuarantee } = getActiveRuleProfile();
+        const hardPity = parseInt(DOM.mythicHardPityInput.value, 10) || mythicHardPity;
+        const mythicPity = Number(DOM.currentMythicPityInput.value || 0);
+        const lmPity = Number(DOM.currentLMPityInput.value || 0);
+        if (!(Number.isInteger(mythicPity) && mythicPity >= 0 && mythicPity < hardPity)) {
+            UI.displayNotification(`Mythic pity must be a whole number from 0 to ${hardPity - 1}.`, 'error', 'wizard');
+            return false;
+        }
+        if (!(Number.isInteger(lmPity) && lmPity >= 0 && lmPity <= nmGuarantee)) {
+            UI.displayNotification(`Non-LM Mythics pulled must be a whole number from 0 to ${nmGuarantee}.`, 'error', 'wizard');
+            return false;
+        }
+    }
+    if (stepNumber === 4) {
+        const { error } = readIncomeModel();
+        if (error) {
+            UI.displayNotification(error, 'error', 'wizard');
+            return false;
+        }
+    }
+    return true;
+}
+
 /**
  * Navigates the user to a specific step in the wizard.
+ * Moving forward checks the current step first; moving back never does.
  * @param {number} stepNumber - The step to navigate to.
  * @param {boolean} [isReset=false] - If true, resets the wizard to its initial state.
  */
 function navigateToWizardStep(stepNumber, isReset = false) {
-    if (!isReset) {
-        // --- Input Validation Before Proceeding ---
-        if (state.wizardCurrentStep === 1 && !DOM.lmChampionSelect.value) {
-            UI.displayNotification("Please select a champion to continue.", 'error', 'guidance');
-            return;
-        }
-        if (state.wizardCurrentStep === 2 && !DOM.anvilBudgetInput.value) {
-            UI.displayNotification("Please enter a budget to see probabilities.", 'error', 'wizard');
-            return;
-        }
-    }
+    if (!isReset && stepNumber > state.wizardCurrentStep && !validateWizardStep(state.wizardCurrentStep)) return;
     
     state.wizardCurrentStep = stepNumber;
     
     // Show the correct step content
-    [DOM.wizardStep1, DOM.wizardStep2, DOM.wizardStep3].forEach((step, index) => {
+    DOM.wizardSteps.forEach((step, index) => {
         step.classList.toggle('hidden', (index + 1) !== state.wizardCurrentStep);
     });
 
     // Update navigation visibility and text
-    const isFinalStep = state.wizardCurrentStep === 3;
+    const isFinalStep = state.wizardCurrentStep === CONSTANTS.WIZARD_MAX_STEPS + 1;
     DOM.wizardNavigation.classList.toggle('hidden', isFinalStep);
     DOM.wizardBackBtn.classList.toggle('hidden', state.wizardCurrentStep === 1);
-    DOM.wizardNextBtn.textContent = state.wizardCurrentStep === CONSTANTS.WIZARD_MAX_STEPS ? 'Calculate Results' : 'Next';
+    DOM.wizardNextBtn.textContent = state.wizardCurrentStep === CONSTANTS.WIZARD_MAX_STEPS ? 'Get My Recommendation' : 'Next';
     DOM.wizardStepIndicator.textContent = `Step ${state.wizardCurrentStep} of ${CONSTANTS.WIZARD_MAX_STEPS}`;
 
+    if (state.wizardCurrentStep === 3) DOM.wizardUsePullLogBtn.classList.toggle('hidden', state.pullHistory.length === 0);
+    if (state.wizardCurrentStep === 4) renderWizardIncomeRate();
+    if (state.wizardCurrentStep === 5) renderWizardImportanceStep();
+
     // If moving to the final step, run the calculation
     if (isFinalStep) {
+        DOM.wizardAdvice.classList.add('hidden');
         DOM.wizardResultsContainer.appendChild(DOM.results);
+        DOM.wizardResultsContainer.appendChild(DOM.simulationProgress);
         DOM.wizardResultsContainer.appendChild(DOM.probabilityResultsArea);
         runAllCalculations('wizard_finish');
         // Add a "Start Over" button
@@ -803,7 +1285,7 @@ function navigateToWizardStep(stepNumber, isReset = false) {
         startOverBtn.className = 'btn btn-primary mt-4 mx-auto';
         startOverBtn.textContent = 'Start Over';
         startOverBtn.onclick = () => navigateToWizardStep(1, true);
-        DOM.wizardStep3.appendChild(startOverBtn);
+        DOM.wizardSteps[CONSTANTS.WIZARD_MAX_STEPS].appendChild(startOverBtn);
     } else {
          // Clean up start over button if it exists
         const oldBtn = document.getElementById('wizardStartOverBtn');
@@ -815,10 +1297,195 @@ function navigateToWizardStep(stepNumber, isReset = false) {
     }
 }
 
+/**
+ * Shows the average daily income on the wizard's income step.
+ */
+function renderWizardIncomeRate() {
+    if (!DOM.wizardIncomeRate) return;
+    const { dailyIncome, error } = readIncomeModel();
+    DOM.wizardIncomeRate.textContent = error || (dailyIncome > 0
+        ? `Average income: ${dailyIncome.toFixed(1)} Anvils per day (${Math.round(dailyIncome * 7)} per week).`
+        : 'No income entered: the advice will only consider the Anvils you have now.');
+}
+
+/**
+ * Loads the user's saved teams and roster from the Team Builder. They are read once per sign-in.
+ * @async
+ */
+async function loadTeamBuilderUsage() {
+    if (!state.fbDb || !state.currentUserId) return;
+    const userPath = `artifacts/${CONSTANTS.APP_ID}/users/${state.currentUserId}`;
+    try {
+        const [teamsSnapshot, roster] = await Promise.all([
+            getDocs(collection(state.fbDb, `${userPath}/savedTeams`)),
+            readUserDoc(state.fbDb, `${userPath}/roster/myRoster`),
+        ]);
+        state.teamBuilderUsage = {
+            savedTeams: teamsSnapshot.docs.map(teamDoc => {
+                const team = teamDoc.data();
+                return { name: team.name || 'Unnamed team', memberNames: (team.members || []).map(member => member.name) };
+            }),
+            roster: roster.data && Array.isArray(roster.data.champions)
+                ? roster.data.champions.map(champ => ({ name: champ.name, starColorTier: champ.starColorTier || 'Unlocked' }))
+                : [],
+        };
+    } catch (error) {
+        console.error("Error loading Team Builder data:", error);
+        logAnalyticEvent('firestore_user_read_error', { collection: 'savedTeams', error_message: error.message });
+    }
+}
+
+/**
+ * Fills the wizard's importance step: what the Team Builder says about the selected champion, and a suggested importance.
+ * The suggestion is only applied once per champion, so it never overrides the user's own choice.
+ * @async
+ */
+async function renderWizardImportanceStep() {
+    const championName = DOM.lmChampionSelect.value;
+    if (!state.teamBuilderUsage && state.currentUserId) {
+        DOM.wizardRosterNote.textContent = 'Checking your saved teams...';
+        await loadTeamBuilderUsage();
+    }
+    const usage = state.teamBuilderUsage;
+    if (!usage) {
+        DOM.wizardRosterNote.textContent = `Save teams in the Team Builder to see how much ${championName} matters to your roster.`;
+        return;
+    }
+
+    const teamsWithChampion = usage.savedTeams.filter(team => team.memberNames.includes(championName));
+    const owned = usage.roster.find(champ => champ.name === championName);
+    const rosterText = owned ? `Your roster has ${championName} at ${owned.starColorTier}.` : `${championName} is not in your roster yet.`;
+    let teamsText;
+    if (usage.savedTeams.length === 0) teamsText = 'You have no saved teams yet.';
+    else if (teamsWithChampion.length === 0) teamsText = `${championName} is not in any of your ${usage.savedTeams.length} saved teams.`;
+    else teamsText = `${championName} is in ${teamsWithChampion.length} of your ${usage.savedTeams.length} saved teams (${teamsWithChampion.map(team => team.name).join(', ')}).`;
+    DOM.wizardRosterNote.textContent = `${rosterText} ${teamsText}`;
+
+    if (state.wizardImportanceChampion !== championName) {
+        state.wizardImportanceChampion = championName;
+        DOM.wizardImportanceSelect.value = teamsWithChampion.length > 0 ? 'core' : 'useful';
+    }
+}
+
+/**
+ * Decides the guided advisor's recommendation from the last probability run.
+ * - "Pull now" when the chance with the current budget meets the bar for the champion's importance.
+ * - "Save" when the Anvils for that chance can be earned within the importance's waiting limit.
+ * - "Skip" otherwise, or whenever the champion is not needed.
+ * @param {object} facts - The inputs to the decision.
+ * @param {string} facts.championName - The selected champion.
+ * @param {string} facts.targetLevel - The target star level.
+ * @param {number} facts.budget - Anvils on hand.
+ * @param {number} facts.successRate - Chance of reaching the target with the budget, in percent.
+ * @param {number} facts.medianCost - Median Anvils spent in successful outcomes (0 if none).
+ * @param {Array<number|null>} facts.requiredBudgets - Minimum budget per confidence percent, from the probability run.
+ * @param {number} facts.searchLimit - The largest budget the probability run searched.
+ * @param {number} facts.dailyIncome - Average Anvils earned per day.
+ * @param {'core'|'useful'|'none'} facts.importance - How much the champion matters to the user's roster.
+ * @returns {{verdict: 'pull'|'save'|'skip', reason: string, numbers: string[]}} The recommendation, its reason and the numbers behind it.
+ */
+function buildPullAdvice({ championName, targetLevel, budget, successRate, medianCost, requiredBudgets, searchLimit, dailyIncome, importance }) {
+    const { label, pullAt, saveWithinDays } = CONSTANTS.PULL_ADVICE_THRESHOLDS[importance] || CONSTANTS.PULL_ADVICE_THRESHOLDS.useful;
+    const required = requiredBudgets[pullAt];
+    const daysToSave = required !== null && dailyIncome > 0 ? Math.max(0, Math.ceil((required - budget) / dailyIncome - 1e-9)) : null;
+
+    const numbers = [`Chance of ${targetLevel} with your ${budget} Anvils: ${successRate.toFixed(1)}%.`];
+    if (medianCost > 0) numbers.push(`Typical cost when it works (median): ${Math.round(medianCost)} Anvils.`);
+    numbers.push(`Anvils for a ${pullAt}% chance: ${required === null ? `more than ${searchLimit}` : required}.`);
+    numbers.push(dailyIncome > 0 ? `Your income: ${dailyIncome.toFixed(1)} Anvils per day.` : 'Your income: none entered.');
+    if (daysToSave !== null && required > budget) numbers.push(`Time to save the difference (${required - budget} Anvils): about ${daysToSave} days.`);
+
+    if (importance === 'none') {
+        return { verdict: 'skip', reason: `${championName} is not needed for your roster, so keep your Anvils for a champion your teams use.`, numbers };
+    }
+    if (successRate >= pullAt) {
+        return { verdict: 'pull', reason: `You have a ${successRate.toFixed(1)}% chance of ${targetLevel}, which clears the ${pullAt}% bar for a ${label} champion.`, numbers };
+    }
+    if (required === null) {
+        return { verdict: 'skip', reason: `Even ${searchLimit} Anvils would not give a ${pullAt}% chance of ${targetLevel}. Consider a lower target.`, numbers };
+    }
+    if (daysToSave !== null && daysToSave <= saveWithinDays) {
+        return { verdict: 'save', reason: `Save until you have ${required} Anvils (around ${formatForecastDate(daysToSave)}) for a ${pullAt}% chance of ${targetLevel}.`, numbers };
+    }
+    const reason = dailyIncome > 0
+        ? `Saving the ${required} Anvils for a ${pullAt}% chance would take about ${daysToSave} days, longer than the ${saveWithinDays} days worth waiting for a ${label} champion.`
+        : `You need ${required} Anvils for a ${pullAt}% chance and have no income entered to save towards it.`;
+    return { verdict: 'skip', reason, numbers };
+}
+
+/**
+ * Shows the guided advisor's recommendation for the last probability run, with a link that opens the same inputs in the Advanced View.
+ * @param {object} probability - The `ProbabilityResults` payload from the worker.
+ * @param {object} inputs - The validated input data the run was started with.
+ */
+function renderWizardAdvice(probability, inputs) {
+    if (!DOM.wizardAdvice) return;
+    const { dailyIncome, error } = readIncomeModel();
+    const advice = buildPullAdvice({
+        championName: DOM.lmChampionSelect.value,
+        targetLevel: DOM.targetStarLevelSelect.value,
+        budget: inputs.anvilBudget,
+        successRate: probability.histData.successRate,
+        medianCost: probability.histData.medianCost || 0,
+        requiredBudgets: probability.budgetForConfidence.requiredBudgets,
+        searchLimit: probability.budgetForConfidence.searchLimit,
+        dailyIncome: error ? 0 : dailyIncome,
+        importance: DOM.wizardImportanceSelect.value,
+    });
+    const verdicts = { pull: { text: 'Pull Now', color: 'text-green-600' }, save: { text: 'Save', color: 'text-yellow-600' }, skip: { text: 'Skip', color: 'text-red-600' } };
+    DOM.wizardAdviceVerdict.textContent = verdicts[advice.verdict].text;
+    DOM.wizardAdviceVerdict.className = `text-2xl font-bold text-center mb-2 ${verdicts[advice.verdict].color}`;
+    DOM.wizardAdviceReason.textContent = advice.reason;
+    DOM.wizardAdviceNumbers.innerHTML = '';
+    advice.numbers.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        DOM.wizardAdviceNumbers.appendChild(item);
+    });
+    DOM.wizardAdvancedLink.href = `${window.location.pathname}${window.location.search}#${encodeScenario({ ...collectScenario(), view: 'advanced' })}`;
+    DOM.wizardAdvice.classList.remove('hidden');
+    logAnalyticEvent('wizard_advice_shown', { verdict: advice.verdict, importance: DOM.wizardImportanceSelect.value, success_rate: Number(probability.histData.successRate.toFixed(1)) });
+}
+
 // =================================================================================================
 // #region: --- CORE LOGIC & EVENT HANDLERS ---
 // =================================================================================================
 
+/**
+ * Returns the highest star level in the active profile's shard table.
+ * @returns {string} The star level name.
+ */
+function getHighestStarLevel() {
+    const levels = Object.keys(getActiveRuleProfile().shardRequirements);
+    return levels[levels.length - 1];
+}
+
+/**
+ * Makes a rule profile the active one and refreshes everything that depends on it.
+ * @param {string} profileId - The ID of the profile to apply.
+ * @param {{updateInputs?: boolean}} [options] - Set `updateInputs` to copy the profile's rates into the inputs.
+ */
+function applyRuleProfile(profileId, { updateInputs = true } = {}) {
+    state.activeRuleProfileId = profileId;
+    const profile = getActiveRuleProfile();
+    if (updateInputs) {
+        DOM.mythicProbabilityInput.value = profile.mythicProbability.toString();
+        DOM.mythicHardPityInput.value = profile.mythicHardPity.toString();
+        DOM.lmRateUpChanceInput.value = profile.lmRateUpChance.toString();
+        DOM.lmShardsYieldInput.value = profile.lmShardsYield.toString();
+        UI.setSoftPityEditor(profile.softPity);
+        UI.setNmBonusEditor(profile.nmBonusShards);
+        DOM.seasonCarryLMPityCheckbox.checked = profile.carryLMPity;
+    }
+    UI.populateStarLevels();
+    populateShardSourceLevels();
+    DOM.currentLMPityInput.max = profile.nmGuarantee.toString();
+    if (DOM.ruleProfileDescription) DOM.ruleProfileDescription.textContent = profile.description;
+    if (DOM.nmGuaranteeNote) DOM.nmGuaranteeNote.textContent = `Note: The Limited Mythic guarantee comes from the selected rule profile (${profile.nmGuarantee} Non-LM before guaranteed LM).`;
+    renderSeasonBanners();
+    if (!state.isGuidedMode) runAllCalculations('rule_profile_applied');
+}
+
 /**
  * Handles applying a star level recommendation from the Champion Guidance section.
  * @param {Event} event - The event that triggered the handler (e.g., button click).
@@ -841,7 +1508,7 @@ function handleChampionGuidance(event) {
     if (targetLevel === 'not set' || !targetLevel) {
         UI.displayNotification(`Recommendation for ${selectedChampionName} is not set yet.`, 'info', 'guidance');
         DOM.startStarLevelSelect.value = '0_shards';
-        DOM.targetStarLevelSelect.value = Object.keys(CONSTANTS.SHARD_REQUIREMENTS)[0];
+        DOM.targetStarLevelSelect.value = Object.keys(getActiveRuleProfile().shardRequirements)[0];
         runAllCalculations('guidance_reset');
         return;
     }
@@ -852,9 +1519,9 @@ function handleChampionGuidance(event) {
         DOM.targetStarLevelSelect.value = '0_shards';
         UI.displayNotification(`${selectedChampionName} is a recommended 'Skip'. Target set to base.`, 'info', 'guidance');
     } else if (targetLevel === 'max') {
-        DOM.targetStarLevelSelect.value = 'Red 5-Star';
-        UI.displayNotification(`'As High As You Can Go' set to Red 5-Star for ${selectedChampionName}.`, 'info', 'guidance');
-    } else if (Object.keys(CONSTANTS.SHARD_REQUIREMENTS).includes(targetLevel)) {
+        DOM.targetStarLevelSelect.value = getHighestStarLevel();
+        UI.displayNotification(`'As High As You Can Go' set to ${DOM.targetStarLevelSelect.value} for ${selectedChampionName}.`, 'info', 'guidance');
+    } else if (Object.keys(getActiveRuleProfile().shardRequirements).includes(targetLevel)) {
         DOM.targetStarLevelSelect.value = targetLevel;
         UI.displayNotification(`Recommendation applied for ${selectedChampionName}.`, 'success', 'guidance');
     } else {
@@ -876,6 +1543,81 @@ function handleChampionGuidance(event) {
 }
 
 
+/**
+ * Generates a short random seed for Monte Carlo runs when the user has not entered one.
+ * It is shown with the results so the run can still be reproduced.
+ * @returns {string} An 8-character base-36 seed.
+ */
+function generateRandomSeed() {
+    return Math.floor(Math.random() * 36 ** 8).toString(36).padStart(8, '0');
+}
+
+/**
+ * Reads the soft-pity editor into a curve for the worker.
+ * @param {number} hardPity - The validated hard pity; soft pity must start before it.
+ * @returns {{softPity: object|null, error: string|null}} The curve (null for a flat rate), or an error message.
+ */
+function readSoftPityEditor(hardPity) {
+    const mode = DOM.softPityModeSelect ? DOM.softPityModeSelect.value : 'none';
+    if (mode === 'ramp') {
+        const startPull = parseInt(DOM.softPityStartPullInput.value, 10);
+        const ratePerPull = parseFloat(DOM.softPityRampStepInput.value);
+        if (!(Number.isInteger(startPull) && startPull >= 1 && startPull < hardPity)) return { softPity: null, error: `Ramp must start between pull 1 and ${hardPity - 1}` };
+        if (!(ratePerPull > 0 && ratePerPull <= 1)) return { softPity: null, error: 'Rate increase must be > 0 and <= 1' };
+        return { softPity: { type: 'ramp', startPull, ratePerPull }, error: null };
+    }
+    if (mode === 'table') {
+        const entries = DOM.softPityTableInput.value.split(/[\n,;]+/).map(line => line.trim()).filter(Boolean);
+        const points = [];
+        for (const entry of entries) {
+            const match = entry.match(/^(\d+)\s*[:=]\s*([\d.]+)$/);
+            const pull = match ? parseInt(match[1], 10) : NaN;
+            const rate = match ? parseFloat(match[2]) : NaN;
+            if (!(pull >= 1 && pull < hardPity && rate >= 0 && rate <= 1)) return { softPity: null, error: `"${entry}" is not a valid "pull: rate" pair (pull 1 to ${hardPity - 1}, rate 0 to 1)` };
+            points.push({ pull, rate });
+        }
+        if (points.length === 0) return { softPity: null, error: 'Add at least one "pull: rate" pair' };
+        return { softPity: { type: 'table', points: points.sort((a, b) => a.pull - b.pull) }, error: null };
+    }
+    return { softPity: null, error: null };
+}
+
+/**
+ * Parses a "shards: chance" drop table, one pair per line or separated by commas or semicolons.
+ * @param {string} text - The table as typed.
+ * @returns {{outcomes: Array<{shards: number, probability: number}>, error: string|null}} The outcomes sorted by shards
+ *          (empty for a blank table), or an error message.
+ */
+function parseShardChanceTable(text) {
+    const entries = text.split(/[\n,;]+/).map(line => line.trim()).filter(Boolean);
+    const outcomes = [];
+    for (const entry of entries) {
+        const match = entry.match(/^(\d+)\s*[:=]\s*([\d.]+)$/);
+        const shards = match ? parseInt(match[1], 10) : NaN;
+        const probability = match ? parseFloat(match[2]) : NaN;
+        if (!(shards >= 1 && probability > 0 && probability <= 1)) return { outcomes: [], error: `"${entry}" is not a valid "shards: chance" pair (shards >= 1, chance > 0 and <= 1)` };
+        outcomes.push({ shards, probability });
+    }
+    const totalChance = outcomes.reduce((sum, { probability }) => sum + probability, 0);
+    if (totalChance > 1 + 1e-6) return { outcomes: [], error: `Chances add up to ${totalChance.toFixed(3)}; they must not exceed 1` };
+    return { outcomes: outcomes.sort((a, b) => a.shards - b.shards), error: null };
+}
+
+/**
+ * Reads the non-LM bonus editor into a drop table for the worker.
+ * @returns {{nmBonusShards: object|null, error: string|null}} The table (null for no bonus), or an error message.
+ */
+function readNmBonusEditor() {
+    if (!DOM.nmBonusTableInput) return { nmBonusShards: null, error: null };
+    const { outcomes, error } = parseShardChanceTable(DOM.nmBonusTableInput.value);
+    if (error !== null) return { nmBonusShards: null, error };
+    if (outcomes.length === 0) return { nmBonusShards: null, error: null };
+    const maxTriggersText = DOM.nmBonusMaxTriggersInput.value.trim();
+    const maxTriggers = maxTriggersText === '' ? null : Number(maxTriggersText);
+    if (maxTriggers !== null && !(Number.isInteger(maxTriggers) && maxTriggers >= 0)) return { nmBonusShards: null, error: 'The Non-LM Mythic limit must be a whole number >= 0, or blank' };
+    return { nmBonusShards: { outcomes, maxTriggers }, error: null };
+}
+
 /**
  * Gathers and validates all user inputs required for calculations.
  * @returns {{isValid: boolean, data: object, errors: object}} An object containing a validity flag, the parsed input data, and an error object.
@@ -899,14 +1641,27 @@ function validateAndGetInputs() {
     data.mythicHardPity = validate(parseInt(DOM.mythicHardPityInput.value, 10), v => !isNaN(v) && v >= 1, DOM.mythicHardPityError, 'Must be >= 1');
     data.lmRateUpChance = validate(parseFloat(DOM.lmRateUpChanceInput.value), v => !isNaN(v) && v >= 0 && v <= 1, DOM.lmRateUpChanceError, 'Must be 0 to 1');
     data.currentMythicPity = validate(parseInt(DOM.currentMythicPityInput.value, 10) || 0, v => !isNaN(v) && v >= 0 && v < data.mythicHardPity, DOM.currentMythicPityError, `Must be 0 to ${data.mythicHardPity - 1}`);
-    data.currentLMPity = validate(parseInt(DOM.currentLMPityInput.value, 10) || 0, v => !isNaN(v) && v >= 0 && v <= CONSTANTS.NM_GUARANTEE_THRESHOLD, DOM.currentLMPityError, `Must be 0 to ${CONSTANTS.NM_GUARANTEE_THRESHOLD}`);
+    const { nmGuarantee, shardRequirements } = getActiveRuleProfile();
+    data.currentLMPity = validate(parseInt(DOM.currentLMPityInput.value, 10) || 0, v => !isNaN(v) && v >= 0 && v <= nmGuarantee, DOM.currentLMPityError, `Must be 0 to ${nmGuarantee}`);
+    const softPityResult = readSoftPityEditor(data.mythicHardPity);
+    data.softPity = validate(softPityResult.softPity, () => softPityResult.error === null, DOM.softPityError, softPityResult.error);
     data.lmShardsYield = validate(parseInt(DOM.lmShardsYieldInput.value, 10), v => !isNaN(v) && v >= 0, DOM.lmShardsYieldError, 'Invalid');
     data.nmShardsYield = 0;
+    const nmBonusResult = readNmBonusEditor();
+    data.nmBonusShards = validate(nmBonusResult.nmBonusShards, () => nmBonusResult.error === null, DOM.nmBonusShardsError, nmBonusResult.error);
     data.anvilBudget = validate(parseInt(DOM.anvilBudgetInput.value, 10), v => !isNaN(v) && v > 0, state.isGuidedMode ? DOM.wizardProbabilityStatus : DOM.probabilityStatusDiv, 'Budget must be > 0');
+    const seedText = DOM.simulationSeedInput ? DOM.simulationSeedInput.value.trim() : '';
+    data.seed = seedText ? validate(seedText, v => v.length <= CONSTANTS.MAX_SEED_LENGTH, DOM.simulationSeedError, `Max ${CONSTANTS.MAX_SEED_LENGTH} characters`) : generateRandomSeed();
+    data.isSeedFixed = seedText !== '';
 
-    const startShards = DOM.startStarLevelSelect.value === "0_shards" ? 0 : CONSTANTS.SHARD_REQUIREMENTS[DOM.startStarLevelSelect.value] || 0;
-    const targetTotalShards = CONSTANTS.SHARD_REQUIREMENTS[DOM.targetStarLevelSelect.value] || 0;
+    const startShards = DOM.startStarLevelSelect.value === "0_shards" ? 0 : shardRequirements[DOM.startStarLevelSelect.value] || 0;
+    const targetTotalShards = shardRequirements[DOM.targetStarLevelSelect.value] || 0;
     data.shardsNeededForUpgrade = targetTotalShards - startShards;
+    // The start level and every level above it, for the risk report and stop-loss breakdowns of where a run ends.
+    data.levelLadder = [{ level: DOM.startStarLevelSelect.value === '0_shards' ? 'Base Character' : DOM.startStarLevelSelect.value, shardsNeeded: 0 }];
+    Object.entries(shardRequirements).forEach(([level, shards]) => {
+        if (shards > startShards) data.levelLadder.push({ level, shardsNeeded: shards - startShards });
+    });
     if (data.shardsNeededForUpgrade < 0) {
         DOM.starLevelError.textContent = "Target cannot be lower than start. Cost will be 0.";
         DOM.starLevelError.classList.remove('hidden');
@@ -918,57 +1673,32 @@ function validateAndGetInputs() {
     return { isValid, data, errors };
 }
 
-/**
- * Performs all the core Expected Value calculations based on validated inputs.
- * @param {object} inputs - The validated input data from `validateAndGetInputs`.
- * @returns {{isValid: boolean, data: object, errorMessage: string|null}} An object with calculation results or an error message.
- */
-function performExpectedValueCalculations(inputs) {
-    const { mythicProbability, mythicHardPity, lmRateUpChance, shardsNeededForUpgrade, lmShardsYield, nmShardsYield } = inputs;
-    const results = {};
-    
-    const actualLmRateUpChance = calculateActualRateFromEffectiveRate(lmRateUpChance, CONSTANTS.NM_GUARANTEE_THRESHOLD);
-
-    results.drawsPerMythicAverage = calculateExpectedDrawsPerMythic(mythicProbability, mythicHardPity);
-    if (isNaN(results.drawsPerMythicAverage)) return { isValid: false, errorMessage: 'Error in base Mythic calculation.' };
-
-    results.unlockCycleMetrics = calculateLmCycleMetrics(1, 0, actualLmRateUpChance, CONSTANTS.NM_GUARANTEE_THRESHOLD);
-    if (isNaN(results.unlockCycleMetrics.expectedMythicPullsPerLmCycle)) return { isValid: false, errorMessage: 'Error calculating unlock cycle.' };
-
-    results.anvilsUnlockAvg = results.unlockCycleMetrics.expectedMythicPullsPerLmCycle * results.drawsPerMythicAverage;
-    results.anvilsUnlockBest = 1 * 1;
-    results.anvilsUnlockWorst = results.unlockCycleMetrics.worstCaseMythicPullsPerLmCycle * mythicHardPity;
-
-    const lmCycleMetrics = calculateLmCycleMetrics(lmShardsYield, nmShardsYield, actualLmRateUpChance, CONSTANTS.NM_GUARANTEE_THRESHOLD);
-    if (isNaN(lmCycleMetrics.averageShardsPerEffectiveMythic)) return { isValid: false, errorMessage: 'Error in shard per mythic calculation.' };
-
-    results.avgEffShards = lmCycleMetrics.averageShardsPerEffectiveMythic;
-    results.bestShards = lmShardsYield;
-    results.worstShards = (nmShardsYield * CONSTANTS.NM_GUARANTEE_THRESHOLD + lmShardsYield) / (CONSTANTS.NM_GUARANTEE_THRESHOLD + 1);
-    results.upgradeAnvilsAvg = calculateGachaAnvils(shardsNeededForUpgrade, results.avgEffShards, results.drawsPerMythicAverage);
-    results.upgradeAnvilsBest = calculateGachaAnvils(shardsNeededForUpgrade, results.bestShards, 1);
-    results.upgradeAnvilsWorst = calculateGachaAnvils(shardsNeededForUpgrade, results.worstShards, mythicHardPity);
-    results.shardsNeededForUpgrade = shardsNeededForUpgrade;
-    results.lmShardsYield = lmShardsYield;
-    results.nmShardsYield = nmShardsYield;
-
-    return { isValid: true, data: results };
-}
-
 /**
  * Updates the entire Expected Value results section of the UI with new calculation data.
- * @param {object} metrics - The calculated metrics from `performExpectedValueCalculations`.
+ * @param {object} metrics - The calculated metrics from `performExpectedValueCalculations` in anvil-math.js.
  */
 function updateExpectedValueUI(metrics) {
-    const { drawsPerMythicAverage, unlockCycleMetrics, anvilsUnlockAvg, anvilsUnlockBest, anvilsUnlockWorst, avgEffShards, bestShards, worstShards, upgradeAnvilsAvg, upgradeAnvilsBest, upgradeAnvilsWorst, shardsNeededForUpgrade, lmShardsYield } = metrics;
+    const { drawsPerMythicAverage, unlockCycleMetrics, anvilsUnlockAvg, anvilsUnlockBest, anvilsUnlockWorst, avgEffShards, bestShards, worstShards, upgradeAnvilsAvg, upgradeAnvilsBest, upgradeAnvilsWorst, upgradeMythicPullsAvg, shardsNeededForUpgrade, lmShardsYield, nmShardsYield, nmBonus, chartLabels, chartCosts } = metrics;
     const formatNum = (val, dec = 2) => isFinite(val) ? val.toFixed(dec) : (shardsNeededForUpgrade <= 0 ? '0' : 'Inf');
     const formatAnvil = (val) => isFinite(val) ? Math.round(val).toString() : (shardsNeededForUpgrade <= 0 ? '0' : 'Infinity');
     const formatMythicPulls = (shards, effShards) => (effShards > 0 && shards > 0) ? Math.ceil(shards / effShards).toString() : (shards <= 0 ? '0' : 'Inf');
     DOM.calcDrawsPerMythicSpan.textContent = formatNum(drawsPerMythicAverage);
+    if (DOM.effectiveMythicRate) {
+        DOM.effectiveMythicRate.textContent = isFinite(drawsPerMythicAverage) && drawsPerMythicAverage > 0
+            ? `Effective Mythic rate: ${(100 / drawsPerMythicAverage).toFixed(2)}% (one Mythic every ${drawsPerMythicAverage.toFixed(1)} pulls on average, including soft and hard pity).`
+            : '';
+    }
     DOM.calcWorstCaseMythicsForLMSpan.textContent = unlockCycleMetrics.worstCaseMythicPullsPerLmCycle.toString();
     DOM.calcAvgShardsSpan.textContent = formatNum(avgEffShards);
     DOM.detailLMSSpan.textContent = lmShardsYield.toString();
-    DOM.detailNMSSpan.textContent = "0";
+    DOM.detailNMSSpan.textContent = nmBonus ? `${nmShardsYield} + bonus` : nmShardsYield.toString();
+    if (DOM.detailNmBonusSection) {
+        DOM.detailNmBonusSection.classList.toggle('hidden', !nmBonus);
+        if (nmBonus) {
+            const rollsText = isFinite(nmBonus.maxTriggers) ? `the first ${nmBonus.maxTriggers} Non-LM Mythics` : 'every Non-LM Mythic';
+            DOM.detailNmBonusSpan.textContent = `${formatNum(nmBonus.meanShards)} avg per roll on ${rollsText} (${(nmBonus.nmMythicShare * 100).toFixed(1)}% of Mythics are Non-LM). Covers ~${formatNum(nmBonus.expectedBonusShards, 1)} of this upgrade's shards.`;
+        }
+    }
     const isIncluded = state.isUnlockCostIncluded;
     DOM.unlockCostSection.classList.toggle('hidden', !isIncluded);
     DOM.detailUnlockCostSection.classList.toggle('hidden', !isIncluded);
@@ -984,7 +1714,7 @@ function updateExpectedValueUI(metrics) {
     DOM.anvilsWorstSpan.textContent = formatAnvil(isIncluded ? anvilsUnlockWorst + upgradeAnvilsWorst : upgradeAnvilsWorst);
     DOM.detailTargetShardsSpan.textContent = shardsNeededForUpgrade.toString();
     DOM.detailAvgShardsSpan.textContent = formatNum(avgEffShards);
-    DOM.detailMythicPullsAvgSpan.textContent = formatMythicPulls(shardsNeededForUpgrade, avgEffShards);
+    DOM.detailMythicPullsAvgSpan.textContent = isFinite(upgradeMythicPullsAvg) ? Math.ceil(upgradeMythicPullsAvg).toString() : 'Inf';
     DOM.detailAnvilsAvgSpan.textContent = formatAnvil(upgradeAnvilsAvg);
     DOM.detailBestShardsSpan.textContent = formatNum(bestShards);
     DOM.detailMythicPullsBestSpan.textContent = formatMythicPulls(shardsNeededForUpgrade, bestShards);
@@ -992,9 +1722,25 @@ function updateExpectedValueUI(metrics) {
     DOM.detailWorstShardsSpan.textContent = formatNum(worstShards);
     DOM.detailMythicPullsWorstSpan.textContent = formatMythicPulls(shardsNeededForUpgrade, worstShards);
     DOM.detailAnvilsWorstSpan.textContent = formatAnvil(upgradeAnvilsWorst);
-    const chartLabels = Object.keys(CONSTANTS.SHARD_REQUIREMENTS);
-    const chartCosts = chartLabels.map(lvl => calculateGachaAnvils(CONSTANTS.SHARD_REQUIREMENTS[lvl], avgEffShards, drawsPerMythicAverage));
     updateMainAnvilCostChart(chartCosts, chartLabels, isIncluded, anvilsUnlockAvg);
+    state.pullHistoryExpectation = { drawsPerMythic: drawsPerMythicAverage, lmShare: 1 / unlockCycleMetrics.expectedMythicPullsPerLmCycle };
+    renderPullHistoryLuck();
+}
+
+/**
+ * Builds the worker payload for a 'calculate' run from validated inputs and the current toggles.
+ * @param {object} inputData - The validated input data from `validateAndGetInputs`.
+ * @returns {{inputs: object, includeUnlock: boolean, method: string, numSimRuns: number, rules: object, stopLoss: boolean}} The payload.
+ */
+function buildCalculatePayload(inputData) {
+    return {
+        inputs: inputData,
+        includeUnlock: state.isUnlockCostIncluded,
+        method: DOM.simulationMethodSelect ? DOM.simulationMethodSelect.value : 'exact',
+        numSimRuns: CONSTANTS.NUM_SIM_RUNS,
+        rules: getWorkerRules(),
+        stopLoss: DOM.stopLossModeCheckbox ? DOM.stopLossModeCheckbox.checked : false,
+    };
 }
 
 const runAllCalculations = debounce((triggerSource = 'unknown') => {
@@ -1003,26 +1749,52 @@ const runAllCalculations = debounce((triggerSource = 'unknown') => {
     
     DOM.probabilityResultsArea.classList.add('hidden');
 
-    setTimeout(() => {
-        const inputs = validateAndGetInputs();
-        if (!inputs.isValid) {
+    const inputs = validateAndGetInputs();
+    if (!inputs.isValid) {
+        cancelActiveSimulation('calculate');
+        UI.setButtonLoadingState(DOM.calculateBtn, false);
+        UI.displayNotification("Please correct the highlighted input errors.", 'error', 'general');
+        logAnalyticEvent('calculation_completed', { status: 'error', reason: 'input_validation' });
+        return;
+    }
+
+    const payload = buildCalculatePayload(inputs.data);
+    const handlers = {
+        onMetrics: (metrics) => {
+            if (!metrics.isValid) {
+                UI.displayNotification(metrics.errorMessage || 'Error in EV calculation.', 'error', 'general');
+                logAnalyticEvent('calculation_completed', { status: 'error', reason: 'ev_calculation_error' });
+                return;
+            }
+            updateExpectedValueUI(metrics.data);
+        },
+        onProgress: (percent) => UI.updateSimulationProgress(percent),
+    };
+
+    UI.updateSimulationProgress(0);
+    requestWorkerCalculation(payload, handlers, 'calculate')
+        .then(probability => {
+            UI.updateSimulationProgress(null);
             UI.setButtonLoadingState(DOM.calculateBtn, false);
-            UI.displayNotification("Please correct the highlighted input errors.", 'error', 'general');
-            logAnalyticEvent('calculation_completed', { status: 'error', reason: 'input_validation' });
-            return;
-        }
-        const metrics = performExpectedValueCalculations(inputs.data);
-        if (!metrics.isValid) {
+            if (!probability) return;
+            renderProbabilityResults(probability, inputs.data);
+            logAnalyticEvent('calculation_completed', { status: 'success' });
+        })
+        .catch(error => {
+            if (error.isCancelled) {
+                // A newer calculation takes over the loading state; otherwise hand it back and say why the results are gone.
+                if (state.activeWorkerRuns.has('calculate')) return;
+                UI.updateSimulationProgress(null);
+                UI.setButtonLoadingState(DOM.calculateBtn, false);
+                UI.displayNotification('Calculation cancelled because the inputs changed.', 'info', 'probability_sim');
+                return;
+            }
+            console.error("Anvil worker calculation failed:", error);
+            UI.updateSimulationProgress(null);
             UI.setButtonLoadingState(DOM.calculateBtn, false);
-            UI.displayNotification(metrics.errorMessage || 'Error in EV calculation.', 'error', 'general');
-            logAnalyticEvent('calculation_completed', { status: 'error', reason: 'ev_calculation_error' });
-            return;
-        }
-        updateExpectedValueUI(metrics.data);
-        runProbabilitySimulation(inputs.data);
-        UI.setButtonLoadingState(DOM.calculateBtn, false);
-        logAnalyticEvent('calculation_completed', { status: 'success' });
-    }, 10);
+            UI.displayNotification('The probability calculation failed. Please try again.', 'error', 'probability_sim');
+            logAnalyticEvent('calculation_completed', { status: 'error', reason: 'worker_error', error_message: error.message });
+        });
 }, CONSTANTS.DEBOUNCE_WAIT_MS);
 
 // =================================================================================================
@@ -1030,116 +1802,1300 @@ const runAllCalculations = debounce((triggerSource = 'unknown') => {
 // =================================================================================================
 
 /**
- * Simulates a single attempt to reach a shard goal within a budget.
- * @param {object} params - The parameters for the simulation.
- * @returns {number} The total anvils spent. Returns budget + 1 if the goal was not met.
- */
-function simulateSingleSuccessAttempt({ budget, mythicProb, hardPity, lmRateUp, nmGuarantee, includeUnlock, targetShardsForUpgrade, lmShardsYield, initialMythicPity, initialLMPityStreak }) {
-    let totalAnvilsSpent = 0;
-    let currentShards = 0;
-    let mythicPityCounter = initialMythicPity;
-    let nmFailStreak = initialLMPityStreak;
-    let isUnlocked = !includeUnlock;
-    let nmPullCounterForBonus = 0;
-
-    const performPull = () => {
-        mythicPityCounter++;
-        totalAnvilsSpent++;
-        if (mythicPityCounter >= hardPity || Math.random() < mythicProb) {
-            mythicPityCounter = 0;
-            const isLMPull = nmFailStreak >= nmGuarantee || Math.random() < lmRateUp;
-            if (isLMPull) {
-                nmFailStreak = 0;
-                return { isLM: true, shards: lmShardsYield };
-            } else {
-                nmFailStreak++;
-                /*
-                // Original bonus shard logic - currently disabled.
-                let bonusShards = 0;
-                nmPullCounterForBonus++;
-                if (nmPullCounterForBonus <= 6) {
-                    bonusShards = [2, 3, 5][Math.floor(Math.random() * 3)];
-                }
-                return { isLM: false, shards: bonusShards };
-                */
-               
-                // Non-LM pulls currently grant 0 shards.
-                return { isLM: false, shards: 0 };
-            }
-        }
-        return null;
-    };
-    if (includeUnlock && !isUnlocked) {
-        while (totalAnvilsSpent < budget) {
-            const pullResult = performPull();
-            if (pullResult) { currentShards += pullResult.shards; if (pullResult.isLM) { isUnlocked = true; break; } }
-        }
-        if (!isUnlocked) return budget + 1;
-    }
-    while (currentShards < targetShardsForUpgrade) {
-        if (totalAnvilsSpent >= budget) return budget + 1;
-        const pullResult = performPull();
-        if (pullResult) { currentShards += pullResult.shards; }
-    }
-    return totalAnvilsSpent;
-}
-
-/**
- * Calculates a specific percentile from a sorted array of data.
- * @param {number[]} sortedData - The pre-sorted array of numbers.
- * @param {number} percentile - The percentile to calculate (0-100).
- * @returns {number} The value at the given percentile.
+ * Renders the histogram and percentile payload returned by the worker into the probability results area.
+ * @param {object} probability - The `ProbabilityResults` payload from `runProbabilityCalculation` in anvil-math.js.
+ * @param {object} inputs - The validated input data the run was started with.
  */
-function getPercentile(sortedData, percentile) {
-    if (!sortedData || sortedData.length === 0) return NaN;
-    const index = (percentile / 100) * (sortedData.length - 1);
-    if (index === Math.floor(index)) { return sortedData[index]; }
-    else { const lower = Math.floor(index); const upper = Math.ceil(index); return sortedData[lower] * (upper - index) + sortedData[upper] * (index - lower); }
+function renderProbabilityResults(probability, inputs) {
+    const { method, histData, exactSuccessRate, numRuns, seed } = probability;
+    const isMonteCarlo = method === 'monte_carlo';
+    const detailsText = isMonteCarlo
+        ? `Based on ${numRuns.toLocaleString()} simulated attempts with seed "${seed}"${inputs.isSeedFixed ? '' : ' (random; enter it as the Simulation Seed to reproduce)'}. Exact success probability: ${exactSuccessRate.toFixed(1)}%.`
+        : 'Exact result from a Markov-chain model of pity, LM guarantee and shards (no random sampling).';
+
+    DOM.probabilityResultsArea.classList.remove('hidden');
+    DOM.probabilitySummaryText.textContent = `Goal: ${DOM.targetStarLevelSelect.value} from ${DOM.startStarLevelSelect.value} with a ${inputs.anvilBudget} Anvil budget.`;
+    const probSummaryEl = DOM.probabilityResultsArea.querySelector('#probSummary');
+    if (probSummaryEl) { probSummaryEl.innerHTML = `Success: <strong>${histData.successRate.toFixed(1)}%</strong> | Median (Success): <strong>${Math.round(histData.medianCost) || 'N/A'}</strong> | P90 (Success): <strong>${Math.round(histData.p90Cost) || 'N/A'}</strong>`; }
+    const detailsEl = DOM.probabilityResultsArea.querySelector('#probabilitySimulationDetails');
+    if (detailsEl) { detailsEl.textContent = detailsText; }
+    displayProbabilityDistributionChart('probChart', histData, isMonteCarlo ? 'runs' : 'percent');
+    state.budgetForConfidence = { ...probability.budgetForConfidence, currentBudget: inputs.anvilBudget, targetLevel: DOM.targetStarLevelSelect.value };
+    renderRequiredBudgets();
+    renderRiskReport(probability.riskReport, inputs.anvilBudget);
+    renderStopLoss(probability.stopLoss || null, inputs.anvilBudget);
+    renderIncomeForecast();
+    if (state.isGuidedMode && state.wizardCurrentStep === CONSTANTS.WIZARD_MAX_STEPS + 1) renderWizardAdvice(probability, inputs);
+    logAnalyticEvent('probability_simulation_completed', { method, success_rate: Number(histData.successRate.toFixed(1)) });
 }
 
 /**
- * Creates histogram data from simulation results.
- * @param {number[]} anvilCosts - An array of anvil costs from all simulation runs.
- * @param {number} budget - The anvil budget for the simulation.
- * @param {number} [numBins=20] - The desired number of bins for the histogram.
- * @returns {{labels: string[], data: number[], successRate: number, medianCost: number, p90Cost: number}}
+ * Shows the minimum budget for the desired confidence level, plus the preset levels, from the last probability run.
+ * Changing the confidence only re-reads the stored quantiles, so no new worker run is needed.
  */
-function createHistogramData(anvilCosts, budget, numBins = 20) {
-    const successfulRuns = anvilCosts.filter(cost => cost <= budget);
-    if (successfulRuns.length === 0) { return { labels: [`> ${budget} (Failures)`], data: [anvilCosts.length], successRate: 0, medianCost: NaN, p90Cost: NaN }; }
-    successfulRuns.sort((a, b) => a - b);
-    const minCost = successfulRuns[0];
-    const maxCost = successfulRuns[successfulRuns.length - 1];
-    const binSize = Math.max(1, Math.ceil((maxCost - minCost + 1) / numBins));
-    const bins = [];
-    for (let i = minCost; i <= maxCost; i += binSize) { bins.push({ start: i, end: i + binSize - 1, count: 0 }); }
-    let failures = 0;
-    anvilCosts.forEach(cost => {
-        if (cost <= budget) { const targetBin = bins.find(bin => cost >= bin.start && cost <= bin.end); if (targetBin) targetBin.count++; }
-        else { failures++; }
+function renderRequiredBudgets() {
+    if (!DOM.requiredBudgetResult || !state.budgetForConfidence) return;
+    const { requiredBudgets, searchLimit, currentBudget } = state.budgetForConfidence;
+    const formatBudget = (percent) => requiredBudgets[percent] === null ? `more than ${searchLimit}` : requiredBudgets[percent].toString();
+
+    DOM.requiredBudgetPresets.innerHTML = '';
+    CONSTANTS.CONFIDENCE_PRESETS.forEach(percent => {
+        const presetBtn = document.createElement('button');
+        presetBtn.type = 'button';
+        presetBtn.className = 'result-box text-center hover:bg-gray-100';
+        presetBtn.innerHTML = `<strong>${percent}%</strong><br>${formatBudget(percent)} Anvils`;
+        presetBtn.addEventListener('click', () => {
+            DOM.targetConfidenceInput.value = percent;
+            renderRequiredBudgets();
+        });
+        DOM.requiredBudgetPresets.appendChild(presetBtn);
     });
-    const chartData = bins.map(bin => bin.count);
-    const chartLabels = bins.map(bin => `${bin.start}-${bin.end}`);
-    if (failures > 0) { chartLabels.push(`> ${budget} (Failed)`); chartData.push(failures); }
-    return { labels: chartLabels, data: chartData, successRate: (successfulRuns.length / anvilCosts.length) * 100, medianCost: getPercentile(successfulRuns, 50), p90Cost: getPercentile(successfulRuns, 90), };
-}
+
+    const confidence = Number(DOM.targetConfidenceInput.value);
+    const isValidConfidence = Number.isInteger(confidence) && confidence >= 1 && confidence <= 99;
+    DOM.targetConfidenceError.textContent = isValidConfidence ? '' : 'Enter a whole number from 1 to 99';
+    DOM.targetConfidenceError.classList.toggle('hidden', isValidConfidence);
+    if (!isValidConfidence) {
+        DOM.requiredBudgetResult.textContent = '';
+        return;
+    }
+
+    const required = requiredBudgets[confidence];
+    if (required === null) {
+        DOM.requiredBudgetResult.innerHTML = `Even <strong>${searchLimit}</strong> Anvils do not give a ${confidence}% chance with these settings.`;
+    } else {
+        const gap = required - currentBudget;
+        const comparison = gap > 0 ? `${gap} more than your current budget` : 'your current budget already covers it';
+        DOM.requiredBudgetResult.innerHTML = `You need at least <strong>${required}</strong> Anvils for a ${confidence}% chance (${comparison}).`;
+    }
+    logAnalyticEvent('required_budget_viewed', { confidence, required_budget: required === null ? -1 : required });
+}
 
 /**
- * Runs the main probability simulation and updates the UI with the results.
- * @param {object} inputs - The validated input data.
+ * Shows where spending the whole budget ends up, as a bar per star level, or hides the section outside stop-loss mode.
+ * @param {object|null} stopLoss - The `StopLossResult` from `computeStopLossDistribution` in anvil-math.js.
+ * @param {number} budget - The Anvil budget the run used.
  */
-function runProbabilitySimulation(inputs) {
-    const simParams = { budget: inputs.anvilBudget, mythicProb: inputs.mythicProbability, hardPity: inputs.mythicHardPity, lmRateUp: inputs.lmRateUpChance, nmGuarantee: CONSTANTS.NM_GUARANTEE_THRESHOLD, includeUnlock: state.isUnlockCostIncluded, targetShardsForUpgrade: inputs.shardsNeededForUpgrade, lmShardsYield: inputs.lmShardsYield, initialMythicPity: inputs.currentMythicPity, initialLMPityStreak: inputs.currentLMPity };
-    const anvilCosts = Array.from({ length: CONSTANTS.NUM_SIM_RUNS }, () => simulateSingleSuccessAttempt(simParams));
-    const numBins = Math.min(25, Math.max(8, Math.floor(inputs.anvilBudget / 25)));
-    const histData = createHistogramData(anvilCosts, inputs.anvilBudget, numBins);
-    DOM.probabilityResultsArea.classList.remove('hidden');
-    DOM.probabilitySummaryText.textContent = `Goal: ${DOM.targetStarLevelSelect.value} from ${DOM.startStarLevelSelect.value} with a ${inputs.anvilBudget} Anvil budget.`;
-    const probSummaryEl = DOM.probabilityResultsArea.querySelector('#probSummary');
-    if (probSummaryEl) { probSummaryEl.innerHTML = `Success: <strong>${histData.successRate.toFixed(1)}%</strong> | Median (Success): <strong>${Math.round(histData.medianCost) || 'N/A'}</strong> | P90 (Success): <strong>${Math.round(histData.p90Cost) || 'N/A'}</strong>`; }
-    const detailsEl = DOM.probabilityResultsArea.querySelector('#probabilitySimulationDetails');
-    if (detailsEl) { detailsEl.textContent = `Based on ${CONSTANTS.NUM_SIM_RUNS.toLocaleString()} simulated attempts.`; }
-    displayProbabilityDistributionChart('probChart', histData);
+function renderStopLoss(stopLoss, budget) {
+    if (!DOM.stopLossSection) return;
+    DOM.stopLossSection.classList.toggle('hidden', !stopLoss);
+    if (!stopLoss) return;
+    const shown = stopLoss.levels.filter(({ percent, isTarget }) => percent >= 0.05 || isTarget);
+    const mostLikely = stopLoss.levels.reduce((best, level) => level.percent > best.percent ? level : best, stopLoss.levels[0]);
+    DOM.stopLossSummary.innerHTML = `Spending all ${budget} Anvils, you most likely end at <strong>${mostLikely.level}</strong> (${mostLikely.percent.toFixed(1)}%). Chance of your target or better: <strong>${stopLoss.targetOrBetter.toFixed(1)}%</strong>.`;
+
+    const data = {
+        labels: shown.map(({ level }) => level),
+        datasets: [{ label: 'Chance of Ending Here', data: shown.map(({ percent }) => percent), backgroundColor: shown.map(({ isTarget }) => isTarget ? 'rgba(59, 130, 246, 0.8)' : 'rgba(16, 185, 129, 0.7)') }],
+    };
+    const options = { indexAxis: 'y', responsive: true, maintainAspectRatio: false, scales: { x: { beginAtZero: true, title: { display: true, text: 'Chance (%)', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { color: CONSTANTS.CHART_STYLING.GRID_COLOR }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, y: { grid: { display: false }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } } }, plugins: { legend: { display: false }, tooltip: { backgroundColor: CONSTANTS.CHART_STYLING.TOOLTIP_BG_COLOR, titleColor: CONSTANTS.CHART_STYLING.TITLE_COLOR, bodyColor: CONSTANTS.CHART_STYLING.FONT_COLOR, callbacks: { label: context => `${context.parsed.x.toFixed(1)}%` } } } };
+    createChart('stopLossChart', data, options);
+    logAnalyticEvent('stop_loss_viewed', { method: stopLoss.method, target_or_better: Number(stopLoss.targetOrBetter.toFixed(1)) });
+}
+
+/**
+ * Renders the risk report: cost percentiles over all outcomes, the shortfall when the budget runs out,
+ * where failed outcomes end, and the cost CDF with the budget marked.
+ * @param {object} report - The `RiskReport` from `buildRiskReport` in anvil-math.js.
+ * @param {number} budget - The Anvil budget the run used.
+ */
+function renderRiskReport(report, budget) {
+    if (!DOM.riskPercentileRow || !report) return;
+    DOM.riskPercentileHeader.innerHTML = '';
+    DOM.riskPercentileRow.innerHTML = '';
+    report.percentiles.forEach(({ percentile, cost }) => {
+        const header = document.createElement('th');
+        header.className = 'py-2 px-2';
+        header.textContent = `P${percentile}`;
+        DOM.riskPercentileHeader.appendChild(header);
+        const cell = document.createElement('td');
+        cell.className = `py-2 px-2 font-medium ${cost !== null && cost > budget ? 'text-red-600' : ''}`;
+        cell.textContent = cost === null ? `> ${report.searchLimit}` : cost.toString();
+        DOM.riskPercentileRow.appendChild(cell);
+    });
+
+    if (report.expectedShortfall === null) {
+        DOM.riskShortfall.innerHTML = 'Your budget covers every outcome.';
+        DOM.riskFailureLevels.textContent = '';
+    } else {
+        DOM.riskShortfall.innerHTML = `In the <strong>${report.failureRate.toFixed(1)}%</strong> of outcomes where the budget runs out, you are short by <strong>${Math.round(report.expectedShortfall)}</strong> Anvils on average, and the median level you end at is <strong>${report.medianFailureLevel}</strong>.`;
+        DOM.riskFailureLevels.textContent = `Where the budget runs out: ${report.failureLevels.filter(({ percent }) => percent >= 0.05).map(({ level, percent }) => `${level} ${percent.toFixed(1)}%`).join(', ')}.`;
+    }
+    updateRiskCdfChart(report.cdf, budget);
+    logAnalyticEvent('risk_report_viewed', { failure_rate: Number(report.failureRate.toFixed(1)), expected_shortfall: report.expectedShortfall === null ? 0 : Math.round(report.expectedShortfall) });
+}
+
+/**
+ * Draws the cost CDF as a line, with a vertical line at the budget.
+ * @param {Array<{x: number, y: number}>} cdf - Chance in percent of reaching the goal within x Anvils.
+ * @param {number} budget - The Anvil budget to mark.
+ */
+function updateRiskCdfChart(cdf, budget) {
+    const data = {
+        datasets: [
+            { type: 'line', label: 'Chance of Reaching Goal (%)', data: cdf, borderColor: 'rgba(16, 185, 129, 1)', backgroundColor: 'rgba(16, 185, 129, 0.2)', fill: true, pointRadius: 0, tension: 0.1 },
+            { type: 'line', label: `Your Budget (${budget})`, data: [{ x: budget, y: 0 }, { x: budget, y: 100 }], borderColor: 'rgba(239, 68, 68, 1)', borderDash: [6, 4], pointRadius: 0 },
+        ],
+    };
+    const options = { responsive: true, maintainAspectRatio: false, scales: { y: { min: 0, max: 100, title: { display: true, text: 'Chance (%)', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { color: CONSTANTS.CHART_STYLING.GRID_COLOR }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, x: { type: 'linear', beginAtZero: true, title: { display: true, text: 'Anvils Spent', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { display: false }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } } }, plugins: { legend: { labels: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, tooltip: { backgroundColor: CONSTANTS.CHART_STYLING.TOOLTIP_BG_COLOR, titleColor: CONSTANTS.CHART_STYLING.TITLE_COLOR, bodyColor: CONSTANTS.CHART_STYLING.FONT_COLOR, callbacks: { label: context => `${context.parsed.x} Anvils: ${context.parsed.y.toFixed(1)}%` } } } };
+    createChart('riskCdfChart', data, options);
+}
+
+// =================================================================================================
+// #region: --- INCOME FORECAST ---
+// =================================================================================================
+
+/**
+ * Reads the Anvil income model and converts it into an average daily income.
+ * Blank fields count as zero; weekly events, battle passes and monthly packs are spread evenly over their period.
+ * @returns {{dailyIncome: number, error: string|null}} The combined income per day, or a validation error.
+ */
+function readIncomeModel() {
+    const readAmount = (el) => {
+        const text = el ? el.value.trim() : '';
+        return text === '' ? 0 : Number(text);
+    };
+    const daily = readAmount(DOM.incomeDailyInput);
+    const weeklyEvents = readAmount(DOM.incomeWeeklyEventsInput);
+    const battlePass = readAmount(DOM.incomeBattlePassInput);
+    const battlePassDays = readAmount(DOM.incomeBattlePassDaysInput);
+    const monthlyPacks = readAmount(DOM.incomeMonthlyPacksInput);
+    if (![daily, weeklyEvents, battlePass, monthlyPacks].every(v => Number.isFinite(v) && v >= 0)) {
+        return { dailyIncome: 0, error: 'Income amounts must be numbers >= 0' };
+    }
+    if (battlePass > 0 && !(Number.isInteger(battlePassDays) && battlePassDays >= 1)) {
+        return { dailyIncome: 0, error: 'Battle pass length must be a whole number of days >= 1' };
+    }
+    const battlePassPerDay = battlePass > 0 ? battlePass / battlePassDays : 0;
+    return { dailyIncome: daily + weeklyEvents / 7 + battlePassPerDay + monthlyPacks / 30, error: null };
+}
+
+/**
+ * Projects the Anvils on hand day by day and, from the required budgets of the last probability run, the chance of
+ * reaching the goal on each day. Income accrues continuously but only whole Anvils count.
+ * @param {{requiredBudgets: Array<number|null>}} budgetForConfidence - Budgets per confidence level from the last probability run.
+ * @param {number} startingAnvils - Anvils on hand today.
+ * @param {number} dailyIncome - Average Anvils earned per day.
+ * @returns {{days: Object.<number, number|null>, anvilsByDay: number[], chanceByDay: number[]}} `days[p]` is the first day with at least
+ *          a p% chance (null if not within `CONSTANTS.FORECAST_MAX_DAYS`); the daily series run up to the forecast horizon.
+ */
+function buildIncomeForecast({ requiredBudgets }, startingAnvils, dailyIncome) {
+    const anvilsOnDay = (day) => startingAnvils + Math.floor(day * dailyIncome + 1e-9);
+    const firstDayFor = (required) => {
+        if (required === null) return null;
+        if (required <= startingAnvils) return 0;
+        if (dailyIncome <= 0) return null;
+        const day = Math.ceil((required - startingAnvils) / dailyIncome - 1e-9);
+        return day <= CONSTANTS.FORECAST_MAX_DAYS ? day : null;
+    };
+    const chanceWith = (anvils) => {
+        let chance = 0;
+        for (let p = 1; p < requiredBudgets.length; p++) {
+            if (requiredBudgets[p] !== null && requiredBudgets[p] <= anvils) chance = p;
+        }
+        return chance;
+    };
+
+    const days = {};
+    CONSTANTS.CONFIDENCE_PRESETS.forEach(percent => { days[percent] = firstDayFor(requiredBudgets[percent]); });
+    const reachedDays = Object.values(days).filter(day => day !== null);
+    // Show a month past the last reached level, or the full horizon if some level is never reached.
+    const horizon = reachedDays.length === CONSTANTS.CONFIDENCE_PRESETS.length
+        ? Math.min(CONSTANTS.FORECAST_MAX_DAYS, Math.max(...reachedDays) + 30)
+        : CONSTANTS.FORECAST_MAX_DAYS;
+
+    const anvilsByDay = [];
+    const chanceByDay = [];
+    for (let day = 0; day <= horizon; day++) {
+        anvilsByDay.push(anvilsOnDay(day));
+        chanceByDay.push(chanceWith(anvilsByDay[day]));
+    }
+    return { days, anvilsByDay, chanceByDay };
+}
+
+/**
+ * Formats a day offset from today as a short calendar date, e.g. "Nov 12".
+ * @param {number} dayOffset - Days from today.
+ * @returns {string} The formatted date.
+ */
+function formatForecastDate(dayOffset) {
+    const date = new Date();
+    date.setDate(date.getDate() + dayOffset);
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Renders the dated forecast and its timeline chart from the income model and the last probability run.
+ * Income changes only re-read the stored required budgets, so no new worker run is needed.
+ */
+function renderIncomeForecast() {
+    if (!DOM.incomeForecastSummary) return;
+    const { dailyIncome, error } = readIncomeModel();
+    DOM.incomeForecastError.textContent = error || '';
+    DOM.incomeForecastError.classList.toggle('hidden', error === null);
+    if (error !== null) {
+        DOM.incomeForecastRate.textContent = '';
+        DOM.incomeForecastSummary.textContent = '';
+        return;
+    }
+    DOM.incomeForecastRate.textContent = `Average income: ${dailyIncome.toFixed(1)} Anvils per day (${Math.round(dailyIncome * 7)} per week).`;
+    if (!state.budgetForConfidence) {
+        DOM.incomeForecastSummary.textContent = 'Run a probability calculation to see the forecast.';
+        return;
+    }
+
+    const { currentBudget, targetLevel } = state.budgetForConfidence;
+    const { days, anvilsByDay, chanceByDay } = buildIncomeForecast(state.budgetForConfidence, currentBudget, dailyIncome);
+    const parts = CONSTANTS.CONFIDENCE_PRESETS.map(percent => {
+        const day = days[percent];
+        if (day === null) return dailyIncome > 0 ? `${percent}%: not within ${CONSTANTS.FORECAST_MAX_DAYS} days` : `${percent}%: needs more Anvils`;
+        return day === 0 ? `<strong>${percent}%</strong> already` : `<strong>${percent}%</strong> by ${formatForecastDate(day)}`;
+    });
+    DOM.incomeForecastSummary.innerHTML = `Chance of ${targetLevel} (starting from ${currentBudget} Anvils today): ${parts.join(', ')}.`;
+
+    const labels = anvilsByDay.map((_, day) => formatForecastDate(day));
+    updateIncomeForecastChart(labels, chanceByDay, anvilsByDay);
+    logAnalyticEvent('income_forecast_viewed', { daily_income: Number(dailyIncome.toFixed(1)), days_to_50: days[50] === null ? -1 : days[50] });
+}
+
+/**
+ * Draws the forecast timeline: the chance of reaching the goal by each date, with the projected Anvils on a second axis.
+ * @param {string[]} labels - One date label per day.
+ * @param {number[]} chanceByDay - Chance of reaching the goal on each day, in percent.
+ * @param {number[]} anvilsByDay - Anvils on hand on each day.
+ */
+function updateIncomeForecastChart(labels, chanceByDay, anvilsByDay) {
+    const data = {
+        labels,
+        datasets: [
+            { type: 'line', label: 'Chance of Reaching Goal (%)', data: chanceByDay, yAxisID: 'y', borderColor: 'rgba(16, 185, 129, 1)', backgroundColor: 'rgba(16, 185, 129, 0.2)', fill: true, stepped: true, pointRadius: 0 },
+            { type: 'line', label: 'Anvils on Hand', data: anvilsByDay, yAxisID: 'y1', borderColor: 'rgba(59, 130, 246, 1)', backgroundColor: 'rgba(59, 130, 246, 0.2)', borderDash: [6, 4], pointRadius: 0 },
+        ],
+    };
+    const options = { responsive: true, maintainAspectRatio: false, interaction: { mode: 'index', intersect: false }, scales: { y: { min: 0, max: 100, title: { display: true, text: 'Chance (%)', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { color: CONSTANTS.CHART_STYLING.GRID_COLOR }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, y1: { position: 'right', beginAtZero: true, title: { display: true, text: 'Anvils', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { drawOnChartArea: false }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, x: { title: { display: true, text: 'Date', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { display: false }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR, autoSkip: true, maxTicksLimit: 12 } } }, plugins: { legend: { labels: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, tooltip: { backgroundColor: CONSTANTS.CHART_STYLING.TOOLTIP_BG_COLOR, titleColor: CONSTANTS.CHART_STYLING.TITLE_COLOR, bodyColor: CONSTANTS.CHART_STYLING.FONT_COLOR } } };
+    createChart('incomeForecastChart', data, options);
+}
+
+// =================================================================================================
+// #region: --- SEASON PLANNER ---
+// =================================================================================================
+
+/**
+ * Resolves a planner banner's target choice to a star level, using the champion's guidance data for recommendations.
+ * Mirrors `handleChampionGuidance`: 'skip' means unlock only and 'max' means the profile's highest star level.
+ * @param {{championName: string, targetChoice: string}} banner - The planner banner.
+ * @returns {string|null} A star level from the active shard table, '0_shards', or null if the recommendation is not set.
+ */
+function resolveSeasonBannerTarget(banner) {
+    if (banner.targetChoice !== 'f2p' && banner.targetChoice !== 'min') return banner.targetChoice;
+    const champion = state.lmChampions.find(c => c.name === banner.championName);
+    const recommendation = champion ? (banner.targetChoice === 'f2p' ? champion.recF2p : champion.recMin) : null;
+    if (recommendation === 'skip') return '0_shards';
+    if (recommendation === 'max') return getHighestStarLevel();
+    return recommendation && getActiveRuleProfile().shardRequirements[recommendation] !== undefined ? recommendation : null;
+}
+
+/**
+ * Creates a <select> element for a planner banner field.
+ * @param {Array<{value: string, text: string}>} options - The options to show.
+ * @param {string} selectedValue - The value to select.
+ * @param {string} label - Accessible label for the select.
+ * @param {Function} onChange - Called with the new value.
+ * @returns {HTMLSelectElement} The select element.
+ */
+function createSeasonBannerSelect(options, selectedValue, label, onChange) {
+    const select = document.createElement('select');
+    select.className = 'block w-full';
+    select.setAttribute('aria-label', label);
+    options.forEach(({ value, text }) => select.add(new Option(text, value, false, value === selectedValue)));
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
+
+/**
+ * Re-renders the list of planner banners from `state.seasonBanners`.
+ */
+function renderSeasonBanners() {
+    if (!DOM.seasonBannerList) return;
+    DOM.seasonBannerList.innerHTML = '';
+    DOM.seasonPlannerEmpty.classList.toggle('hidden', state.seasonBanners.length > 0);
+    DOM.planSeasonBtn.disabled = state.seasonBanners.length === 0;
+
+    const championOptions = state.lmChampions.map(c => ({ value: c.name, text: c.name }));
+    const levelOptions = Object.keys(getActiveRuleProfile().shardRequirements).map(level => ({ value: level, text: level }));
+    const startOptions = [{ value: '0_shards', text: 'Not Owned (Unlock First)' }, ...levelOptions];
+    const targetOptions = [{ value: 'f2p', text: 'F2P Recommendation' }, { value: 'min', text: 'Minimum Recommendation' }, ...levelOptions];
+
+    state.seasonBanners.forEach((banner, index) => {
+        const row = document.createElement('div');
+        row.className = 'result-box grid grid-cols-1 md:grid-cols-4 gap-3 items-end';
+        const field = (labelText, control) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'input-group';
+            const labelEl = document.createElement('span');
+            labelEl.className = 'block text-xs';
+            labelEl.textContent = labelText;
+            wrapper.append(labelEl, control);
+            return wrapper;
+        };
+        const update = (key) => (value) => { banner[key] = value; };
+
+        const championSelect = createSeasonBannerSelect(championOptions, banner.championName, `Banner ${index + 1} champion`, update('championName'));
+        const startSelect = createSeasonBannerSelect(startOptions, banner.startLevel, `Banner ${index + 1} starting level`, update('startLevel'));
+        const targetSelect = createSeasonBannerSelect(targetOptions, banner.targetChoice, `Banner ${index + 1} target`, update('targetChoice'));
+
+        const actions = document.createElement('div');
+        actions.className = 'flex gap-2';
+        [['↑', 'Move up', -1], ['↓', 'Move down', 1]].forEach(([symbol, title, offset]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'btn btn-secondary px-3 py-2';
+            btn.textContent = symbol;
+            btn.title = title;
+            btn.setAttribute('aria-label', `${title}: banner ${index + 1}`);
+            btn.disabled = index + offset < 0 || index + offset >= state.seasonBanners.length;
+            btn.addEventListener('click', () => moveSeasonBanner(index, offset));
+            actions.appendChild(btn);
+        });
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-secondary px-3 py-2';
+        removeBtn.textContent = 'Remove';
+        removeBtn.setAttribute('aria-label', `Remove banner ${index + 1}`);
+        removeBtn.addEventListener('click', () => removeSeasonBanner(index));
+        actions.appendChild(removeBtn);
+
+        row.append(field(`${index + 1}. Champion`, championSelect), field('Starting Level', startSelect), field('Target', targetSelect), actions);
+        DOM.seasonBannerList.appendChild(row);
+    });
+}
+
+/**
+ * Adds a banner to the end of the season plan, defaulting to the champion picked in Champion Guidance.
+ */
+function addSeasonBanner() {
+    if (state.lmChampions.length === 0) {
+        UI.displayNotification('Champions are still loading. Sign in to load the champion list.', 'info', 'season_planner');
+        return;
+    }
+    const guidanceChampion = state.lmChampions.find(c => c.name === DOM.lmChampionSelect.value);
+    state.seasonBanners.push({ championName: (guidanceChampion || state.lmChampions[0]).name, startLevel: '0_shards', targetChoice: 'f2p' });
+    renderSeasonBanners();
+    logAnalyticEvent('season_banner_added', { count: state.seasonBanners.length });
+}
+
+/**
+ * Swaps a planner banner with its neighbour to change the pull order.
+ * @param {number} index - The banner's current position.
+ * @param {-1|1} offset - Direction to move it.
+ */
+function moveSeasonBanner(index, offset) {
+    const banners = state.seasonBanners;
+    [banners[index], banners[index + offset]] = [banners[index + offset], banners[index]];
+    renderSeasonBanners();
+}
+
+/**
+ * Removes a banner from the season plan.
+ * @param {number} index - The banner's position.
+ */
+function removeSeasonBanner(index) {
+    state.seasonBanners.splice(index, 1);
+    DOM.seasonPlanResults.classList.add('hidden');
+    renderSeasonBanners();
+}
+
+/**
+ * Validates the planner banners and the shared inputs, then asks the worker for the season plan.
+ */
+function runSeasonPlan() {
+    const inputs = validateAndGetInputs();
+    if (!inputs.isValid) {
+        UI.displayNotification('Please correct the highlighted input errors above.', 'error', 'season_planner');
+        return;
+    }
+
+    const goals = [];
+    for (const banner of state.seasonBanners) {
+        const targetLevel = resolveSeasonBannerTarget(banner);
+        if (targetLevel === null) {
+            UI.displayNotification(`The ${banner.targetChoice === 'f2p' ? 'F2P' : 'minimum'} recommendation for ${banner.championName} is not set or not in this rule profile. Pick a star level instead.`, 'error', 'season_planner');
+            return;
+        }
+        const { shardRequirements } = getActiveRuleProfile();
+        const startShards = shardRequirements[banner.startLevel] || 0;
+        const targetShards = shardRequirements[targetLevel] || 0;
+        goals.push({ championName: banner.championName, targetLevel, includeUnlock: banner.startLevel === '0_shards', targetShardsForUpgrade: Math.max(0, targetShards - startShards) });
+    }
+
+    const payload = {
+        inputs: inputs.data,
+        banners: goals.map(({ includeUnlock, targetShardsForUpgrade }) => ({ includeUnlock, targetShardsForUpgrade })),
+        // The checkbox starts from the profile's carry-over rule but the user may override it for this plan.
+        rules: { ...getWorkerRules(), carryLMPity: DOM.seasonCarryLMPityCheckbox.checked },
+    };
+    logAnalyticEvent('season_plan_triggered', { banners: goals.length, budget: inputs.data.anvilBudget });
+    UI.setButtonLoadingState(DOM.planSeasonBtn, true);
+    UI.updateSimulationProgress(0);
+
+    requestWorkerCalculation(payload, { onProgress: (percent) => UI.updateSimulationProgress(percent) }, 'plan_season')
+        .then(plan => {
+            UI.updateSimulationProgress(null);
+            UI.setButtonLoadingState(DOM.planSeasonBtn, false);
+            renderSeasonPlan(plan, goals, inputs.data.anvilBudget);
+        })
+        .catch(error => {
+            // Only a newer season plan cancels this one, and it takes over the loading state.
+            if (error.isCancelled) return;
+            UI.updateSimulationProgress(null);
+            UI.setButtonLoadingState(DOM.planSeasonBtn, false);
+            console.error("Season plan failed:", error);
+            UI.displayNotification('The season plan failed. Please try again.', 'error', 'season_planner');
+            logAnalyticEvent('season_plan_completed', { status: 'error', error_message: error.message });
+        });
+}
+
+/**
+ * Renders the season plan returned by the worker.
+ * @param {{banners: Array<{successRate: number, expectedSpend: number, medianCost: number}>, allSuccessRate: number}} plan - The plan from `computeSeasonPlan` in anvil-math.js.
+ * @param {Array<{championName: string, targetLevel: string, targetShardsForUpgrade: number}>} goals - The resolved banner goals, in pull order.
+ * @param {number} budget - The shared Anvil budget.
+ */
+function renderSeasonPlan(plan, goals, budget) {
+    DOM.seasonPlanResults.classList.remove('hidden');
+    DOM.seasonPlanSummary.innerHTML = `Chance of hitting every target with ${budget} Anvils: <strong>${plan.allSuccessRate.toFixed(1)}%</strong>`;
+    DOM.seasonPlanTableBody.innerHTML = '';
+    plan.banners.forEach((result, index) => {
+        const goal = goals[index];
+        const row = document.createElement('tr');
+        row.className = 'border-t border-gray-200';
+        const cells = [
+            `${index + 1}. ${goal.championName}`,
+            goal.targetLevel === '0_shards' ? 'Unlock only' : goal.targetLevel,
+            `${result.successRate.toFixed(1)}%`,
+            Math.round(result.expectedSpend).toString(),
+            Number.isFinite(result.medianCost) ? result.medianCost.toString() : 'N/A',
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.className = 'py-2 px-2';
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        DOM.seasonPlanTableBody.appendChild(row);
+    });
+    logAnalyticEvent('season_plan_completed', { status: 'success', banners: goals.length, all_success_rate: Number(plan.allSuccessRate.toFixed(1)) });
+}
+
+// =================================================================================================
+// #region: --- SHARD SOURCES ---
+// =================================================================================================
+
+/**
+ * Returns the shard sources and weekly amounts for a champion rarity, with the active profile's amounts over the defaults.
+ * @param {string} rarity - The champion's base rarity.
+ * @returns {AcquisitionAmounts & {sources: string[]}} The acquisition model.
+ */
+function getAcquisitionModel(rarity) {
+    const profileAmounts = getActiveRuleProfile().acquisitionModels[rarity] || {};
+    return {
+        ...CONSTANTS.DEFAULT_ACQUISITION_AMOUNTS,
+        ...profileAmounts,
+        sources: CONSTANTS.ACQUISITION_SOURCES[rarity] || CONSTANTS.DEFAULT_ACQUISITION_SOURCES,
+    };
+}
+
+/**
+ * Fills the shard-source champion selector from `state.allChampions`, grouped by rarity with Limited Mythics first.
+ * The current selection is kept when the champion is still listed.
+ */
+function renderShardSourceChampions() {
+    if (!DOM.shardSourceChampionSelect) return;
+    const previous = DOM.shardSourceChampionSelect.value;
+    DOM.shardSourceChampionSelect.innerHTML = '';
+    DOM.shardSourceChampionSelect.add(new Option(state.allChampions.length > 0 ? '-- Select a Champion --' : '-- Sign in to load champions --', ''));
+
+    const rarityOrder = ['Limited Mythic', ...Object.keys(CONSTANTS.ACQUISITION_SOURCES)];
+    const rarities = [...new Set(state.allChampions.map(champion => champion.baseRarity))]
+        .sort((a, b) => (rarityOrder.indexOf(a) + 1 || rarityOrder.length + 1) - (rarityOrder.indexOf(b) + 1 || rarityOrder.length + 1) || a.localeCompare(b));
+    rarities.forEach(rarity => {
+        const group = document.createElement('optgroup');
+        group.label = rarity;
+        state.allChampions.filter(champion => champion.baseRarity === rarity).forEach(champion => {
+            const option = new Option(champion.name, champion.name);
+            option.dataset.rarity = rarity;
+            group.appendChild(option);
+        });
+        DOM.shardSourceChampionSelect.appendChild(group);
+    });
+    if (state.allChampions.some(champion => champion.name === previous)) DOM.shardSourceChampionSelect.value = previous;
+    handleShardSourceChampionChange();
+}
+
+/**
+ * Populates the shard-source star level selectors from the active profile's shard table, keeping current selections.
+ */
+function populateShardSourceLevels() {
+    if (!DOM.shardSourceStartLevelSelect) return;
+    const previousStart = DOM.shardSourceStartLevelSelect.value;
+    const previousTarget = DOM.shardSourceTargetLevelSelect.value;
+    const { shardRequirements } = getActiveRuleProfile();
+    DOM.shardSourceStartLevelSelect.innerHTML = '';
+    DOM.shardSourceTargetLevelSelect.innerHTML = '';
+    DOM.shardSourceStartLevelSelect.add(new Option('Base Character (0 Shards)', '0_shards'));
+    for (const level in shardRequirements) {
+        DOM.shardSourceStartLevelSelect.add(new Option(level, level));
+        DOM.shardSourceTargetLevelSelect.add(new Option(level, level));
+    }
+    if (previousStart === '0_shards' || previousStart in shardRequirements) DOM.shardSourceStartLevelSelect.value = previousStart;
+    if (previousTarget in shardRequirements) DOM.shardSourceTargetLevelSelect.value = previousTarget;
+}
+
+/**
+ * Shows the shard sources for the selected champion's rarity and loads that rarity's weekly amounts.
+ * Limited Mythics are pointed to the main calculator instead, since their shards come from the LM banner.
+ */
+function handleShardSourceChampionChange() {
+    if (!DOM.shardSourceChampionSelect) return;
+    const option = DOM.shardSourceChampionSelect.selectedOptions[0];
+    const rarity = option && option.dataset.rarity ? option.dataset.rarity : null;
+    const isLimitedMythic = rarity === 'Limited Mythic';
+    DOM.shardSourceLMNote.classList.toggle('hidden', !isLimitedMythic);
+    DOM.shardSourceInputs.classList.toggle('hidden', rarity === null || isLimitedMythic);
+    DOM.shardSourceResults.classList.add('hidden');
+    if (rarity === null || isLimitedMythic) return;
+
+    const model = getAcquisitionModel(rarity);
+    const sourceFields = { shop: DOM.shardSourceShopFields, events: DOM.shardSourceEventFields, fusion: DOM.shardSourceFusionFields, banner: DOM.shardSourceBannerFields };
+    Object.entries(sourceFields).forEach(([source, fields]) => fields.classList.toggle('hidden', !model.sources.includes(source)));
+    DOM.shopShardsPerWeekInput.value = model.shopShardsPerWeek;
+    DOM.shopCostPerShardInput.value = model.shopCostPerShard;
+    DOM.eventShardTableInput.value = (model.eventDrops || []).map(({ shards, probability }) => `${shards}: ${probability}`).join('\n');
+    DOM.fusionShardsPerWeekInput.value = model.fusionShardsPerWeek;
+    DOM.bannerAnvilsPerWeekInput.value = model.bannerAnvilsPerWeek;
+    DOM.bannerPoolSizeInput.value = model.bannerPoolSize;
+    DOM.bannerShardsPerHitInput.value = model.bannerShardsPerHit;
+}
+
+/**
+ * Reads the shard-source inputs for the selected champion into a weekly income model for the worker.
+ * Sources the champion's rarity does not offer count as zero. The banner's chance per Anvil comes from the last EV run:
+ * one Mythic per `drawsPerMythic` Anvils, of which the non-LM share is split evenly over the pool.
+ * @param {string[]} sources - The sources offered for the champion's rarity.
+ * @returns {{model: object|null, shopShardsPerWeek: number, shopCostPerShard: number, error: string|null}} The model and the shop
+ *          amounts for costing, or a validation error.
+ */
+function readShardSourceModel(sources) {
+    const readCount = (el, source) => {
+        if (!sources.includes(source)) return 0;
+        const text = el.value.trim();
+        return text === '' ? 0 : Number(text);
+    };
+    const shopShardsPerWeek = readCount(DOM.shopShardsPerWeekInput, 'shop');
+    const shopCostPerShard = readCount(DOM.shopCostPerShardInput, 'shop');
+    const fusionShardsPerWeek = readCount(DOM.fusionShardsPerWeekInput, 'fusion');
+    const bannerAnvilsPerWeek = readCount(DOM.bannerAnvilsPerWeekInput, 'banner');
+    const bannerPoolSize = readCount(DOM.bannerPoolSizeInput, 'banner');
+    const bannerShardsPerHit = readCount(DOM.bannerShardsPerHitInput, 'banner');
+    const invalid = (message) => ({ model: null, shopShardsPerWeek, shopCostPerShard, error: message });
+
+    if (![shopShardsPerWeek, fusionShardsPerWeek, bannerAnvilsPerWeek, bannerPoolSize, bannerShardsPerHit].every(v => Number.isInteger(v) && v >= 0)) {
+        return invalid('Shards, Anvils and pool size must be whole numbers >= 0');
+    }
+    if (!(Number.isFinite(shopCostPerShard) && shopCostPerShard >= 0)) return invalid('The shop price must be a number >= 0');
+    const eventResult = sources.includes('events') ? parseShardChanceTable(DOM.eventShardTableInput.value) : { outcomes: [], error: null };
+    if (eventResult.error !== null) return invalid(`Event drops: ${eventResult.error}`);
+
+    let bannerHitChance = 0;
+    if (bannerAnvilsPerWeek > 0 && bannerShardsPerHit > 0) {
+        if (bannerPoolSize < 1) return invalid('Enter how many Non-LM Mythics the banner can give (at least 1)');
+        const expectation = state.pullHistoryExpectation;
+        if (!expectation) return invalid('Run the Anvil calculation first, so the banner rates are known');
+        bannerHitChance = (1 / expectation.drawsPerMythic) * (1 - expectation.lmShare) / bannerPoolSize;
+    }
+    const model = { fixedShardsPerWeek: shopShardsPerWeek + fusionShardsPerWeek, eventDrops: eventResult.outcomes, bannerAnvilsPerWeek, bannerHitChance, bannerShardsPerHit };
+    return { model, shopShardsPerWeek, shopCostPerShard, error: null };
+}
+
+/**
+ * Validates the shard-source inputs, then asks the worker how many weeks the selected champion needs to reach the target.
+ */
+function runShardSourcePlan() {
+    const option = DOM.shardSourceChampionSelect.selectedOptions[0];
+    if (!option || !option.dataset.rarity) {
+        UI.displayNotification('Please select a champion first.', 'info', 'shard_sources');
+        return;
+    }
+    const championName = option.value;
+    const rarity = option.dataset.rarity;
+    const { shardRequirements } = getActiveRuleProfile();
+    const startLevel = DOM.shardSourceStartLevelSelect.value;
+    const targetLevel = DOM.shardSourceTargetLevelSelect.value;
+    const targetShards = Math.max(0, (shardRequirements[targetLevel] || 0) - (startLevel === '0_shards' ? 0 : shardRequirements[startLevel] || 0));
+    const { model, shopShardsPerWeek, shopCostPerShard, error } = readShardSourceModel(getAcquisitionModel(rarity).sources);
+    DOM.shardSourceError.textContent = error || '';
+    DOM.shardSourceError.classList.toggle('hidden', error === null);
+    if (error !== null) return;
+    if (targetShards === 0) {
+        UI.displayNotification('The target star level must be above the current one.', 'error', 'shard_sources');
+        return;
+    }
+
+    const goal = { championName, rarity, startLevel, targetLevel, targetShards, shopCostPerWeek: shopShardsPerWeek * shopCostPerShard, bannerAnvilsPerWeek: model.bannerAnvilsPerWeek };
+    logAnalyticEvent('shard_source_plan_triggered', { rarity, target_shards: targetShards });
+    UI.setButtonLoadingState(DOM.planShardSourcesBtn, true);
+
+    requestWorkerCalculation({ model, targetShards, maxWeeks: CONSTANTS.SHARD_SOURCE_MAX_WEEKS }, {}, 'plan_sources')
+        .then(plan => {
+            UI.setButtonLoadingState(DOM.planShardSourcesBtn, false);
+            renderShardSourcePlan(plan, goal);
+        })
+        .catch(error => {
+            // Only a newer forecast cancels this one, and it takes over the loading state.
+            if (error.isCancelled) return;
+            UI.setButtonLoadingState(DOM.planShardSourcesBtn, false);
+            console.error("Shard source forecast failed:", error);
+            UI.displayNotification('The forecast failed. Please try again.', 'error', 'shard_sources');
+            logAnalyticEvent('shard_source_plan_completed', { status: 'error', error_message: error.message });
+        });
+}
+
+/**
+ * Renders the dated shard-source forecast and its chart.
+ * @param {{reachByWeek: number[], expectedWeeks: number|null, expectedShardsPerWeek: number}} plan - The plan from `computeShardSourcePlan` in anvil-math.js.
+ * @param {{championName: string, rarity: string, startLevel: string, targetLevel: string, targetShards: number, shopCostPerWeek: number, bannerAnvilsPerWeek: number}} goal - The forecast goal.
+ */
+function renderShardSourcePlan(plan, goal) {
+    DOM.shardSourceResults.classList.remove('hidden');
+    const { reachByWeek, expectedWeeks, expectedShardsPerWeek } = plan;
+    const start = goal.startLevel === '0_shards' ? 'Base' : goal.startLevel;
+    const intro = `${goal.championName} (${goal.rarity}), ${start} → ${goal.targetLevel}: ${goal.targetShards} shards at about ${expectedShardsPerWeek.toFixed(1)} per week.`;
+    if (expectedShardsPerWeek <= 0) {
+        DOM.shardSourceSummary.textContent = `${intro} Enter at least one shard source to see a forecast.`;
+        updateShardSourceChart([]);
+        return;
+    }
+
+    const parts = CONSTANTS.CONFIDENCE_PRESETS.map(percent => {
+        const week = reachByWeek.findIndex(chance => chance >= percent - 1e-9);
+        if (week < 0) return `${percent}%: not within ${CONSTANTS.SHARD_SOURCE_MAX_WEEKS} weeks`;
+        return `<strong>${percent}%</strong> by ${formatForecastDate(week * 7)} (week ${week})`;
+    });
+    let cost = '';
+    if (expectedWeeks !== null) {
+        const spend = [];
+        if (goal.shopCostPerWeek > 0) spend.push(`${Math.round(goal.shopCostPerWeek * expectedWeeks)} shop currency`);
+        if (goal.bannerAnvilsPerWeek > 0) spend.push(`${Math.round(goal.bannerAnvilsPerWeek * expectedWeeks)} Anvils`);
+        cost = ` On average it takes ${expectedWeeks.toFixed(1)} weeks${spend.length > 0 ? `, spending about ${spend.join(' and ')}` : ''}.`;
+    }
+    DOM.shardSourceSummary.innerHTML = `${intro} Chance of reaching it: ${parts.join(', ')}.${cost}`;
+    updateShardSourceChart(reachByWeek);
+    logAnalyticEvent('shard_source_plan_completed', { status: 'success', rarity: goal.rarity, expected_weeks: expectedWeeks === null ? -1 : Number(expectedWeeks.toFixed(1)) });
+}
+
+/**
+ * Draws the chance of having reached the shard target by each week.
+ * @param {number[]} reachByWeek - Chance in percent at the end of each week, from week 0.
+ */
+function updateShardSourceChart(reachByWeek) {
+    const data = {
+        labels: reachByWeek.map((_, week) => formatForecastDate(week * 7)),
+        datasets: [{ type: 'line', label: 'Chance of Reaching Target (%)', data: reachByWeek, borderColor: 'rgba(16, 185, 129, 1)', backgroundColor: 'rgba(16, 185, 129, 0.2)', fill: true, stepped: true, pointRadius: 0 }],
+    };
+    const options = { responsive: true, maintainAspectRatio: false, interaction: { mode: 'index', intersect: false }, scales: { y: { min: 0, max: 100, title: { display: true, text: 'Chance (%)', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { color: CONSTANTS.CHART_STYLING.GRID_COLOR }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, x: { title: { display: true, text: 'Week Ending', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { display: false }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR, autoSkip: true, maxTicksLimit: 12 } } }, plugins: { legend: { display: false }, tooltip: { backgroundColor: CONSTANTS.CHART_STYLING.TOOLTIP_BG_COLOR, titleColor: CONSTANTS.CHART_STYLING.TITLE_COLOR, bodyColor: CONSTANTS.CHART_STYLING.FONT_COLOR, callbacks: { label: context => `${context.parsed.y.toFixed(1)}%` } } } };
+    createChart('shardSourceChart', data, options);
+}
+
+// =================================================================================================
+// #region: --- PULL HISTORY ---
+// =================================================================================================
+
+/**
+ * Parses the mythic outcomes typed into the pull log, e.g. "NM, NM, LM".
+ * @param {string} text - Outcomes in pull order, separated by commas or spaces. "L"/"N" are accepted as shorthand.
+ * @returns {Array<'LM'|'NM'>|null} The outcomes, or null if any entry is not LM or NM.
+ */
+function parsePullOutcomes(text) {
+    const outcomes = [];
+    for (const entry of text.split(/[\s,;]+/).filter(Boolean)) {
+        const normalized = entry.toUpperCase();
+        if (normalized === 'LM' || normalized === 'L') outcomes.push('LM');
+        else if (normalized === 'NM' || normalized === 'N') outcomes.push('NM');
+        else return null;
+    }
+    return outcomes;
+}
+
+/**
+ * Replays the pull log to find the current pity counts. Mythic pity is the pulls made since the last mythic;
+ * the LM pity is the Non-LM mythics hit since the last LM. Both are capped at what the active rules allow.
+ * @param {PullSession[]} sessions - The pull log, oldest first.
+ * @param {number} hardPity - The mythic hard pity.
+ * @param {number} nmGuarantee - Non-LM mythics in a row before the next mythic is guaranteed to be the LM.
+ * @returns {{currentMythicPity: number, currentLMPity: number}} The derived pity counts.
+ */
+function derivePityFromHistory(sessions, hardPity, nmGuarantee) {
+    let mythicPity = 0;
+    let lmPity = 0;
+    sessions.forEach(session => {
+        if (session.outcomes.length === 0) {
+            mythicPity += session.anvilsSpent;
+            return;
+        }
+        mythicPity = session.pullsAfterLastMythic;
+        session.outcomes.forEach(outcome => { lmPity = outcome === 'LM' ? 0 : lmPity + 1; });
+    });
+    return { currentMythicPity: Math.min(mythicPity, hardPity - 1), currentLMPity: Math.min(lmPity, nmGuarantee) };
+}
+
+/**
+ * Derives the current pity counts from the pull log, using the hard pity entered in the calculator.
+ * @returns {{currentMythicPity: number, currentLMPity: number}} The derived pity counts.
+ */
+function getPullHistoryPity() {
+    const hardPity = parseInt(DOM.mythicHardPityInput.value, 10) || getActiveRuleProfile().mythicHardPity;
+    return derivePityFromHistory(state.pullHistory, hardPity, getActiveRuleProfile().nmGuarantee);
+}
+
+/**
+ * Copies the pity counts derived from the pull log into the calculator inputs and recalculates.
+ * @param {string} source - What triggered the prefill, for analytics.
+ */
+function applyPullHistoryPity(source) {
+    if (state.pullHistory.length === 0) return;
+    const { currentMythicPity, currentLMPity } = getPullHistoryPity();
+    DOM.currentMythicPityInput.value = currentMythicPity.toString();
+    DOM.currentLMPityInput.value = currentLMPity.toString();
+    logAnalyticEvent('pull_history_pity_applied', { source, mythic_pity: currentMythicPity, lm_pity: currentLMPity });
+    if (!state.isGuidedMode) runAllCalculations('pull_history_pity_applied');
+}
+
+/**
+ * Validates the pull log form and saves the session, then reloads the log and applies the new pity counts.
+ * @async
+ */
+async function addPullSession() {
+    if (!state.pullHistoryColRef) {
+        UI.displayNotification('Sign in to keep a pull log.', 'info', 'pull_history');
+        return;
+    }
+    const anvilsSpent = parseInt(DOM.pullLogAnvilsInput.value, 10);
+    const outcomes = parsePullOutcomes(DOM.pullLogOutcomesInput.value);
+    const pullsAfterText = DOM.pullLogPullsAfterInput.value.trim();
+    const pullsAfterLastMythic = pullsAfterText === '' ? 0 : Number(pullsAfterText);
+    const hardPity = parseInt(DOM.mythicHardPityInput.value, 10) || getActiveRuleProfile().mythicHardPity;
+
+    let error = null;
+    if (!(Number.isInteger(anvilsSpent) && anvilsSpent > 0)) error = 'Anvils spent must be a whole number above 0.';
+    else if (outcomes === null) error = 'List the Mythics you hit as LM or NM, in order (e.g. "NM, NM, LM").';
+    else if (outcomes.length > anvilsSpent) error = 'You cannot hit more Mythics than Anvils spent.';
+    else if (outcomes.length > 0 && !(Number.isInteger(pullsAfterLastMythic) && pullsAfterLastMythic >= 0 && pullsAfterLastMythic <= anvilsSpent - outcomes.length && pullsAfterLastMythic < hardPity)) {
+        error = `Pulls after the last Mythic must be 0 to ${Math.min(anvilsSpent - outcomes.length, hardPity - 1)}.`;
+    }
+    if (error) {
+        UI.displayNotification(error, 'error', 'pull_history');
+        return;
+    }
+
+    UI.setButtonLoadingState(DOM.addPullSessionBtn, true);
+    try {
+        await savePullSession({ anvilsSpent, outcomes, pullsAfterLastMythic: outcomes.length === 0 ? anvilsSpent : pullsAfterLastMythic });
+        [DOM.pullLogAnvilsInput, DOM.pullLogOutcomesInput, DOM.pullLogPullsAfterInput].forEach(input => { input.value = ''; });
+        await loadPullHistory();
+        applyPullHistoryPity('session_logged');
+        UI.displayNotification('Session logged. Your pity counts have been updated.', 'success', 'pull_history');
+    } catch (saveError) {
+        console.error("Error saving pull session:", saveError);
+        UI.displayNotification('Could not save the session. Please try again.', 'error', 'pull_history');
+    } finally {
+        UI.setButtonLoadingState(DOM.addPullSessionBtn, false);
+    }
+}
+
+/**
+ * Deletes a logged session after confirmation, then reloads the log.
+ * @async
+ * @param {PullSession} session - The session to delete.
+ */
+async function removePullSession(session) {
+    if (!window.confirm(`Delete the ${session.anvilsSpent}-Anvil session from your pull log?`)) return;
+    try {
+        await deletePullSession(session.id);
+        await loadPullHistory();
+    } catch (deleteError) {
+        console.error("Error deleting pull session:", deleteError);
+        UI.displayNotification('Could not delete the session. Please try again.', 'error', 'pull_history');
+    }
+}
+
+/**
+ * Re-renders the pull log table, the derived pity counts and the luck comparison.
+ */
+function renderPullHistory() {
+    if (!DOM.pullHistoryTableBody) return;
+    const hasSessions = state.pullHistory.length > 0;
+    DOM.pullHistoryEmpty.classList.toggle('hidden', hasSessions);
+    DOM.pullHistoryResults.classList.toggle('hidden', !hasSessions);
+    DOM.pullHistoryTableBody.innerHTML = '';
+    if (!hasSessions) return;
+
+    const { currentMythicPity, currentLMPity } = getPullHistoryPity();
+    DOM.pullHistoryPity.innerHTML = `From your log: <strong>${currentMythicPity}</strong> pulls since your last Mythic, <strong>${currentLMPity}</strong> Non-LM Mythics since your last LM.`;
+
+    [...state.pullHistory].reverse().forEach(session => {
+        const row = document.createElement('tr');
+        row.className = 'border-t border-gray-200';
+        const cells = [
+            session.createdAt ? session.createdAt.toLocaleDateString() : 'Just now',
+            session.anvilsSpent.toString(),
+            session.outcomes.length > 0 ? session.outcomes.join(', ') : 'None',
+            session.outcomes.length > 0 ? session.pullsAfterLastMythic.toString() : '--',
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.className = 'py-2 px-2';
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        const actionCell = document.createElement('td');
+        actionCell.className = 'py-2 px-2';
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-secondary px-3 py-1';
+        removeBtn.textContent = 'Delete';
+        removeBtn.setAttribute('aria-label', `Delete the ${session.anvilsSpent}-Anvil session`);
+        removeBtn.addEventListener('click', () => removePullSession(session));
+        actionCell.appendChild(removeBtn);
+        row.appendChild(actionCell);
+        DOM.pullHistoryTableBody.appendChild(row);
+    });
+    renderPullHistoryLuck();
+}
+
+/**
+ * Compares the logged Mythic hits against the expected rate from the last EV run, as a summary and a cumulative chart.
+ */
+function renderPullHistoryLuck() {
+    if (!DOM.pullHistoryLuckSummary || state.pullHistory.length === 0) return;
+    const expectation = state.pullHistoryExpectation;
+    if (!expectation || !(expectation.drawsPerMythic > 0)) {
+        DOM.pullHistoryLuckSummary.textContent = 'Run a calculation to compare your luck with the expected rates.';
+        return;
+    }
+
+    const labels = [];
+    const actualMythics = [];
+    const expectedMythics = [];
+    let totalAnvils = 0;
+    let totalMythics = 0;
+    let totalLMs = 0;
+    state.pullHistory.forEach((session, index) => {
+        totalAnvils += session.anvilsSpent;
+        totalMythics += session.outcomes.length;
+        totalLMs += session.outcomes.filter(outcome => outcome === 'LM').length;
+        labels.push(session.createdAt ? `${index + 1} (${session.createdAt.toLocaleDateString()})` : `${index + 1}`);
+        actualMythics.push(totalMythics);
+        expectedMythics.push(totalAnvils / expectation.drawsPerMythic);
+    });
+
+    const expectedTotal = totalAnvils / expectation.drawsPerMythic;
+    const luckPercent = expectedTotal > 0 ? (totalMythics / expectedTotal - 1) * 100 : 0;
+    const luckText = Math.abs(luckPercent) < 0.5 ? 'right on the expected rate' : `${Math.abs(luckPercent).toFixed(0)}% ${luckPercent > 0 ? 'more' : 'fewer'} Mythics than expected`;
+    const lmText = totalMythics > 0 ? ` ${totalLMs} ${totalLMs === 1 ? 'was' : 'were'} the LM (expected about ${(totalMythics * expectation.lmShare).toFixed(1)}).` : '';
+    DOM.pullHistoryLuckSummary.innerHTML = `<strong>${totalMythics}</strong> Mythics in <strong>${totalAnvils}</strong> Anvils, against about ${expectedTotal.toFixed(1)} expected: ${luckText}.${lmText}`;
+    updatePullHistoryLuckChart(labels, actualMythics, expectedMythics);
+}
+
+/**
+ * Draws the cumulative actual vs expected Mythics chart for the pull log.
+ * @param {string[]} labels - One label per session, oldest first.
+ * @param {number[]} actualMythics - Cumulative Mythics hit after each session.
+ * @param {number[]} expectedMythics - Cumulative Mythics expected after each session's Anvils.
+ */
+function updatePullHistoryLuckChart(labels, actualMythics, expectedMythics) {
+    const data = {
+        labels,
+        datasets: [
+            { type: 'line', label: 'Actual Mythics', data: actualMythics, borderColor: 'rgba(59, 130, 246, 1)', backgroundColor: 'rgba(59, 130, 246, 0.2)', tension: 0.1 },
+            { type: 'line', label: 'Expected Mythics', data: expectedMythics, borderColor: 'rgba(16, 185, 129, 1)', backgroundColor: 'rgba(16, 185, 129, 0.2)', borderDash: [6, 4], tension: 0.1 },
+        ],
+    };
+    const options = { responsive: true, maintainAspectRatio: false, scales: { y: { beginAtZero: true, title: { display: true, text: 'Cumulative Mythics', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { color: CONSTANTS.CHART_STYLING.GRID_COLOR }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, x: { title: { display: true, text: 'Session', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { display: false }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR, autoSkip: true, maxTicksLimit: 12 } } }, plugins: { legend: { labels: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, tooltip: { backgroundColor: CONSTANTS.CHART_STYLING.TOOLTIP_BG_COLOR, titleColor: CONSTANTS.CHART_STYLING.TITLE_COLOR, bodyColor: CONSTANTS.CHART_STYLING.FONT_COLOR, callbacks: { label: context => `${context.dataset.label}: ${context.parsed.y.toFixed(1)}` } } } };
+    createChart('pullHistoryLuckChart', data, options);
+}
+
+// =================================================================================================
+// #region: --- SHARING & PRESETS ---
+// =================================================================================================
+
+/**
+ * Every calculator input needed to restore a view, stored as the raw text of each field so a restored scenario
+ * matches the original exactly. Fields left empty are omitted.
+ * @typedef {Object.<string, string>} CalculatorScenario
+ */
+
+/**
+ * Maps each scenario field that mirrors a form control onto that control.
+ * @returns {Object.<string, HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement|null>} The controls, keyed by scenario field.
+ */
+function getScenarioInputElements() {
+    return {
+        mythicProbability: DOM.mythicProbabilityInput, mythicHardPity: DOM.mythicHardPityInput, lmRateUpChance: DOM.lmRateUpChanceInput,
+        currentMythicPity: DOM.currentMythicPityInput, currentLMPity: DOM.currentLMPityInput, lmShardsYield: DOM.lmShardsYieldInput,
+        startLevel: DOM.startStarLevelSelect, targetLevel: DOM.targetStarLevelSelect, anvilBudget: DOM.anvilBudgetInput,
+        method: DOM.simulationMethodSelect, seed: DOM.simulationSeedInput,
+        softPityMode: DOM.softPityModeSelect, softPityStartPull: DOM.softPityStartPullInput, softPityRampStep: DOM.softPityRampStepInput, softPityTable: DOM.softPityTableInput,
+        nmBonusTable: DOM.nmBonusTableInput, nmBonusMaxTriggers: DOM.nmBonusMaxTriggersInput,
+        incomeDaily: DOM.incomeDailyInput, incomeWeeklyEvents: DOM.incomeWeeklyEventsInput, incomeBattlePass: DOM.incomeBattlePassInput,
+        incomeBattlePassDays: DOM.incomeBattlePassDaysInput, incomeMonthlyPacks: DOM.incomeMonthlyPacksInput,
+    };
+}
+
+/**
+ * Captures the current calculator view as a scenario.
+ * @returns {CalculatorScenario} The scenario.
+ */
+function collectScenario() {
+    const scenario = {
+        profileId: state.activeRuleProfileId,
+        view: state.isGuidedMode ? 'guided' : 'advanced',
+        includeUnlock: state.isUnlockCostIncluded ? '1' : '0',
+    };
+    if (DOM.lmChampionSelect.value) scenario.championName = DOM.lmChampionSelect.value;
+    Object.entries(getScenarioInputElements()).forEach(([key, el]) => {
+        if (el && el.value !== '') scenario[key] = el.value;
+    });
+    return scenario;
+}
+
+/**
+ * Encodes a scenario as a URL hash using the short keys from `CONSTANTS.SCENARIO_URL_KEYS`.
+ * @param {CalculatorScenario} scenario - The scenario to encode.
+ * @returns {string} The hash, without the leading '#'.
+ */
+function encodeScenario(scenario) {
+    const params = new URLSearchParams();
+    Object.entries(CONSTANTS.SCENARIO_URL_KEYS).forEach(([key, shortKey]) => {
+        if (scenario[key] !== undefined && scenario[key] !== '') params.set(shortKey, scenario[key]);
+    });
+    return params.toString();
+}
+
+/**
+ * Reads a shared scenario from the page's URL hash.
+ * @returns {CalculatorScenario|null} The scenario, or null if the hash holds none.
+ */
+function readScenarioFromUrl() {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const scenario = {};
+    Object.entries(CONSTANTS.SCENARIO_URL_KEYS).forEach(([key, shortKey]) => {
+        if (params.has(shortKey)) scenario[key] = params.get(shortKey);
+    });
+    return Object.keys(scenario).length > 0 ? scenario : null;
+}
+
+/**
+ * Selects a champion in the guidance picker, if the champion list has loaded and includes it.
+ * @param {string} championName - The champion's name.
+ * @returns {boolean} Whether the champion was selected.
+ */
+function selectGuidanceChampion(championName) {
+    return DOM.lmChampionPicker.select(championName);
+}
+
+/**
+ * Restores a scenario: the rule profile, the view, every input and the selected champion, then recalculates.
+ * Safe to call again once rule profiles and champions have loaded; fields that cannot be restored yet are skipped.
+ * @param {CalculatorScenario} scenario - The scenario to restore.
+ */
+function applyScenario(scenario) {
+    if (scenario.profileId && state.ruleProfiles.some(profile => profile.id === scenario.profileId)) {
+        if (DOM.ruleProfileSelect) DOM.ruleProfileSelect.value = scenario.profileId;
+        applyRuleProfile(scenario.profileId, { updateInputs: false });
+    }
+    const showGuided = scenario.view === 'guided';
+    if (showGuided !== state.isGuidedMode) setView(showGuided);
+
+    Object.entries(getScenarioInputElements()).forEach(([key, el]) => {
+        if (!el || scenario[key] === undefined) return;
+        // A star level missing from the active shard table would leave the select blank, so keep the current choice.
+        if (el.tagName === 'SELECT' && !Array.from(el.options).some(option => option.value === scenario[key])) return;
+        el.value = scenario[key];
+    });
+    UI.updateSoftPityEditorVisibility();
+    renderIncomeForecast();
+    state.isUnlockCostIncluded = scenario.includeUnlock === '1';
+    UI.updateToggleUnlockButtonAppearance();
+    // Inputs now come from the scenario, so later profile and pull-log loads must not overwrite them.
+    state.hasEditedInputs = true;
+
+    const hasChampion = scenario.championName ? selectGuidanceChampion(scenario.championName) : false;
+    if (!state.isGuidedMode) runAllCalculations('scenario_applied');
+    else if (hasChampion && state.wizardCurrentStep !== CONSTANTS.WIZARD_MAX_STEPS + 1) navigateToWizardStep(CONSTANTS.WIZARD_MAX_STEPS + 1);
+}
+
+/**
+ * Writes the current scenario into the page URL and copies the link to the clipboard.
+ * @async
+ */
+async function shareScenario() {
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${encodeScenario(collectScenario())}`;
+    window.history.replaceState(null, '', url);
+    DOM.scenarioShareLink.value = url;
+    DOM.scenarioShareLink.classList.remove('hidden');
+    try {
+        await navigator.clipboard.writeText(url);
+        UI.displayNotification('Link copied! Anyone opening it sees this exact scenario.', 'success', 'scenario');
+    } catch (error) {
+        DOM.scenarioShareLink.select();
+        UI.displayNotification('Copy the link below to share this scenario.', 'info', 'scenario');
+    }
+    logAnalyticEvent('scenario_link_shared', { view: state.isGuidedMode ? 'guided' : 'advanced' });
+}
+
+/**
+ * Re-renders the saved presets dropdown.
+ */
+function renderCalculatorPresets() {
+    if (!DOM.scenarioPresetSelect) return;
+    DOM.scenarioPresetSelect.innerHTML = '';
+    DOM.scenarioPresetSelect.add(new Option(state.calculatorPresets.length > 0 ? '-- Load a Saved Preset --' : '-- No Saved Presets --', ''));
+    state.calculatorPresets.forEach(preset => DOM.scenarioPresetSelect.add(new Option(preset.name, preset.id)));
+    DOM.scenarioPresetSelect.disabled = state.calculatorPresets.length === 0;
+    DOM.deletePresetBtn.disabled = true;
+}
+
+/**
+ * Restores the preset picked in the dropdown.
+ */
+function loadSelectedPreset() {
+    const preset = state.calculatorPresets.find(p => p.id === DOM.scenarioPresetSelect.value);
+    DOM.deletePresetBtn.disabled = !preset;
+    if (!preset) return;
+    DOM.presetNameInput.value = preset.name;
+    applyScenario(preset.scenario);
+    UI.displayNotification(`Loaded "${preset.name}".`, 'success', 'scenario');
+    logAnalyticEvent('calculator_preset_loaded');
+}
+
+/**
+ * Saves the current scenario under the name entered, then reloads the presets.
+ * @async
+ */
+async function saveCurrentPreset() {
+    if (!state.presetsColRef) {
+        UI.displayNotification('Sign in to save presets.', 'info', 'scenario');
+        return;
+    }
+    const name = DOM.presetNameInput.value.trim();
+    if (!name || name.length > CONSTANTS.MAX_PRESET_NAME_LENGTH) {
+        UI.displayNotification(`Enter a preset name of 1 to ${CONSTANTS.MAX_PRESET_NAME_LENGTH} characters.`, 'error', 'scenario');
+        return;
+    }
+    UI.setButtonLoadingState(DOM.savePresetBtn, true);
+    try {
+        await saveCalculatorPreset(name, collectScenario());
+        await loadCalculatorPresets();
+        const saved = state.calculatorPresets.find(preset => preset.name === name);
+        if (saved) {
+            DOM.scenarioPresetSelect.value = saved.id;
+            DOM.deletePresetBtn.disabled = false;
+        }
+        UI.displayNotification(`Saved "${name}".`, 'success', 'scenario');
+    } catch (error) {
+        console.error("Error saving calculator preset:", error);
+        UI.displayNotification('Could not save the preset. Please try again.', 'error', 'scenario');
+    } finally {
+        UI.setButtonLoadingState(DOM.savePresetBtn, false);
+    }
+}
+
+/**
+ * Deletes the preset picked in the dropdown after confirmation.
+ * @async
+ */
+async function deleteSelectedPreset() {
+    const preset = state.calculatorPresets.find(p => p.id === DOM.scenarioPresetSelect.value);
+    if (!preset || !window.confirm(`Delete the preset "${preset.name}"?`)) return;
+    try {
+        await deleteCalculatorPreset(preset.id);
+        await loadCalculatorPresets();
+        UI.displayNotification(`Deleted "${preset.name}".`, 'success', 'scenario');
+    } catch (error) {
+        console.error("Error deleting calculator preset:", error);
+        UI.displayNotification('Could not delete the preset. Please try again.', 'error', 'scenario');
+    }
+}
+
+// =================================================================================================
+// #region: --- SCENARIO COMPARISON ---
+// =================================================================================================
+
+/**
+ * Describes the current goal for a pinned scenario's default label, e.g. "Batman: Base → Gold 3-Star, 400 Anvils".
+ * @returns {string} The label.
+ */
+function describeCurrentScenario() {
+    const start = DOM.startStarLevelSelect.value === '0_shards' ? 'Base' : DOM.startStarLevelSelect.value;
+    const unlock = state.isUnlockCostIncluded ? ' + unlock' : '';
+    const champion = DOM.lmChampionSelect.value ? `${DOM.lmChampionSelect.value}: ` : '';
+    return `${champion}${start} → ${DOM.targetStarLevelSelect.value}${unlock}, ${DOM.anvilBudgetInput.value} Anvils`.slice(0, CONSTANTS.MAX_PRESET_NAME_LENGTH);
+}
+
+/**
+ * Validates the current inputs and pins them for comparison, up to `CONSTANTS.MAX_COMPARISON_SCENARIOS`.
+ */
+function pinCurrentScenario() {
+    if (state.comparisonScenarios.length >= CONSTANTS.MAX_COMPARISON_SCENARIOS) {
+        UI.displayNotification(`You can compare up to ${CONSTANTS.MAX_COMPARISON_SCENARIOS} scenarios. Remove one first.`, 'info', 'comparison');
+        return;
+    }
+    const inputs = validateAndGetInputs();
+    if (!inputs.isValid) {
+        UI.displayNotification('Please correct the highlighted input errors above.', 'error', 'comparison');
+        return;
+    }
+    const scenario = collectScenario();
+    const isDuplicate = state.comparisonScenarios.some(pinned => encodeScenario(pinned.scenario) === encodeScenario(scenario));
+    if (isDuplicate) {
+        UI.displayNotification('This scenario is already pinned.', 'info', 'comparison');
+        return;
+    }
+    state.comparisonScenarios.push({ label: describeCurrentScenario(), scenario, payload: buildCalculatePayload(inputs.data) });
+    DOM.comparisonResults.classList.add('hidden');
+    renderComparisonScenarios();
+    logAnalyticEvent('comparison_scenario_pinned', { count: state.comparisonScenarios.length });
+}
+
+/**
+ * Re-renders the list of pinned scenarios from `state.comparisonScenarios`.
+ */
+function renderComparisonScenarios() {
+    if (!DOM.comparisonList) return;
+    DOM.comparisonList.innerHTML = '';
+    DOM.comparisonEmpty.classList.toggle('hidden', state.comparisonScenarios.length > 0);
+    DOM.compareScenariosBtn.disabled = state.comparisonScenarios.length < 2;
+    DOM.pinScenarioBtn.disabled = state.comparisonScenarios.length >= CONSTANTS.MAX_COMPARISON_SCENARIOS;
+
+    state.comparisonScenarios.forEach((pinned, index) => {
+        const row = document.createElement('div');
+        row.className = 'result-box flex flex-wrap items-center gap-3';
+        const swatch = document.createElement('span');
+        swatch.className = 'inline-block w-3 h-3 rounded-full';
+        swatch.style.backgroundColor = CONSTANTS.COMPARISON_COLORS[index];
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.className = 'flex-1';
+        labelInput.maxLength = CONSTANTS.MAX_PRESET_NAME_LENGTH;
+        labelInput.value = pinned.label;
+        labelInput.setAttribute('aria-label', `Scenario ${index + 1} name`);
+        labelInput.addEventListener('input', () => { pinned.label = labelInput.value.trim() || `Scenario ${index + 1}`; });
+
+        const loadBtn = document.createElement('button');
+        loadBtn.type = 'button';
+        loadBtn.className = 'btn btn-secondary px-3 py-2';
+        loadBtn.textContent = 'Load';
+        loadBtn.setAttribute('aria-label', `Load scenario ${index + 1} into the calculator`);
+        loadBtn.addEventListener('click', () => {
+            applyScenario(pinned.scenario);
+            logAnalyticEvent('comparison_scenario_loaded');
+        });
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'btn btn-secondary px-3 py-2';
+        removeBtn.textContent = 'Remove';
+        removeBtn.setAttribute('aria-label', `Remove scenario ${index + 1}`);
+        removeBtn.addEventListener('click', () => removeComparisonScenario(index));
+
+        row.append(swatch, labelInput, loadBtn, removeBtn);
+        DOM.comparisonList.appendChild(row);
+    });
+}
+
+/**
+ * Unpins a scenario.
+ * @param {number} index - The scenario's position.
+ */
+function removeComparisonScenario(index) {
+    state.comparisonScenarios.splice(index, 1);
+    DOM.comparisonResults.classList.add('hidden');
+    renderComparisonScenarios();
+}
+
+/**
+ * Asks the worker to calculate every pinned scenario, then renders them side by side.
+ */
+function runScenarioComparison() {
+    if (state.comparisonScenarios.length < 2) return;
+    const pinned = state.comparisonScenarios.slice();
+    logAnalyticEvent('comparison_triggered', { scenarios: pinned.length });
+    UI.setButtonLoadingState(DOM.compareScenariosBtn, true);
+    UI.updateSimulationProgress(0);
+
+    requestWorkerCalculation({ scenarios: pinned.map(({ payload }) => payload) }, { onProgress: (percent) => UI.updateSimulationProgress(percent) }, 'compare')
+        .then(comparison => {
+            UI.updateSimulationProgress(null);
+            UI.setButtonLoadingState(DOM.compareScenariosBtn, false);
+            renderScenarioComparison(comparison, pinned.map(({ label }) => label));
+        })
+        .catch(error => {
+            // Only a newer comparison cancels this one, and it takes over the loading state.
+            if (error.isCancelled) return;
+            UI.updateSimulationProgress(null);
+            UI.setButtonLoadingState(DOM.compareScenariosBtn, false);
+            console.error("Scenario comparison failed:", error);
+            UI.displayNotification('The comparison failed. Please try again.', 'error', 'comparison');
+            logAnalyticEvent('comparison_completed', { status: 'error', error_message: error.message });
+        });
+}
+
+/**
+ * Renders the comparison table and the overlaid histograms.
+ * @param {{labels: string[], scenarios: Array<object>}} comparison - The comparison from `compareScenarios` in anvil-math.js.
+ * @param {string[]} names - The pinned scenarios' labels, in the same order.
+ */
+function renderScenarioComparison(comparison, names) {
+    DOM.comparisonResults.classList.remove('hidden');
+    DOM.comparisonTableBody.innerHTML = '';
+    const formatAnvil = (value) => Number.isFinite(value) ? Math.ceil(value).toString() : 'Inf';
+    comparison.scenarios.forEach((result, index) => {
+        const row = document.createElement('tr');
+        row.className = 'border-t border-gray-200';
+        const cells = !result.isValid
+            ? [names[index], result.errorMessage || 'Calculation failed', '', '', '', '']
+            : [
+                names[index],
+                formatAnvil(result.anvilsAvg),
+                formatAnvil(result.anvilsBest),
+                formatAnvil(result.anvilsWorst),
+                `${result.probability.histData.successRate.toFixed(1)}%`,
+                Number.isFinite(result.probability.histData.medianCost) ? Math.round(result.probability.histData.medianCost).toString() : 'N/A',
+            ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.className = 'py-2 px-2';
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        row.firstChild.style.borderLeft = `4px solid ${CONSTANTS.COMPARISON_COLORS[index]}`;
+        DOM.comparisonTableBody.appendChild(row);
+    });
+    updateComparisonChart(comparison, names);
+    logAnalyticEvent('comparison_completed', { status: 'success', scenarios: comparison.scenarios.length });
+}
+
+/**
+ * Draws the pinned scenarios' cost distributions as overlaid histograms on shared Anvil ranges.
+ * @param {{labels: string[], scenarios: Array<{isValid: boolean, binnedPercent?: number[]}>}} comparison - The comparison from the worker.
+ * @param {string[]} names - The pinned scenarios' labels, in the same order.
+ */
+function updateComparisonChart(comparison, names) {
+    const datasets = comparison.scenarios
+        .map((result, index) => result.isValid ? { label: names[index], data: result.binnedPercent, backgroundColor: `${CONSTANTS.COMPARISON_COLORS[index]}66`, borderColor: CONSTANTS.COMPARISON_COLORS[index], borderWidth: 1, grouped: false } : null)
+        .filter(Boolean);
+    const data = { labels: comparison.labels, datasets };
+    const options = { responsive: true, maintainAspectRatio: false, scales: { y: { beginAtZero: true, title: { display: true, text: 'Probability (%)', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { color: CONSTANTS.CHART_STYLING.GRID_COLOR }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, x: { title: { display: true, text: 'Anvils Spent', color: CONSTANTS.CHART_STYLING.TITLE_COLOR }, grid: { display: false }, ticks: { color: CONSTANTS.CHART_STYLING.FONT_COLOR, autoSkip: true, maxTicksLimit: 15 } } }, plugins: { legend: { labels: { color: CONSTANTS.CHART_STYLING.FONT_COLOR } }, tooltip: { backgroundColor: CONSTANTS.CHART_STYLING.TOOLTIP_BG_COLOR, titleColor: CONSTANTS.CHART_STYLING.TITLE_COLOR, bodyColor: CONSTANTS.CHART_STYLING.FONT_COLOR, callbacks: { label: context => `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%` } } } };
+    createChart('comparisonChart', data, options);
 }
 
 // =================================================================================================
@@ -1153,43 +3109,49 @@ function attachEventListeners() {
     // --- View and Wizard ---
     DOM.switchToGuidedBtn.addEventListener('click', () => setView(true));
     DOM.switchToAdvancedBtn.addEventListener('click', () => setView(false));
-    DOM.wizardNextBtn.addEventListener('click', () => {
-        if (state.wizardCurrentStep === CONSTANTS.WIZARD_MAX_STEPS) {
-            navigateToWizardStep(3); // Go to results step
-        } else {
-            navigateToWizardStep(state.wizardCurrentStep + 1);
-        }
-    });
+    DOM.wizardNextBtn.addEventListener('click', () => navigateToWizardStep(state.wizardCurrentStep + 1)); // After the last input step comes the results step
     DOM.wizardBackBtn.addEventListener('click', () => navigateToWizardStep(state.wizardCurrentStep - 1));
-
-    // --- Custom Dropdown Logic ---
-    DOM.customDropdownTrigger.addEventListener('click', () => {
-        const isExpanded = DOM.customDropdownTrigger.getAttribute('aria-expanded') === 'true';
-        DOM.customDropdownOptions.classList.toggle('hidden', isExpanded);
-        DOM.customDropdownTrigger.setAttribute('aria-expanded', !isExpanded);
+    DOM.wizardUsePullLogBtn.addEventListener('click', () => applyPullHistoryPity('wizard'));
+    DOM.wizardAdvancedLink.addEventListener('click', (event) => {
+        event.preventDefault();
+        window.history.replaceState(null, '', DOM.wizardAdvancedLink.href);
+        setView(false);
+        runAllCalculations('wizard_open_advanced');
     });
 
-    // Close dropdown when clicking outside
-    document.addEventListener('click', (event) => {
-        if (!DOM.customChampionDropdown.contains(event.target)) {
-            DOM.customDropdownOptions.classList.add('hidden');
-            DOM.customDropdownTrigger.setAttribute('aria-expanded', 'false');
-        }
+    // --- Champion Picker ---
+    // Mirror the pick onto the hidden input, with its recommendations, so the rest of the page reads one place.
+    DOM.lmChampionPicker.addEventListener('change', (event) => {
+        const champion = state.lmChampions.find(c => c.name === event.detail.value);
+        DOM.lmChampionSelect.value = event.detail.value;
+        DOM.lmChampionSelect.dataset.recMin = champion ? champion.recMin : 'not set';
+        DOM.lmChampionSelect.dataset.recF2p = champion ? champion.recF2p : 'not set';
+        DOM.lmChampionSelect.dispatchEvent(new Event('change'));
     });
 
     // --- Champion Guidance ---
     DOM.f2pRecBtn.addEventListener('click', handleChampionGuidance);
     DOM.minRecBtn.addEventListener('click', handleChampionGuidance);
     
-    // Listen for the change event on the hidden input, which is fired by the custom dropdown logic.
+    // Listen for the change event on the hidden input, which is fired by the champion picker handler.
     DOM.lmChampionSelect.addEventListener('change', () => {
         DOM.guidanceButtons.classList.toggle('hidden', !DOM.lmChampionSelect.value);
     });
 
+    // --- Rule Profiles ---
+    if (DOM.ruleProfileSelect) {
+        DOM.ruleProfileSelect.addEventListener('change', () => {
+            applyRuleProfile(DOM.ruleProfileSelect.value);
+            logAnalyticEvent('rule_profile_selected', { profile_id: DOM.ruleProfileSelect.value });
+        });
+    }
+
     // --- Calculation Triggers ---
     DOM.calculateBtn.addEventListener('click', () => runAllCalculations('ev_button_click'));
-    const evTriggerInputs = [ DOM.mythicProbabilityInput, DOM.mythicHardPityInput, DOM.lmRateUpChanceInput, DOM.currentMythicPityInput, DOM.currentLMPityInput, DOM.lmShardsYieldInput, DOM.startStarLevelSelect, DOM.targetStarLevelSelect, DOM.anvilBudgetInput ];
-    evTriggerInputs.forEach(el => { if(el) el.addEventListener('input', (e) => { if (!state.isGuidedMode) runAllCalculations(`input_change_${e.target.id}`); }); });
+    if (DOM.softPityModeSelect) DOM.softPityModeSelect.addEventListener('change', () => UI.updateSoftPityEditorVisibility());
+    const evTriggerInputs = [ DOM.mythicProbabilityInput, DOM.mythicHardPityInput, DOM.lmRateUpChanceInput, DOM.currentMythicPityInput, DOM.currentLMPityInput, DOM.lmShardsYieldInput, DOM.startStarLevelSelect, DOM.targetStarLevelSelect, DOM.anvilBudgetInput, DOM.simulationMethodSelect, DOM.simulationSeedInput, DOM.softPityModeSelect, DOM.softPityStartPullInput, DOM.softPityRampStepInput, DOM.softPityTableInput, DOM.nmBonusTableInput, DOM.nmBonusMaxTriggersInput ];
+    evTriggerInputs.forEach(el => { if(el) el.addEventListener('input', (e) => { state.hasEditedInputs = true; if (!state.isGuidedMode) { cancelActiveSimulation('calculate'); runAllCalculations(`input_change_${e.target.id}`); } }); });
+    if (DOM.stopLossModeCheckbox) DOM.stopLossModeCheckbox.addEventListener('change', () => { if (!state.isGuidedMode) runAllCalculations('stop_loss_toggled'); });
     DOM.toggleUnlockCostBtn.addEventListener('click', () => {
         state.isUnlockCostIncluded = !state.isUnlockCostIncluded;
         UI.updateToggleUnlockButtonAppearance();
@@ -1197,6 +3159,49 @@ function attachEventListeners() {
         if (!state.isGuidedMode) runAllCalculations('toggle_unlock_cost');
     });
 
+    if (DOM.targetConfidenceInput) DOM.targetConfidenceInput.addEventListener('input', debounce(renderRequiredBudgets, CONSTANTS.DEBOUNCE_WAIT_MS));
+
+    // --- Income Forecast ---
+    const debouncedIncomeForecast = debounce(renderIncomeForecast, CONSTANTS.DEBOUNCE_WAIT_MS);
+    [DOM.incomeDailyInput, DOM.incomeWeeklyEventsInput, DOM.incomeBattlePassInput, DOM.incomeBattlePassDaysInput, DOM.incomeMonthlyPacksInput]
+        .forEach(el => { if (el) el.addEventListener('input', () => { debouncedIncomeForecast(); renderWizardIncomeRate(); }); });
+
+    // --- Season Planner ---
+    if (DOM.addSeasonBannerBtn) {
+        DOM.addSeasonBannerBtn.addEventListener('click', addSeasonBanner);
+        DOM.planSeasonBtn.addEventListener('click', runSeasonPlan);
+    }
+
+    // --- Shard Sources ---
+    if (DOM.shardSourceChampionSelect) {
+        DOM.shardSourceChampionSelect.addEventListener('change', handleShardSourceChampionChange);
+        DOM.planShardSourcesBtn.addEventListener('click', runShardSourcePlan);
+        DOM.useLMCalculatorBtn.addEventListener('click', () => {
+            if (!selectGuidanceChampion(DOM.shardSourceChampionSelect.value)) return;
+            DOM.championGuidanceSection.scrollIntoView({ behavior: 'smooth' });
+        });
+    }
+
+    // --- Scenario Comparison ---
+    if (DOM.pinScenarioBtn) {
+        DOM.pinScenarioBtn.addEventListener('click', pinCurrentScenario);
+        DOM.compareScenariosBtn.addEventListener('click', runScenarioComparison);
+    }
+
+    // --- Sharing & Presets ---
+    if (DOM.shareScenarioBtn) {
+        DOM.shareScenarioBtn.addEventListener('click', shareScenario);
+        DOM.scenarioPresetSelect.addEventListener('change', loadSelectedPreset);
+        DOM.savePresetBtn.addEventListener('click', saveCurrentPreset);
+        DOM.deletePresetBtn.addEventListener('click', deleteSelectedPreset);
+    }
+
+    // --- Pull History ---
+    if (DOM.addPullSessionBtn) {
+        DOM.addPullSessionBtn.addEventListener('click', addPullSession);
+        DOM.applyPullHistoryPityBtn.addEventListener('click', () => applyPullHistoryPity('button_click'));
+    }
+
     // --- Analytics for Details/Summary Toggles ---
     document.querySelectorAll('details').forEach(detailsEl => {
         detailsEl.addEventListener('toggle', function() { logAnalyticEvent('details_section_toggled', { section_id: this.id || 'anonymous_details', is_open: this.open }); });
@@ -1208,12 +3213,20 @@ function attachEventListeners() {
  * @async
  */
 async function main() {
-    UI.populateStarLevels();
+    state.pendingScenario = readScenarioFromUrl();
+    state.ruleProfiles = [CONSTANTS.DEFAULT_RULE_PROFILE];
+    UI.populateRuleProfiles();
+    applyRuleProfile(state.activeRuleProfileId, { updateInputs: false });
     UI.updateToggleUnlockButtonAppearance();
     await initializeFirebaseAndAuth();
     logAnalyticEvent('page_view', { app_id: CONSTANTS.APP_ID, version: '3.2.2' });
     attachEventListeners();
-    runAllCalculations('initial_load');
+    if (state.pendingScenario) {
+        applyScenario(state.pendingScenario);
+        logAnalyticEvent('scenario_link_opened', { view: state.pendingScenario.view || 'advanced' });
+    } else {
+        runAllCalculations('initial_load');
+    }
 }
 
 // --- Start the application ---
@@ -0,0 +1,561 @@
+/**
+ * @file champion-picker.js
+ * @fileoverview <champion-picker>: a searchable champion dropdown shared by the Anvil Calculator and the Team Builder.
+ * - Type to filter by name; optional rarity, class and faction filters narrow the list further.
+ * - ARIA combobox + listbox: arrow keys move through the results, Enter picks, Escape closes, and a live region
+ *   announces how many champions match and which one was picked.
+ * - Avatars are only loaded once their row scrolls into view.
+ *
+ * Usage:
+ *   <champion-picker label="Select a champion" placeholder="-- Select --" filters="rarity class faction"></champion-picker>
+ *   picker.champions = [{ value, name, rarity, class, factions, imgSrc }];
+ *   picker.addEventListener('change', (event) => event.detail.value);
+ */
+
+const PICKER_TEMPLATE = `
+<style>
+    :host {
+        display: block;
+        position: relative;
+        font-size: 0.875rem;
+        color: var(--text-primary, #1e293b);
+    }
+    :host([disabled]) .field { background-color: #f1f5f9; cursor: not-allowed; }
+
+    .field {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        background-color: var(--bg-input, #ffffff);
+        border: 1px solid var(--border-input, #cbd5e1);
+        border-radius: 0.375rem;
+        box-shadow: 0 1px 2px var(--shadow-color, rgba(0, 0, 0, 0.1));
+        padding: 0.375rem 0.5rem 0.375rem 0.75rem;
+    }
+    .field:focus-within {
+        border-color: var(--border-focus, #3b82f6);
+        box-shadow: 0 0 0 3px var(--border-focus-shadow, rgba(59, 130, 246, 0.2));
+    }
+    .selected-avatar, .option img {
+        width: 1.5rem;
+        height: 1.5rem;
+        border-radius: 9999px;
+        flex-shrink: 0;
+        object-fit: cover;
+    }
+    .search {
+        flex: 1;
+        min-width: 0;
+        border: none;
+        outline: none;
+        background: transparent;
+        font: inherit;
+        color: inherit;
+        padding: 0.125rem 0;
+    }
+    .search::placeholder { color: var(--text-muted, #64748b); }
+    .toggle {
+        border: none;
+        background: transparent;
+        color: #9ca3af;
+        cursor: pointer;
+        padding: 0;
+        display: flex;
+    }
+    .toggle svg { width: 1.25rem; height: 1.25rem; }
+
+    .panel {
+        position: absolute;
+        z-index: 30;
+        left: 0;
+        right: 0;
+        margin-top: 0.25rem;
+        background-color: #ffffff;
+        border-radius: 0.375rem;
+        box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 0 0 1px rgba(0, 0, 0, 0.05);
+    }
+    .filters {
+        display: flex;
+        gap: 0.25rem;
+        padding: 0.375rem;
+        border-bottom: 1px solid var(--border-primary, #e2e8f0);
+    }
+    .filters select {
+        flex: 1;
+        min-width: 0;
+        font: inherit;
+        font-size: 0.75rem;
+        padding: 0.25rem;
+        border: 1px solid var(--border-input, #cbd5e1);
+        border-radius: 0.25rem;
+        background-color: #ffffff;
+    }
+    .listbox {
+        list-style: none;
+        margin: 0;
+        padding: 0.25rem 0;
+        max-height: 15rem;
+        overflow-y: auto;
+    }
+    .option {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+        padding: 0.5rem 0.75rem;
+        cursor: default;
+        user-select: none;
+    }
+    .option .meta {
+        margin-left: auto;
+        font-size: 0.75rem;
+        color: var(--text-muted, #64748b);
+        white-space: nowrap;
+    }
+    .option[aria-selected="true"] { font-weight: 600; }
+    .option.active, .option:hover { background-color: #4f46e5; color: #ffffff; }
+    .option.active .meta, .option:hover .meta { color: #e0e7ff; }
+    .empty { padding: 0.5rem 0.75rem; color: var(--text-muted, #64748b); margin: 0; }
+
+    [hidden] { display: none !important; }
+    .sr-only {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        padding: 0;
+        margin: -1px;
+        overflow: hidden;
+        clip: rect(0, 0, 0, 0);
+        white-space: nowrap;
+        border: 0;
+    }
+</style>
+<div class="field">
+    <img class="selected-avatar" alt="" hidden>
+    <input class="search" type="text" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="listbox" autocomplete="off" spellcheck="false">
+    <button type="button" class="toggle" tabindex="-1" aria-hidden="true">
+        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M10 3a1 1 0 01.707.293l3 3a1 1 0 01-1.414 1.414L10 5.414 7.707 7.707a1 1 0 01-1.414-1.414l3-3A1 1 0 0110 3zm-3.707 9.293a1 1 0 011.414 0L10 14.586l2.293-2.293a1 1 0 011.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clip-rule="evenodd" /></svg>
+    </button>
+</div>
+<div class="panel" hidden>
+    <div class="filters">
+        <select data-filter="rarity" aria-label="Filter by rarity"></select>
+        <select data-filter="class" aria-label="Filter by class"></select>
+        <select data-filter="faction" aria-label="Filter by faction"></select>
+    </div>
+    <ul id="listbox" class="listbox" role="listbox"></ul>
+    <p class="empty" hidden>No champions match.</p>
+</div>
+<div class="sr-only" role="status" aria-live="polite"></div>
+`;
+
+/** The filters a picker shows when it has no `filters` attribute. */
+const ALL_FILTERS = ['rarity', 'class', 'faction'];
+const FILTER_ALL_LABELS = { rarity: 'All rarities', class: 'All classes', faction: 'All factions' };
+
+/**
+ * Returns the avatar image path for a champion name, the same way both pages name the files.
+ * @param {string} name - The champion's name.
+ * @returns {string} The relative image path.
+ */
+export function getChampionAvatarSrc(name) {
+    return `img/champions/avatars/${(name || '').replace(/[^a-zA-Z0-9-_]/g, '')}.webp`;
+}
+
+/**
+ * @typedef {object} PickerChampion
+ * @property {string} value - The value reported when the champion is picked (e.g. a Firestore ID or the name).
+ * @property {string} name - The display name, also what the search matches.
+ * @property {string} [rarity] - Base rarity, for the rarity filter.
+ * @property {string} [class] - Class, for the class filter.
+ * @property {string[]} [factions] - Factions/synergies, for the faction filter.
+ * @property {string} [imgSrc] - Avatar path; defaults to `getChampionAvatarSrc(name)`.
+ */
+
+class ChampionPicker extends HTMLElement {
+    static get observedAttributes() {
+        return ['placeholder', 'label', 'disabled', 'filters'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open', delegatesFocus: true });
+        this.shadowRoot.innerHTML = PICKER_TEMPLATE;
+
+        /** @type {PickerChampion[]} */
+        this.championList = [];
+        /** @type {PickerChampion[]} */
+        this.filteredChampions = [];
+        this.selectedValue = '';
+        this.searchText = '';
+        this.activeIndex = -1;
+        this.filterValues = { rarity: '', class: '', faction: '' };
+        this.avatarObserver = null;
+        this.elements = this.getElements();
+        this.attachEventListeners();
+    }
+
+    connectedCallback() {
+        this.syncAttributes();
+        this.renderSelection();
+    }
+
+    disconnectedCallback() {
+        if (this.avatarObserver) this.avatarObserver.disconnect();
+    }
+
+    attributeChangedCallback() {
+        this.syncAttributes();
+    }
+
+    getElements() {
+        const sRoot = this.shadowRoot;
+        return {
+            field: sRoot.querySelector('.field'),
+            avatar: sRoot.querySelector('.selected-avatar'),
+            input: sRoot.querySelector('.search'),
+            toggle: sRoot.querySelector('.toggle'),
+            panel: sRoot.querySelector('.panel'),
+            filterSelects: Array.from(sRoot.querySelectorAll('[data-filter]')),
+            listbox: sRoot.getElementById('listbox'),
+            empty: sRoot.querySelector('.empty'),
+            status: sRoot.querySelector('[role="status"]'),
+        };
+    }
+
+    attachEventListeners() {
+        const { input, toggle, listbox } = this.elements;
+        input.addEventListener('focus', () => input.select());
+        input.addEventListener('click', () => this.open());
+        input.addEventListener('input', () => {
+            this.open();
+            this.searchText = input.value;
+            this.applyFilters();
+        });
+        input.addEventListener('keydown', (event) => this.handleKeydown(event));
+        toggle.addEventListener('click', () => {
+            if (this.isOpen) this.close();
+            else {
+                input.focus();
+                this.open();
+            }
+        });
+        this.elements.filterSelects.forEach(select => {
+            select.addEventListener('change', () => {
+                this.filterValues[select.dataset.filter] = select.value;
+                this.applyFilters();
+            });
+        });
+        // Keep focus in the search box while clicking the list, so the focusout below does not close it first.
+        listbox.addEventListener('mousedown', (event) => event.preventDefault());
+        listbox.addEventListener('click', (event) => {
+            const option = event.target.closest('[role="option"]');
+            if (option) this.choose(this.filteredChampions[Number(option.dataset.index)]);
+        });
+        this.shadowRoot.addEventListener('focusout', (event) => {
+            if (!this.shadowRoot.contains(event.relatedTarget)) this.close();
+        });
+    }
+
+    // --- Public API ---
+
+    /** @returns {PickerChampion[]} The champions on offer. */
+    get champions() {
+        return this.championList;
+    }
+
+    /**
+     * Replaces the champions on offer. The current value is kept, even if it is not in the new list.
+     * @param {PickerChampion[]} list
+     */
+    set champions(list) {
+        this.championList = (list || []).map(champ => ({
+            ...champ,
+            value: String(champ.value),
+            factions: champ.factions || [],
+            imgSrc: champ.imgSrc || getChampionAvatarSrc(champ.name),
+        }));
+        this.renderFilterOptions();
+        this.applyFilters();
+        this.renderSelection();
+    }
+
+    /** @returns {string} The picked champion's value, or '' if none. */
+    get value() {
+        return this.selectedValue;
+    }
+
+    /**
+     * Sets the picked champion without firing 'change'.
+     * @param {string} value
+     */
+    set value(value) {
+        this.selectedValue = value === null || value === undefined ? '' : String(value);
+        this.renderSelection();
+    }
+
+    /** @returns {PickerChampion|null} The picked champion, if it is in the list. */
+    get selectedChampion() {
+        return this.championList.find(champ => champ.value === this.selectedValue) || null;
+    }
+
+    get disabled() {
+        return this.hasAttribute('disabled');
+    }
+
+    set disabled(isDisabled) {
+        this.toggleAttribute('disabled', Boolean(isDisabled));
+    }
+
+    get placeholder() {
+        return this.getAttribute('placeholder') || '';
+    }
+
+    set placeholder(text) {
+        this.setAttribute('placeholder', text);
+    }
+
+    /**
+     * Picks a champion by value as if the user had chosen it, firing 'change'.
+     * @param {string} value
+     * @returns {boolean} Whether the champion is in the list.
+     */
+    select(value) {
+        const champion = this.championList.find(champ => champ.value === String(value));
+        if (!champion) return false;
+        this.choose(champion);
+        return true;
+    }
+
+    // --- Internals ---
+
+    get isOpen() {
+        return !this.elements.panel.hidden;
+    }
+
+    syncAttributes() {
+        const { input, filterSelects } = this.elements;
+        input.placeholder = this.placeholder;
+        input.setAttribute('aria-label', this.getAttribute('label') || 'Select a champion');
+        input.disabled = this.disabled;
+        if (this.disabled) this.close();
+        const shownFilters = this.hasAttribute('filters') ? this.getAttribute('filters').split(/\s+/) : ALL_FILTERS;
+        filterSelects.forEach(select => { select.dataset.enabled = shownFilters.includes(select.dataset.filter) ? 'true' : 'false'; });
+        this.renderFilterOptions();
+    }
+
+    /**
+     * Fills each enabled filter with the values found in the list; a filter with fewer than two values is hidden.
+     */
+    renderFilterOptions() {
+        const valuesFor = {
+            rarity: champ => [champ.rarity],
+            class: champ => [champ.class],
+            faction: champ => champ.factions || [],
+        };
+        this.elements.filterSelects.forEach(select => {
+            const key = select.dataset.filter;
+            const values = [...new Set(this.championList.flatMap(valuesFor[key]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+            if (!values.includes(this.filterValues[key])) this.filterValues[key] = '';
+            select.innerHTML = '';
+            select.appendChild(new Option(FILTER_ALL_LABELS[key], ''));
+            values.forEach(v => select.appendChild(new Option(v, v)));
+            select.value = this.filterValues[key];
+            select.hidden = select.dataset.enabled === 'false' || values.length < 2;
+        });
+    }
+
+    /**
+     * Narrows the list to champions matching the search text and every filter, then redraws it.
+     */
+    applyFilters() {
+        const query = this.searchText.trim().toLowerCase();
+        const { rarity, faction } = this.filterValues;
+        const champClass = this.filterValues.class;
+        this.filteredChampions = this.championList.filter(champ =>
+            (!query || champ.name.toLowerCase().includes(query))
+            && (!rarity || champ.rarity === rarity)
+            && (!champClass || champ.class === champClass)
+            && (!faction || champ.factions.includes(faction)));
+        this.renderOptions();
+        if (this.isOpen) {
+            const count = this.filteredChampions.length;
+            this.announce(count === 0 ? 'No champions match.' : `${count} champion${count === 1 ? '' : 's'} found.`);
+            const selectedIndex = this.filteredChampions.findIndex(champ => champ.value === this.selectedValue);
+            this.setActive(query ? 0 : selectedIndex);
+        }
+    }
+
+    renderOptions() {
+        const { listbox, empty } = this.elements;
+        if (this.avatarObserver) this.avatarObserver.disconnect();
+        listbox.innerHTML = '';
+        this.filteredChampions.forEach((champ, index) => {
+            const option = document.createElement('li');
+            option.className = 'option';
+            option.id = `option-${index}`;
+            option.dataset.index = String(index);
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(champ.value === this.selectedValue));
+
+            const avatar = document.createElement('img');
+            avatar.alt = '';
+            avatar.dataset.src = champ.imgSrc;
+            avatar.addEventListener('error', () => { avatar.style.visibility = 'hidden'; });
+            const name = document.createElement('span');
+            name.textContent = champ.name;
+            option.append(avatar, name);
+            const meta = [champ.rarity, champ.class].filter(Boolean).join(' · ');
+            if (meta) {
+                const metaEl = document.createElement('span');
+                metaEl.className = 'meta';
+                metaEl.textContent = meta;
+                option.appendChild(metaEl);
+            }
+            listbox.appendChild(option);
+        });
+        empty.hidden = this.filteredChampions.length > 0;
+        this.activeIndex = -1;
+        this.elements.input.removeAttribute('aria-activedescendant');
+        if (this.isOpen) this.loadVisibleAvatars();
+    }
+
+    /**
+     * Loads avatars as their rows scroll into the list's view, instead of all at once.
+     */
+    loadVisibleAvatars() {
+        const pending = Array.from(this.elements.listbox.querySelectorAll('img[data-src]'));
+        const load = (img) => {
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
+        };
+        if (typeof IntersectionObserver === 'undefined') {
+            pending.forEach(load);
+            return;
+        }
+        if (!this.avatarObserver) {
+            this.avatarObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    load(entry.target);
+                    this.avatarObserver.unobserve(entry.target);
+                });
+            }, { root: this.elements.listbox, rootMargin: '64px 0px' });
+        }
+        pending.forEach(img => this.avatarObserver.observe(img));
+    }
+
+    /**
+     * Moves the keyboard highlight to an option and keeps it scrolled into view.
+     * @param {number} index - Index into the filtered list; -1 clears the highlight.
+     */
+    setActive(index) {
+        const { input, listbox } = this.elements;
+        const previous = listbox.querySelector('.option.active');
+        if (previous) previous.classList.remove('active');
+        this.activeIndex = index >= 0 && index < this.filteredChampions.length ? index : -1;
+        if (this.activeIndex === -1) {
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        const option = listbox.children[this.activeIndex];
+        option.classList.add('active');
+        input.setAttribute('aria-activedescendant', option.id);
+        if (typeof option.scrollIntoView === 'function') option.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * @param {KeyboardEvent} event
+     */
+    handleKeydown(event) {
+        const last = this.filteredChampions.length - 1;
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                if (!this.isOpen) this.open();
+                else this.setActive(Math.min(this.activeIndex + 1, last));
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                if (!this.isOpen) this.open();
+                else this.setActive(Math.max(this.activeIndex - 1, 0));
+                break;
+            case 'PageDown':
+            case 'PageUp':
+                if (!this.isOpen) return;
+                event.preventDefault();
+                this.setActive(event.key === 'PageDown' ? Math.min(this.activeIndex + 10, last) : Math.max(this.activeIndex - 10, 0));
+                break;
+            case 'Enter':
+                if (this.isOpen && this.activeIndex >= 0) {
+                    event.preventDefault();
+                    this.choose(this.filteredChampions[this.activeIndex]);
+                }
+                break;
+            case 'Escape':
+                if (this.isOpen) {
+                    event.preventDefault();
+                    this.close();
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    open() {
+        if (this.isOpen || this.disabled) return;
+        // The box still shows the picked name; only what is typed from here on filters the list.
+        this.searchText = '';
+        this.elements.panel.hidden = false;
+        this.elements.input.setAttribute('aria-expanded', 'true');
+        this.applyFilters();
+    }
+
+    /**
+     * Closes the list and puts the picked champion's name back in the search box.
+     */
+    close() {
+        if (!this.isOpen) return;
+        this.elements.panel.hidden = true;
+        this.elements.input.setAttribute('aria-expanded', 'false');
+        this.setActive(-1);
+        this.renderSelection();
+    }
+
+    /**
+     * @param {PickerChampion} champion
+     */
+    choose(champion) {
+        if (!champion) return;
+        this.selectedValue = champion.value;
+        this.close();
+        this.renderSelection();
+        this.announce(`${champion.name} selected.`);
+        this.dispatchEvent(new CustomEvent('change', { bubbles: true, detail: { value: champion.value, champion } }));
+    }
+
+    /**
+     * Shows the picked champion's name and avatar in the closed field.
+     */
+    renderSelection() {
+        const { input, avatar } = this.elements;
+        const champion = this.selectedChampion;
+        if (!this.isOpen) input.value = champion ? champion.name : '';
+        avatar.hidden = !champion;
+        if (champion && avatar.getAttribute('src') !== champion.imgSrc) avatar.src = champion.imgSrc;
+        Array.from(this.elements.listbox.children).forEach(option => {
+            const champ = this.filteredChampions[Number(option.dataset.index)];
+            option.setAttribute('aria-selected', String(Boolean(champ) && champ.value === this.selectedValue));
+        });
+    }
+
+    /**
+     * Reads a message to screen readers through the live region.
+     * @param {string} message
+     */
+    announce(message) {
+        this.elements.status.textContent = message;
+    }
+}
+
+customElements.define('champion-picker', ChampionPicker);
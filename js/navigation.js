@@ -1,4 +1,4 @@
-// JavaScript to handle active link highlighting and mobile menu toggle
+// JavaScript to handle active link highlighting and mobile menu toggle, and to register the offline service worker
   document.addEventListener('DOMContentLoaded', function () {
     const currentPath = window.location.pathname.split("/").pop();
     const navLinks = document.querySelectorAll('.nav-link');
@@ -21,4 +21,13 @@
         menuIcons[1].classList.toggle('hidden'); // Toggle x icon
       });
     }
-  });
\ No newline at end of file
+  });
+
+  // The service worker lives at the site root (next to the pages), so this relative path works under any sub-path.
+  if ('serviceWorker' in navigator) {
+    window.addEventListener('load', function () {
+      navigator.serviceWorker.register('sw.js').catch(function (error) {
+        console.warn('Service worker registration failed:', error);
+      });
+    });
+  }
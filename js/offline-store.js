@@ -0,0 +1,335 @@
+/**
+ * @file offline-store.js
+ * @fileoverview Keeps the tools usable without a connection. Two jobs, both backed by one IndexedDB database:
+ * 1.  **Game data cache**: the public collections (champions, synergies, legacy pieces) are stored after every fetch and
+ *      served from the cache while offline. When online, a single version document
+ *      (`artifacts/{appId}/public/data/meta/gameData`, e.g. `{ champions: 7, synergies: 3 }`) decides whether the cached
+ *      copy is still current, so an unchanged collection is not downloaded again. A collection with no version is always refetched.
+ *      A user's own collections (such as saved teams) are cached the same way after every fetch, without the version check.
+ * 2.  **Offline writes**: a user document (such as the roster) is saved locally first and marked pending. Pending documents
+ *      are pushed to Firestore with `syncPendingDocs` once the browser is back online.
+ *
+ * The pages, scripts and images themselves are cached by the service worker (sw.js).
+ */
+
+import { collection, query, getDocs, doc, getDoc, setDoc } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+// =================================================================================================
+// #region: --- CONSTANTS ---
+// =================================================================================================
+
+const DB_NAME = 'dcdl-offline';
+const DB_VERSION = 1;
+const STORES = { COLLECTIONS: 'collections', DOCS: 'docs' };
+/** How long a network read or write may take before the cached copy is used instead (ms). */
+const NETWORK_TIMEOUT_MS = 8000;
+/** Firestore error codes that mean "could not reach the server", as opposed to a rejected request. */
+const CONNECTIVITY_ERROR_CODES = ['unavailable', 'deadline-exceeded'];
+
+// =================================================================================================
+// #region: --- INDEXEDDB HELPERS ---
+// =================================================================================================
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the offline database. The connection is shared by every caller.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(STORES.COLLECTIONS)) database.createObjectStore(STORES.COLLECTIONS, { keyPath: 'name' });
+                if (!database.objectStoreNames.contains(STORES.DOCS)) database.createObjectStore(STORES.DOCS, { keyPath: 'path' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // A failed open (private browsing, storage disabled) should not stop a later attempt.
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against one object store and resolves with its result.
+ * @param {string} storeName - One of STORES.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Builds the request from the store.
+ * @returns {Promise<*>}
+ */
+async function runStoreRequest(storeName, mode, makeRequest) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Reads a record without letting a storage failure break the caller; the cache is a convenience, not a source of truth.
+ * @param {string} storeName - One of STORES.
+ * @param {string} key - The record's key.
+ * @returns {Promise<object|null>} The record, or null if it is missing or storage is unavailable.
+ */
+async function readRecord(storeName, key) {
+    try {
+        return (await runStoreRequest(storeName, 'readonly', store => store.get(key))) || null;
+    } catch (error) {
+        console.warn(`Offline store: could not read "${key}".`, error);
+        return null;
+    }
+}
+
+/**
+ * Writes a record, logging rather than throwing if storage is unavailable.
+ * @param {string} storeName - One of STORES.
+ * @param {object} record - The record, including its key.
+ * @returns {Promise<boolean>} True if the record was stored.
+ */
+async function writeRecord(storeName, record) {
+    try {
+        await runStoreRequest(storeName, 'readwrite', store => store.put(record));
+        return true;
+    } catch (error) {
+        console.warn('Offline store: could not write a record.', error);
+        return false;
+    }
+}
+
+// =================================================================================================
+// #region: --- NETWORK HELPERS ---
+// =================================================================================================
+
+/**
+ * Whether the browser reports a connection. A true value only means "maybe", so network calls still get a timeout.
+ * @returns {boolean}
+ */
+export function isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Rejects with a connectivity error if the promise has not settled within NETWORK_TIMEOUT_MS.
+ * Firestore keeps retrying an unreachable server instead of failing, so without this a read or write could hang indefinitely.
+ * @param {Promise<*>} promise - The network call.
+ * @returns {Promise<*>}
+ */
+function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error('The request timed out.'), { code: 'deadline-exceeded' })), NETWORK_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Whether an error means the server could not be reached, so a cached copy or a queued write is the right fallback.
+ * @param {Error} error - The error thrown by a Firestore call.
+ * @returns {boolean}
+ */
+function isConnectivityError(error) {
+    return !isOnline() || CONNECTIVITY_ERROR_CODES.includes(error && error.code);
+}
+
+// =================================================================================================
+// #region: --- GAME DATA CACHE ---
+// =================================================================================================
+
+let versionsPromise = null;
+const collectionPromises = new Map();
+
+/**
+ * Fetches the game-data version document once per page load.
+ * @param {import("firebase/firestore").Firestore} db - The Firestore instance.
+ * @param {string} appId - The app ID used in Firestore paths.
+ * @returns {Promise<object|null>} The versions keyed by collection name, or null if they could not be read.
+ */
+function fetchGameDataVersions(db, appId) {
+    if (!versionsPromise) {
+        versionsPromise = withTimeout(getDoc(doc(db, `artifacts/${appId}/public/data/meta/gameData`)))
+            .then(snapshot => (snapshot.exists() ? snapshot.data() : {}))
+            .catch(error => {
+                console.warn('Offline store: could not read game data versions.', error);
+                versionsPromise = null;
+                return null;
+            });
+    }
+    return versionsPromise;
+}
+
+/**
+ * Loads one public game-data collection, from IndexedDB when the cached copy is current or the network is unavailable,
+ * otherwise from Firestore (and then caches it). Concurrent calls for the same collection share one load.
+ * @param {import("firebase/firestore").Firestore} db - The Firestore instance.
+ * @param {string} appId - The app ID used in Firestore paths.
+ * @param {string} name - The collection name under `public/data`, e.g. 'champions'.
+ * @returns {Promise<{docs: object[], fromCache: boolean}>} The documents as `{ id, ...data }`.
+ * @throws {Error} If the collection cannot be fetched and nothing is cached.
+ */
+export function loadGameCollection(db, appId, name) {
+    if (!collectionPromises.has(name)) {
+        const load = loadGameCollectionUncached(db, appId, name);
+        collectionPromises.set(name, load);
+        // Only a successful load is reused; a failure is retried on the next call.
+        load.catch(() => collectionPromises.delete(name));
+    }
+    return collectionPromises.get(name);
+}
+
+/**
+ * Does the work for `loadGameCollection`.
+ * @param {import("firebase/firestore").Firestore} db - The Firestore instance.
+ * @param {string} appId - The app ID used in Firestore paths.
+ * @param {string} name - The collection name.
+ * @returns {Promise<{docs: object[], fromCache: boolean}>}
+ */
+async function loadGameCollectionUncached(db, appId, name) {
+    const cached = await readRecord(STORES.COLLECTIONS, name);
+    if (cached && !isOnline()) return { docs: cached.docs, fromCache: true };
+
+    const versions = isOnline() ? await fetchGameDataVersions(db, appId) : null;
+    const version = versions && versions[name] !== undefined ? versions[name] : null;
+    if (cached && (versions === null || (version !== null && cached.version === version))) {
+        return { docs: cached.docs, fromCache: true };
+    }
+
+    try {
+        const querySnapshot = await withTimeout(getDocs(collection(db, `artifacts/${appId}/public/data/${name}`)));
+        const docs = querySnapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        await writeRecord(STORES.COLLECTIONS, { name, version, docs, cachedAt: Date.now() });
+        return { docs, fromCache: false };
+    } catch (error) {
+        if (cached) {
+            console.warn(`Offline store: using cached "${name}" after a failed fetch.`, error);
+            return { docs: cached.docs, fromCache: true };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Loads a collection under the user's own folder (e.g. saved teams) from Firestore and caches it, falling back to the
+ * last cached copy while offline or when the server cannot be reached. Unlike game data there is no version to check,
+ * so every online load refetches it.
+ * @param {import("firebase/firestore").Firestore} db - The Firestore instance.
+ * @param {string} path - The collection path.
+ * @param {...import("firebase/firestore").QueryConstraint} queryConstraints - Constraints such as an `orderBy`, applied to the fetch.
+ * @returns {Promise<{docs: object[], fromCache: boolean}>} The documents as `{ id, ...data }`.
+ * @throws {Error} If the server rejects the read, or cannot be reached and nothing is cached.
+ */
+export async function loadUserCollection(db, path, ...queryConstraints) {
+    const cached = await readRecord(STORES.COLLECTIONS, path);
+    if (cached && !isOnline()) return { docs: cached.docs, fromCache: true };
+    try {
+        const querySnapshot = await withTimeout(getDocs(query(collection(db, path), ...queryConstraints)));
+        const docs = querySnapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        await writeRecord(STORES.COLLECTIONS, { name: path, version: null, docs, cachedAt: Date.now() });
+        return { docs, fromCache: false };
+    } catch (error) {
+        if (cached && isConnectivityError(error)) {
+            console.warn(`Offline store: using cached "${path}" after a failed fetch.`, error);
+            return { docs: cached.docs, fromCache: true };
+        }
+        throw error;
+    }
+}
+
+// =================================================================================================
+// #region: --- OFFLINE WRITES ---
+// =================================================================================================
+
+/**
+ * Reads a user document, preferring a local copy that has not been synced yet (it is newer than the server's),
+ * and falling back to the last local copy when the server cannot be reached.
+ * @param {import("firebase/firestore").Firestore} db - The Firestore instance.
+ * @param {string} path - The document path.
+ * @returns {Promise<{data: object|null, fromCache: boolean}>} The document data, or null if it does not exist.
+ * @throws {Error} If the server rejects the read, or cannot be reached and nothing is stored locally.
+ */
+export async function readUserDoc(db, path) {
+    const local = await readRecord(STORES.DOCS, path);
+    if (local && (local.pending || !isOnline())) return { data: local.data, fromCache: true };
+    try {
+        const snapshot = await withTimeout(getDoc(doc(db, path)));
+        const data = snapshot.exists() ? snapshot.data() : null;
+        await writeRecord(STORES.DOCS, { path, data, pending: false, savedAt: Date.now() });
+        return { data, fromCache: false };
+    } catch (error) {
+        if (local && isConnectivityError(error)) return { data: local.data, fromCache: true };
+        throw error;
+    }
+}
+
+/**
+ * Saves a user document locally, then to Firestore. If the server cannot be reached the local copy stays pending
+ * and is pushed by `syncPendingDocs` later.
+ * @param {import("firebase/firestore").Firestore} db - The Firestore instance.
+ * @param {string} path - The document path.
+ * @param {object} data - The full document (it replaces the stored one).
+ * @returns {Promise<{queued: boolean}>} queued is true if the write is waiting for a connection.
+ * @throws {Error} If the server rejects the write.
+ */
+export async function writeUserDoc(db, path, data) {
+    const savedAt = Date.now();
+    const stored = await writeRecord(STORES.DOCS, { path, data, pending: true, savedAt });
+    if (!isOnline() && stored) return { queued: true };
+    try {
+        await withTimeout(setDoc(doc(db, path), data));
+        if (stored) await markDocSynced(path, savedAt);
+        return { queued: false };
+    } catch (error) {
+        if (stored && isConnectivityError(error)) return { queued: true };
+        // A rejected write would be rejected again on every sync, so it is not left queued.
+        if (stored) await markDocSynced(path, savedAt);
+        throw error;
+    }
+}
+
+/**
+ * Clears a document's pending flag, unless it was saved again after the write being acknowledged.
+ * @param {string} path - The document path.
+ * @param {number} savedAt - The timestamp of the local save that reached the server.
+ */
+async function markDocSynced(path, savedAt) {
+    const local = await readRecord(STORES.DOCS, path);
+    if (local && local.savedAt === savedAt) await writeRecord(STORES.DOCS, { ...local, pending: false });
+}
+
+/**
+ * Pushes every pending local document under a path prefix to Firestore.
+ * Stops at the first connectivity failure, leaving the rest queued for the next attempt.
+ * @param {import("firebase/firestore").Firestore} db - The Firestore instance.
+ * @param {string} pathPrefix - Only documents whose path starts with this are synced, e.g. the user's own folder.
+ * @returns {Promise<{synced: number, remaining: number}>}
+ */
+export async function syncPendingDocs(db, pathPrefix) {
+    let records;
+    try {
+        records = await runStoreRequest(STORES.DOCS, 'readonly', store => store.getAll());
+    } catch (error) {
+        console.warn('Offline store: could not read pending writes.', error);
+        return { synced: 0, remaining: 0 };
+    }
+    const pending = records.filter(record => record.pending && record.path.startsWith(pathPrefix));
+    let synced = 0;
+    for (const record of pending) {
+        if (!isOnline()) break;
+        try {
+            await withTimeout(setDoc(doc(db, record.path), record.data));
+            await markDocSynced(record.path, record.savedAt);
+            synced++;
+        } catch (error) {
+            console.warn(`Offline store: could not sync "${record.path}".`, error);
+            if (isConnectivityError(error)) break;
+            await markDocSynced(record.path, record.savedAt);
+        }
+    }
+    return { synced, remaining: pending.length - synced };
+}
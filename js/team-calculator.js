@@ -0,0 +1,764 @@
+/**
+ * @file team-calculator.js
+ * @fileoverview The Team Builder's scoring and search: individual champion scores, team evaluation with synergies and class
+ * diversity, the branch-and-bound search for the best teams, optimizer constraints and the multi-team allocator.
+ * Nothing here touches the DOM, so the module is shared by the page (teams.js) and its Web Worker (team-worker.js).
+ *
+ * Every method takes the game constants (GAME_CONSTANTS in teams.js) from the caller, since the worker receives them with each request.
+ */
+
+/**
+ * Schedules the next batch of a long search: on an animation frame on the page so the processing modal keeps painting,
+ * or straight away in a worker, where nothing else needs the thread.
+ * @param {Function} callback
+ */
+function nextBatch(callback) {
+    if (typeof window !== 'undefined' && typeof window.requestAnimationFrame === 'function') window.requestAnimationFrame(callback);
+    else setTimeout(callback, 0);
+}
+
+// =================================================================================================
+// #region: Team Calculation Logic
+// =================================================================================================
+
+export class TeamCalculator {
+    constructor(allSynergies, gameConstants) {
+        this.synergies = [...allSynergies].sort((a, b) => {
+            if (a.bonusType === 'percentage' && b.bonusType !== 'percentage') return -1;
+            if (a.bonusType !== 'percentage' && b.bonusType === 'percentage') return 1;
+            return 0;
+        });
+        this.constants = gameConstants;
+    }
+
+    static calculateIndividualChampionScore(champion, gameConstants) {
+        const baseScore = gameConstants.CHAMPION_BASE_RARITY_SCORE[champion.baseRarity] || 0;
+        const starMultiplier = gameConstants.STAR_COLOR_TIERS[champion.starColorTier] || 1.0;
+        if (starMultiplier === 1.0 && champion.starColorTier !== "White 1-Star" && champion.starColorTier !== "Unlocked") {
+             console.warn(`Unknown starColorTier: ${champion.starColorTier} for champion ${champion.name}, defaulting to multiplier 1.0`);
+        }
+        const championCoreScore = baseScore * starMultiplier;
+
+        let totalEquipmentMultiplier = 1.0;
+
+        if (champion.gear && typeof champion.gear === 'object') {
+            Object.values(champion.gear).forEach(gearPiece => {
+                if (gearPiece && gearPiece.rarity) {
+                    totalEquipmentMultiplier += gameConstants.STANDARD_GEAR_RARITY_MODIFIER[gearPiece.rarity] || 0;
+                }
+            });
+        }
+
+        const legacyPiece = champion.legacyPiece || {};
+        if (legacyPiece.id && legacyPiece.rarity !== 'None') {
+            const baseLpModifier = gameConstants.LEGACY_PIECE_BASE_RARITY_MODIFIER[legacyPiece.rarity] || 0;
+            const lpStarModifier = gameConstants.LEGACY_PIECE_STAR_TIER_MODIFIER[legacyPiece.starColorTier] || 0;
+            totalEquipmentMultiplier += baseLpModifier + lpStarModifier;
+        }
+
+        const forceLevel = champion.forceLevel || 0;
+        const forceModifier = gameConstants.FORCE_LEVEL_MODIFIER[forceLevel] || 0;
+        totalEquipmentMultiplier += forceModifier;
+
+        const synergyCount = Array.isArray(champion.inherentSynergies) ? champion.inherentSynergies.length : 0;
+        totalEquipmentMultiplier += synergyCount * (gameConstants.SYNERGY_COUNT_MODIFIER || 0);
+
+        const finalScore = championCoreScore * totalEquipmentMultiplier;
+
+        return finalScore;
+    }
+
+    evaluateTeam(teamMembers) {
+        const baseScoreSum = teamMembers.reduce((sum, member) => sum + (member.individualScore || 0), 0);
+        let scoreAfterPercentageSynergies = baseScoreSum;
+        let totalPercentageBonusAppliedValue = 0;
+        let accumulatedBaseFlatBonus = 0;
+        const activeSynergiesForTeam = [];
+
+        const teamSynergyCounts = new Map();
+        teamMembers.forEach(member => {
+            (member.inherentSynergies || []).forEach(synergyName => {
+                teamSynergyCounts.set(synergyName, (teamSynergyCounts.get(synergyName) || 0) + 1);
+            });
+        });
+        
+        this.synergies.forEach(synergyDef => {
+            const memberCount = teamSynergyCounts.get(synergyDef.name) || 0;
+            if (memberCount === 0) {
+                return;
+            }
+
+            const isTiered = synergyDef.tiers && Array.isArray(synergyDef.tiers) && synergyDef.tiers.length > 0;
+            let calculatedBonus = 0;
+
+            if (isTiered) {
+                const applicableTier = synergyDef.tiers
+                    .filter(tier => memberCount >= tier.countRequired)
+                    .sort((a, b) => b.countRequired - a.countRequired)[0]; 
+                
+                if (applicableTier) {
+                    calculatedBonus = (synergyDef.bonusValue || 0) * (applicableTier.countRequired || 0);
+                    accumulatedBaseFlatBonus += calculatedBonus;
+
+                    activeSynergiesForTeam.push({ 
+                        name: synergyDef.name, 
+                        description: applicableTier.tierDescription || synergyDef.description || '',
+                        appliedAtMemberCount: memberCount,
+                        bonusValue: synergyDef.bonusValue || 0,
+                        bonusType: synergyDef.bonusType,
+                        calculatedBonus: calculatedBonus
+                    });
+                }
+            } else { 
+                if (synergyDef.bonusValue && memberCount >= this.constants.SYNERGY_ACTIVATION_COUNT) {
+                    if (synergyDef.bonusType === 'percentage') {
+                        calculatedBonus = scoreAfterPercentageSynergies * (synergyDef.bonusValue / 100);
+                        totalPercentageBonusAppliedValue += calculatedBonus;
+                        scoreAfterPercentageSynergies += calculatedBonus;
+                    } else if (synergyDef.bonusType === 'flat') {
+                        calculatedBonus = synergyDef.bonusValue;
+                        accumulatedBaseFlatBonus += calculatedBonus;
+                    }
+                    activeSynergiesForTeam.push({ 
+                        name: synergyDef.name, 
+                        description: synergyDef.description || '', 
+                        appliedAtMemberCount: memberCount,
+                        bonusValue: synergyDef.bonusValue,
+                        bonusType: synergyDef.bonusType,
+                        calculatedBonus: calculatedBonus
+                    });
+                }
+            }
+        });
+
+        let subtotalAfterSynergies = scoreAfterPercentageSynergies + accumulatedBaseFlatBonus;
+        
+        let synergyDepthBonusValue = 0;
+        teamSynergyCounts.forEach((memberCount, synergyName) => {
+            const synergyDef = this.synergies.find(s => s.name === synergyName);
+            if (!synergyDef) return;
+
+            let minActivationCount = this.constants.SYNERGY_ACTIVATION_COUNT;
+            if (synergyDef.tiers && synergyDef.tiers.length > 0) {
+                const lowestTier = synergyDef.tiers.sort((a, b) => a.countRequired - b.countRequired)[0];
+                if (lowestTier) {
+                    minActivationCount = lowestTier.countRequired;
+                }
+            }
+            
+            if (memberCount > minActivationCount) {
+                const extraMembers = memberCount - minActivationCount;
+                synergyDepthBonusValue += extraMembers * (this.constants.SYNERGY_DEPTH_BONUS || 0);
+            }
+        });
+        subtotalAfterSynergies += synergyDepthBonusValue;
+
+
+        const uniqueClassesInTeam = new Set(teamMembers.map(m => m.class).filter(c => c && c !== "N/A"));
+        let classDiversityBonusValue = 0;
+        let finalTeamScore = subtotalAfterSynergies;
+        let classDiversityBonusApplied = false;
+
+        if (uniqueClassesInTeam.size >= 4) {
+            classDiversityBonusValue = subtotalAfterSynergies * (this.constants.CLASS_DIVERSITY_MULTIPLIER - 1);
+            finalTeamScore += classDiversityBonusValue;
+            classDiversityBonusApplied = true;
+        }
+        
+        const comparisonScore = finalTeamScore + (baseScoreSum * this.constants.INDIVIDUAL_SCORE_WEIGHT);
+
+        return {
+            members: teamMembers,
+            totalScore: finalTeamScore,
+            comparisonScore: comparisonScore,
+            activeSynergies: activeSynergiesForTeam,
+            baseScoreSum: baseScoreSum,
+            uniqueClassesCount: uniqueClassesInTeam.size,
+            classDiversityBonusApplied: classDiversityBonusApplied,
+            scoreBreakdown: {
+                base: baseScoreSum,
+                percentageSynergyBonus: totalPercentageBonusAppliedValue,
+                flatSynergyBonus: accumulatedBaseFlatBonus,
+                synergyDepthBonus: synergyDepthBonusValue,
+                subtotalAfterSynergies: subtotalAfterSynergies,
+                classDiversityBonus: classDiversityBonusValue
+            }
+        };
+    }
+
+    /**
+     * Lookup tables for the optimizer's upper bound, one per synergy name, mirroring evaluateTeam for 0..maxCount members:
+     * `bonus[c]` is the flat, tiered and depth bonus with c members and `factor[c]` the multiplier from untiered percentage synergies.
+     * @param {number} maxCount - The most members one team can have in a single synergy.
+     * @returns {Map<string, {bonus: number[], factor: number[]}>}
+     */
+    buildSynergyTables(maxCount) {
+        const tables = new Map();
+        this.synergies.forEach(synergyDef => {
+            const isTiered = synergyDef.tiers && Array.isArray(synergyDef.tiers) && synergyDef.tiers.length > 0;
+            if (!tables.has(synergyDef.name)) {
+                // The depth bonus only looks at the first definition with this name, as evaluateTeam's find() does.
+                const minActivationCount = isTiered ? Math.min(...synergyDef.tiers.map(tier => tier.countRequired)) : this.constants.SYNERGY_ACTIVATION_COUNT;
+                const bonus = [];
+                for (let count = 0; count <= maxCount; count++) {
+                    bonus.push(count > minActivationCount ? (count - minActivationCount) * (this.constants.SYNERGY_DEPTH_BONUS || 0) : 0);
+                }
+                tables.set(synergyDef.name, { bonus, factor: new Array(maxCount + 1).fill(1) });
+            }
+            const table = tables.get(synergyDef.name);
+            for (let count = 1; count <= maxCount; count++) {
+                if (isTiered) {
+                    const applicableTier = synergyDef.tiers
+                        .filter(tier => count >= tier.countRequired)
+                        .sort((a, b) => b.countRequired - a.countRequired)[0];
+                    if (applicableTier) table.bonus[count] += (synergyDef.bonusValue || 0) * (applicableTier.countRequired || 0);
+                } else if (synergyDef.bonusValue && count >= this.constants.SYNERGY_ACTIVATION_COUNT) {
+                    if (synergyDef.bonusType === 'percentage') table.factor[count] *= 1 + synergyDef.bonusValue / 100;
+                    else if (synergyDef.bonusType === 'flat') table.bonus[count] += synergyDef.bonusValue;
+                }
+            }
+        });
+        return tables;
+    }
+
+    /**
+     * Turns the optimizer's constraints into what searchTeams works with, throwing an Error that names the constraint at fault
+     * when one (or a locked champion) rules out every team on its own.
+     * @param {object[]} roster - The roster champions being searched.
+     * @param {{requireHealer?: boolean, constraints?: object}} options - `constraints` may hold `lockedIds` and `bannedIds` (roster ids),
+     *   `minCounts` ({kind: 'synergy'|'class', name, count}[]), `requiredClasses`, `forbiddenClasses` and `maxLimitedMythics` (null for no cap).
+     * @returns {{available: object[], locked: object[], rules: {label: string, need: number, matches: Function}[], limitedMythicCap: number}}
+     *   The champions the search may add, the locked ones, the "at least N" rules (including the healer requirement) and the Limited Mythic cap.
+     */
+    resolveConstraints(roster, options) {
+        const { requireHealer = false, constraints = {} } = options;
+        const { lockedIds = [], bannedIds = [], minCounts = [], requiredClasses = [], forbiddenClasses = [], maxLimitedMythics = null } = constraints;
+        const TEAM_SIZE = 5;
+        const isLimitedMythic = (champ) => champ.baseRarity === 'Limited Mythic';
+        const limitedMythicCap = maxLimitedMythics === null || maxLimitedMythics === undefined ? TEAM_SIZE : maxLimitedMythics;
+        const banned = new Set(bannedIds);
+        const forbidden = new Set(forbiddenClasses);
+
+        const locked = roster.filter(champ => lockedIds.includes(champ.id));
+        if (locked.length < new Set(lockedIds).size) throw new Error(`${new Set(lockedIds).size - locked.length} locked champion(s) are not available to this search. They may be in a saved team you chose to exclude.`);
+        if (locked.length > TEAM_SIZE) throw new Error(`${locked.length} champions are locked, but a team only has ${TEAM_SIZE} places.`);
+        const lockedAndBanned = locked.find(champ => banned.has(champ.id));
+        if (lockedAndBanned) throw new Error(`${lockedAndBanned.name} is both locked and banned.`);
+        const lockedForbidden = locked.find(champ => forbidden.has(champ.class));
+        if (lockedForbidden) throw new Error(`${lockedForbidden.name} is locked, but the ${lockedForbidden.class} class is forbidden.`);
+        const requiredForbidden = [...requiredClasses, ...minCounts.filter(rule => rule.kind === 'class').map(rule => rule.name)].find(name => forbidden.has(name));
+        if (requiredForbidden) throw new Error(`The ${requiredForbidden} class is both required and forbidden.`);
+        const lockedLimitedMythics = locked.filter(isLimitedMythic).length;
+        if (lockedLimitedMythics > limitedMythicCap) throw new Error(`${lockedLimitedMythics} Limited Mythics are locked, but at most ${limitedMythicCap} are allowed.`);
+
+        const available = roster.filter(champ => !lockedIds.includes(champ.id) && !banned.has(champ.id) && !forbidden.has(champ.class));
+        const free = TEAM_SIZE - locked.length;
+        if (available.length < free) throw new Error(`Only ${locked.length + available.length} champions are left after bans and forbidden classes; a team needs ${TEAM_SIZE}.`);
+
+        const rules = [
+            ...(requireHealer ? [{ label: 'a healer', need: 1, matches: champ => champ.isHealer === true }] : []),
+            ...requiredClasses.map(name => ({ label: `the ${name} class`, need: 1, matches: champ => champ.class === name })),
+            ...minCounts.map(({ kind, name, count }) => ({
+                label: `at least ${count} ${name}${kind === 'class' ? ' champions' : ' members'}`, need: count,
+                matches: kind === 'class' ? champ => champ.class === name : champ => (champ.inherentSynergies || []).includes(name),
+            })),
+        ];
+        rules.forEach(rule => {
+            if (rule.need > TEAM_SIZE) throw new Error(`Requiring ${rule.label} is impossible in a team of ${TEAM_SIZE}.`);
+            const lockedMatches = locked.filter(rule.matches).length;
+            const matching = available.filter(rule.matches);
+            const reachable = lockedMatches + Math.min(free, matching.filter(champ => !isLimitedMythic(champ)).length + Math.min(limitedMythicCap - lockedLimitedMythics, matching.filter(isLimitedMythic).length));
+            if (reachable >= rule.need) return;
+            if (lockedMatches + matching.length < rule.need) throw new Error(`Requiring ${rule.label} is impossible: only ${lockedMatches + matching.length} champion(s) left after bans and exclusions qualify.`);
+            if (lockedMatches + Math.min(free, matching.length) < rule.need) throw new Error(`Requiring ${rule.label} is impossible: the ${locked.length} locked champion(s) leave only ${free} place(s) and include ${lockedMatches} that qualify.`);
+            throw new Error(`Requiring ${rule.label} is impossible with at most ${limitedMythicCap} Limited Mythic(s): too many of the qualifying champions are Limited Mythics.`);
+        });
+        return { available, locked, rules, limitedMythicCap };
+    }
+
+    /**
+     * Lists the active constraints for an error message, e.g. "Batman locked, at least 2 Bats members, at most 1 Limited Mythic".
+     * @param {object[]} roster - The roster champions being searched.
+     * @param {{requireHealer?: boolean, constraints?: object}} options - As for `resolveConstraints`.
+     * @returns {string[]}
+     */
+    static describeConstraints(roster, options) {
+        const { requireHealer = false, constraints = {} } = options;
+        const { lockedIds = [], bannedIds = [], minCounts = [], requiredClasses = [], forbiddenClasses = [], maxLimitedMythics = null } = constraints;
+        const nameOf = (id) => (roster.find(champ => champ.id === id) || {}).name || 'an unavailable champion';
+        return [
+            ...lockedIds.map(id => `${nameOf(id)} locked`),
+            ...(bannedIds.length > 0 ? [`${bannedIds.length} banned`] : []),
+            ...(requireHealer ? ['a healer'] : []),
+            ...requiredClasses.map(name => `${name} required`),
+            ...forbiddenClasses.map(name => `${name} forbidden`),
+            ...minCounts.map(({ kind, name, count }) => `at least ${count} ${name}${kind === 'class' ? ' champions' : ' members'}`),
+            ...(maxLimitedMythics !== null && maxLimitedMythics !== undefined ? [`at most ${maxLimitedMythics} Limited Mythic${maxLimitedMythics === 1 ? '' : 's'}`] : []),
+        ];
+    }
+
+    /**
+     * Finds the single team of 5 with the highest comparison score.
+     * @param {object[]} roster - The roster champions with individual scores.
+     * @param {{requireHealer: boolean, updateProgress: Function}} options
+     * @returns {Promise<object>} The best evaluated team.
+     */
+    async findOptimalTeam(roster, options) {
+        const [bestTeam] = await this.findTopTeams(roster, { ...options, count: 1 });
+        return bestTeam;
+    }
+
+    /**
+     * Finds the `count` best teams, ranked by comparison score. With a `minDifference` above 1, each team must differ from
+     * every higher-ranked team by at least that many members: team 2 is the best team far enough from team 1, team 3 the
+     * best far enough from both, and so on, each found by its own search. Fewer teams come back if the roster runs out.
+     * Every team meets `constraints` (see resolveConstraints); when they rule out all teams the error says which one, or lists them
+     * all if only their combination is impossible.
+     * @param {object[]} roster - The roster champions with individual scores.
+     * @param {{requireHealer: boolean, constraints?: object, count?: number, minDifference?: number, search?: Function, updateProgress: Function}} options -
+     *   `search(roster, searchOptions)` runs each search in place of searchTeams, e.g. split across Web Workers.
+     * @returns {Promise<object[]>} The evaluated teams, best first.
+     */
+    async findTopTeams(roster, options) {
+        const { requireHealer, constraints, updateProgress, count = 1, minDifference = 1 } = options;
+        const search = options.search || ((searchRoster, searchOptions) => this.searchTeams(searchRoster, searchOptions));
+        if (requireHealer) {
+            if (!roster.some(champ => champ.isHealer === true)) throw new Error("No healers found to meet the 'Require Healer' criteria.");
+            if (roster.length < 5) throw new Error("Not enough champions to form a team of 5 with a healer.");
+        }
+        if (roster.length < 5) throw new Error("Could not generate any valid teams with the current criteria.");
+        this.resolveConstraints(roster, { requireHealer, constraints });
+        await updateProgress("Preparing team search...", 12);
+
+        const reportProgress = (label, start, share) => (fraction, evaluatedCount, totalCombinations) => updateProgress(
+            `${label}searched ${Math.floor(fraction * 100)}% of ${totalCombinations.toLocaleString()} possible teams (${evaluatedCount.toLocaleString()} scored)...`,
+            20 + Math.round((start + fraction * share) * 75));
+        let teams = [];
+        if (minDifference <= 1) {
+            teams = await search(roster, { requireHealer, constraints, keep: count, onProgress: reportProgress('Team search: ', 0, 1) });
+        } else {
+            for (let rank = 0; rank < count; rank++) {
+                const [team] = await search(roster, {
+                    requireHealer, constraints, keep: 1, avoidTeams: teams, maxOverlap: 5 - minDifference,
+                    onProgress: reportProgress(`Team ${rank + 1} of ${count}: `, rank / count, 1 / count),
+                });
+                if (!team) break;
+                teams.push(team);
+            }
+        }
+        if (teams.length === 0) {
+            const active = TeamCalculator.describeConstraints(roster, { requireHealer, constraints });
+            if (active.length > 1) throw new Error(`No team of 5 meets all of these constraints together: ${active.join(', ')}. Relax one of them and try again.`);
+            throw new Error("Could not generate any valid teams with the current criteria.");
+        }
+        updateProgress(`Finalizing ${teams.length === 1 ? 'best team' : `top ${teams.length} teams`}...`, 98);
+        return teams;
+    }
+
+    /**
+     * Splits the roster into several disjoint teams of 5, for modes that field them at the same time, maximizing either the
+     * summed comparison score or the weakest team's (ties broken by the sum). Starting points:
+     * 1. Greedy: each team in turn takes the best team left, healer-requiring teams first.
+     * 2. Packing: the best disjoint combination of the top-ranked teams of each kind from searchTeams.
+     * 3. For the weakest-team objective, a snake draft by individual score.
+     * From each, a local search swaps champions between teams or with the bench while the objective improves.
+     * The joint problem is far larger than picking one team, so unlike findOptimalTeam the result is not guaranteed optimal.
+     * @param {object[]} roster - The roster champions with individual scores.
+     * @param {{teamRequirements: {requireHealer: boolean}[], objective: 'total'|'minimum', updateProgress: Function}} options
+     * @returns {Promise<object[]>} The evaluated teams, in the order of `teamRequirements`.
+     */
+    async allocateTeams(roster, options) {
+        const { teamRequirements, objective, updateProgress } = options;
+        const teamCount = teamRequirements.length;
+        const TOLERANCE = 1e-9;
+        if (roster.length < teamCount * 5) throw new Error(`${teamCount} teams need at least ${teamCount * 5} champions; only ${roster.length} are available.`);
+        const healerTeams = teamRequirements.filter(req => req.requireHealer).length;
+        const healerCount = roster.filter(champ => champ.isHealer === true).length;
+        if (healerCount < healerTeams) throw new Error(`${healerTeams} teams require a healer, but only ${healerCount} healer(s) are available.`);
+
+        // Healer-requiring teams are filled first so the other teams cannot use up the healers.
+        const slotOrder = teamRequirements.map((_, slot) => slot).sort((a, b) => Number(teamRequirements[b].requireHealer) - Number(teamRequirements[a].requireHealer));
+        const score = (teams) => {
+            const scores = teams.map(team => team.comparisonScore);
+            const total = scores.reduce((sum, value) => sum + value, 0);
+            return objective === 'minimum' ? [Math.min(...scores), total] : [total, 0];
+        };
+        const isBetter = (a, b) => !b || a[0] > b[0] + TOLERANCE || (Math.abs(a[0] - b[0]) <= TOLERANCE && a[1] > b[1] + TOLERANCE);
+        const quietProgress = () => {};
+
+        const greedy = async (limitHealers) => {
+            let remaining = roster;
+            const teams = [];
+            for (const slot of slotOrder) {
+                const { requireHealer } = teamRequirements[slot];
+                let candidates = remaining;
+                if (limitHealers && requireHealer) {
+                    // Retry mode: give this team only the strongest healer left, so later healer teams still get one.
+                    const bestHealer = remaining.filter(champ => champ.isHealer === true).sort((a, b) => (b.individualScore || 0) - (a.individualScore || 0))[0];
+                    candidates = remaining.filter(champ => champ.isHealer !== true || champ === bestHealer);
+                }
+                // An earlier team took every healer: give up here so the caller can retry with healers rationed.
+                if (candidates.length < 5 || (requireHealer && !candidates.some(champ => champ.isHealer === true))) return null;
+                const [team] = await this.searchTeams(candidates, { requireHealer, keep: 1, onProgress: quietProgress });
+                if (!team) return null;
+                teams[slot] = team;
+                const usedIds = new Set(team.members.map(member => member.id));
+                remaining = remaining.filter(champ => !usedIds.has(champ.id));
+            }
+            return teams;
+        };
+
+        const pack = async () => {
+            const pools = {};
+            for (const requireHealer of new Set(teamRequirements.map(req => req.requireHealer === true))) {
+                pools[requireHealer] = await this.searchTeams(roster, { requireHealer, keep: this.constants.ALLOCATION_POOL_SIZE, onProgress: quietProgress });
+            }
+            const kinds = slotOrder.map(slot => teamRequirements[slot].requireHealer === true);
+            const chosen = [];
+            const usedIds = new Set();
+            let best = null;
+            let bestTeams = null;
+            let nodes = 0;
+            const NODE_LIMIT = 200000;
+            const visit = (depth, startIndex) => {
+                if (++nodes > NODE_LIMIT) return;
+                if (depth === teamCount) {
+                    const value = score(chosen);
+                    if (isBetter(value, best)) { best = value; bestTeams = [...chosen]; }
+                    return;
+                }
+                const pool = pools[kinds[depth]];
+                for (let i = startIndex; i < pool.length; i++) {
+                    const team = pool[i];
+                    if (team.members.some(member => usedIds.has(member.id))) continue;
+                    if (best) {
+                        // Pools are sorted best first, so no later team in this pool (or any remaining slot) can beat pool[i]/pool[0].
+                        const optimistic = kinds.slice(depth + 1).map(kind => pools[kind][0].comparisonScore);
+                        const values = [...chosen.map(member => member.comparisonScore), team.comparisonScore, ...optimistic];
+                        const bound = objective === 'minimum' ? Math.min(...values) : values.reduce((sum, value) => sum + value, 0);
+                        if (bound < best[0] - TOLERANCE) break;
+                    }
+                    chosen.push(team);
+                    team.members.forEach(member => usedIds.add(member.id));
+                    // Same-kind slots take teams in pool order so each combination is tried once.
+                    visit(depth + 1, depth + 1 < teamCount && kinds[depth + 1] === kinds[depth] ? i + 1 : 0);
+                    team.members.forEach(member => usedIds.delete(member.id));
+                    chosen.pop();
+                    if (nodes > NODE_LIMIT) return;
+                }
+            };
+            visit(0, 0);
+            if (!bestTeams) return null;
+            const teams = [];
+            slotOrder.forEach((slot, depth) => { teams[slot] = bestTeams[depth]; });
+            return teams;
+        };
+
+        const draft = () => {
+            // Snake draft by individual score, each healer team taking its healer first: a balanced start for the weakest-team objective.
+            const teams = teamRequirements.map(() => []);
+            const healers = roster.filter(champ => champ.isHealer === true).sort((a, b) => (b.individualScore || 0) - (a.individualScore || 0));
+            slotOrder.filter(slot => teamRequirements[slot].requireHealer).forEach((slot, index) => teams[slot].push(healers[index]));
+            const takenIds = new Set(teams.flat().map(champ => champ.id));
+            const order = roster.filter(champ => !takenIds.has(champ.id)).sort((a, b) => (b.individualScore || 0) - (a.individualScore || 0));
+            let round = 0;
+            while (teams.some(team => team.length < 5)) {
+                const slots = teamRequirements.map((_, slot) => slot);
+                for (const slot of round % 2 ? slots.reverse() : slots) if (teams[slot].length < 5) teams[slot].push(order.shift());
+                round++;
+            }
+            return teams.map(members => this.evaluateTeam(members));
+        };
+
+        const improve = async (startTeams) => {
+            let teams = startTeams.map(team => this.evaluateTeam([...team.members]));
+            let current = score(teams);
+            const meetsRequirement = (slot, members) => !teamRequirements[slot].requireHealer || members.some(member => member.isHealer === true);
+            for (let pass = 0; pass < 50; pass++) {
+                let improved = false;
+                for (let a = 0; a < teamCount; a++) {
+                    for (let i = 0; i < 5; i++) {
+                        const assignedIds = new Set(teams.flatMap(team => team.members.map(member => member.id)));
+                        const bench = roster.filter(champ => !assignedIds.has(champ.id));
+                        const moves = [...bench.map(champ => ({ champ, b: -1, j: -1 }))];
+                        for (let b = a + 1; b < teamCount; b++) teams[b].members.forEach((champ, j) => moves.push({ champ, b, j }));
+                        for (const { champ, b, j } of moves) {
+                            const membersA = teams[a].members.map((member, k) => (k === i ? champ : member));
+                            if (!meetsRequirement(a, membersA)) continue;
+                            const next = [...teams];
+                            next[a] = this.evaluateTeam(membersA);
+                            if (b !== -1) {
+                                const membersB = teams[b].members.map((member, k) => (k === j ? teams[a].members[i] : member));
+                                if (!meetsRequirement(b, membersB)) continue;
+                                next[b] = this.evaluateTeam(membersB);
+                            }
+                            const value = score(next);
+                            if (isBetter(value, current)) {
+                                teams = next;
+                                current = value;
+                                improved = true;
+                                break;
+                            }
+                        }
+                    }
+                }
+                await updateProgress(`Improving teams by swapping champions (pass ${pass + 1})...`, Math.min(95, 70 + pass * 5));
+                await new Promise(resolve => nextBatch(resolve));
+                if (!improved) break;
+            }
+            return { teams, value: current };
+        };
+
+        await updateProgress(`Building ${teamCount} teams one at a time...`, 15);
+        let greedyTeams = await greedy(false);
+        if (!greedyTeams && healerTeams > 1) greedyTeams = await greedy(true);
+        await updateProgress("Combining the top-ranked teams...", 40);
+        const packedTeams = await pack();
+        const starts = [greedyTeams, packedTeams, objective === 'minimum' ? draft() : null].filter(Boolean);
+        if (starts.length === 0) throw new Error(`Could not split the roster into ${teamCount} teams with the current requirements.`);
+
+        let best = null;
+        for (const start of starts) {
+            const result = await improve(start);
+            if (!best || isBetter(result.value, best.value)) best = result;
+        }
+        updateProgress("Finalizing teams...", 98);
+        return best.teams;
+    }
+
+    /**
+     * Finds the `keep` teams of 5 with the highest comparison scores with a branch-and-bound search instead of scoring every combination.
+     * Champions are tried in descending individual score, and a branch is skipped once an upper bound on any team it can still
+     * produce falls below the worst team kept so far. The bound assumes each synergy gets its best possible bonus per added
+     * member, every untiered percentage synergy that can still activate does, and class diversity applies if enough classes
+     * remain. It never underestimates, so the result is exactly what scoring every combination with evaluateTeam would find.
+     * Constraints (see resolveConstraints) are applied while searching: locked champions start in every team, banned champions and
+     * forbidden classes are never tried, branches that can no longer meet an "at least N" rule are cut, and champions over the
+     * Limited Mythic cap are skipped. Runs in 16ms batches (see nextBatch) so the processing modal stays responsive.
+     * With a `partition`, only teams whose first added champion (in search order) has an index `i` with `i % count === index`
+     * are searched, so `count` workers can split one search and merge their results into exactly the single-search answer.
+     * @param {object[]} roster - The roster champions with individual scores.
+     * @param {{requireHealer: boolean, constraints?: object, keep: number, avoidTeams?: object[], maxOverlap?: number, partition?: {index: number, count: number}, onProgress: Function}} options -
+     *   Teams sharing more than `maxOverlap` members with any of `avoidTeams` are skipped. `onProgress(fraction, scored, total)` is called before
+     *   the first batch and between batches, where `total` is the number of teams in this partition.
+     * @returns {Promise<object[]>} Up to `keep` evaluated teams, best first.
+     */
+    searchTeams(roster, options) {
+        const { requireHealer, constraints, keep, avoidTeams = [], maxOverlap = 5, partition = { index: 0, count: 1 }, onProgress } = options;
+        const TEAM_SIZE = 5;
+        const TOLERANCE = 1e-9;
+        const { available, locked, rules, limitedMythicCap } = this.resolveConstraints(roster, { requireHealer, constraints });
+        const slots = TEAM_SIZE - locked.length;
+
+        const rosterIndexOf = new Map(roster.map((champ, rosterIndex) => [champ, rosterIndex]));
+        const order = available.map(champ => ({ champ, rosterIndex: rosterIndexOf.get(champ), score: champ.individualScore || 0 })).sort((a, b) => b.score - a.score);
+        const n = order.length;
+        const maxRepeats = Math.max(1, ...roster.map(champ => {
+            const seen = new Map();
+            (champ.inherentSynergies || []).forEach(name => seen.set(name, (seen.get(name) || 0) + 1));
+            return Math.max(0, ...seen.values());
+        }));
+        const tables = [...this.buildSynergyTables(TEAM_SIZE * maxRepeats).entries()];
+        const synergyIndexByName = new Map(tables.map(([name], index) => [name, index]));
+        const bonusTables = tables.map(([, table]) => table.bonus);
+        const factorTables = tables.map(([, table]) => table.factor);
+        const maxCount = TEAM_SIZE * maxRepeats;
+
+        const synergiesOf = order.map(({ champ }) => (champ.inherentSynergies || []).filter(name => synergyIndexByName.has(name)).map(name => synergyIndexByName.get(name)));
+        const classOf = order.map(({ champ }) => (champ.class && champ.class !== "N/A" ? champ.class : null));
+        const isLimitedMythic = order.map(({ champ }) => champ.baseRarity === 'Limited Mythic');
+        const ruleMatches = rules.map(rule => order.map(({ champ }) => rule.matches(champ)));
+        const avoidIdSets = avoidTeams.map(team => new Set(team.members.map(member => member.id)));
+        const avoidedIn = order.map(({ champ }) => avoidIdSets.map((ids, t) => (ids.has(champ.id) ? t : -1)).filter(t => t !== -1));
+        const scoreSums = [0];
+        order.forEach(({ score }, i) => scoreSums.push(scoreSums[i] + score));
+        // matchesFrom[r][i]: how many of order[i..] count towards rule r.
+        const matchesFrom = ruleMatches.map(matches => {
+            const from = new Array(n + 1).fill(0);
+            for (let i = n - 1; i >= 0; i--) from[i] = from[i + 1] + (matches[i] ? 1 : 0);
+            return from;
+        });
+        const binomial = (total, k) => {
+            if (k < 0 || total < k) return 0;
+            let result = 1;
+            for (let i = 1; i <= k; i++) result = result * (total - k + i) / i;
+            return Math.round(result);
+        };
+        const inPartition = (i) => i % partition.count === partition.index;
+        // shareFrom[i]: how many teams in this partition have order[i] or a later champion as their first added member.
+        const shareFrom = new Array(n + 1).fill(0);
+        for (let i = n - 1; i >= 0; i--) shareFrom[i] = shareFrom[i + 1] + (inPartition(i) ? binomial(n - i - 1, slots - 1) : 0);
+        const totalCombinations = shareFrom[0];
+        const diversityFactor = Math.max(1, this.constants.CLASS_DIVERSITY_MULTIPLIER);
+
+        // Search state: the chosen order indices and running totals for them and the locked champions.
+        const chosen = [];
+        const synergyCounts = new Array(tables.length).fill(0);
+        const classCounts = new Map();
+        const overlapCounts = avoidIdSets.map(ids => locked.filter(champ => ids.has(champ.id)).length);
+        const ruleCounts = rules.map(rule => locked.filter(rule.matches).length);
+        let baseSum = 0;
+        let limitedMythicCount = locked.filter(champ => champ.baseRarity === 'Limited Mythic').length;
+        locked.forEach(champ => {
+            (champ.inherentSynergies || []).forEach(name => { if (synergyIndexByName.has(name)) synergyCounts[synergyIndexByName.get(name)]++; });
+            if (champ.class && champ.class !== "N/A") classCounts.set(champ.class, (classCounts.get(champ.class) || 0) + 1);
+            baseSum += champ.individualScore || 0;
+        });
+        // Per depth: the best bonus per added member for each synergy, the largest percentage multiplier and the bonus already locked in.
+        const levels = [];
+
+        const prepareLevel = () => {
+            const remaining = slots - chosen.length;
+            const reach = Math.min(maxCount, remaining * maxRepeats);
+            const perMember = new Array(tables.length).fill(0);
+            let percentFactor = 1;
+            let lockedBonus = 0;
+            for (let s = 0; s < tables.length; s++) {
+                const current = synergyCounts[s];
+                const bonus = bonusTables[s];
+                let bestFactor = factorTables[s][current];
+                for (let extra = 1; extra <= reach && current + extra <= maxCount; extra++) {
+                    perMember[s] = Math.max(perMember[s], (bonus[current + extra] - bonus[current]) / extra);
+                    bestFactor = Math.max(bestFactor, factorTables[s][current + extra]);
+                }
+                percentFactor *= bestFactor;
+                lockedBonus += bonus[current];
+            }
+            levels[chosen.length] = { perMember, percentFactor, fixed: percentFactor * baseSum + lockedBonus };
+        };
+        const candidateValue = (level, j) => {
+            let value = level.percentFactor * order[j].score;
+            const synergies = synergiesOf[j];
+            for (let k = 0; k < synergies.length; k++) value += level.perMember[synergies[k]];
+            return value;
+        };
+        const finishBound = (subtotal, canDiversify, baseBound) => (subtotal > 0 && canDiversify ? subtotal * diversityFactor : subtotal) + baseBound * this.constants.INDIVIDUAL_SCORE_WEIGHT;
+        const upperBound = (start, remaining) => {
+            const level = levels[chosen.length];
+            const top = [];
+            const newClasses = new Set();
+            const classesNeeded = 4 - classCounts.size;
+            for (let j = start; j < n; j++) {
+                const value = candidateValue(level, j);
+                if (top.length < remaining) top.push(value);
+                else {
+                    let lowest = 0;
+                    for (let k = 1; k < top.length; k++) if (top[k] < top[lowest]) lowest = k;
+                    if (value > top[lowest]) top[lowest] = value;
+                }
+                if (classOf[j] && newClasses.size < classesNeeded && !classCounts.has(classOf[j])) newClasses.add(classOf[j]);
+            }
+            const subtotal = level.fixed + top.reduce((sum, value) => sum + value, 0);
+            const canDiversify = classesNeeded <= Math.min(remaining, newClasses.size);
+            return finishBound(subtotal, canDiversify, baseSum + scoreSums[start + remaining] - scoreSums[start]);
+        };
+        const leafBound = (j) => {
+            const level = levels[chosen.length];
+            const classTotal = classCounts.size + (classOf[j] && !classCounts.has(classOf[j]) ? 1 : 0);
+            return finishBound(level.fixed + candidateValue(level, j), classTotal >= 4, baseSum + order[j].score);
+        };
+        const overlapsAvoidedTeam = (i) => avoidedIn[i].some(t => overlapCounts[t] >= maxOverlap);
+        const cannotAdd = (i) => overlapsAvoidedTeam(i) || (isLimitedMythic[i] && limitedMythicCount >= limitedMythicCap);
+        // Whether filling `remaining` places from order[start..] can still meet every rule.
+        const canMeetRules = (start, remaining) => rules.every((rule, r) => {
+            const missing = rule.need - ruleCounts[r];
+            return missing <= 0 || (missing <= remaining && matchesFrom[r][start] >= missing);
+        });
+        const meetsRulesWith = (j) => rules.every((rule, r) => ruleCounts[r] + (ruleMatches[r][j] ? 1 : 0) >= rule.need);
+        const isOverLockedOverlap = overlapCounts.some(count => count > maxOverlap);
+        const push = (i) => {
+            chosen.push(i);
+            avoidedIn[i].forEach(t => { overlapCounts[t]++; });
+            synergiesOf[i].forEach(s => { synergyCounts[s]++; });
+            if (classOf[i]) classCounts.set(classOf[i], (classCounts.get(classOf[i]) || 0) + 1);
+            baseSum += order[i].score;
+            ruleMatches.forEach((matches, r) => { if (matches[i]) ruleCounts[r]++; });
+            if (isLimitedMythic[i]) limitedMythicCount++;
+        };
+        const pop = () => {
+            const i = chosen.pop();
+            avoidedIn[i].forEach(t => { overlapCounts[t]--; });
+            synergiesOf[i].forEach(s => { synergyCounts[s]--; });
+            if (classOf[i]) {
+                const left = classCounts.get(classOf[i]) - 1;
+                if (left === 0) classCounts.delete(classOf[i]);
+                else classCounts.set(classOf[i], left);
+            }
+            baseSum -= order[i].score;
+            ruleMatches.forEach((matches, r) => { if (matches[i]) ruleCounts[r]--; });
+            if (isLimitedMythic[i]) limitedMythicCount--;
+            return i;
+        };
+
+        const rankedTeams = [];
+        const addRankedTeam = (team) => {
+            let at = rankedTeams.findIndex(other => team.comparisonScore > other.comparisonScore);
+            if (at === -1) at = rankedTeams.length;
+            if (at >= keep) return;
+            rankedTeams.splice(at, 0, team);
+            if (rankedTeams.length > keep) rankedTeams.pop();
+        };
+        let covered = 0;
+        let evaluatedCount = 0;
+        let nextIndex = 0;
+        prepareLevel();
+
+        // Runs the depth-first search until the deadline; returns true once every combination is scored or ruled out.
+        const searchUntil = (deadline) => {
+            let steps = 0;
+            while (true) {
+                if (++steps % 64 === 0 && Date.now() >= deadline) return false;
+                const remaining = slots - chosen.length;
+                const worstKept = rankedTeams.length < keep ? -Infinity : rankedTeams[keep - 1].comparisonScore;
+                const cutoff = worstKept - TOLERANCE * Math.max(1, Math.abs(worstKept));
+                if (remaining === 1) {
+                    for (let j = nextIndex; j < n; j++) {
+                        if (chosen.length === 0 && !inPartition(j)) continue;
+                        covered++;
+                        if (!meetsRulesWith(j) || cannotAdd(j) || leafBound(j) < cutoff) continue;
+                        const members = [...locked, ...[...chosen, j].map(i => order[i].champ)].sort((a, b) => rosterIndexOf.get(a) - rosterIndexOf.get(b));
+                        addRankedTeam(this.evaluateTeam(members));
+                        evaluatedCount++;
+                    }
+                    nextIndex = n;
+                } else if (chosen.length === 0 && nextIndex <= n - remaining && !inPartition(nextIndex)) {
+                    nextIndex++;
+                    continue;
+                } else if (nextIndex <= n - remaining && cannotAdd(nextIndex)) {
+                    covered += binomial(n - nextIndex - 1, remaining - 1);
+                    nextIndex++;
+                    continue;
+                } else if (nextIndex <= n - remaining
+                    && canMeetRules(nextIndex, remaining)
+                    && upperBound(nextIndex, remaining) >= cutoff) {
+                    push(nextIndex);
+                    nextIndex++;
+                    prepareLevel();
+                    continue;
+                } else {
+                    covered += chosen.length === 0 ? shareFrom[nextIndex] : binomial(n - nextIndex, remaining);
+                }
+                if (chosen.length === 0) return true;
+                nextIndex = pop() + 1;
+            }
+        };
+
+        if (slots === 0 || isOverLockedOverlap) {
+            // Nothing left to search: the locked champions are the only possible team.
+            if (slots === 0 && !isOverLockedOverlap && partition.index === 0) addRankedTeam(this.evaluateTeam([...locked].sort((a, b) => rosterIndexOf.get(a) - rosterIndexOf.get(b))));
+            return Promise.resolve(rankedTeams);
+        }
+        return new Promise((resolve) => {
+            const processBatch = () => {
+                if (searchUntil(Date.now() + 16)) {
+                    resolve(rankedTeams);
+                    return;
+                }
+                onProgress(totalCombinations > 0 ? covered / totalCombinations : 1, evaluatedCount, totalCombinations);
+                nextBatch(processBatch);
+            };
+            onProgress(0, 0, totalCombinations);
+            nextBatch(processBatch);
+        });
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * @file team-worker.js
+ * @fileoverview Web Worker that runs the Team Builder's TeamCalculator (from team-calculator.js) off the main thread,
+ * so a search over a large roster never freezes the page. Messages are tagged with a `runId`; the page terminates
+ * the worker to cancel a run, so nothing here needs to check for cancellation.
+ *
+ * Messages in:  { type: 'search_teams' | 'allocate_teams', runId, payload: { synergies, constants, roster, options } }
+ * Messages out: { type: 'progress' | 'result' | 'error', runId, ... }
+ *
+ * The page splits one 'search_teams' across several workers with `options.partition` and merges the results.
+ */
+
+import { TeamCalculator } from './team-calculator.js';
+
+// =================================================================================================
+// #region: --- MESSAGE HANDLING ---
+// =================================================================================================
+
+/**
+ * Handles a 'search_teams' request: one partition of a branch-and-bound search, streaming how much of it is done.
+ * @param {number} runId - The ID of the run, echoed back on every message.
+ * @param {object} payload - The synergies, game constants, roster and searchTeams options (without `onProgress`).
+ * @returns {Promise<object[]>} The partition's best teams.
+ */
+function handleSearchTeams(runId, { synergies, constants, roster, options }) {
+    const calculator = new TeamCalculator(synergies, constants);
+    return calculator.searchTeams(roster, {
+        ...options,
+        onProgress: (fraction, scored, total) => self.postMessage({ type: 'progress', runId, fraction, scored, total }),
+    });
+}
+
+/**
+ * Handles an 'allocate_teams' request: the whole multi-team allocation, streaming its status lines.
+ * @param {number} runId - The ID of the run, echoed back on every message.
+ * @param {object} payload - The synergies, game constants, roster and allocateTeams options (without `updateProgress`).
+ * @returns {Promise<object[]>} The allocated teams.
+ */
+function handleAllocateTeams(runId, { synergies, constants, roster, options }) {
+    const calculator = new TeamCalculator(synergies, constants);
+    return calculator.allocateTeams(roster, {
+        ...options,
+        updateProgress: async (status, percent) => self.postMessage({ type: 'progress', runId, status, percent }),
+    });
+}
+
+self.onmessage = async (event) => {
+    const { type, runId, payload } = event.data;
+    try {
+        let result;
+        switch (type) {
+            case 'search_teams': result = await handleSearchTeams(runId, payload); break;
+            case 'allocate_teams': result = await handleAllocateTeams(runId, payload); break;
+            default: throw new Error(`Unknown message type "${type}".`);
+        }
+        self.postMessage({ type: 'result', runId, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', runId, message: error.message });
+    }
+};
@@ -3,10 +3,11 @@
  * @description Manages the "Optimal Team Builder" page for the DC: Dark Legion Tools application.
  * This script handles:
  * - Firebase initialization and authentication.
- * - Fetching and displaying game data (champions, synergies, legacy pieces) from Firestore.
- * - Player champion roster management.
- * - Optimal team calculation using a dedicated TeamCalculator class.
+ * - Fetching and displaying game data (champions, synergies, legacy pieces) from Firestore, cached in IndexedDB for offline use.
+ * - Player champion roster management, editable offline with changes synced to Firestore when back online.
+ * - Optimal team calculation using the TeamCalculator class (team-calculator.js), run in Web Workers (team-worker.js) with a Cancel button.
  * - Saved teams management.
+ * - An upgrade priority planner that spends an Anvil budget on the star upgrades that raise the best team's score most per Anvil.
  * - UI interactions.
  * - URL parameter handling for viewing publicly shared teams, including dynamic banner generation.
  * - Firebase Analytics for tracking user events.
@@ -18,11 +19,15 @@
 // --- Firebase SDK Imports ---
 import { getApp } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-app.js";
 import { getAuth, onAuthStateChanged } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js";
-import { getFirestore, collection, getDocs, doc, setDoc, getDoc, deleteDoc, query, setLogLevel, orderBy, addDoc, updateDoc, serverTimestamp, deleteField } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+import { getFirestore, collection, doc, getDoc, deleteDoc, setLogLevel, orderBy, addDoc, updateDoc, serverTimestamp, deleteField } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
 import { getAnalytics, logEvent } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-analytics.js";
 
 // --- Custom Module Imports ---
 import { createDynamicHeroBanner, loadComicsForHeroes } from './share.js';
+import { calculateExpectedDrawsPerMythic, calculateLmCycleMetrics, calculateActualRateFromEffectiveRate, calculateGachaAnvils } from './anvil-math.js';
+import { DEFAULT_RULE_PROFILE } from './banner-rules.js';
+import { loadGameCollection, loadUserCollection, readUserDoc, writeUserDoc, syncPendingDocs, isOnline } from './offline-store.js';
+import { TeamCalculator } from './team-calculator.js';
 
 // =================================================================================================
 // #region: Constants & Global State
@@ -43,24 +48,28 @@ let userId = null;
 let rosterDataTable = null, scoreColumnVisible = true;
 let teamNameModalCallback = null, confirmModalConfirmCallback = null, confirmModalCancelCallback = null;
 let originalBestTeam = null, currentDisplayedTeam = null, currentBestTeamForSaving = null;
+let rankedTeams = [], allocatedTeams = [];
+let constraintRules = [];
+let teamWorkers = [], teamWorkerRunCounter = 0, pendingTeamWorkerRuns = new Map(), teamWorkersFailed = false;
 let championToReplaceIndex = -1;
 let dbSynergies = [], dbChampions = [], dbLegacyPieces = [];
+let offlineNoticeShown = false;
 let playerChampionRoster = [], savedTeams = [];
 let currentSelectedChampionClass = null, editingChampionId = null;
 
 // --- DOM Element Selectors ---
-const loadingIndicatorEl = document.getElementById('loading-indicator'), errorIndicatorEl = document.getElementById('error-indicator'), errorMessageDetailsEl = document.getElementById('error-message-details'), saveRosterIndicatorEl = document.getElementById('save-roster-indicator'), toggleScoreColumnCheckbox = document.getElementById('toggle-score-column'), synergiesSectionEl = document.getElementById('synergies-section'), synergiesListEl = document.getElementById('synergies-list'), toastContainer = document.getElementById('toast-container'), teamNameModalEl = document.getElementById('team-name-modal'), teamNameModalTitleEl = document.getElementById('team-name-modal-title'), teamNameInputEl = document.getElementById('team-name-input'), saveTeamNameBtn = document.getElementById('save-team-name-btn'), cancelTeamNameBtn = document.getElementById('cancel-team-name-btn'), processingModalEl = document.getElementById('processing-modal'), processingStatusTextEl = document.getElementById('processing-status-text'), progressBarInnerEl = document.getElementById('progress-bar-inner'), prefillRosterBtn = document.getElementById('prefill-roster-btn'), exportRosterBtn = document.getElementById('export-roster-btn'), importRosterBtn = document.getElementById('import-roster-btn'), importRosterFileEl = document.getElementById('import-roster-file'), confirmModalEl = document.getElementById('confirm-modal'), confirmModalTitleEl = document.getElementById('confirm-modal-title'), confirmModalMessageEl = document.getElementById('confirm-modal-message'), confirmModalConfirmBtn = document.getElementById('confirm-modal-confirm-btn'), confirmModalCancelBtn = document.getElementById('confirm-modal-cancel-btn'), shareTeamModalEl = document.getElementById('share-team-modal'), shareTeamLinkInputEl = document.getElementById('share-team-link-input'), copyShareLinkBtn = document.getElementById('copy-share-link-btn'), closeShareTeamModalBtn = document.getElementById('close-share-team-modal-btn'), mainAppContentEl = document.getElementById('main-app-content'), sharedTeamViewSectionEl = document.getElementById('shared-team-view-section'), sharedTeamNameEl = document.getElementById('shared-team-name'), sharedTeamOutputEl = document.getElementById('shared-team-output'), formModeTitleEl = document.getElementById('form-mode-title'), champSelectDbEl = document.getElementById('champ-select-db'), champBaseRarityDisplayEl = document.getElementById('champ-base-rarity-display'), champClassDisplayEl = document.getElementById('champ-class-display'), champHealerStatusDisplayEl = document.getElementById('champ-healer-status-display'), champStarColorEl = document.getElementById('champ-star-color'), champInherentSynergiesDisplayEl = document.getElementById('champ-inherent-synergies-display'), gearSelectEls = { head: document.getElementById('gear-head'), arms: document.getElementById('gear-arms'), legs: document.getElementById('gear-legs'), chest: document.getElementById('gear-chest'), waist: document.getElementById('gear-waist'), }, legacyPieceSelectEl = document.getElementById('legacy-piece-select'), legacyPieceStarColorEl = document.getElementById('legacy-piece-star-color'), addUpdateChampionBtn = document.getElementById('add-update-champion-btn'), cancelEditBtn = document.getElementById('cancel-edit-btn'), championsRosterTableWrapperEl = document.getElementById('champions-roster-table-wrapper'), userIdDisplay = document.getElementById('userIdDisplay'), requireHealerCheckboxEl = document.getElementById('require-healer-checkbox'), excludeSavedTeamCheckboxEl = document.getElementById('exclude-saved-team-checkbox'), selectExclusionTeamDropdownEl = document.getElementById('select-exclusion-team-dropdown'), calculateBtn = document.getElementById('calculate-btn'), resultsOutputEl = document.getElementById('results-output'), savedTeamsListEl = document.getElementById('saved-teams-list');
+const loadingIndicatorEl = document.getElementById('loading-indicator'), errorIndicatorEl = document.getElementById('error-indicator'), errorMessageDetailsEl = document.getElementById('error-message-details'), saveRosterIndicatorEl = document.getElementById('save-roster-indicator'), toggleScoreColumnCheckbox = document.getElementById('toggle-score-column'), synergiesSectionEl = document.getElementById('synergies-section'), synergiesListEl = document.getElementById('synergies-list'), toastContainer = document.getElementById('toast-container'), teamNameModalEl = document.getElementById('team-name-modal'), teamNameModalTitleEl = document.getElementById('team-name-modal-title'), teamNameInputEl = document.getElementById('team-name-input'), saveTeamNameBtn = document.getElementById('save-team-name-btn'), cancelTeamNameBtn = document.getElementById('cancel-team-name-btn'), processingModalEl = document.getElementById('processing-modal'), processingStatusTextEl = document.getElementById('processing-status-text'), progressBarInnerEl = document.getElementById('progress-bar-inner'), processingCancelBtn = document.getElementById('processing-cancel-btn'), prefillRosterBtn = document.getElementById('prefill-roster-btn'), exportRosterBtn = document.getElementById('export-roster-btn'), importRosterBtn = document.getElementById('import-roster-btn'), importRosterFileEl = document.getElementById('import-roster-file'), confirmModalEl = document.getElementById('confirm-modal'), confirmModalTitleEl = document.getElementById('confirm-modal-title'), confirmModalMessageEl = document.getElementById('confirm-modal-message'), confirmModalConfirmBtn = document.getElementById('confirm-modal-confirm-btn'), confirmModalCancelBtn = document.getElementById('confirm-modal-cancel-btn'), shareTeamModalEl = document.getElementById('share-team-modal'), shareTeamLinkInputEl = document.getElementById('share-team-link-input'), copyShareLinkBtn = document.getElementById('copy-share-link-btn'), closeShareTeamModalBtn = document.getElementById('close-share-team-modal-btn'), mainAppContentEl = document.getElementById('main-app-content'), sharedTeamViewSectionEl = document.getElementById('shared-team-view-section'), sharedTeamNameEl = document.getElementById('shared-team-name'), sharedTeamOutputEl = document.getElementById('shared-team-output'), formModeTitleEl = document.getElementById('form-mode-title'), champSelectDbEl = document.getElementById('champ-select-db'), champBaseRarityDisplayEl = document.getElementById('champ-base-rarity-display'), champClassDisplayEl = document.getElementById('champ-class-display'), champHealerStatusDisplayEl = document.getElementById('champ-healer-status-display'), champStarColorEl = document.getElementById('champ-star-color'), champInherentSynergiesDisplayEl = document.getElementById('champ-inherent-synergies-display'), gearSelectEls = { head: document.getElementById('gear-head'), arms: document.getElementById('gear-arms'), legs: document.getElementById('gear-legs'), chest: document.getElementById('gear-chest'), waist: document.getElementById('gear-waist'), }, legacyPieceSelectEl = document.getElementById('legacy-piece-select'), legacyPieceStarColorEl = document.getElementById('legacy-piece-star-color'), addUpdateChampionBtn = document.getElementById('add-update-champion-btn'), cancelEditBtn = document.getElementById('cancel-edit-btn'), championsRosterTableWrapperEl = document.getElementById('champions-roster-table-wrapper'), userIdDisplay = document.getElementById('userIdDisplay'), requireHealerCheckboxEl = document.getElementById('require-healer-checkbox'), excludeSavedTeamCheckboxEl = document.getElementById('exclude-saved-team-checkbox'), selectExclusionTeamDropdownEl = document.getElementById('select-exclusion-team-dropdown'), calculateBtn = document.getElementById('calculate-btn'), resultsOutputEl = document.getElementById('results-output'), savedTeamsListEl = document.getElementById('saved-teams-list');
 const champForceLevelEl = document.getElementById('champ-force-level');
+const topTeamsCountInputEl = document.getElementById('top-teams-count-input'), minTeamDifferenceSelectEl = document.getElementById('min-team-difference-select'), rankedTeamsOutputEl = document.getElementById('ranked-teams-output');
+const constraintsSummaryEl = document.getElementById('constraints-summary'), constraintLockSelectEl = document.getElementById('constraint-lock-select'), constraintBanSelectEl = document.getElementById('constraint-ban-select'), constraintRequireClassSelectEl = document.getElementById('constraint-require-class-select'), constraintForbidClassSelectEl = document.getElementById('constraint-forbid-class-select'), constraintRuleCountInputEl = document.getElementById('constraint-rule-count-input'), constraintRuleTargetSelectEl = document.getElementById('constraint-rule-target-select'), addConstraintRuleBtn = document.getElementById('add-constraint-rule-btn'), constraintRulesListEl = document.getElementById('constraint-rules-list'), constraintLmCapSelectEl = document.getElementById('constraint-lm-cap-select'), clearConstraintsBtn = document.getElementById('clear-constraints-btn');
+const allocationTeamCountSelectEl = document.getElementById('allocation-team-count-select'), allocationObjectiveSelectEl = document.getElementById('allocation-objective-select'), allocateTeamsBtn = document.getElementById('allocate-teams-btn'), allocationRequirementsEl = document.getElementById('allocation-requirements'), allocationOutputEl = document.getElementById('allocation-output');
+const upgradeBudgetInputEl = document.getElementById('upgrade-budget-input'), planUpgradesBtn = document.getElementById('plan-upgrades-btn'), upgradePlanOutputEl = document.getElementById('upgrade-plan-output');
 const swapChampionModalEl = document.createElement('div');
 swapChampionModalEl.id = 'swap-champion-modal';
 swapChampionModalEl.className = 'modal-backdrop hidden';
 document.body.appendChild(swapChampionModalEl);
-// Custom Dropdown Elements
-const customChampDropdown = document.getElementById('custom-champ-dropdown');
-const customChampDropdownTrigger = document.getElementById('custom-champ-dropdown-trigger');
-const customChampDropdownOptions = document.getElementById('custom-champ-dropdown-options');
-const selectedChampImg = document.getElementById('selected-champ-img');
-const selectedChampName = document.getElementById('selected-champ-name');
+// Champion picker (<champion-picker>, js/champion-picker.js); the pick is mirrored onto the hidden champ-select-db input.
+const champPickerEl = document.getElementById('champ-picker');
 
 
 // =================================================================================================
@@ -86,245 +95,163 @@ const GAME_CONSTANTS = {
     SYNERGY_ACTIVATION_COUNT: 3,
     SYNERGY_DEPTH_BONUS: 450,
     INDIVIDUAL_SCORE_WEIGHT: 1.25,
+    UPGRADE_PLANNER_MAX_STEPS: 25,
+    TOP_TEAMS_MAX: 20,
+    // Multi-team allocation: the most teams per group, and how many top teams of each kind the packing pass combines.
+    ALLOCATION_MAX_TEAMS: 5,
+    ALLOCATION_POOL_SIZE: 150,
+    // The most Web Workers one team search is split across.
+    TEAM_WORKERS_MAX: 8,
 };
 
 // =================================================================================================
-// #region: Team Calculation Logic (CLASS-BASED REFACTOR)
+// #region: Utility & UI Functions
 // =================================================================================================
 
-class TeamCalculator {
-    constructor(allSynergies, gameConstants) {
-        this.synergies = [...allSynergies].sort((a, b) => {
-            if (a.bonusType === 'percentage' && b.bonusType !== 'percentage') return -1;
-            if (a.bonusType !== 'percentage' && b.bonusType === 'percentage') return 1;
-            return 0;
-        });
-        this.constants = gameConstants;
-    }
-
-    static calculateIndividualChampionScore(champion, gameConstants) {
-        const baseScore = gameConstants.CHAMPION_BASE_RARITY_SCORE[champion.baseRarity] || 0;
-        const starMultiplier = gameConstants.STAR_COLOR_TIERS[champion.starColorTier] || 1.0;
-        if (starMultiplier === 1.0 && champion.starColorTier !== "White 1-Star" && champion.starColorTier !== "Unlocked") {
-             console.warn(`Unknown starColorTier: ${champion.starColorTier} for champion ${champion.name}, defaulting to multiplier 1.0`);
-        }
-        const championCoreScore = baseScore * starMultiplier;
-
-        let totalEquipmentMultiplier = 1.0;
-
-        if (champion.gear && typeof champion.gear === 'object') {
-            Object.values(champion.gear).forEach(gearPiece => {
-                if (gearPiece && gearPiece.rarity) {
-                    totalEquipmentMultiplier += gameConstants.STANDARD_GEAR_RARITY_MODIFIER[gearPiece.rarity] || 0;
-                }
-            });
-        }
-
-        const legacyPiece = champion.legacyPiece || {};
-        if (legacyPiece.id && legacyPiece.rarity !== 'None') {
-            const baseLpModifier = gameConstants.LEGACY_PIECE_BASE_RARITY_MODIFIER[legacyPiece.rarity] || 0;
-            const lpStarModifier = gameConstants.LEGACY_PIECE_STAR_TIER_MODIFIER[legacyPiece.starColorTier] || 0;
-            totalEquipmentMultiplier += baseLpModifier + lpStarModifier;
-        }
-
-        const forceLevel = champion.forceLevel || 0;
-        const forceModifier = gameConstants.FORCE_LEVEL_MODIFIER[forceLevel] || 0;
-        totalEquipmentMultiplier += forceModifier;
-
-        const synergyCount = Array.isArray(champion.inherentSynergies) ? champion.inherentSynergies.length : 0;
-        totalEquipmentMultiplier += synergyCount * (gameConstants.SYNERGY_COUNT_MODIFIER || 0);
-
-        const finalScore = championCoreScore * totalEquipmentMultiplier;
-
-        return finalScore;
-    }
+function ensureIndividualScores(members) { if (!members || !Array.isArray(members)) return []; return members.map(member => { const newMember = { ...member }; if (newMember.individualScore === undefined) { const baseChampDetails = dbChampions.find(c => c.id === newMember.dbChampionId) || {}; const memberForScoreCalc = { ...newMember, baseRarity: newMember.baseRarity || baseChampDetails.baseRarity, forceLevel: newMember.forceLevel || 0, inherentSynergies: newMember.inherentSynergies || baseChampDetails.inherentSynergies || [], legacyPiece: { ...(newMember.legacyPiece || {}), rarity: (newMember.legacyPiece && newMember.legacyPiece.rarity) ? newMember.legacyPiece.rarity : "None", starColorTier: (newMember.legacyPiece && newMember.legacyPiece.starColorTier) ? newMember.legacyPiece.starColorTier : "Unlocked" } }; newMember.individualScore = TeamCalculator.calculateIndividualChampionScore(memberForScoreCalc, GAME_CONSTANTS); } return newMember; }); }
+function showToast(message, type = 'info', duration = 3000) { if (!toastContainer) return; const toast = document.createElement('div'); let baseClasses = 'toast mb-3 p-3 rounded-lg shadow-lg text-sm text-white flex justify-between items-center'; let typeClasses = ''; switch (type) { case 'success': typeClasses = 'bg-green-500'; break; case 'error': typeClasses = 'bg-red-500'; break; case 'warning': typeClasses = 'bg-yellow-500 text-black'; break; default: typeClasses = 'bg-blue-500'; break; } toast.className = `${baseClasses} ${typeClasses}`; const messageSpan = document.createElement('span'); messageSpan.textContent = message; toast.appendChild(messageSpan); const closeBtn = document.createElement('button'); closeBtn.innerHTML = '&times;'; closeBtn.className = 'ml-2 text-lg font-semibold leading-none focus:outline-none'; closeBtn.onclick = () => { toast.style.opacity = '0'; setTimeout(() => toast.remove(), 500); }; toast.appendChild(closeBtn); toastContainer.appendChild(toast); toast.offsetHeight; toast.classList.add('show'); setTimeout(() => { toast.style.opacity = '0'; setTimeout(() => toast.remove(), 500); }, duration); }
+function showError(message, details = "") { if (loadingIndicatorEl) loadingIndicatorEl.classList.add('hidden'); if (errorIndicatorEl) { errorIndicatorEl.classList.remove('hidden'); const p = errorIndicatorEl.querySelector('p'); if (p) p.textContent = message; } if (errorMessageDetailsEl) errorMessageDetailsEl.textContent = details; showToast(message, 'error'); }
+function getStarRatingHTML(starColorTier) { if (!starColorTier || starColorTier === "Unlocked") { return '<span class="unlocked-tier-text">Unlocked</span>'; } const parts = starColorTier.match(/(\w+)\s*(\d+)-Star/); if (!parts || parts.length < 3) { return `<span class="unlocked-tier-text">${starColorTier}</span>`; } const colorName = parts[1].toLowerCase(); const starCount = parseInt(parts[2], 10); let colorClass = ''; switch (colorName) { case 'red': colorClass = 'text-red-500'; break; case 'gold': colorClass = 'text-yellow-400'; break; case 'purple': colorClass = 'text-purple-500'; break; case 'blue': colorClass = 'text-blue-500'; break; case 'white': colorClass = 'text-slate-400'; break; default: colorClass = 'text-gray-500'; } let starsHTML = `<div class="star-rating inline-block" title="${starColorTier}">`; for (let i = 0; i < starCount; i++) { starsHTML += `<span class="${colorClass}">★</span>`; } starsHTML += `</div>`; return starsHTML; }
+function getHealerPlaceholder() { const fallbackSpan = `<span class="icon-placeholder" style="display:none;">[H]</span>`; return `<span class="icon-wrapper"><img src="img/classes/Healer.png" alt="Healer" title="Healer" class="icon-class-table" onerror="this.style.display='none'; const fb = this.parentElement.querySelector('.icon-placeholder'); if (fb) fb.style.display='inline-block';"/>${fallbackSpan}</span>`; }
+function getClassPlaceholder(className, customClasses = "icon-class-table") { const cn = (className || "N/A").trim().replace(/\s+/g, '_'); if (cn === "N/A" || cn === "") { return `<span class="icon-placeholder">[Class N/A]</span>`; } const fallbackSpan = `<span class="icon-placeholder" style="display:none;">[${cn.replace(/_/g, ' ')}]</span>`; return `<span class="icon-wrapper"><img src="img/classes/${cn}.png" alt="${cn.replace(/_/g, ' ')}" title="${cn.replace(/_/g, ' ')}" class="${customClasses}" onerror="this.style.display='none'; const fb = this.parentElement.querySelector('.icon-placeholder'); if (fb) fb.style.display='inline-block';"/>${fallbackSpan}</span>`; }
+function getRosterForCombination() { let rosterForCombination = playerChampionRoster.map(rosterChamp => ({ ...rosterChamp, individualScore: TeamCalculator.calculateIndividualChampionScore(rosterChamp, GAME_CONSTANTS) })); if (excludeSavedTeamCheckboxEl.checked) { const exclusionTeamIds = Array.from(selectExclusionTeamDropdownEl.selectedOptions).map(option => option.value); if (exclusionTeamIds.length > 0) { const championsToExcludeIds = new Set(); exclusionTeamIds.forEach(teamId => { const teamToExclude = savedTeams.find(st => st.id === teamId); if (teamToExclude?.members) teamToExclude.members.forEach(member => championsToExcludeIds.add(member.dbChampionId)); }); rosterForCombination = rosterForCombination.filter(champ => !championsToExcludeIds.has(champ.dbChampionId)); if (rosterForCombination.length < 5) { throw new Error("Not enough champions remaining after exclusion."); } } } return rosterForCombination; }
 
-    evaluateTeam(teamMembers) {
-        const baseScoreSum = teamMembers.reduce((sum, member) => sum + (member.individualScore || 0), 0);
-        let scoreAfterPercentageSynergies = baseScoreSum;
-        let totalPercentageBonusAppliedValue = 0;
-        let accumulatedBaseFlatBonus = 0;
-        const activeSynergiesForTeam = [];
-
-        const teamSynergyCounts = new Map();
-        teamMembers.forEach(member => {
-            (member.inherentSynergies || []).forEach(synergyName => {
-                teamSynergyCounts.set(synergyName, (teamSynergyCounts.get(synergyName) || 0) + 1);
-            });
-        });
-        
-        this.synergies.forEach(synergyDef => {
-            const memberCount = teamSynergyCounts.get(synergyDef.name) || 0;
-            if (memberCount === 0) {
-                return;
-            }
+// =================================================================================================
+// #region: Team Calculation Workers
+// =================================================================================================
 
-            const isTiered = synergyDef.tiers && Array.isArray(synergyDef.tiers) && synergyDef.tiers.length > 0;
-            let calculatedBonus = 0;
-
-            if (isTiered) {
-                const applicableTier = synergyDef.tiers
-                    .filter(tier => memberCount >= tier.countRequired)
-                    .sort((a, b) => b.countRequired - a.countRequired)[0]; 
-                
-                if (applicableTier) {
-                    calculatedBonus = (synergyDef.bonusValue || 0) * (applicableTier.countRequired || 0);
-                    accumulatedBaseFlatBonus += calculatedBonus;
-
-                    activeSynergiesForTeam.push({ 
-                        name: synergyDef.name, 
-                        description: applicableTier.tierDescription || synergyDef.description || '',
-                        appliedAtMemberCount: memberCount,
-                        bonusValue: synergyDef.bonusValue || 0,
-                        bonusType: synergyDef.bonusType,
-                        calculatedBonus: calculatedBonus
-                    });
-                }
-            } else { 
-                if (synergyDef.bonusValue && memberCount >= this.constants.SYNERGY_ACTIVATION_COUNT) {
-                    if (synergyDef.bonusType === 'percentage') {
-                        calculatedBonus = scoreAfterPercentageSynergies * (synergyDef.bonusValue / 100);
-                        totalPercentageBonusAppliedValue += calculatedBonus;
-                        scoreAfterPercentageSynergies += calculatedBonus;
-                    } else if (synergyDef.bonusType === 'flat') {
-                        calculatedBonus = synergyDef.bonusValue;
-                        accumulatedBaseFlatBonus += calculatedBonus;
-                    }
-                    activeSynergiesForTeam.push({ 
-                        name: synergyDef.name, 
-                        description: synergyDef.description || '', 
-                        appliedAtMemberCount: memberCount,
-                        bonusValue: synergyDef.bonusValue,
-                        bonusType: synergyDef.bonusType,
-                        calculatedBonus: calculatedBonus
-                    });
-                }
-            }
-        });
+/**
+ * Whether team calculations can run in Web Workers (team-worker.js): the browser has them and none has failed to load on this page.
+ * Without them they run on the page, without Cancel.
+ * @returns {boolean}
+ */
+function canUseTeamWorkers() { return typeof Worker !== 'undefined' && !teamWorkersFailed; }
 
-        let subtotalAfterSynergies = scoreAfterPercentageSynergies + accumulatedBaseFlatBonus;
-        
-        let synergyDepthBonusValue = 0;
-        teamSynergyCounts.forEach((memberCount, synergyName) => {
-            const synergyDef = this.synergies.find(s => s.name === synergyName);
-            if (!synergyDef) return;
-
-            let minActivationCount = this.constants.SYNERGY_ACTIVATION_COUNT;
-            if (synergyDef.tiers && synergyDef.tiers.length > 0) {
-                const lowestTier = synergyDef.tiers.sort((a, b) => a.countRequired - b.countRequired)[0];
-                if (lowestTier) {
-                    minActivationCount = lowestTier.countRequired;
-                }
-            }
-            
-            if (memberCount > minActivationCount) {
-                const extraMembers = memberCount - minActivationCount;
-                synergyDepthBonusValue += extraMembers * (this.constants.SYNERGY_DEPTH_BONUS || 0);
-            }
-        });
-        subtotalAfterSynergies += synergyDepthBonusValue;
+/**
+ * How many workers to split a team search across: one per core, leaving one for the page, capped at TEAM_WORKERS_MAX.
+ * @returns {number}
+ */
+function getTeamWorkerCount() { return Math.max(1, Math.min(GAME_CONSTANTS.TEAM_WORKERS_MAX, (navigator.hardwareConcurrency || 2) - 1)); }
 
+/**
+ * Returns a team worker, creating it on first use or after a cancellation terminated it.
+ * @param {number} index - Which of the workers.
+ * @returns {Worker}
+ */
+function getTeamWorker(index) {
+    if (!teamWorkers[index]) teamWorkers[index] = new Worker(new URL('./team-worker.js', import.meta.url), { type: 'module' });
+    return teamWorkers[index];
+}
 
-        const uniqueClassesInTeam = new Set(teamMembers.map(m => m.class).filter(c => c && c !== "N/A"));
-        let classDiversityBonusValue = 0;
-        let finalTeamScore = subtotalAfterSynergies;
-        let classDiversityBonusApplied = false;
+/**
+ * Cancels every running team calculation. The workers are busy in their search and are terminated (fresh ones are
+ * created for the next run); the pending runs reject with an error flagged `isCancelled`.
+ */
+function cancelTeamCalculation() {
+    teamWorkers.forEach(worker => worker.terminate());
+    teamWorkers = [];
+    const rejects = [...pendingTeamWorkerRuns.values()];
+    pendingTeamWorkerRuns.clear();
+    rejects.forEach(reject => {
+        const cancelError = new Error('Calculation cancelled.');
+        cancelError.isCancelled = true;
+        reject(cancelError);
+    });
+}
 
-        if (uniqueClassesInTeam.size >= 4) {
-            classDiversityBonusValue = subtotalAfterSynergies * (this.constants.CLASS_DIVERSITY_MULTIPLIER - 1);
-            finalTeamScore += classDiversityBonusValue;
-            classDiversityBonusApplied = true;
-        }
-        
-        const comparisonScore = finalTeamScore + (baseScoreSum * this.constants.INDIVIDUAL_SCORE_WEIGHT);
-
-        return {
-            members: teamMembers,
-            totalScore: finalTeamScore,
-            comparisonScore: comparisonScore,
-            activeSynergies: activeSynergiesForTeam,
-            baseScoreSum: baseScoreSum,
-            uniqueClassesCount: uniqueClassesInTeam.size,
-            classDiversityBonusApplied: classDiversityBonusApplied,
-            scoreBreakdown: {
-                base: baseScoreSum,
-                percentageSynergyBonus: totalPercentageBonusAppliedValue,
-                flatSynergyBonus: accumulatedBaseFlatBonus,
-                synergyDepthBonus: synergyDepthBonusValue,
-                subtotalAfterSynergies: subtotalAfterSynergies,
-                classDiversityBonus: classDiversityBonusValue
+/**
+ * Sends one request to a team worker, with the synergies and game constants it calculates against.
+ * @param {number} index - Which worker to use.
+ * @param {'search_teams'|'allocate_teams'} type - The kind of request.
+ * @param {object[]} roster - The roster champions with individual scores.
+ * @param {object} options - The TeamCalculator options, without callbacks.
+ * @param {Function} onProgress - Called with each progress message.
+ * @returns {Promise<object[]>} The request's teams. Rejects with an error flagged `isCancelled` if the run was cancelled,
+ *   or `isWorkerFailure` if the worker failed to load.
+ */
+function runTeamWorker(index, type, roster, options, onProgress) {
+    const worker = getTeamWorker(index);
+    const runId = ++teamWorkerRunCounter;
+    return new Promise((resolve, reject) => {
+        pendingTeamWorkerRuns.set(runId, reject);
+        const finish = () => pendingTeamWorkerRuns.delete(runId);
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.runId !== runId) return;
+            switch (message.type) {
+                case 'progress': onProgress(message); break;
+                case 'result': finish(); resolve(message.result); break;
+                case 'error': finish(); reject(new Error(message.message)); break;
             }
         };
-    }
+        worker.onerror = (event) => {
+            // Errors inside a run come back as 'error' messages, so this is the worker script failing to load: stop using workers on this page.
+            finish();
+            teamWorkersFailed = true;
+            const loadError = new Error(event.message || 'Team worker failed to load.');
+            loadError.isWorkerFailure = true;
+            reject(loadError);
+            cancelTeamCalculation();
+        };
+        worker.postMessage({ type, runId, payload: { synergies: dbSynergies, constants: GAME_CONSTANTS, roster, options } });
+    });
+}
 
-    async findOptimalTeam(roster, options) {
-        const { requireHealer, updateProgress } = options;
-        await updateProgress("Generating potential team combinations...", 12);
-        
-        let teamCombinations = [];
-        if (requireHealer) {
-            const healers = roster.filter(champ => champ.isHealer === true);
-            if (healers.length === 0) throw new Error("No healers found to meet the 'Require Healer' criteria.");
-            if (roster.length < 5) throw new Error("Not enough champions to form a team of 5 with a healer.");
-            
-            await updateProgress("Generating combinations with healers...", 15);
-            healers.forEach(healer => {
-                const otherChamps = roster.filter(champ => champ.id !== healer.id);
-                if (otherChamps.length >= 4) {
-                    const combinationsOfFour = generateCombinations(otherChamps, 4);
-                    combinationsOfFour.forEach(combo => teamCombinations.push([healer, ...combo]));
-                }
-            });
-        } else {
-            await updateProgress("Generating general combinations...", 15);
-            teamCombinations = generateCombinations(roster, 5);
-        }
+/**
+ * Stands in for TeamCalculator.searchTeams (as findTopTeams' `search` option): splits the search into one partition per
+ * worker, runs them in parallel and merges their best teams, which are the teams a single search finds. Progress is
+ * reported for the whole search once every worker has reported its share.
+ * @param {object[]} roster - The roster champions with individual scores.
+ * @param {object} options - As for searchTeams.
+ * @returns {Promise<object[]>} Up to `options.keep` evaluated teams, best first.
+ */
+async function searchTeamsInWorkers(roster, options) {
+    const { onProgress, ...searchOptions } = options;
+    const workerCount = getTeamWorkerCount();
+    const progress = new Array(workerCount).fill(null);
+    const reportProgress = () => {
+        if (progress.includes(null)) return;
+        const total = progress.reduce((sum, part) => sum + part.total, 0);
+        const covered = progress.reduce((sum, part) => sum + part.fraction * part.total, 0);
+        onProgress(total > 0 ? covered / total : 1, progress.reduce((sum, part) => sum + part.scored, 0), total);
+    };
+    const results = await Promise.all(progress.map((_, index) => runTeamWorker(index, 'search_teams', roster, { ...searchOptions, partition: { index, count: workerCount } }, (message) => {
+        progress[index] = message;
+        reportProgress();
+    })));
+    return results.flat().sort((a, b) => b.comparisonScore - a.comparisonScore).slice(0, options.keep);
+}
 
-        if (teamCombinations.length === 0) throw new Error("Could not generate any valid teams with the current criteria.");
-        await updateProgress(`Generated ${teamCombinations.length} combinations. Evaluating...`, 20);
-
-        return new Promise((resolve) => {
-            let bestTeam = null;
-            let maxComparisonScore = -1; 
-            let currentIndex = 0;
-            const processBatch = () => {
-                const batchEndTime = Date.now() + 16;
-                while (Date.now() < batchEndTime && currentIndex < teamCombinations.length) {
-                    const evaluatedTeam = this.evaluateTeam(teamCombinations[currentIndex]);
-                    
-                    if (evaluatedTeam.comparisonScore > maxComparisonScore) {
-                        maxComparisonScore = evaluatedTeam.comparisonScore;
-                        bestTeam = evaluatedTeam;
-                    }
-                    currentIndex++;
-                }
+/**
+ * Runs TeamCalculator.allocateTeams in a worker. Its many small searches run there one after another rather than split.
+ * @param {object[]} roster - The roster champions with individual scores.
+ * @param {object} options - As for allocateTeams.
+ * @returns {Promise<object[]>} The allocated teams.
+ */
+function allocateTeamsInWorker(roster, options) {
+    const { updateProgress, ...allocationOptions } = options;
+    return runTeamWorker(0, 'allocate_teams', roster, allocationOptions, (message) => updateProgress(message.status, message.percent));
+}
 
-                if (currentIndex < teamCombinations.length) {
-                    const progress = 20 + Math.round((currentIndex / teamCombinations.length) * 75);
-                    updateProgress(`Evaluating team ${currentIndex} of ${teamCombinations.length}...`, progress);
-                    requestAnimationFrame(processBatch);
-                } else {
-                    updateProgress("Finalizing best team...", 98);
-                    resolve(bestTeam);
-                }
-            };
-            requestAnimationFrame(processBatch);
-        });
+/**
+ * Runs a team calculation in the workers when they can be used, falling back to the page (and hiding Cancel) if they fail to load.
+ * @param {Function} runInWorkers - Starts the calculation in the workers.
+ * @param {Function} runOnPage - Starts the same calculation on the page.
+ * @returns {Promise<*>} The calculation's result.
+ */
+async function runTeamCalculation(runInWorkers, runOnPage) {
+    if (canUseTeamWorkers()) {
+        try {
+            return await runInWorkers();
+        } catch (error) {
+            if (!error.isWorkerFailure) throw error;
+            console.warn("Team workers failed to load; calculating on the page instead.", error);
+            if (processingCancelBtn) processingCancelBtn.classList.add('hidden');
+        }
     }
+    return runOnPage();
 }
 
-// =================================================================================================
-// #region: Utility & UI Functions
-// =================================================================================================
-
-function ensureIndividualScores(members) { if (!members || !Array.isArray(members)) return []; return members.map(member => { const newMember = { ...member }; if (newMember.individualScore === undefined) { const baseChampDetails = dbChampions.find(c => c.id === newMember.dbChampionId) || {}; const memberForScoreCalc = { ...newMember, baseRarity: newMember.baseRarity || baseChampDetails.baseRarity, forceLevel: newMember.forceLevel || 0, inherentSynergies: newMember.inherentSynergies || baseChampDetails.inherentSynergies || [], legacyPiece: { ...(newMember.legacyPiece || {}), rarity: (newMember.legacyPiece && newMember.legacyPiece.rarity) ? newMember.legacyPiece.rarity : "None", starColorTier: (newMember.legacyPiece && newMember.legacyPiece.starColorTier) ? newMember.legacyPiece.starColorTier : "Unlocked" } }; newMember.individualScore = TeamCalculator.calculateIndividualChampionScore(memberForScoreCalc, GAME_CONSTANTS); } return newMember; }); }
-function showToast(message, type = 'info', duration = 3000) { if (!toastContainer) return; const toast = document.createElement('div'); let baseClasses = 'toast mb-3 p-3 rounded-lg shadow-lg text-sm text-white flex justify-between items-center'; let typeClasses = ''; switch (type) { case 'success': typeClasses = 'bg-green-500'; break; case 'error': typeClasses = 'bg-red-500'; break; case 'warning': typeClasses = 'bg-yellow-500 text-black'; break; default: typeClasses = 'bg-blue-500'; break; } toast.className = `${baseClasses} ${typeClasses}`; const messageSpan = document.createElement('span'); messageSpan.textContent = message; toast.appendChild(messageSpan); const closeBtn = document.createElement('button'); closeBtn.innerHTML = '&times;'; closeBtn.className = 'ml-2 text-lg font-semibold leading-none focus:outline-none'; closeBtn.onclick = () => { toast.style.opacity = '0'; setTimeout(() => toast.remove(), 500); }; toast.appendChild(closeBtn); toastContainer.appendChild(toast); toast.offsetHeight; toast.classList.add('show'); setTimeout(() => { toast.style.opacity = '0'; setTimeout(() => toast.remove(), 500); }, duration); }
-function showError(message, details = "") { if (loadingIndicatorEl) loadingIndicatorEl.classList.add('hidden'); if (errorIndicatorEl) { errorIndicatorEl.classList.remove('hidden'); const p = errorIndicatorEl.querySelector('p'); if (p) p.textContent = message; } if (errorMessageDetailsEl) errorMessageDetailsEl.textContent = details; showToast(message, 'error'); }
-function getStarRatingHTML(starColorTier) { if (!starColorTier || starColorTier === "Unlocked") { return '<span class="unlocked-tier-text">Unlocked</span>'; } const parts = starColorTier.match(/(\w+)\s*(\d+)-Star/); if (!parts || parts.length < 3) { return `<span class="unlocked-tier-text">${starColorTier}</span>`; } const colorName = parts[1].toLowerCase(); const starCount = parseInt(parts[2], 10); let colorClass = ''; switch (colorName) { case 'red': colorClass = 'text-red-500'; break; case 'gold': colorClass = 'text-yellow-400'; break; case 'purple': colorClass = 'text-purple-500'; break; case 'blue': colorClass = 'text-blue-500'; break; case 'white': colorClass = 'text-slate-400'; break; default: colorClass = 'text-gray-500'; } let starsHTML = `<div class="star-rating inline-block" title="${starColorTier}">`; for (let i = 0; i < starCount; i++) { starsHTML += `<span class="${colorClass}">★</span>`; } starsHTML += `</div>`; return starsHTML; }
-function getHealerPlaceholder() { const fallbackSpan = `<span class="icon-placeholder" style="display:none;">[H]</span>`; return `<span class="icon-wrapper"><img src="img/classes/Healer.png" alt="Healer" title="Healer" class="icon-class-table" onerror="this.style.display='none'; const fb = this.parentElement.querySelector('.icon-placeholder'); if (fb) fb.style.display='inline-block';"/>${fallbackSpan}</span>`; }
-function getClassPlaceholder(className, customClasses = "icon-class-table") { const cn = (className || "N/A").trim().replace(/\s+/g, '_'); if (cn === "N/A" || cn === "") { return `<span class="icon-placeholder">[Class N/A]</span>`; } const fallbackSpan = `<span class="icon-placeholder" style="display:none;">[${cn.replace(/_/g, ' ')}]</span>`; return `<span class="icon-wrapper"><img src="img/classes/${cn}.png" alt="${cn.replace(/_/g, ' ')}" title="${cn.replace(/_/g, ' ')}" class="${customClasses}" onerror="this.style.display='none'; const fb = this.parentElement.querySelector('.icon-placeholder'); if (fb) fb.style.display='inline-block';"/>${fallbackSpan}</span>`; }
-function generateCombinations(array, k) { const result = []; function backtrack(startIndex, currentCombination) { if (currentCombination.length === k) { result.push([...currentCombination]); return; } for (let i = startIndex; i < array.length; i++) { currentCombination.push(array[i]); backtrack(i + 1, currentCombination); currentCombination.pop(); } } backtrack(0, []); return result; }
-
 // =================================================================================================
 // #region: Firebase Initialization & Auth
 // =================================================================================================
@@ -368,18 +295,20 @@ async function initializeFirebase() {
 // #region: Data Fetching Functions
 // =================================================================================================
 
-async function fetchSynergiesAndRender() { if (!db) { showError("Firestore is not initialized."); return; } try { const querySnapshot = await getDocs(collection(db, `artifacts/${appId}/public/data/synergies`)); dbSynergies = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).sort((a,b) => (a.name || "").localeCompare(b.name || "")); renderAvailableSynergies(); } catch (error) { console.error("Error fetching synergies:", error); showError("Error fetching synergies.", error.message); dbSynergies = []; renderAvailableSynergies(); } }
-async function fetchChampions() { if (!db) { showError("Firestore is not initialized."); return; } try { const querySnapshot = await getDocs(collection(db, `artifacts/${appId}/public/data/champions`)); dbChampions = querySnapshot.docs.map(doc => { const data = doc.data(); return { id: doc.id, ...data, isHealer: data.isHealer === true }; }); } catch (error) { console.error("Error fetching champions:", error); showError("Error fetching champions.", error.message); dbChampions = []; } }
-async function fetchLegacyPieces() { if (!db) { showError("Firestore is not initialized."); return; } try { const querySnapshot = await getDocs(collection(db, `artifacts/${appId}/public/data/legacyPieces`)); dbLegacyPieces = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })); if (legacyPieceSelectEl) populateLegacyPieceSelect(); } catch (error) { console.error("Error fetching legacy pieces:", error); showError("Error fetching legacy pieces.", error.message); dbLegacyPieces = []; if (legacyPieceSelectEl) populateLegacyPieceSelect(); } }
+function notifyOfflineData(fromCache) { if (fromCache && !offlineNoticeShown) { offlineNoticeShown = true; showToast("Offline: showing the data saved on this device.", "info", 5000); } }
+async function fetchSynergiesAndRender() { if (!db) { showError("Firestore is not initialized."); return; } try { const { docs, fromCache } = await loadGameCollection(db, appId, 'synergies'); notifyOfflineData(fromCache); dbSynergies = docs.sort((a,b) => (a.name || "").localeCompare(b.name || "")); renderAvailableSynergies(); populateConstraintOptions(); } catch (error) { console.error("Error fetching synergies:", error); showError("Error fetching synergies.", error.message); dbSynergies = []; renderAvailableSynergies(); } }
+async function fetchChampions() { if (!db) { showError("Firestore is not initialized."); return; } try { const { docs, fromCache } = await loadGameCollection(db, appId, 'champions'); notifyOfflineData(fromCache); dbChampions = docs.map(data => ({ ...data, isHealer: data.isHealer === true })); } catch (error) { console.error("Error fetching champions:", error); showError("Error fetching champions.", error.message); dbChampions = []; } }
+async function fetchLegacyPieces() { if (!db) { showError("Firestore is not initialized."); return; } try { const { docs, fromCache } = await loadGameCollection(db, appId, 'legacyPieces'); notifyOfflineData(fromCache); dbLegacyPieces = docs; if (legacyPieceSelectEl) populateLegacyPieceSelect(); } catch (error) { console.error("Error fetching legacy pieces:", error); showError("Error fetching legacy pieces.", error.message); dbLegacyPieces = []; if (legacyPieceSelectEl) populateLegacyPieceSelect(); } }
 async function loadPlayerRosterFromFirestore() {
     if (!userId || !db) {
         playerChampionRoster = [], renderPlayerChampionRoster(), renderAvailableSynergies();
         return
     }
     try {
-        let e = await getDoc(doc(db, `artifacts/${appId}/users/${userId}/roster/myRoster`));
-        if (e.exists()) {
-            let r = e.data();
+        await syncQueuedChanges();
+        let { data: r, fromCache: c } = await readUserDoc(db, `artifacts/${appId}/users/${userId}/roster/myRoster`);
+        notifyOfflineData(c);
+        if (r) {
             r && Array.isArray(r.champions) ? (playerChampionRoster = r.champions.map(e => {
                 let r = dbChampions.find(r => r.id === e.dbChampionId),
                     a = e.legacyPiece || {
@@ -412,7 +341,7 @@ async function loadPlayerRosterFromFirestore() {
         renderPlayerChampionRoster(), renderAvailableSynergies()
     }
 }
-async function loadSavedTeams(){if(userId&&db)try{let e=query(collection(db,`artifacts/${appId}/users/${userId}/savedTeams`),orderBy("createdAt","desc")),a=await getDocs(e);savedTeams=a.docs.map(e=>{let a=e.data(),r=(a.members||[]).map(e=>({...e,forceLevel:e.forceLevel||0,legacyPiece:{...e.legacyPiece||{},starColorTier:e.legacyPiece&&e.legacyPiece.starColorTier?e.legacyPiece.starColorTier:"Unlocked"}}));return{id:e.id,...a,members:r}}),renderSavedTeams()}catch(r){console.error("Error loading saved teams:",r),savedTeamsListEl&&(savedTeamsListEl.innerHTML='<p class="text-red-500">Error loading saved teams.</p>')}}
+async function loadSavedTeams(){if(userId&&db)try{let{docs:e,fromCache:t}=await loadUserCollection(db,`artifacts/${appId}/users/${userId}/savedTeams`,orderBy("createdAt","desc"));notifyOfflineData(t),savedTeams=e.map(e=>{let r=(e.members||[]).map(e=>({...e,forceLevel:e.forceLevel||0,legacyPiece:{...e.legacyPiece||{},starColorTier:e.legacyPiece&&e.legacyPiece.starColorTier?e.legacyPiece.starColorTier:"Unlocked"}}));return{...e,members:r}}),renderSavedTeams()}catch(r){console.error("Error loading saved teams:",r),savedTeamsListEl&&(savedTeamsListEl.innerHTML='<p class="text-red-500">Error loading saved teams.</p>')}}
 
 // =================================================================================================
 // #region: UI Population & Rendering Functions
@@ -422,7 +351,7 @@ function populateStarColorOptions(selectElement, tiersObject, defaultTier = "Unl
 function populateGearRarityOptions() { document.querySelectorAll('.gear-rarity-select').forEach(selectEl => { selectEl.innerHTML = ''; GAME_CONSTANTS.STANDARD_GEAR_RARITIES.forEach(rarity => { const option = document.createElement('option'); option.value = rarity; option.textContent = rarity; selectEl.appendChild(option); }); }); }
 function populateForceLevelOptions() { if (!champForceLevelEl) return; champForceLevelEl.innerHTML = ''; for (let i = 0; i <= 5; i++) { const option = document.createElement('option'); option.value = i; option.textContent = i === 0 ? '0 (None)' : `${i} / 5`; champForceLevelEl.appendChild(option); } champForceLevelEl.value = 0; }
 function renderAvailableSynergies() { if (!synergiesListEl) return; synergiesListEl.innerHTML = ''; if (dbSynergies.length === 0) { synergiesListEl.innerHTML = '<p class="text-sm text-gray-500 col-span-full">No synergies defined.</p>'; return; } dbSynergies.forEach(synergyDef => { const synergyItemContainer = document.createElement('div'); synergyItemContainer.className = 'synergy-item-container border rounded-lg p-3 bg-slate-50 mb-3 shadow-sm'; const count = playerChampionRoster.filter(champ => (champ.inherentSynergies || []).includes(synergyDef.name)).length; const synergyItemHeader = document.createElement('div'); synergyItemHeader.className = 'synergy-item-header flex items-center justify-between hover:bg-slate-100 p-2 rounded-md -m-2 mb-1 cursor-pointer'; synergyItemHeader.dataset.synergyName = synergyDef.name; const factionNameForIcon = synergyDef.name.trim().replace(/\s+/g, '_'); const fallbackSpan = `<span class="icon-placeholder" style="display:none;">[${synergyDef.name}]</span>`; const collapseIndicator = document.createElement('span'); collapseIndicator.className = 'collapse-indicator text-lg font-bold ml-auto mr-2'; collapseIndicator.textContent = '+'; synergyItemHeader.innerHTML = `<div class="flex items-center flex-grow"><span class="icon-wrapper mr-2"><img src="img/factions/${factionNameForIcon}.png" alt="${synergyDef.name}" title="${synergyDef.name}" class="w-6 h-6 object-contain" onerror="this.style.display='none'; const fb = this.parentElement.querySelector('.icon-placeholder'); if (fb) fb.style.display='inline-block';">${fallbackSpan}</span><span class="synergy-name">${synergyDef.name}</span></div><span class="synergy-progress">${count}/${(synergyDef.tiers && synergyDef.tiers.length > 0) ? synergyDef.tiers[0].countRequired : GAME_CONSTANTS.SYNERGY_ACTIVATION_COUNT}</span>`; const progressSpan = synergyItemHeader.querySelector('.synergy-progress'); if (progressSpan) { synergyItemHeader.insertBefore(collapseIndicator, progressSpan); } else { synergyItemHeader.appendChild(collapseIndicator); } synergyItemContainer.appendChild(synergyItemHeader); const contributingChampions = playerChampionRoster.filter(champ => (champ.inherentSynergies || []).includes(synergyDef.name)); const synergyContentDiv = document.createElement('div'); synergyContentDiv.className = 'synergy-content hidden'; if (contributingChampions.length > 0) { const championsListDiv = document.createElement('div'); championsListDiv.className = 'mt-2 pl-4 border-l-2 border-slate-200 space-y-1 synergy-champions-list'; contributingChampions.forEach(champ => { const champDiv = document.createElement('div'); champDiv.className = 'synergy-champion-entry flex items-center text-xs text-slate-600 py-1'; const classIconHtml = getClassPlaceholder(champ.class).replace('icon-class-table', 'result-icon w-4 h-4 mr-1'); const starRatingHTML = getStarRatingHTML(champ.starColorTier); let champSynergiesHtml = ''; if (champ.inherentSynergies && champ.inherentSynergies.length > 0) { champSynergiesHtml += `<div class="champion-synergies flex gap-0.5 ml-auto">`; champ.inherentSynergies.forEach(syn => { if (syn !== synergyDef.name) { const synNameForIcon = syn.trim().replace(/\s+/g, '_'); champSynergiesHtml += `<span class="icon-wrapper"><img src="img/factions/${synNameForIcon}.png" alt="${syn}" title="${syn}" class="result-icon w-3 h-3" onerror="this.style.display='none'; const fb = this.parentElement.querySelector('.icon-placeholder'); if (fb) fb.style.display='inline-block';"><span class="icon-placeholder text-xs" style="display:none;">[${syn}]</span></span>`; } }); champSynergiesHtml += `</div>`; } champDiv.innerHTML = `${classIconHtml}<span class="font-medium text-slate-700">${champ.name}</span><span class="star-rating star-rating-sm ml-2">${starRatingHTML.replace(/font-size: 1.2em;/g, 'font-size: 0.9em;')}</span>${champSynergiesHtml}`; championsListDiv.appendChild(champDiv); }); synergyContentDiv.appendChild(championsListDiv); } else { const noChampsP = document.createElement('p'); noChampsP.className = 'text-xs text-slate-500 mt-1 pl-4 no-champs-text'; noChampsP.textContent = 'No champions in roster have this synergy.'; synergyContentDiv.appendChild(noChampsP); } synergyItemContainer.appendChild(synergyContentDiv); synergyItemHeader.addEventListener('click', () => { const content = synergyItemContainer.querySelector('.synergy-content'); const indicator = synergyItemHeader.querySelector('.collapse-indicator'); if (content) { content.classList.toggle('hidden'); if (indicator) { indicator.textContent = content.classList.contains('hidden') ? '+' : '−'; } } if (analytics) logEvent(analytics, 'toggle_synergy_details', { synergy_name: synergyDef.name, is_collapsed: content ? content.classList.contains('hidden') : true }); }); synergiesListEl.appendChild(synergyItemContainer); }); }
-function populateChampionSelect() {    if (!customChampDropdownOptions) return;    const currentSelectedValue = editingChampionId ? playerChampionRoster.find(c => c.id === editingChampionId)?.dbChampionId : champSelectDbEl.value;        customChampDropdownOptions.innerHTML = '';    customChampDropdownTrigger.disabled = true;    if (dbChampions.length === 0) {        selectedChampName.textContent = '-- No Champions Loaded --';        return;    }    const rosteredDbChampionIds = playerChampionRoster.map(rc => rc.dbChampionId);    const availableChampions = dbChampions.filter(dbChamp =>         !rosteredDbChampionIds.includes(dbChamp.id) || (editingChampionId && playerChampionRoster.find(c => c.id === editingChampionId)?.dbChampionId === dbChamp.id)    );    const sortedAvailableChampions = [...availableChampions].sort((a, b) => (a.name || "").localeCompare(b.name || ""));    const defaultOption = document.createElement('li');    defaultOption.className = 'px-4 py-2 text-gray-500';    defaultOption.textContent = '-- Select Champion --';    customChampDropdownOptions.appendChild(defaultOption);    sortedAvailableChampions.forEach(champ => {        if (!champ.id || !champ.name) return;                const optionEl = document.createElement('li');        optionEl.className = 'text-gray-900 cursor-default select-none relative py-2 pl-3 pr-9 hover:bg-indigo-600 hover:text-white';        optionEl.setAttribute('role', 'option');        optionEl.dataset.value = champ.id;                const sanitizedName = (champ.name || "").replace(/[^a-zA-Z0-9-_]/g, "");        const imgSrc = `img/champions/avatars/${sanitizedName}.webp`;        optionEl.dataset.imgSrc = imgSrc;                optionEl.innerHTML = `            <div class="flex items-center">                <img src="${imgSrc}" alt="${champ.name}" class="h-6 w-6 flex-shrink-0 rounded-full" onerror="this.style.display='none'">                <span class="font-normal ml-3 block truncate">${champ.name}</span>            </div>        `;        optionEl.addEventListener('click', () => {            champSelectDbEl.value = optionEl.dataset.value;            selectedChampName.textContent = champ.name;            selectedChampImg.src = optionEl.dataset.imgSrc;            selectedChampImg.classList.remove('hidden');            customChampDropdownOptions.classList.add('hidden');            customChampDropdownTrigger.setAttribute('aria-expanded', 'false');            champSelectDbEl.dispatchEvent(new Event('change'));        });                customChampDropdownOptions.appendChild(optionEl);    });    customChampDropdownTrigger.disabled = false;    const currentChampionInList = sortedAvailableChampions.find(c => c.id === currentSelectedValue);    if (currentChampionInList) {        selectedChampName.textContent = currentChampionInList.name;        const sanitizedName = (currentChampionInList.name || "").replace(/[^a-zA-Z0-9-_]/g, "");        selectedChampImg.src = `img/champions/avatars/${sanitizedName}.webp`;        selectedChampImg.classList.remove('hidden');    } else if (!editingChampionId) {        resetChampionForm();    }}
+function populateChampionSelect() { if (!champPickerEl) return; const editingDbChampionId = editingChampionId ? (playerChampionRoster.find(c => c.id === editingChampionId) || {}).dbChampionId : null; const currentSelectedValue = editingDbChampionId || champSelectDbEl.value; if (dbChampions.length === 0) { champPickerEl.champions = []; champPickerEl.placeholder = '-- No Champions Loaded --'; champPickerEl.disabled = true; return; } const rosteredDbChampionIds = playerChampionRoster.map(rc => rc.dbChampionId); const availableChampions = dbChampions.filter(dbChamp => dbChamp.id && dbChamp.name && (!rosteredDbChampionIds.includes(dbChamp.id) || dbChamp.id === editingDbChampionId)).sort((a, b) => a.name.localeCompare(b.name)); champPickerEl.champions = availableChampions.map(champ => ({ value: champ.id, name: champ.name, rarity: champ.baseRarity, class: champ.class, factions: champ.inherentSynergies })); champPickerEl.placeholder = '-- Select Champion --'; champPickerEl.disabled = Boolean(editingChampionId); if (availableChampions.some(c => c.id === currentSelectedValue)) { champPickerEl.value = currentSelectedValue; } else if (!editingChampionId) { resetChampionForm(); } }
 function populateLegacyPieceSelect(championClass = null) { if (!legacyPieceSelectEl) return; const currentSelectedLegacyId = legacyPieceSelectEl.value; legacyPieceSelectEl.innerHTML = '<option value="">-- None --</option>'; if (dbLegacyPieces.length === 0) return; let filteredLegacyPieces = dbLegacyPieces; if (championClass && championClass !== "N/A") { const lowerChampionClass = championClass.toLowerCase(); filteredLegacyPieces = dbLegacyPieces.filter(lp => { const description = (lp.description || "").toLowerCase(); return description === "" || description.includes(lowerChampionClass); }); } else { filteredLegacyPieces = dbLegacyPieces.filter(lp => (lp.description || "") === ""); } const sortedLegacyPieces = [...filteredLegacyPieces].sort((a,b) => (a.name || "").localeCompare(b.name || "")); sortedLegacyPieces.forEach(lp => { if (!lp.id || !lp.name || !lp.baseRarity) return; const option = document.createElement('option'); option.value = lp.id; option.textContent = `${lp.name} (${lp.baseRarity})`; legacyPieceSelectEl.appendChild(option); }); if (sortedLegacyPieces.some(lp => lp.id === currentSelectedLegacyId)) { legacyPieceSelectEl.value = currentSelectedLegacyId; } }
 function renderPlayerChampionRoster() {
     if (!championsRosterTableWrapperEl) return;
@@ -496,8 +425,9 @@ function renderPlayerChampionRoster() {
         }
     }
     renderAvailableSynergies();
+    populateConstraintOptions();
 }
-function renderSavedTeams() { if (!savedTeamsListEl || !selectExclusionTeamDropdownEl) return; savedTeamsListEl.innerHTML = ''; selectExclusionTeamDropdownEl.innerHTML = ''; if (savedTeams.length === 0) { savedTeamsListEl.innerHTML = '<p class="text-sm text-gray-500">No teams saved yet.</p>'; return; } const calculator = new TeamCalculator(dbSynergies, GAME_CONSTANTS); savedTeams.forEach(team => { const membersWithScores = ensureIndividualScores(team.members); const reEvaluatedTeam = calculator.evaluateTeam(membersWithScores); const teamContainerDiv = document.createElement('div'); teamContainerDiv.className = 'p-4 border rounded-lg bg-white shadow-lg mb-6'; let shareButtonHtml = team.publicShareId ? `<button class="btn btn-sm btn-info text-xs" onclick="unshareTeam('${team.id}', '${team.publicShareId}')"><span class="btn-icon">${ICON_UNSHARE}</span> Unshare</button>` : `<button class="btn btn-sm btn-success text-xs" onclick="shareTeam('${team.id}')"><span class="btn-icon">${ICON_SHARE}</span> Share</button>`; let publicLinkHtml = ''; if (team.publicShareId) { const basePath = window.location.pathname.substring(0, window.location.pathname.lastIndexOf('/')); const shareUrl = `${window.location.origin}${basePath}/share.html?sharedTeamId=${team.publicShareId}`; publicLinkHtml = `<a href="${shareUrl}" target="_blank" class="text-xs text-blue-600 hover:underline mt-1 block">View Shared Team (ID: ${team.publicShareId.substring(0,6)}...)</a>`; } let teamHeaderHtml = `<div class="flex justify-between items-center mb-3 pb-2 border-b border-gray-200"><div><h4 class="font-semibold text-lg text-indigo-700">${team.name}</h4><p class="text-sm text-gray-600">Total Score: <strong class="text-pink-600">${Math.round(reEvaluatedTeam.totalScore)}</strong></p>${publicLinkHtml}</div><div class="flex-shrink-0 space-x-1">${shareButtonHtml}<button class="btn btn-sm btn-warning text-xs" onclick="renameSavedTeam('${team.id}', '${team.name.replace(/'/g, "\\'")}')"><span class="btn-icon">${ICON_EDIT}</span> Rename</button><button class="btn btn-sm btn-danger text-xs" onclick="deleteSavedTeam('${team.id}')"><span class="btn-icon">${ICON_DELETE}</span> Delete</button></div></div>`; teamContainerDiv.innerHTML = teamHeaderHtml; const membersGridDiv = document.createElement('div'); membersGridDiv.className = 'grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3'; if (reEvaluatedTeam.members && Array.isArray(reEvaluatedTeam.members)) { reEvaluatedTeam.members.forEach(member => { const healerIconHtml = member.isHealer ? getHealerPlaceholder() : ''; const starRatingHTML = getStarRatingHTML(member.starColorTier); let individualScore = member.individualScore; let memberCardHtml = `<div class="p-3 border rounded-lg shadow-md bg-slate-50 flex flex-col justify-between champion-card"><div><div class="flex items-center mb-2">${getClassPlaceholder(member.class, 'result-icon class-icon mr-2')}<strong class="text-sm text-slate-800 leading-tight">${member.name}</strong>${healerIconHtml}</div><div class="text-xs text-slate-600 mb-2"><p>Tier: ${starRatingHTML}</p>`; if (member.forceLevel && member.forceLevel > 0) { memberCardHtml += `<p>Force: ${member.forceLevel} / 5</p>`; } memberCardHtml += `<p>Score: ${Math.round(individualScore)}</p>`; if (member.legacyPiece && member.legacyPiece.id) { memberCardHtml += `<p>Legacy: ${member.legacyPiece.name} (${member.legacyPiece.rarity})`; if (member.legacyPiece.starColorTier && member.legacyPiece.starColorTier !== "Unlocked") { memberCardHtml += ` <span class="whitespace-nowrap">${getStarRatingHTML(member.legacyPiece.starColorTier)}</span>`; } memberCardHtml += `</p>`; } memberCardHtml += `</div>`; if (member.inherentSynergies && member.inherentSynergies.length > 0) { memberCardHtml += `<div class="mt-1"><p class="text-xs font-semibold text-slate-500 mb-1">Synergies:</p><div class="flex flex-wrap gap-1">`; member.inherentSynergies.forEach(synergy => { const synergyNameForIcon = synergy.trim().replace(/\s+/g, '_'); memberCardHtml += `<span class="icon-wrapper"><img src="img/factions/${synergyNameForIcon}.png" alt="${synergy}" title="${synergy}" class="result-icon w-5 h-5" onerror="this.style.display='none'; const fb = this.parentElement.querySelector('.icon-placeholder'); if (fb) fb.style.display='inline-block';"><span class="icon-placeholder text-xs" style="display:none;">[${synergy}]</span></span>`; }); memberCardHtml += `</div></div>`; } memberCardHtml += `</div></div>`; membersGridDiv.innerHTML += memberCardHtml; }); } teamContainerDiv.appendChild(membersGridDiv); savedTeamsListEl.appendChild(teamContainerDiv); const option = document.createElement('option'); option.value = team.id; option.textContent = team.name; selectExclusionTeamDropdownEl.appendChild(option); }); }
+function renderSavedTeams() { if (!savedTeamsListEl || !selectExclusionTeamDropdownEl) return; savedTeamsListEl.innerHTML = ''; selectExclusionTeamDropdownEl.innerHTML = ''; if (savedTeams.length === 0) { savedTeamsListEl.innerHTML = '<p class="text-sm text-gray-500">No teams saved yet.</p>'; return; } const calculator = new TeamCalculator(dbSynergies, GAME_CONSTANTS); savedTeams.forEach(team => { const membersWithScores = ensureIndividualScores(team.members); const reEvaluatedTeam = calculator.evaluateTeam(membersWithScores); const teamContainerDiv = document.createElement('div'); teamContainerDiv.className = 'p-4 border rounded-lg bg-white shadow-lg mb-6'; let shareButtonHtml = team.publicShareId ? `<button class="btn btn-sm btn-info text-xs" onclick="unshareTeam('${team.id}', '${team.publicShareId}')"><span class="btn-icon">${ICON_UNSHARE}</span> Unshare</button>` : `<button class="btn btn-sm btn-success text-xs" onclick="shareTeam('${team.id}')"><span class="btn-icon">${ICON_SHARE}</span> Share</button>`; let publicLinkHtml = ''; if (team.publicShareId) { const basePath = window.location.pathname.substring(0, window.location.pathname.lastIndexOf('/')); const shareUrl = `${window.location.origin}${basePath}/share.html?sharedTeamId=${team.publicShareId}`; publicLinkHtml = `<a href="${shareUrl}" target="_blank" class="text-xs text-blue-600 hover:underline mt-1 block">View Shared Team (ID: ${team.publicShareId.substring(0,6)}...)</a>`; } let teamHeaderHtml = `<div class="flex justify-between items-center mb-3 pb-2 border-b border-gray-200"><div><h4 class="font-semibold text-lg text-indigo-700">${team.name}</h4><p class="text-sm text-gray-600">Total Score: <strong class="text-pink-600">${Math.round(reEvaluatedTeam.totalScore)}</strong></p>${team.groupName ? `<p class="text-xs text-gray-500">Group: ${team.groupName} (team ${team.groupIndex} of ${team.groupSize})</p>` : ''}${publicLinkHtml}</div><div class="flex-shrink-0 space-x-1">${shareButtonHtml}<button class="btn btn-sm btn-warning text-xs" onclick="renameSavedTeam('${team.id}', '${team.name.replace(/'/g, "\\'")}')"><span class="btn-icon">${ICON_EDIT}</span> Rename</button><button class="btn btn-sm btn-danger text-xs" onclick="deleteSavedTeam('${team.id}')"><span class="btn-icon">${ICON_DELETE}</span> Delete</button></div></div>`; teamContainerDiv.innerHTML = teamHeaderHtml; const membersGridDiv = document.createElement('div'); membersGridDiv.className = 'grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3'; if (reEvaluatedTeam.members && Array.isArray(reEvaluatedTeam.members)) { reEvaluatedTeam.members.forEach(member => { const healerIconHtml = member.isHealer ? getHealerPlaceholder() : ''; const starRatingHTML = getStarRatingHTML(member.starColorTier); let individualScore = member.individualScore; let memberCardHtml = `<div class="p-3 border rounded-lg shadow-md bg-slate-50 flex flex-col justify-between champion-card"><div><div class="flex items-center mb-2">${getClassPlaceholder(member.class, 'result-icon class-icon mr-2')}<strong class="text-sm text-slate-800 leading-tight">${member.name}</strong>${healerIconHtml}</div><div class="text-xs text-slate-600 mb-2"><p>Tier: ${starRatingHTML}</p>`; if (member.forceLevel && member.forceLevel > 0) { memberCardHtml += `<p>Force: ${member.forceLevel} / 5</p>`; } memberCardHtml += `<p>Score: ${Math.round(individualScore)}</p>`; if (member.legacyPiece && member.legacyPiece.id) { memberCardHtml += `<p>Legacy: ${member.legacyPiece.name} (${member.legacyPiece.rarity})`; if (member.legacyPiece.starColorTier && member.legacyPiece.starColorTier !== "Unlocked") { memberCardHtml += ` <span class="whitespace-nowrap">${getStarRatingHTML(member.legacyPiece.starColorTier)}</span>`; } memberCardHtml += `</p>`; } memberCardHtml += `</div>`; if (member.inherentSynergies && member.inherentSynergies.length > 0) { memberCardHtml += `<div class="mt-1"><p class="text-xs font-semibold text-slate-500 mb-1">Synergies:</p><div class="flex flex-wrap gap-1">`; member.inherentSynergies.forEach(synergy => { const synergyNameForIcon = synergy.trim().replace(/\s+/g, '_'); memberCardHtml += `<span class="icon-wrapper"><img src="img/factions/${synergyNameForIcon}.png" alt="${synergy}" title="${synergy}" class="result-icon w-5 h-5" onerror="this.style.display='none'; const fb = this.parentElement.querySelector('.icon-placeholder'); if (fb) fb.style.display='inline-block';"><span class="icon-placeholder text-xs" style="display:none;">[${synergy}]</span></span>`; }); memberCardHtml += `</div></div>`; } memberCardHtml += `</div></div>`; membersGridDiv.innerHTML += memberCardHtml; }); } teamContainerDiv.appendChild(membersGridDiv); savedTeamsListEl.appendChild(teamContainerDiv); const option = document.createElement('option'); option.value = team.id; option.textContent = team.name; selectExclusionTeamDropdownEl.appendChild(option); }); }
 function getTeamScoreCalculationHtml(t){if(!t||!t.scoreBreakdown)return"";let r=t.scoreBreakdown,o=`<h4 class="text-md font-semibold text-indigo-700 mb-2">Score Calculation:</h4><p>Base Individual Scores Sum: <strong class="float-right">${Math.round(r.base)}</strong></p>`;return t.activeSynergies.forEach(t=>{o+=`<p>${t.name} (${t.appliedAtMemberCount}): <strong class="text-green-600 float-right">+${Math.round(t.calculatedBonus)}</strong></p>`}),r.synergyDepthBonus>0&&(o+=`<p>Synergy Depth Bonus: <strong class="text-green-600 float-right">+${Math.round(r.synergyDepthBonus)}</strong></p>`),o+=`<p class="border-t border-indigo-200 pt-1 mt-1">Subtotal After Synergies: <strong class="float-right">${Math.round(r.subtotalAfterSynergies)}</strong></p>`,t.classDiversityBonusApplied&&(o+=`<p>Class Diversity Bonus (x${GAME_CONSTANTS.CLASS_DIVERSITY_MULTIPLIER}): <strong class="text-green-600 float-right">+${Math.round(r.classDiversityBonus)}</strong></p>`),`<div class="mb-4 p-3 bg-indigo-100 border border-indigo-300 rounded-lg text-sm">${o+=`<p class="border-t border-indigo-200 pt-1 mt-1 font-bold text-indigo-700">Final Team Score: <strong class="float-right">${Math.round(t.totalScore)}</strong></p>`}</div>`}
 async function renderSharedTeam(e) {
     if (!sharedTeamOutputEl) return;
@@ -577,20 +507,46 @@ async function renderSharedTeam(e) {
 function displayResults(teamToDisplay) { if (!resultsOutputEl) return; if (!teamToDisplay || !teamToDisplay.scoreBreakdown) { resultsOutputEl.innerHTML = '<p class="text-red-500">No optimal team determined.</p>'; currentBestTeamForSaving = null; originalBestTeam = null; currentDisplayedTeam = null; return; } originalBestTeam = JSON.parse(JSON.stringify(teamToDisplay)); currentDisplayedTeam = JSON.parse(JSON.stringify(teamToDisplay)); currentBestTeamForSaving = JSON.parse(JSON.stringify(teamToDisplay)); renderTeamDisplay(currentDisplayedTeam, true); }
 function renderTeamDisplay(e,s=!0){if(!resultsOutputEl)return;if(!e||!e.scoreBreakdown)return void(resultsOutputEl.innerHTML='<p class="text-red-500">Invalid team data.</p>');let t=`<h3 class="text-xl font-semibold text-indigo-700 mb-3">Optimal Team ${s&&originalBestTeam&&JSON.stringify(e.members.map((e=>e.id)))!==JSON.stringify(originalBestTeam.members.map((e=>e.id)))?"(Modified)":""}</h3>`;t+=getTeamScoreCalculationHtml(e),t+='<h4 class="text-md font-semibold text-gray-700 mt-3 mb-1">Score Contribution:</h4><div class="score-chart-container mb-2">';const a=e.totalScore>0?e.totalScore:1,n=e.scoreBreakdown.base/a*100,l=e.scoreBreakdown.percentageSynergyBonus/a*100,r=e.scoreBreakdown.flatSynergyBonus/a*100,i=e.scoreBreakdown.classDiversityBonus/a*100;n>0&&(t+=`<div class="score-chart-segment bg-blue-500" style="width:${n.toFixed(1)}%;" title="Base: ${Math.round(e.scoreBreakdown.base)}"></div>`),l>0&&(t+=`<div class="score-chart-segment bg-green-500" style="width:${l.toFixed(1)}%;" title="Perc. Synergy: +${Math.round(e.scoreBreakdown.percentageSynergyBonus)}"></div>`),r>0&&(t+=`<div class="score-chart-segment bg-teal-500" style="width:${r.toFixed(1)}%;" title="Flat Synergy: +${Math.round(e.scoreBreakdown.flatSynergyBonus)}"></div>`),i>0&&(t+=`<div class="score-chart-segment bg-purple-500" style="width:${i.toFixed(1)}%;" title="Class Div.: +${Math.round(e.scoreBreakdown.classDiversityBonus)}"></div>`),t+=`</div><div class="flex justify-around mb-4">${n>0?'<span class="score-chart-segment-label"><span class="inline-block w-3 h-3 bg-blue-500 rounded-sm mr-1"></span>Base</span>':""}${l>0?'<span class="score-chart-segment-label"><span class="inline-block w-3 h-3 bg-green-500 rounded-sm mr-1"></span>% Syn.</span>':""}${r>0?'<span class="score-chart-segment-label"><span class="inline-block w-3 h-3 bg-teal-500 rounded-sm mr-1"></span>Flat Syn.</span>':""}${i>0?'<span class="score-chart-segment-label"><span class="inline-block w-3 h-3 bg-purple-500 rounded-sm mr-1"></span>Class Div.</span>':""}</div>`,t+=`<p class="mb-2"><strong class="text-gray-700">Unique Classes:</strong> ${e.uniqueClassesCount} (${e.members.map((e=>e.class||"N/A")).filter(((e,s,t)=>t.indexOf(e)===s&&"N/A"!==e)).join(", ")||"None"})</p>`;let c=e.members.some((e=>!0===e.isHealer));t+=`<p class="mb-4"><strong class="text-gray-700">Healer:</strong> <span class="${c?"text-green-600 font-semibold":"text-red-600"}">${c?"Yes":"No"}</span></p>`,t+='<h4 class="text-lg font-medium text-gray-700 mt-4 mb-2">Team Members:</h4><div class="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3 mb-4">',e.members.forEach(((e,a)=>{const n=e.isHealer?getHealerPlaceholder():"",l=getStarRatingHTML(e.starColorTier),r=s?`<button class="btn btn-sm btn-info btn-outline mt-2 w-full" onclick="handleOpenSwapModal(${a})"><span class="btn-icon">${ICON_SWAP}</span> Swap</button>`:"";t+=`<div class="p-3 border rounded-lg shadow-md bg-slate-50 flex flex-col justify-between champion-card"><div><div class="flex items-center mb-2">${getClassPlaceholder(e.class,"result-icon class-icon mr-2")}<strong class="text-sm text-slate-800 leading-tight">${e.name}</strong>${n}</div><div class="text-xs text-slate-600 mb-2"><p>Tier: ${l}</p>`,e.forceLevel&&e.forceLevel>0&&(t+=`<p>Force: ${e.forceLevel} / 5</p>`),t+=`<p>Score: ${Math.round(e.individualScore)}</p>`,e.legacyPiece&&e.legacyPiece.id&&(t+=`<p>Legacy: ${e.legacyPiece.name} (${e.legacyPiece.rarity})`,e.legacyPiece.starColorTier&&"Unlocked"!==e.legacyPiece.starColorTier&&(t+=` <span class="whitespace-nowrap">${getStarRatingHTML(e.legacyPiece.starColorTier)}</span>`),t+="</p>"),t+="</div>",e.inherentSynergies&&e.inherentSynergies.length>0&&(t+='<div class="mt-1"><p class="text-xs font-semibold text-slate-500 mb-1">Synergies:</p><div class="flex flex-wrap gap-1">',e.inherentSynergies.forEach((e=>{const s=e.trim().replace(/\s+/g,"_");t+=`<span class="icon-wrapper"><img src="img/factions/${s}.png" alt="${e}" title="${e}" class="result-icon w-5 h-5" onerror="this.style.display='none'; const fb = this.parentElement.querySelector('.icon-placeholder'); if (fb) fb.style.display='inline-block';"><span class="icon-placeholder text-xs" style="display:none;">[${e}]</span></span>`})),t+="</div></div>"),t+=`</div>${r}</div>`})),t+="</div>",e.activeSynergies.length>0?(t+='<h4 class="text-lg font-medium text-gray-700 mt-6 mb-2">Active Team Synergies:</h4><div class="space-y-3">',e.activeSynergies.forEach((e=>{const s=(e.name||"").trim().replace(/\s+/g,"_"),a=` (+${Math.round(e.calculatedBonus)} Score)`,n=e.description||"Bonus Applied";t+=`<div class="flex items-start">\n                       <img src="img/factions/${s}.png" alt="${e.name}" title="${e.name}" class="w-6 h-6 mr-3 flex-shrink-0" onerror="this.style.display='none'">\n                       <div class="text-sm">\n                           <strong>${e.name}</strong> (${e.appliedAtMemberCount} members): ${n}<span class="text-green-600 font-semibold">${a}</span>\n                       </div>\n                     </div>`})),t+="</div>"):t+='<p class="text-gray-600 mt-6">No active team synergies.</p>',t+=`<div class="mt-6 flex gap-2"><button id="save-team-btn" class="btn btn-success"><span class="btn-icon">${ICON_SAVE}</span> <span class="btn-text">Save This Team</span></button>`,s&&originalBestTeam&&JSON.stringify(e.members.map((e=>e.id)))!==JSON.stringify(originalBestTeam.members.map((e=>e.id)))&&(t+=`<button id="reset-team-btn" class="btn btn-outline btn-info"><span class="btn-icon">${ICON_RESET}</span> Reset to Original</button>`),t+="</div>",resultsOutputEl.innerHTML=t;const o=document.getElementById("save-team-btn");o&&o.addEventListener("click",saveCurrentBestTeam);const d=document.getElementById("reset-team-btn");d&&d.addEventListener("click",handleResetTeam)}
 
+/**
+ * Lists the ranked teams from the last calculation with each team's score gap to team #1. Members who are not in team #1
+ * are highlighted, so it is easy to see what each alternative changes.
+ * @param {number} shownIndex - The team currently shown in the results above.
+ */
+function renderRankedTeams(shownIndex) {
+    if (!rankedTeamsOutputEl) return;
+    rankedTeamsOutputEl.classList.toggle('hidden', rankedTeams.length < 2);
+    if (rankedTeams.length < 2) { rankedTeamsOutputEl.innerHTML = ''; return; }
+    const topTeam = rankedTeams[0];
+    const topTeamIds = new Set(topTeam.members.map(member => member.id));
+    let html = `<h3 class="text-lg font-semibold text-indigo-700 mb-2">Top ${rankedTeams.length} Teams</h3><ol class="space-y-2">`;
+    rankedTeams.forEach((team, index) => {
+        const delta = Math.round(team.totalScore - topTeam.totalScore);
+        const deltaHtml = index === 0 ? '<span class="text-xs text-gray-500">(best)</span>' : `<span class="text-xs ${delta < 0 ? 'text-red-600' : 'text-green-600'}">(${delta < 0 ? '−' : '+'}${Math.abs(delta)} vs #1)</span>`;
+        const membersHtml = team.members.map(member => (topTeamIds.has(member.id)
+            ? `<span class="px-2 py-0.5 rounded bg-slate-100 text-slate-700">${member.name}</span>`
+            : `<span class="px-2 py-0.5 rounded bg-amber-100 text-amber-800 font-semibold" title="Not in team #1">${member.name}</span>`)).join('');
+        html += `<li class="p-3 border rounded-lg ${index === shownIndex ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200 bg-white'}"><div class="flex flex-wrap items-center justify-between gap-2"><div><strong class="text-gray-800">#${index + 1}</strong> <span class="text-gray-700">Score ${Math.round(team.totalScore)}</span> ${deltaHtml}</div><div class="flex gap-2"><button class="btn btn-sm btn-info btn-outline" onclick="handleShowRankedTeam(${index})" ${index === shownIndex ? 'disabled' : ''}>${index === shownIndex ? 'Shown' : 'Show'}</button><button class="btn btn-sm btn-success" onclick="handleSaveRankedTeam(${index})"><span class="btn-icon">${ICON_SAVE}</span> Save</button></div></div><div class="mt-2 flex flex-wrap gap-1 text-xs">${membersHtml}</div></li>`;
+    });
+    html += '</ol><p class="text-xs text-gray-500 mt-3">Teams are ranked by the same comparison score the optimizer maximizes, which also weighs individual champion scores, so a lower-ranked team can show a slightly higher team score. Highlighted champions are not in team #1.</p>';
+    rankedTeamsOutputEl.innerHTML = html;
+}
+
 // =================================================================================================
 // #region: Champion & Team Management (CRUD, Import/Export, Share)
 // =================================================================================================
 
-async function savePlayerRosterToFirestore() { if (!userId || !db) { showToast("Error: Not authenticated.", "error"); return; } if (saveRosterIndicatorEl) saveRosterIndicatorEl.classList.remove('hidden'); if (addUpdateChampionBtn) addUpdateChampionBtn.disabled = true; const rosterToSave = playerChampionRoster.map(champ => { const { individualScore, ...rest } = champ; return rest; }); try { await setDoc(doc(db, `artifacts/${appId}/users/${userId}/roster/myRoster`), { champions: rosterToSave }); showToast("Roster saved!", "success"); if (analytics) logEvent(analytics, 'roster_saved', { roster_size: playerChampionRoster.length }); } catch (error) { console.error("Error saving roster:", error); showToast("Failed to save roster: " + error.message, "error"); } finally { if (saveRosterIndicatorEl) saveRosterIndicatorEl.classList.add('hidden'); if (addUpdateChampionBtn) addUpdateChampionBtn.disabled = false; } }
-function resetChampionForm() {    if (!champSelectDbEl) return;        champSelectDbEl.value = "";        if (selectedChampName) selectedChampName.textContent = '-- Select Champion --';    if (selectedChampImg) selectedChampImg.classList.add('hidden');    if (customChampDropdownTrigger) customChampDropdownTrigger.disabled = false;    if (champBaseRarityDisplayEl) champBaseRarityDisplayEl.value = "";    if (champClassDisplayEl) champClassDisplayEl.value = "";    if (champHealerStatusDisplayEl) champHealerStatusDisplayEl.value = "";    currentSelectedChampionClass = null;    populateStarColorOptions(champStarColorEl, GAME_CONSTANTS.STAR_COLOR_TIERS, "Unlocked");    populateStarColorOptions(legacyPieceStarColorEl, GAME_CONSTANTS.LEGACY_PIECE_STAR_TIER_MODIFIER, "Unlocked");    if (champForceLevelEl) champForceLevelEl.value = 0;    if (champInherentSynergiesDisplayEl) champInherentSynergiesDisplayEl.textContent = 'Select a champion to see synergies.';    Object.values(gearSelectEls).forEach(sel => { if (sel) sel.value = GAME_CONSTANTS.STANDARD_GEAR_RARITIES[0]; });    if (legacyPieceSelectEl) legacyPieceSelectEl.value = "";        populateLegacyPieceSelect(null);        if (addUpdateChampionBtn) addUpdateChampionBtn.innerHTML = `<span class="btn-icon">${ICON_ADD}</span> <span class="btn-text">Add Champion</span> <span id="save-roster-indicator" class="saving-indicator hidden"></span>`;    if (cancelEditBtn) cancelEditBtn.classList.add('hidden');}
-window.editChampion = (championIdParam) => {    const championId = parseFloat(championIdParam);    const championToEdit = playerChampionRoster.find(c => c.id === championId);    if (!championToEdit) {        showToast(`Error: Champion with ID ${championId} not found.`, "error");        return;    }    editingChampionId = championId;    if (formModeTitleEl) formModeTitleEl.textContent = "Edit Champion";        if (champSelectDbEl) champSelectDbEl.value = championToEdit.dbChampionId;    if (selectedChampName) selectedChampName.textContent = championToEdit.name;    if (selectedChampImg) {        const sanitizedName = (championToEdit.name || "").replace(/[^a-zA-Z0-9-_]/g, "");        selectedChampImg.src = `img/champions/avatars/${sanitizedName}.webp`;        selectedChampImg.classList.remove('hidden');    }    if (customChampDropdownTrigger) customChampDropdownTrigger.disabled = true;    if (champBaseRarityDisplayEl) champBaseRarityDisplayEl.value = championToEdit.baseRarity;    if (champClassDisplayEl) champClassDisplayEl.value = championToEdit.class || "N/A";    if (champHealerStatusDisplayEl) champHealerStatusDisplayEl.value = championToEdit.isHealer ? 'Yes' : 'No';    currentSelectedChampionClass = championToEdit.class || null;    if (champStarColorEl) champStarColorEl.value = championToEdit.starColorTier;    if (legacyPieceStarColorEl) legacyPieceStarColorEl.value = (championToEdit.legacyPiece && championToEdit.legacyPiece.starColorTier) ? championToEdit.legacyPiece.starColorTier : "Unlocked";    if (champForceLevelEl) champForceLevelEl.value = championToEdit.forceLevel || 0;    if (champInherentSynergiesDisplayEl) champInherentSynergiesDisplayEl.textContent = (championToEdit.inherentSynergies || []).join(', ') || 'None';    if (gearSelectEls.head) gearSelectEls.head.value = championToEdit.gear.head.rarity;    if (gearSelectEls.arms) gearSelectEls.arms.value = championToEdit.gear.arms.rarity;    if (gearSelectEls.legs) gearSelectEls.legs.value = championToEdit.gear.legs.rarity;    if (gearSelectEls.chest) gearSelectEls.chest.value = championToEdit.gear.chest.rarity;    if (gearSelectEls.waist) gearSelectEls.waist.value = championToEdit.gear.waist.rarity;    populateLegacyPieceSelect(currentSelectedChampionClass);    if (legacyPieceSelectEl) legacyPieceSelectEl.value = (championToEdit.legacyPiece && championToEdit.legacyPiece.id) ? championToEdit.legacyPiece.id : "";        if (addUpdateChampionBtn) addUpdateChampionBtn.innerHTML = `<span class="btn-icon">${ICON_UPDATE}</span> <span class="btn-text">Update Champion</span> <span id="save-roster-indicator" class="saving-indicator hidden"></span>`;    if (cancelEditBtn) cancelEditBtn.classList.remove('hidden');        window.scrollTo({ top: customChampDropdownTrigger.offsetTop - 125, behavior: 'smooth' });    if (analytics) logEvent(analytics, 'edit_champion_start', { champion_name: championToEdit.name });};
-function cancelEditMode() { editingChampionId = null; if (formModeTitleEl) formModeTitleEl.textContent = "Add Your Champions to Roster"; resetChampionForm(); if (cancelEditBtn) cancelEditBtn.classList.add('hidden'); if (customChampDropdownTrigger) customChampDropdownTrigger.disabled = false; populateChampionSelect(); if (analytics) logEvent(analytics, 'edit_champion_cancel'); }
+async function savePlayerRosterToFirestore() { if (!userId || !db) { showToast("Error: Not authenticated.", "error"); return; } if (saveRosterIndicatorEl) saveRosterIndicatorEl.classList.remove('hidden'); if (addUpdateChampionBtn) addUpdateChampionBtn.disabled = true; const rosterToSave = playerChampionRoster.map(champ => { const { individualScore, ...rest } = champ; return rest; }); try { const { queued } = await writeUserDoc(db, `artifacts/${appId}/users/${userId}/roster/myRoster`, { champions: rosterToSave }); if (queued) { showToast("Offline: roster saved on this device. It will sync when you're back online.", "warning", 5000); return; } showToast("Roster saved!", "success"); if (analytics) logEvent(analytics, 'roster_saved', { roster_size: playerChampionRoster.length }); } catch (error) { console.error("Error saving roster:", error); showToast("Failed to save roster: " + error.message, "error"); } finally { if (saveRosterIndicatorEl) saveRosterIndicatorEl.classList.add('hidden'); if (addUpdateChampionBtn) addUpdateChampionBtn.disabled = false; } }
+function resetChampionForm() {    if (!champSelectDbEl) return;        champSelectDbEl.value = "";        if (champPickerEl) { champPickerEl.value = ''; champPickerEl.disabled = false; }    if (champBaseRarityDisplayEl) champBaseRarityDisplayEl.value = "";    if (champClassDisplayEl) champClassDisplayEl.value = "";    if (champHealerStatusDisplayEl) champHealerStatusDisplayEl.value = "";    currentSelectedChampionClass = null;    populateStarColorOptions(champStarColorEl, GAME_CONSTANTS.STAR_COLOR_TIERS, "Unlocked");    populateStarColorOptions(legacyPieceStarColorEl, GAME_CONSTANTS.LEGACY_PIECE_STAR_TIER_MODIFIER, "Unlocked");    if (champForceLevelEl) champForceLevelEl.value = 0;    if (champInherentSynergiesDisplayEl) champInherentSynergiesDisplayEl.textContent = 'Select a champion to see synergies.';    Object.values(gearSelectEls).forEach(sel => { if (sel) sel.value = GAME_CONSTANTS.STANDARD_GEAR_RARITIES[0]; });    if (legacyPieceSelectEl) legacyPieceSelectEl.value = "";        populateLegacyPieceSelect(null);        if (addUpdateChampionBtn) addUpdateChampionBtn.innerHTML = `<span class="btn-icon">${ICON_ADD}</span> <span class="btn-text">Add Champion</span> <span id="save-roster-indicator" class="saving-indicator hidden"></span>`;    if (cancelEditBtn) cancelEditBtn.classList.add('hidden');}
+window.editChampion = (championIdParam) => {    const championId = parseFloat(championIdParam);    const championToEdit = playerChampionRoster.find(c => c.id === championId);    if (!championToEdit) {        showToast(`Error: Champion with ID ${championId} not found.`, "error");        return;    }    editingChampionId = championId;    if (formModeTitleEl) formModeTitleEl.textContent = "Edit Champion";        if (champSelectDbEl) champSelectDbEl.value = championToEdit.dbChampionId;    populateChampionSelect();    if (champBaseRarityDisplayEl) champBaseRarityDisplayEl.value = championToEdit.baseRarity;    if (champClassDisplayEl) champClassDisplayEl.value = championToEdit.class || "N/A";    if (champHealerStatusDisplayEl) champHealerStatusDisplayEl.value = championToEdit.isHealer ? 'Yes' : 'No';    currentSelectedChampionClass = championToEdit.class || null;    if (champStarColorEl) champStarColorEl.value = championToEdit.starColorTier;    if (legacyPieceStarColorEl) legacyPieceStarColorEl.value = (championToEdit.legacyPiece && championToEdit.legacyPiece.starColorTier) ? championToEdit.legacyPiece.starColorTier : "Unlocked";    if (champForceLevelEl) champForceLevelEl.value = championToEdit.forceLevel || 0;    if (champInherentSynergiesDisplayEl) champInherentSynergiesDisplayEl.textContent = (championToEdit.inherentSynergies || []).join(', ') || 'None';    if (gearSelectEls.head) gearSelectEls.head.value = championToEdit.gear.head.rarity;    if (gearSelectEls.arms) gearSelectEls.arms.value = championToEdit.gear.arms.rarity;    if (gearSelectEls.legs) gearSelectEls.legs.value = championToEdit.gear.legs.rarity;    if (gearSelectEls.chest) gearSelectEls.chest.value = championToEdit.gear.chest.rarity;    if (gearSelectEls.waist) gearSelectEls.waist.value = championToEdit.gear.waist.rarity;    populateLegacyPieceSelect(currentSelectedChampionClass);    if (legacyPieceSelectEl) legacyPieceSelectEl.value = (championToEdit.legacyPiece && championToEdit.legacyPiece.id) ? championToEdit.legacyPiece.id : "";        if (addUpdateChampionBtn) addUpdateChampionBtn.innerHTML = `<span class="btn-icon">${ICON_UPDATE}</span> <span class="btn-text">Update Champion</span> <span id="save-roster-indicator" class="saving-indicator hidden"></span>`;    if (cancelEditBtn) cancelEditBtn.classList.remove('hidden');        if (champPickerEl) window.scrollTo({ top: champPickerEl.offsetTop - 125, behavior: 'smooth' });    if (analytics) logEvent(analytics, 'edit_champion_start', { champion_name: championToEdit.name });};
+function cancelEditMode() { editingChampionId = null; if (formModeTitleEl) formModeTitleEl.textContent = "Add Your Champions to Roster"; resetChampionForm(); if (cancelEditBtn) cancelEditBtn.classList.add('hidden'); populateChampionSelect(); if (analytics) logEvent(analytics, 'edit_champion_cancel'); }
 window.removePlayerChampion = async (championIdParam) => { const championId = parseFloat(championIdParam); if (editingChampionId === championId) cancelEditMode(); const champToRemove = playerChampionRoster.find(c => c.id === championId); if (champToRemove) { openConfirmModal(`Delete ${champToRemove.name} from your roster?`, async () => { playerChampionRoster = playerChampionRoster.filter(c => c.id !== championId); renderPlayerChampionRoster(); await savePlayerRosterToFirestore(); showToast(`${champToRemove.name} removed.`, "info"); if (analytics) logEvent(analytics, 'remove_champion_from_roster', { champion_name: champToRemove.name }); populateChampionSelect(); }); } else { showToast(`Error: Champion ID ${championId} not found.`, "error"); } }
-async function saveCurrentBestTeam() { if (!userId || !db) { showToast("You must be signed in to save.", "error"); return; } if (!currentDisplayedTeam) { showToast("No team to save.", "warning"); return; } const defaultTeamName = `Team (Score: ${Math.round(currentDisplayedTeam.totalScore)}) - ${new Date().toLocaleDateString()}`; openTeamNameModal(defaultTeamName, 'Save Team As', async (teamNameToSave) => { const teamDataToSave = { name: teamNameToSave, members: currentDisplayedTeam.members.map(m => ({ dbChampionId: m.dbChampionId, name: m.name, baseRarity: m.baseRarity, class: m.class, isHealer: m.isHealer === true, starColorTier: m.starColorTier, forceLevel: m.forceLevel || 0, gear: m.gear, legacyPiece: m.legacyPiece, inherentSynergies: m.inherentSynergies || [], individualScore: m.individualScore })), totalScore: currentDisplayedTeam.totalScore, activeSynergies: currentDisplayedTeam.activeSynergies, scoreBreakdown: currentDisplayedTeam.scoreBreakdown, baseScoreSum: currentDisplayedTeam.baseScoreSum, uniqueClassesCount: currentDisplayedTeam.uniqueClassesCount, classDiversityBonusApplied: currentDisplayedTeam.classDiversityBonusApplied, createdAt: serverTimestamp() }; const saveTeamBtnEl = document.getElementById('save-team-btn'); if(saveTeamBtnEl) saveTeamBtnEl.disabled = true; try { await addDoc(collection(db, `artifacts/${appId}/users/${userId}/savedTeams`), teamDataToSave); showToast("Team saved!", "success"); if (analytics) logEvent(analytics, 'save_team', { team_name: teamNameToSave, team_score: Math.round(teamDataToSave.totalScore) }); loadSavedTeams(); } catch (error) { console.error("Error saving team:", error); showToast("Failed to save team: " + error.message, "error"); } finally { if(saveTeamBtnEl) saveTeamBtnEl.disabled = false; } }); }
+function buildSavedTeamDoc(team, name) { return { name, members: team.members.map(m => ({ dbChampionId: m.dbChampionId, name: m.name, baseRarity: m.baseRarity, class: m.class, isHealer: m.isHealer === true, starColorTier: m.starColorTier, forceLevel: m.forceLevel || 0, gear: m.gear, legacyPiece: m.legacyPiece, inherentSynergies: m.inherentSynergies || [], individualScore: m.individualScore })), totalScore: team.totalScore, activeSynergies: team.activeSynergies, scoreBreakdown: team.scoreBreakdown, baseScoreSum: team.baseScoreSum, uniqueClassesCount: team.uniqueClassesCount, classDiversityBonusApplied: team.classDiversityBonusApplied, createdAt: serverTimestamp() }; }
+async function saveCurrentBestTeam() { if (!userId || !db) { showToast("You must be signed in to save.", "error"); return; } if (!currentDisplayedTeam) { showToast("No team to save.", "warning"); return; } const defaultTeamName = `Team (Score: ${Math.round(currentDisplayedTeam.totalScore)}) - ${new Date().toLocaleDateString()}`; openTeamNameModal(defaultTeamName, 'Save Team As', async (teamNameToSave) => { const teamDataToSave = buildSavedTeamDoc(currentDisplayedTeam, teamNameToSave); const saveTeamBtnEl = document.getElementById('save-team-btn'); if(saveTeamBtnEl) saveTeamBtnEl.disabled = true; try { await addDoc(collection(db, `artifacts/${appId}/users/${userId}/savedTeams`), teamDataToSave); showToast("Team saved!", "success"); if (analytics) logEvent(analytics, 'save_team', { team_name: teamNameToSave, team_score: Math.round(teamDataToSave.totalScore) }); loadSavedTeams(); } catch (error) { console.error("Error saving team:", error); showToast("Failed to save team: " + error.message, "error"); } finally { if(saveTeamBtnEl) saveTeamBtnEl.disabled = false; } }); }
 window.renameSavedTeam = async (teamId, currentName) => { if (!userId || !db) { showToast("Not signed in.", "error"); return; } openTeamNameModal(currentName, 'Rename Team', async (newName) => { if (newName && newName.trim() !== "" && newName.trim() !== currentName) { try { await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/savedTeams`, teamId), { name: newName.trim() }); showToast("Team renamed.", "success"); if (analytics) logEvent(analytics, 'rename_saved_team'); loadSavedTeams(); } catch (error) { console.error("Error renaming team:", error); showToast("Failed to rename team: " + error.message, "error"); } } }); };
 window.deleteSavedTeam = async (teamId) => { if (!userId || !db) { showToast("Not signed in.", "error"); return; } const teamToDelete = savedTeams.find(t => t.id === teamId); if (!teamToDelete) { showToast("Team not found.", "error"); return; } openConfirmModal(`Delete team "${teamToDelete.name}"? If shared, the link will also be removed.`, async () => { try { if (teamToDelete.publicShareId) { await deleteDoc(doc(db, `artifacts/${appId}/public/data/sharedTeams`, teamToDelete.publicShareId)); showToast(`Public share removed.`, "info"); } await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/savedTeams`, teamId)); showToast(`"${teamToDelete.name}" deleted.`, "success"); if (analytics) logEvent(analytics, 'delete_saved_team', { was_shared: !!teamToDelete.publicShareId }); loadSavedTeams(); } catch (error) { console.error("Error deleting team:", error); showToast("Failed to delete team: " + error.message, "error"); } }); };
 window.shareTeam = async (teamId) => { if (!userId || !db) { showToast("Not signed in.", "error"); return; } const teamToShare = savedTeams.find(t => t.id === teamId); if (!teamToShare) { showToast("Team not found.", "error"); return; } openConfirmModal(`Generate a public share link for "${teamToShare.name}"?`, async () => { try { const publicTeamData = { name: teamToShare.name, members: teamToShare.members, totalScore: teamToShare.totalScore, activeSynergies: teamToShare.activeSynergies, scoreBreakdown: teamToShare.scoreBreakdown, uniqueClassesCount: teamToShare.uniqueClassesCount, classDiversityBonusApplied: teamToShare.classDiversityBonusApplied, createdAt: serverTimestamp(), originalOwnerId: userId }; const docRef = await addDoc(collection(db, `artifacts/${appId}/public/data/sharedTeams`), publicTeamData); await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/savedTeams`, teamId), { publicShareId: docRef.id }); const shareLink = `${window.location.origin}${window.location.pathname.substring(0, window.location.pathname.lastIndexOf('/'))}/share.html?sharedTeamId=${docRef.id}`; openShareTeamModal(shareLink); showToast("Share link generated!", "success"); loadSavedTeams(); if (analytics) logEvent(analytics, 'share_team', { team_name: teamToShare.name }); } catch (error) { console.error("Error sharing team:", error); showToast("Failed to share team: " + error.message, "error"); } }, null, "Confirm Public Share" ); };
 window.unshareTeam = async (savedTeamId, publicShareId) => { if (!userId || !db || !publicShareId || !savedTeamId) { showToast("Missing info to unshare.", "error"); return; } const teamToUnshare = savedTeams.find(t => t.id === savedTeamId); if (!teamToUnshare) { showToast("Team not found.", "error"); return; } openConfirmModal(`Remove public link for "${teamToUnshare.name}"?`, async () => { try { await deleteDoc(doc(db, `artifacts/${appId}/public/data/sharedTeams`, publicShareId)); await updateDoc(doc(db, `artifacts/${appId}/users/${userId}/savedTeams`, savedTeamId), { publicShareId: deleteField() }); showToast(`"${teamToUnshare.name}" is no longer shared.`, "success"); loadSavedTeams(); if (analytics) logEvent(analytics, 'unshare_team'); } catch (error) { console.error("Error unsharing team:", error); showToast("Failed to unshare team: " + error.message, "error"); } }, null, "Confirm Unshare" ); };
+async function syncQueuedChanges() { if (!userId || !db || !isOnline()) return; const { synced } = await syncPendingDocs(db, `artifacts/${appId}/users/${userId}/`); if (synced > 0) { showToast("Back online: your offline roster changes were synced.", "success"); if (analytics) logEvent(analytics, 'offline_changes_synced', { count: synced }); } }
 async function handleSharedTeamLink() { const urlParams = new URLSearchParams(window.location.search); const sharedTeamId = urlParams.get('sharedTeamId'); const currentPagePath = window.location.pathname; if (sharedTeamId) { let basePath = currentPagePath.substring(0, currentPagePath.lastIndexOf('/')); if (basePath === "") basePath = "."; const sharePageUrl = `${window.location.origin}${basePath}/share.html?sharedTeamId=${sharedTeamId}`; if (!currentPagePath.includes('share.html')) { window.location.href = sharePageUrl; return true; } if (loadingIndicatorEl) loadingIndicatorEl.classList.remove('hidden'); if (mainAppContentEl) mainAppContentEl.classList.add('hidden'); if (sharedTeamViewSectionEl) { sharedTeamViewSectionEl.classList.remove('hidden'); if(sharedTeamOutputEl) sharedTeamOutputEl.innerHTML = '<div class="loading-spinner"></div><p class="text-center">Loading shared team...</p>'; } try { await fetchChampions(); await fetchSynergiesAndRender(); await fetchLegacyPieces(); const docSnap = await getDoc(doc(db, `artifacts/${appId}/public/data/sharedTeams`, sharedTeamId)); if (docSnap.exists()) { const sharedTeamData = docSnap.data(); await renderSharedTeam(sharedTeamData); if (analytics) logEvent(analytics, 'view_shared_team', { shared_team_id: sharedTeamId }); } else { if (sharedTeamOutputEl) sharedTeamOutputEl.innerHTML = '<p class="text-red-500 text-center">Shared team not found.</p>'; } } catch (error) { console.error("Error fetching shared team:", error); if (sharedTeamOutputEl) sharedTeamOutputEl.innerHTML = '<p class="text-red-500 text-center">Error loading data.</p>'; } finally { if (loadingIndicatorEl) loadingIndicatorEl.classList.add('hidden'); } return true; } else { if (currentPagePath.includes('share.html')) { if (sharedTeamOutputEl) sharedTeamOutputEl.innerHTML = '<p class="text-red-500 text-center">No team ID provided. <a href="teams.html" class="text-blue-600 hover:underline">Go to Team Builder</a></p>'; if (mainAppContentEl) mainAppContentEl.classList.add('hidden'); if (sharedTeamViewSectionEl) sharedTeamViewSectionEl.classList.remove('hidden'); return true; } } if (mainAppContentEl) mainAppContentEl.classList.remove('hidden'); if (sharedTeamViewSectionEl) sharedTeamViewSectionEl.classList.add('hidden'); return false; }
 window.upgradeChampion = async (championIdParam) => {
     const championId = parseFloat(championIdParam);
@@ -685,11 +641,352 @@ async function recalculateAndUpdateSavedTeams(upgradedChampion) {
     showToast(`${teamsToUpdate.length} saved team(s) and their share links successfully updated!`, 'success');
 }
 
+// =================================================================================================
+// #region: Team Constraints
+// =================================================================================================
+
+/**
+ * Fills a multi-select with options, keeping whichever values were selected before.
+ * @param {HTMLSelectElement} selectEl
+ * @param {{value: string, label: string}[]} options
+ */
+function fillMultiSelect(selectEl, options) {
+    if (!selectEl) return;
+    const selected = new Set(Array.from(selectEl.selectedOptions).map(option => option.value));
+    selectEl.innerHTML = options.map(({ value, label }) => `<option value="${value}" ${selected.has(value) ? 'selected' : ''}>${label}</option>`).join('');
+}
+
+/**
+ * Refreshes the constraint panel's champion, class and rule-target options from the roster and game data. Rules whose
+ * synergy or class no longer exists are kept, so they still show up in the summary and in infeasibility errors.
+ */
+function populateConstraintOptions() {
+    const champions = [...playerChampionRoster].sort((a, b) => (a.name || '').localeCompare(b.name || '')).map(champ => ({ value: String(champ.id), label: champ.name }));
+    const classes = [...new Set([...dbChampions, ...playerChampionRoster].map(champ => champ.class).filter(cls => cls && cls !== 'N/A'))].sort();
+    fillMultiSelect(constraintLockSelectEl, champions);
+    fillMultiSelect(constraintBanSelectEl, champions);
+    fillMultiSelect(constraintRequireClassSelectEl, classes.map(cls => ({ value: cls, label: cls })));
+    fillMultiSelect(constraintForbidClassSelectEl, classes.map(cls => ({ value: cls, label: cls })));
+    if (constraintRuleTargetSelectEl) {
+        const current = constraintRuleTargetSelectEl.value;
+        constraintRuleTargetSelectEl.innerHTML = `<optgroup label="Synergies">${dbSynergies.map(syn => `<option value="synergy:${syn.name}">${syn.name}</option>`).join('')}</optgroup><optgroup label="Classes">${classes.map(cls => `<option value="class:${cls}">${cls}</option>`).join('')}</optgroup>`;
+        if (current) constraintRuleTargetSelectEl.value = current;
+    }
+    updateConstraintsSummary();
+}
+
+/**
+ * Reads the constraint panel into the form TeamCalculator.resolveConstraints expects.
+ * @returns {{lockedIds: Array, bannedIds: Array, minCounts: object[], requiredClasses: string[], forbiddenClasses: string[], maxLimitedMythics: number|null}}
+ */
+function getTeamConstraints() {
+    const selectedValues = (selectEl) => (selectEl ? Array.from(selectEl.selectedOptions).map(option => option.value) : []);
+    const rosterIdsFor = (selectEl) => { const values = new Set(selectedValues(selectEl)); return playerChampionRoster.filter(champ => values.has(String(champ.id))).map(champ => champ.id); };
+    const capValue = constraintLmCapSelectEl ? constraintLmCapSelectEl.value : '';
+    return {
+        lockedIds: rosterIdsFor(constraintLockSelectEl),
+        bannedIds: rosterIdsFor(constraintBanSelectEl),
+        minCounts: constraintRules.map(rule => ({ ...rule })),
+        requiredClasses: selectedValues(constraintRequireClassSelectEl),
+        forbiddenClasses: selectedValues(constraintForbidClassSelectEl),
+        maxLimitedMythics: capValue === '' ? null : parseInt(capValue, 10),
+    };
+}
+
+function updateConstraintsSummary() {
+    if (!constraintsSummaryEl) return;
+    const active = TeamCalculator.describeConstraints(playerChampionRoster, { constraints: getTeamConstraints() });
+    constraintsSummaryEl.textContent = active.length === 0 ? '(none)' : `(${active.length} active)`;
+    constraintsSummaryEl.title = active.join(', ');
+}
+
+function renderConstraintRules() {
+    if (!constraintRulesListEl) return;
+    constraintRulesListEl.innerHTML = constraintRules.map((rule, index) => `<li class="flex items-center justify-between bg-gray-50 border border-gray-200 rounded px-2 py-1"><span>At least <strong>${rule.count}</strong> ${rule.name} ${rule.kind === 'class' ? 'champions' : 'members'}</span><button type="button" class="text-red-500 hover:text-red-700 text-xs" onclick="handleRemoveConstraintRule(${index})" aria-label="Remove rule">${ICON_DELETE}</button></li>`).join('');
+    updateConstraintsSummary();
+}
+
+function handleAddConstraintRule() {
+    const [kind, ...nameParts] = (constraintRuleTargetSelectEl.value || '').split(':');
+    const name = nameParts.join(':');
+    const count = parseInt(constraintRuleCountInputEl.value, 10);
+    if (!name) { showToast("Choose a synergy or class for the rule.", "warning"); return; }
+    if (!(count >= 1 && count <= 5)) { showToast("The minimum must be between 1 and 5.", "warning"); return; }
+    const existing = constraintRules.find(rule => rule.kind === kind && rule.name === name);
+    if (existing) existing.count = count;
+    else constraintRules.push({ kind, name, count });
+    renderConstraintRules();
+}
+
+window.handleRemoveConstraintRule = (index) => {
+    constraintRules.splice(index, 1);
+    renderConstraintRules();
+};
+
+function clearConstraints() {
+    [constraintLockSelectEl, constraintBanSelectEl, constraintRequireClassSelectEl, constraintForbidClassSelectEl].forEach(selectEl => { if (selectEl) Array.from(selectEl.options).forEach(option => { option.selected = false; }); });
+    if (constraintLmCapSelectEl) constraintLmCapSelectEl.value = '';
+    constraintRules = [];
+    renderConstraintRules();
+}
+
+// =================================================================================================
+// #region: Upgrade Priority Planner
+// =================================================================================================
+
+/**
+ * Average draws per Mythic and shards per Mythic on the LM banner, from the Anvil calculator's built-in rule profile and the same Expected Value math.
+ * @returns {{drawsPerMythic: number, shardsPerMythic: number}}
+ */
+function getLmAnvilModel() {
+    const rules = DEFAULT_RULE_PROFILE;
+    const actualLmRateUpChance = calculateActualRateFromEffectiveRate(rules.lmRateUpChance, rules.nmGuarantee);
+    return {
+        drawsPerMythic: calculateExpectedDrawsPerMythic(rules.mythicProbability, rules.mythicHardPity),
+        shardsPerMythic: calculateLmCycleMetrics(rules.lmShardsYield, 0, actualLmRateUpChance, rules.nmGuarantee).averageShardsPerEffectiveMythic,
+    };
+}
+
+/**
+ * Expected Anvils to take a Limited Mythic from one star tier to a higher one ("Unlocked" counts as 0 shards).
+ * @param {string} fromTier - The current star tier.
+ * @param {string} toTier - The target star tier.
+ * @param {{drawsPerMythic: number, shardsPerMythic: number}} anvilModel - From `getLmAnvilModel`.
+ * @returns {number} The expected Anvils.
+ */
+function getExpectedUpgradeAnvils(fromTier, toTier, anvilModel) {
+    const { shardRequirements } = DEFAULT_RULE_PROFILE;
+    const shardsNeeded = (shardRequirements[toTier] || 0) - (shardRequirements[fromTier] || 0);
+    return calculateGachaAnvils(shardsNeeded, anvilModel.shardsPerMythic, anvilModel.drawsPerMythic);
+}
+
+/**
+ * Re-scores a team after one champion is upgraded: in place if they are already a member, otherwise swapped in for
+ * whichever member gives the highest comparison score (the same measure findOptimalTeam maximizes).
+ * @param {TeamCalculator} calculator - The calculator holding the synergies.
+ * @param {object} team - The current evaluated team.
+ * @param {object} champion - The upgraded champion, with its new individual score.
+ * @param {boolean} requireHealer - Whether swaps must leave a healer in the team.
+ * @returns {object} The best evaluated team, or the current one if no swap improves it.
+ */
+function evaluateTeamWithChampion(calculator, team, champion, requireHealer) {
+    const memberIndex = team.members.findIndex(member => member.id === champion.id);
+    if (memberIndex !== -1) return calculator.evaluateTeam(team.members.map((member, i) => i === memberIndex ? champion : member));
+    let bestTeam = team;
+    team.members.forEach((_, slot) => {
+        const members = team.members.map((member, i) => i === slot ? champion : member);
+        if (requireHealer && !members.some(member => member.isHealer === true)) return;
+        const evaluated = calculator.evaluateTeam(members);
+        if (evaluated.comparisonScore > bestTeam.comparisonScore) bestTeam = evaluated;
+    });
+    return bestTeam;
+}
+
+/**
+ * Plans star upgrades for an Anvil budget greedily: each step tries every higher tier for every Limited Mythic in the roster,
+ * re-scores the best team with that upgrade, and takes the upgrade with the most team score gained per expected Anvil.
+ * Jumps of several tiers are candidates too, so a benched champion can be planned into the team.
+ * @param {object[]} roster - The roster champions with individual scores.
+ * @param {object} startTeam - The current best team.
+ * @param {number} budget - Anvils available.
+ * @param {{requireHealer: boolean, updateProgress: Function}} options
+ * @returns {Promise<{steps: object[], startScore: number, finalTeam: object, anvilsLeft: number}>}
+ */
+async function planRosterUpgrades(roster, startTeam, budget, { requireHealer, updateProgress }) {
+    const calculator = new TeamCalculator(dbSynergies, GAME_CONSTANTS);
+    const anvilModel = getLmAnvilModel();
+    const tiers = Object.keys(DEFAULT_RULE_PROFILE.shardRequirements);
+    let team = calculator.evaluateTeam(ensureIndividualScores(startTeam.members));
+    const startScore = team.totalScore;
+    let candidates = roster.filter(champ => champ.baseRarity === 'Limited Mythic' && (champ.starColorTier === 'Unlocked' || tiers.includes(champ.starColorTier)));
+    let anvilsLeft = budget;
+    const steps = [];
+
+    while (steps.length < GAME_CONSTANTS.UPGRADE_PLANNER_MAX_STEPS) {
+        let best = null;
+        candidates.forEach(champ => {
+            for (let i = tiers.indexOf(champ.starColorTier) + 1; i < tiers.length; i++) {
+                const anvils = getExpectedUpgradeAnvils(champ.starColorTier, tiers[i], anvilModel);
+                if (anvils > anvilsLeft) break;
+                const upgraded = { ...champ, starColorTier: tiers[i] };
+                upgraded.individualScore = TeamCalculator.calculateIndividualChampionScore(upgraded, GAME_CONSTANTS);
+                const upgradedTeam = evaluateTeamWithChampion(calculator, team, upgraded, requireHealer);
+                const scoreGain = upgradedTeam.totalScore - team.totalScore;
+                if (scoreGain <= 0) continue;
+                if (!best || scoreGain / anvils > best.gainPerAnvil) best = { champion: upgraded, fromTier: champ.starColorTier, anvils, scoreGain, gainPerAnvil: scoreGain / anvils, team: upgradedTeam };
+            }
+        });
+        if (!best) break;
+
+        const replaced = team.members.find(member => !best.team.members.some(m => m.id === member.id)) || null;
+        candidates = candidates.map(champ => champ.id === best.champion.id ? best.champion : champ);
+        team = best.team;
+        anvilsLeft -= best.anvils;
+        steps.push({ ...best, replacedName: replaced && replaced.id !== best.champion.id ? replaced.name : null, teamScore: team.totalScore });
+        await updateProgress(`Planned ${steps.length} upgrade(s), ${Math.round(anvilsLeft)} Anvils left...`, Math.min(95, 10 + Math.round((1 - anvilsLeft / budget) * 85)));
+        await new Promise(resolve => requestAnimationFrame(resolve));
+    }
+    return { steps, startScore, finalTeam: team, anvilsLeft };
+}
+
+/**
+ * Links a planned upgrade to the Anvil calculator, pre-filled with the champion, both star levels and the expected Anvils as the budget.
+ * The champion is already unlocked, so the unlock cost is explicitly left out (`u=0`) rather than taken from the calculator's default.
+ * @param {object} step - A planned upgrade step.
+ * @returns {string} The calculator URL.
+ */
+function getCalculatorLinkForUpgrade(step) {
+    const params = new URLSearchParams({ c: step.champion.name, from: step.fromTier === 'Unlocked' ? '0_shards' : step.fromTier, to: step.champion.starColorTier, b: Math.round(step.anvils), u: '0' });
+    return `calculator.html#${params.toString()}`;
+}
+
+/**
+ * Renders the planned upgrades in priority order, each with a link to the Anvil calculator.
+ * @param {{steps: object[], startScore: number, finalTeam: object, anvilsLeft: number}} plan - From `planRosterUpgrades`.
+ * @param {number} budget - The Anvil budget planned for.
+ */
+function renderUpgradePlan(plan, budget) {
+    if (!upgradePlanOutputEl) return;
+    if (plan.steps.length === 0) {
+        upgradePlanOutputEl.innerHTML = `<p class="text-gray-600">No Limited Mythic star upgrade within ${budget} Anvils raises your best team's score.</p>`;
+        return;
+    }
+    const spent = budget - plan.anvilsLeft;
+    let html = `<p class="mb-3">Spending about <strong>${Math.round(spent)}</strong> of ${budget} Anvils raises the team score from <strong>${Math.round(plan.startScore)}</strong> to <strong>${Math.round(plan.finalTeam.totalScore)}</strong>. Do the upgrades in this order:</p>`;
+    html += '<div class="overflow-x-auto"><table class="min-w-full text-sm text-left"><thead><tr class="text-gray-600"><th class="py-2 px-2">#</th><th class="py-2 px-2">Champion</th><th class="py-2 px-2">Upgrade</th><th class="py-2 px-2 text-right">Expected Anvils</th><th class="py-2 px-2 text-right">Score Gain</th><th class="py-2 px-2 text-right">Gain per 100 Anvils</th><th class="py-2 px-2 text-right">Team Score</th><th class="py-2 px-2"></th></tr></thead><tbody>';
+    plan.steps.forEach((step, index) => {
+        const teamChange = step.replacedName ? `<span class="block text-xs text-gray-500">Joins the team, replacing ${step.replacedName}</span>` : '';
+        html += `<tr class="border-t border-gray-200"><td class="py-2 px-2">${index + 1}</td><td class="py-2 px-2">${step.champion.name}${teamChange}</td><td class="py-2 px-2">${step.fromTier} → ${step.champion.starColorTier}</td><td class="py-2 px-2 text-right">${Math.round(step.anvils)}</td><td class="py-2 px-2 text-right">+${Math.round(step.scoreGain)}</td><td class="py-2 px-2 text-right">${(step.gainPerAnvil * 100).toFixed(1)}</td><td class="py-2 px-2 text-right">${Math.round(step.teamScore)}</td><td class="py-2 px-2"><a href="${getCalculatorLinkForUpgrade(step)}" class="text-indigo-600 hover:underline whitespace-nowrap">Open in Calculator</a><span class="block text-xs text-gray-500">Unlock cost not included</span></td></tr>`;
+    });
+    html += '</tbody></table></div>';
+    html += '<p class="text-xs text-gray-500 mt-3">Anvil costs are averages on the standard Limited Mythic banner, from the Anvil calculator\'s Expected Value math; other rarities are not bought with Anvils and are left out. Each upgrade is scored by swapping the champion into your current best team, so calculate the best team again after upgrading.</p>';
+    upgradePlanOutputEl.innerHTML = html;
+}
+
+/**
+ * Plans upgrades for the entered Anvil budget, starting from the last calculated best team and the same roster filters.
+ */
+async function handlePlanUpgrades() {
+    if (editingChampionId) { showToast("Finish editing before planning upgrades.", "warning"); return; }
+    if (!originalBestTeam) { showToast("Calculate the best team first, so the planner knows which team to improve.", "warning"); return; }
+    const budget = parseInt(upgradeBudgetInputEl.value, 10);
+    if (!(budget > 0)) { showToast("Enter an Anvil budget above 0.", "warning"); return; }
+    openProcessingModal();
+    try {
+        const plan = await planRosterUpgrades(getRosterForCombination(), originalBestTeam, budget, { requireHealer: requireHealerCheckboxEl.checked, updateProgress: (status, progress) => updateProcessingStatus(status, progress) });
+        renderUpgradePlan(plan, budget);
+        if (analytics) logEvent(analytics, 'plan_roster_upgrades', { budget, steps: plan.steps.length, score_gain: Math.round(plan.finalTeam.totalScore - plan.startScore) });
+        updateProcessingStatus("Plan complete!", 100);
+        setTimeout(closeProcessingModal, 1000);
+    } catch (error) {
+        console.error("Upgrade Planner Error:", error);
+        if (upgradePlanOutputEl) upgradePlanOutputEl.innerHTML = `<p class="text-red-500">${error.message}</p>`;
+        updateProcessingStatus(`Error: ${error.message}`, 100);
+        setTimeout(closeProcessingModal, 2500);
+    }
+}
+
+// =================================================================================================
+// #region: Multi-Team Allocation
+// =================================================================================================
+
+/**
+ * Shows one "requires a healer" checkbox per team for the selected team count, keeping the boxes already ticked.
+ */
+function renderAllocationRequirements() {
+    if (!allocationRequirementsEl || !allocationTeamCountSelectEl) return;
+    const teamCount = parseInt(allocationTeamCountSelectEl.value, 10) || 2;
+    const checked = Array.from(allocationRequirementsEl.querySelectorAll('input[type="checkbox"]')).map(box => box.checked);
+    allocationRequirementsEl.innerHTML = '';
+    for (let i = 0; i < teamCount; i++) {
+        allocationRequirementsEl.insertAdjacentHTML('beforeend', `<div class="flex items-center"><input id="allocation-healer-${i}" type="checkbox" class="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500" ${checked[i] ? 'checked' : ''}><label for="allocation-healer-${i}" class="ml-2 block text-sm text-gray-700">Team ${i + 1} requires a healer</label></div>`);
+    }
+}
+
+/**
+ * Shows the allocated teams with their scores and members, plus the combined and weakest scores and a button to save them as a group.
+ */
+function renderAllocatedTeams() {
+    if (!allocationOutputEl) return;
+    const scores = allocatedTeams.map(team => team.totalScore);
+    let html = `<div class="flex flex-wrap items-center justify-between gap-2 mb-4"><p class="text-sm text-gray-700">Combined score: <strong>${Math.round(scores.reduce((sum, value) => sum + value, 0))}</strong> &middot; Weakest team: <strong>${Math.round(Math.min(...scores))}</strong></p><button id="save-allocated-teams-btn" class="btn btn-success"><span class="btn-icon">${ICON_SAVE}</span> <span class="btn-text">Save All Teams</span></button></div><div class="grid grid-cols-1 md:grid-cols-2 gap-4">`;
+    allocatedTeams.forEach((team, index) => {
+        const hasHealer = team.members.some(member => member.isHealer === true);
+        const membersHtml = team.members.map(member => `<li class="flex items-center">${getClassPlaceholder(member.class, 'result-icon class-icon mr-2')}<span>${member.name}</span>${member.isHealer ? getHealerPlaceholder() : ''}<span class="ml-auto text-xs text-gray-500">${Math.round(member.individualScore)}</span></li>`).join('');
+        html += `<div class="p-3 border rounded-lg bg-white shadow-sm"><div class="flex justify-between items-baseline mb-2"><h4 class="font-semibold text-indigo-700">Team ${index + 1}</h4><span class="text-sm text-gray-700">Score <strong>${Math.round(team.totalScore)}</strong></span></div><p class="text-xs text-gray-500 mb-2">${team.activeSynergies.length} active synerg${team.activeSynergies.length === 1 ? 'y' : 'ies'} &middot; ${team.uniqueClassesCount} classes &middot; Healer: ${hasHealer ? 'Yes' : 'No'}</p><ul class="space-y-1 text-sm">${membersHtml}</ul></div>`;
+    });
+    html += '</div><p class="text-xs text-gray-500 mt-3">Teams are found by building them one at a time, combining the top-ranked teams, then swapping champions between teams and the bench while the result improves. Unlike Find Optimal Team, this is not guaranteed to be the best possible split.</p>';
+    allocationOutputEl.innerHTML = html;
+    const saveBtn = document.getElementById('save-allocated-teams-btn');
+    if (saveBtn) saveBtn.addEventListener('click', saveAllocatedTeams);
+}
+
+/**
+ * Allocates the roster into the selected number of disjoint teams, using the same exclusion filter as Find Optimal Team.
+ */
+async function handleAllocateTeams() {
+    if (editingChampionId) { showToast("Finish editing before allocating teams.", "warning"); return; }
+    const teamCount = Math.min(GAME_CONSTANTS.ALLOCATION_MAX_TEAMS, Math.max(2, parseInt(allocationTeamCountSelectEl.value, 10) || 2));
+    const teamRequirements = Array.from({ length: teamCount }, (_, i) => {
+        const healerBox = document.getElementById(`allocation-healer-${i}`);
+        return { requireHealer: Boolean(healerBox && healerBox.checked) };
+    });
+    const objective = allocationObjectiveSelectEl.value === 'minimum' ? 'minimum' : 'total';
+    openProcessingModal(canUseTeamWorkers());
+    try {
+        const allocationOptions = { teamRequirements, objective, updateProgress: (status, progress) => updateProcessingStatus(status, progress) };
+        allocatedTeams = await runTeamCalculation(
+            () => allocateTeamsInWorker(getRosterForCombination(), allocationOptions),
+            () => new TeamCalculator(dbSynergies, GAME_CONSTANTS).allocateTeams(getRosterForCombination(), allocationOptions));
+        renderAllocatedTeams();
+        if (analytics) logEvent(analytics, 'allocate_teams', { team_count: teamCount, objective, healer_teams: teamRequirements.filter(req => req.requireHealer).length, roster_size: playerChampionRoster.length });
+        updateProcessingStatus("Allocation complete!", 100);
+        setTimeout(closeProcessingModal, 1000);
+    } catch (error) {
+        if (error.isCancelled) {
+            closeProcessingModal();
+            showToast("Allocation cancelled.", "info");
+            return;
+        }
+        console.error("Team Allocation Error:", error);
+        allocatedTeams = [];
+        if (allocationOutputEl) allocationOutputEl.innerHTML = `<p class="text-red-500">${error.message}</p>`;
+        updateProcessingStatus(`Error: ${error.message}`, 100);
+        setTimeout(closeProcessingModal, 2500);
+    }
+}
+
+/**
+ * Saves every allocated team under one group name. Each is a normal saved team named "<group> - Team N", tagged with the group.
+ */
+async function saveAllocatedTeams() {
+    if (!userId || !db) { showToast("You must be signed in to save.", "error"); return; }
+    if (allocatedTeams.length === 0) { showToast("No teams to save.", "warning"); return; }
+    const teamsToSave = allocatedTeams;
+    openTeamNameModal(`${teamsToSave.length} Teams - ${new Date().toLocaleDateString()}`, 'Save Team Group As', async (groupName) => {
+        const saveBtn = document.getElementById('save-allocated-teams-btn');
+        if (saveBtn) saveBtn.disabled = true;
+        const groupId = `${Date.now()}`;
+        try {
+            const savedTeamsRef = collection(db, `artifacts/${appId}/users/${userId}/savedTeams`);
+            await Promise.all(teamsToSave.map((team, index) => addDoc(savedTeamsRef, { ...buildSavedTeamDoc(team, `${groupName} - Team ${index + 1}`), groupId, groupName, groupIndex: index + 1, groupSize: teamsToSave.length })));
+            showToast(`${teamsToSave.length} teams saved as "${groupName}"!`, "success");
+            if (analytics) logEvent(analytics, 'save_team_group', { team_count: teamsToSave.length });
+            loadSavedTeams();
+        } catch (error) {
+            console.error("Error saving team group:", error);
+            showToast("Failed to save teams: " + error.message, "error");
+        } finally {
+            if (saveBtn) saveBtn.disabled = false;
+        }
+    });
+}
+
 // =================================================================================================
 // #region: Modal Management & Event Handlers
 // =================================================================================================
 
-function openProcessingModal() { if (!processingModalEl) return; updateProcessingStatus("Initializing...", 0); processingModalEl.classList.remove('hidden'); processingModalEl.classList.add('active'); }
+function openProcessingModal(cancellable = false) { if (!processingModalEl) return; updateProcessingStatus("Initializing...", 0); if (processingCancelBtn) processingCancelBtn.classList.toggle('hidden', !cancellable); processingModalEl.classList.remove('hidden'); processingModalEl.classList.add('active'); }
 function closeProcessingModal() { if (!processingModalEl) return; processingModalEl.classList.add('hidden'); processingModalEl.classList.remove('active'); }
 function updateProcessingStatus(statusText, progressPercentage) { if (processingStatusTextEl) processingStatusTextEl.textContent = statusText; if (progressBarInnerEl) progressBarInnerEl.style.width = `${progressPercentage}%`; }
 function openTeamNameModal(currentName = '', title = 'Enter Team Name', callback) { if (!teamNameModalEl) return; teamNameModalTitleEl.textContent = title; teamNameInputEl.value = currentName; teamNameModalCallback = callback; teamNameModalEl.classList.remove('hidden'); teamNameModalEl.classList.add('active'); teamNameInputEl.focus(); }
@@ -700,11 +997,19 @@ function openShareTeamModal(shareLink) { if (!shareTeamModalEl) return; shareTea
 function closeShareTeamModal() { if (!shareTeamModalEl) return; shareTeamModalEl.classList.add('hidden'); shareTeamModalEl.classList.remove('active'); }
 window.handleOpenSwapModal = (indexToReplace) => { championToReplaceIndex = indexToReplace; if (!swapChampionModalEl.querySelector('.modal-content')) { swapChampionModalEl.innerHTML = `<div class="modal-content"><div class="flex justify-between items-center mb-4"><h3 id="swap-modal-title" class="text-xl font-semibold">Swap Champion</h3><button id="close-swap-modal-btn" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button></div><div id="swap-modal-body" class="text-sm max-h-96 overflow-y-auto"></div></div>`; const closeBtn = swapChampionModalEl.querySelector('#close-swap-modal-btn'); if (closeBtn) closeBtn.addEventListener('click', () => { swapChampionModalEl.classList.add('hidden'); swapChampionModalEl.classList.remove('active'); }); swapChampionModalEl.addEventListener('click', (event) => { if (event.target === swapChampionModalEl) { swapChampionModalEl.classList.add('hidden'); swapChampionModalEl.classList.remove('active'); } }); } const swapModalBody = swapChampionModalEl.querySelector('#swap-modal-body'); if (!swapModalBody || !currentDisplayedTeam) return; swapModalBody.innerHTML = ''; const currentTeamMemberIds = currentDisplayedTeam.members.map(m => m.dbChampionId); const availableToSwap = playerChampionRoster.filter(pChamp => !currentTeamMemberIds.includes(pChamp.dbChampionId)); if (availableToSwap.length === 0) { swapModalBody.innerHTML = '<p>No other champions available to swap.</p>'; } else { const ul = document.createElement('ul'); ul.className = 'list-none space-y-2'; availableToSwap.forEach(champ => { const li = document.createElement('li'); li.className = 'p-3 border rounded-md hover:bg-gray-100 cursor-pointer flex justify-between items-center'; li.dataset.champId = champ.id; const classIconHtml = getClassPlaceholder(champ.class, 'result-icon class-icon-swap mr-2'); const starRatingHTML = getStarRatingHTML(champ.starColorTier); let champDetailsHtml = `<div class="champion-details flex items-center">${classIconHtml}<strong class="text-slate-700">${champ.name}</strong><div class="star-rating ml-2">${starRatingHTML}</div></div>`; let champSynergiesHtml = ''; if (champ.inherentSynergies && champ.inherentSynergies.length > 0) { champSynergiesHtml += `<div class="champion-synergies flex gap-1 ml-auto">`; champ.inherentSynergies.forEach(synergy => { const synergyNameForIcon = synergy.trim().replace(/\s+/g, '_'); champSynergiesHtml += `<span class="icon-wrapper"><img src="img/factions/${synergyNameForIcon}.png" alt="${synergy}" title="${synergy}" class="result-icon w-4 h-4" onerror="this.style.display='none'; const fb = this.parentElement.querySelector('.icon-placeholder'); if (fb) fb.style.display='inline-block';"><span class="icon-placeholder text-xs" style="display:none;">[${synergy}]</span></span>`; }); champSynergiesHtml += `</div>`; } li.innerHTML = champDetailsHtml + champSynergiesHtml; li.addEventListener('click', () => { handleChampionSwap(champ.id, championToReplaceIndex); swapChampionModalEl.classList.add('hidden'); swapChampionModalEl.classList.remove('active'); }); ul.appendChild(li); }); swapModalBody.appendChild(ul); } swapChampionModalEl.classList.remove('hidden'); swapChampionModalEl.classList.add('active'); if (analytics && currentDisplayedTeam && currentDisplayedTeam.members[indexToReplace]) { logEvent(analytics, 'open_swap_modal', { champion_to_replace_name: currentDisplayedTeam.members[indexToReplace].name }); } }
 
+if (champPickerEl) { champPickerEl.addEventListener('change', (event) => { champSelectDbEl.value = event.detail.value; champSelectDbEl.dispatchEvent(new Event('change')); }); }
 if (champSelectDbEl) { champSelectDbEl.addEventListener('change', (event) => { const selectedChampionId = event.target.value; if (selectedChampionId) { const selectedDbChampion = dbChampions.find(c => c.id === selectedChampionId); if (selectedDbChampion) { if (champBaseRarityDisplayEl) champBaseRarityDisplayEl.value = selectedDbChampion.baseRarity || 'N/A'; if (champClassDisplayEl) champClassDisplayEl.value = selectedDbChampion.class || 'N/A'; if (champHealerStatusDisplayEl) champHealerStatusDisplayEl.value = selectedDbChampion.isHealer ? 'Yes' : 'No'; currentSelectedChampionClass = selectedDbChampion.class || null; if (champInherentSynergiesDisplayEl) champInherentSynergiesDisplayEl.textContent = (selectedDbChampion.inherentSynergies || []).join(', ') || 'None'; } else { currentSelectedChampionClass = null; if (champHealerStatusDisplayEl) champHealerStatusDisplayEl.value = ''; } } else { if (champBaseRarityDisplayEl) champBaseRarityDisplayEl.value = ''; if (champClassDisplayEl) champClassDisplayEl.value = ''; if (champHealerStatusDisplayEl) champHealerStatusDisplayEl.value = ''; currentSelectedChampionClass = null; if (champInherentSynergiesDisplayEl) champInherentSynergiesDisplayEl.textContent = 'Select a champion to see synergies.'; } populateLegacyPieceSelect(currentSelectedChampionClass); }); }
 if (cancelEditBtn) { cancelEditBtn.addEventListener('click', cancelEditMode); }
 if (addUpdateChampionBtn) { addUpdateChampionBtn.addEventListener('click', async () => { const selectedDbChampionId = champSelectDbEl.value; const selectedLegacyPieceId = legacyPieceSelectEl.value; const selectedLegacyPieceStarTier = legacyPieceStarColorEl.value; const selectedForceLevel = parseInt(champForceLevelEl.value, 10) || 0; let legacyPieceData = { id: null, name: "None", rarity: "None", starColorTier: "Unlocked", description: "" }; if (selectedLegacyPieceId) { const dbLp = dbLegacyPieces.find(lp => lp.id === selectedLegacyPieceId); if (dbLp) { legacyPieceData = { id: dbLp.id, name: dbLp.name, rarity: dbLp.baseRarity, starColorTier: selectedLegacyPieceStarTier, description: dbLp.description || "" }; } } if (editingChampionId) { const championIndex = playerChampionRoster.findIndex(c => c.id === editingChampionId); if (championIndex === -1) { cancelEditMode(); return; } const baseChampionDataForUpdate = dbChampions.find(dbChamp => dbChamp.id === playerChampionRoster[championIndex].dbChampionId); playerChampionRoster[championIndex] = { ...playerChampionRoster[championIndex], isHealer: baseChampionDataForUpdate ? (baseChampionDataForUpdate.isHealer === true) : (playerChampionRoster[championIndex].isHealer === true), starColorTier: champStarColorEl.value, forceLevel: selectedForceLevel, gear: { head: { rarity: gearSelectEls.head.value }, arms: { rarity: gearSelectEls.arms.value }, legs: { rarity: gearSelectEls.legs.value }, chest: { rarity: gearSelectEls.chest.value }, waist: { rarity: gearSelectEls.waist.value }, }, legacyPiece: legacyPieceData, }; renderPlayerChampionRoster(); await savePlayerRosterToFirestore(); showToast(`${playerChampionRoster[championIndex].name} updated!`, "success"); if (analytics) logEvent(analytics, 'update_champion_roster', { champion_name: playerChampionRoster[championIndex].name }); cancelEditMode(); } else { if (!selectedDbChampionId) { showToast('Please select a champion.', 'warning'); return; } if (playerChampionRoster.some(rc => rc.dbChampionId === selectedDbChampionId)) { showToast('Champion already in roster.', 'warning'); return; } const baseChampionData = dbChampions.find(c => c.id === selectedDbChampionId); if (!baseChampionData) { showToast('Base champion data not found.', 'error'); return; } const playerChampion = { id: Date.now() + Math.random(), dbChampionId: baseChampionData.id, name: baseChampionData.name, baseRarity: baseChampionData.baseRarity, class: baseChampionData.class || "N/A", isHealer: baseChampionData.isHealer === true, inherentSynergies: baseChampionData.inherentSynergies || [], starColorTier: champStarColorEl.value, forceLevel: selectedForceLevel, gear: { head: { rarity: gearSelectEls.head.value }, arms: { rarity: gearSelectEls.arms.value }, legs: { rarity: gearSelectEls.legs.value }, chest: { rarity: gearSelectEls.chest.value }, waist: { rarity: gearSelectEls.waist.value }, }, legacyPiece: legacyPieceData }; playerChampionRoster.push(playerChampion); renderPlayerChampionRoster(); await savePlayerRosterToFirestore(); showToast(`${playerChampion.name} added!`, "success"); if (analytics) logEvent(analytics, 'add_champion_to_roster', { champion_name: playerChampion.name }); resetChampionForm(); populateChampionSelect(); } }); }
 if (toggleScoreColumnCheckbox) { toggleScoreColumnCheckbox.addEventListener('change', function() { scoreColumnVisible = this.checked; if (rosterDataTable) rosterDataTable.column('.dt-column-score').visible(scoreColumnVisible); if(analytics) logEvent(analytics, 'toggle_score_column', { visible: scoreColumnVisible }); }); }
-if (calculateBtn) { calculateBtn.addEventListener('click', async () => { if (editingChampionId) { showToast("Finish editing before calculating.", "warning"); return; } if (playerChampionRoster.length < 5) { if (resultsOutputEl) resultsOutputEl.innerHTML = '<p class="text-red-500">Need at least 5 champions in roster.</p>'; return; } openProcessingModal(); try { let rosterForCombination = playerChampionRoster.map(rosterChamp => ({ ...rosterChamp, individualScore: TeamCalculator.calculateIndividualChampionScore(rosterChamp, GAME_CONSTANTS) })); if (excludeSavedTeamCheckboxEl.checked) { const exclusionTeamIds = Array.from(selectExclusionTeamDropdownEl.selectedOptions).map(option => option.value); if (exclusionTeamIds.length > 0) { const championsToExcludeIds = new Set(); exclusionTeamIds.forEach(teamId => { const teamToExclude = savedTeams.find(st => st.id === teamId); if (teamToExclude?.members) teamToExclude.members.forEach(member => championsToExcludeIds.add(member.dbChampionId)); }); rosterForCombination = rosterForCombination.filter(champ => !championsToExcludeIds.has(champ.dbChampionId)); if (rosterForCombination.length < 5) { throw new Error("Not enough champions remaining after exclusion."); } } } const calculator = new TeamCalculator(dbSynergies, GAME_CONSTANTS); const bestTeam = await calculator.findOptimalTeam(rosterForCombination, { requireHealer: requireHealerCheckboxEl.checked, updateProgress: (status, progress) => updateProcessingStatus(status, progress) }); if (analytics && bestTeam) logEvent(analytics, 'calculate_optimal_team', { roster_size: playerChampionRoster.length, best_team_score: Math.round(bestTeam.totalScore), require_healer: requireHealerCheckboxEl.checked }); displayResults(bestTeam); updateProcessingStatus("Calculation complete!", 100); setTimeout(closeProcessingModal, 1000); } catch (error) { console.error("Calculation Error:", error); if (resultsOutputEl) resultsOutputEl.innerHTML = `<p class="text-red-500">${error.message}</p>`; updateProcessingStatus(`Error: ${error.message}`, 100); setTimeout(closeProcessingModal, 2500); } }); }
+if (calculateBtn) { calculateBtn.addEventListener('click', async () => { if (editingChampionId) { showToast("Finish editing before calculating.", "warning"); return; } if (playerChampionRoster.length < 5) { if (resultsOutputEl) resultsOutputEl.innerHTML = '<p class="text-red-500">Need at least 5 champions in roster.</p>'; return; } openProcessingModal(canUseTeamWorkers()); try { const rosterForCombination = getRosterForCombination(); const calculator = new TeamCalculator(dbSynergies, GAME_CONSTANTS); const topTeamsCount = Math.min(GAME_CONSTANTS.TOP_TEAMS_MAX, Math.max(1, parseInt(topTeamsCountInputEl ? topTeamsCountInputEl.value : '1', 10) || 1)); const minDifference = minTeamDifferenceSelectEl ? parseInt(minTeamDifferenceSelectEl.value, 10) || 1 : 1; const constraints = getTeamConstraints(); const findTopTeams = (search) => calculator.findTopTeams(rosterForCombination, { requireHealer: requireHealerCheckboxEl.checked, constraints, count: topTeamsCount, minDifference, search, updateProgress: (status, progress) => updateProcessingStatus(status, progress) }); rankedTeams = await runTeamCalculation(() => findTopTeams(searchTeamsInWorkers), () => findTopTeams(undefined)); const bestTeam = rankedTeams[0]; if (analytics && bestTeam) logEvent(analytics, 'calculate_optimal_team', { roster_size: playerChampionRoster.length, best_team_score: Math.round(bestTeam.totalScore), require_healer: requireHealerCheckboxEl.checked, teams_ranked: rankedTeams.length, min_difference: minDifference, constraint_count: TeamCalculator.describeConstraints(rosterForCombination, { constraints }).length }); displayResults(bestTeam); renderRankedTeams(0); updateProcessingStatus("Calculation complete!", 100); setTimeout(closeProcessingModal, 1000); } catch (error) { if (error.isCancelled) { closeProcessingModal(); showToast("Calculation cancelled.", "info"); return; } console.error("Calculation Error:", error); rankedTeams = []; renderRankedTeams(0); if (resultsOutputEl) resultsOutputEl.innerHTML = `<p class="text-red-500">${error.message}</p>`; updateProcessingStatus(`Error: ${error.message}`, 100); setTimeout(closeProcessingModal, 2500); } }); }
+if (processingCancelBtn) { processingCancelBtn.addEventListener('click', () => { cancelTeamCalculation(); if (analytics) logEvent(analytics, 'cancel_team_calculation'); }); }
+if (planUpgradesBtn) { planUpgradesBtn.addEventListener('click', handlePlanUpgrades); }
+if (allocateTeamsBtn) { allocateTeamsBtn.addEventListener('click', handleAllocateTeams); }
+if (addConstraintRuleBtn) { addConstraintRuleBtn.addEventListener('click', handleAddConstraintRule); }
+if (clearConstraintsBtn) { clearConstraintsBtn.addEventListener('click', clearConstraints); }
+[constraintLockSelectEl, constraintBanSelectEl, constraintRequireClassSelectEl, constraintForbidClassSelectEl, constraintLmCapSelectEl].forEach(selectEl => { if (selectEl) selectEl.addEventListener('change', updateConstraintsSummary); });
+if (allocationTeamCountSelectEl) { allocationTeamCountSelectEl.addEventListener('change', renderAllocationRequirements); renderAllocationRequirements(); }
 if (saveTeamNameBtn) { saveTeamNameBtn.addEventListener('click', () => { const teamName = teamNameInputEl.value.trim(); if (teamName === "") { showToast("Name cannot be empty.", "warning"); return; } if (teamNameModalCallback) teamNameModalCallback(teamName); closeTeamNameModal(); }); }
 if (cancelTeamNameBtn) { cancelTeamNameBtn.addEventListener('click', closeTeamNameModal); }
 if (teamNameModalEl) { teamNameModalEl.addEventListener('click', (event) => { if (event.target === teamNameModalEl) closeTeamNameModal(); }); }
@@ -720,6 +1025,8 @@ if (closeShareTeamModalBtn) { closeShareTeamModalBtn.addEventListener('click', c
 if (shareTeamModalEl) { shareTeamModalEl.addEventListener('click', (event) => { if (event.target === shareTeamModalEl) closeShareTeamModal(); }); }
 if (copyShareLinkBtn) { copyShareLinkBtn.addEventListener('click', () => { if (!shareTeamLinkInputEl) return; try { shareTeamLinkInputEl.select(); document.execCommand('copy'); showToast("Link copied!", "success"); if (analytics) logEvent(analytics, 'share_link_copied'); } catch (err) { showToast("Failed to copy.", "warning"); } }); }
 window.handleChampionSwap = async (selectedRosterChampIdParam, indexToReplace) => { const selectedRosterChampId = parseFloat(selectedRosterChampIdParam); const newChampion = playerChampionRoster.find(rc => rc.id === selectedRosterChampId); if (!newChampion || !currentDisplayedTeam || indexToReplace < 0 || indexToReplace >= currentDisplayedTeam.members.length) { showToast("Error during swap.", "error"); return; } const newTeamMembers = [...currentDisplayedTeam.members]; newTeamMembers[indexToReplace] = { ...newChampion, individualScore: TeamCalculator.calculateIndividualChampionScore(newChampion, GAME_CONSTANTS) }; openProcessingModal(); updateProcessingStatus("Recalculating score...", 10); setTimeout(() => { const calculator = new TeamCalculator(dbSynergies, GAME_CONSTANTS); const recalculatedTeam = calculator.evaluateTeam(newTeamMembers); currentDisplayedTeam = recalculatedTeam; currentBestTeamForSaving = JSON.parse(JSON.stringify(recalculatedTeam)); updateProcessingStatus("Updating display...", 90); renderTeamDisplay(currentDisplayedTeam, true); updateProcessingStatus("Complete!", 100); setTimeout(closeProcessingModal, 500); if (analytics) logEvent(analytics, 'execute_champion_swap', { swapped_in_champion_name: newChampion.name }); }, 50); }
+window.handleShowRankedTeam = (index) => { if (!rankedTeams[index]) return; displayResults(rankedTeams[index]); renderRankedTeams(index); if (analytics) logEvent(analytics, 'show_ranked_team', { rank: index + 1 }); }
+window.handleSaveRankedTeam = (index) => { if (!rankedTeams[index]) return; window.handleShowRankedTeam(index); saveCurrentBestTeam(); }
 window.handleResetTeam = () => { if (originalBestTeam) { currentDisplayedTeam = JSON.parse(JSON.stringify(originalBestTeam)); currentBestTeamForSaving = JSON.parse(JSON.stringify(originalBestTeam)); renderTeamDisplay(currentDisplayedTeam, true); showToast("Team reset.", "info"); if (analytics) logEvent(analytics, 'reset_displayed_team'); } }
 document.addEventListener('click', function(event) {
     const target = event.target;
@@ -764,20 +1071,6 @@ async function main() {
             populateForceLevelOptions();
             populateGearRarityOptions();
 
-            // Custom Dropdown Listeners
-            customChampDropdownTrigger.addEventListener('click', () => {
-                const isExpanded = customChampDropdownTrigger.getAttribute('aria-expanded') === 'true';
-                customChampDropdownOptions.classList.toggle('hidden', isExpanded);
-                customChampDropdownTrigger.setAttribute('aria-expanded', !isExpanded);
-            });
-
-            document.addEventListener('click', (event) => {
-                if (customChampDropdown && !customChampDropdown.contains(event.target)) {
-                    customChampDropdownOptions.classList.add('hidden');
-                    customChampDropdownTrigger.setAttribute('aria-expanded', 'false');
-                }
-            });
-
             await fetchChampions();
             await fetchSynergiesAndRender();
             await fetchLegacyPieces();
@@ -803,3 +1096,4 @@ async function main() {
 }
 
 document.addEventListener('DOMContentLoaded', main);
+window.addEventListener('online', syncQueuedChanges);
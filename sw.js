@@ -0,0 +1,121 @@
+/**
+ * @file sw.js
+ * @fileoverview Service worker that lets the site load without a connection.
+ * - On install it precaches the pages, scripts, styles and the fixed UI images (class, faction and resource icons).
+ * - Pages, scripts and styles are fetched network-first, so a deploy shows up on the next online load, with the cache as the offline fallback.
+ * - Other images (champion art, backgrounds) are cached the first time they are shown and served cache-first after that.
+ * - The CDN libraries (Firebase SDK, Tailwind, Chart.js, DataTables, fonts) are served stale-while-revalidate.
+ * Firestore traffic is never cached here; game data and the roster are cached in IndexedDB by js/offline-store.js.
+ *
+ * Bump CACHE_VERSION whenever PRECACHE_URLS changes so old caches are dropped on activate.
+ */
+
+const CACHE_VERSION = 'v4';
+const PRECACHE = `dcdl-precache-${CACHE_VERSION}`;
+const RUNTIME = `dcdl-runtime-${CACHE_VERSION}`;
+
+// Paths are relative to this file, so the site works under a sub-path (e.g. GitHub Pages' /dcdl/).
+const PRECACHE_URLS = [
+    './',
+    'index.html', 'calculator.html', 'teams.html', 'share.html', 'changemap.html',
+    'css/theme.css', 'css/share.css',
+    'js/anvil-math.js', 'js/anvil-worker.js', 'js/auth-ui.js', 'js/banner-rules.js', 'js/calculator.js', 'js/champion-picker.js', 'js/feedback-widget.js',
+    'js/navigation.js', 'js/offline-store.js', 'js/share.js', 'js/team-calculator.js', 'js/team-worker.js', 'js/teams.js',
+    'img/icons/anvil.png', 'img/icons/prosperity.png',
+    ...['Assassin', 'Firepower', 'Guardian', 'Healer', 'Intimidator', 'Magical', 'Supporter', 'Warrior'].map(name => `img/classes/${name}.png`),
+    ...['Amazons', "Arkham's_Most_Wanted", 'Atlanteans', 'Bat_Family', 'Birds_of_Prey', 'Energy_Wielder', 'Flash_Family', 'Green_Lantern_Corps',
+        'Justice_League', 'Justice_League_Dark', 'League_of_Assassins', 'Legion_of_Doom', 'Metahuman', 'Outsiders', 'Suicide_Squad',
+        'Superman_Family', 'Teen_Titans', 'Weapon_Master'].map(name => `img/factions/${name}.png`),
+];
+
+const CDN_HOSTS = ['www.gstatic.com', 'cdn.tailwindcss.com', 'cdn.jsdelivr.net', 'cdn.datatables.net', 'code.jquery.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('dcdl-') && key !== PRECACHE && key !== RUNTIME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Whether a response is worth caching. Cross-origin <script> and <link> loads come back opaque (status 0), which is still usable.
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isCacheable(response) {
+    return response && (response.ok || response.type === 'opaque');
+}
+
+/**
+ * Tries the network and refreshes the cache; falls back to the cached copy (or the cached page for a navigation) when offline.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(PRECACHE);
+    // Pages are opened with query strings (e.g. share.html?sharedTeamId=...); keep one copy per page rather than one per link.
+    const url = new URL(request.url);
+    const cacheKey = request.mode === 'navigate' ? url.origin + url.pathname : request;
+    try {
+        const response = await fetch(request);
+        if (isCacheable(response)) cache.put(cacheKey, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(cacheKey);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serves from the cache when possible, otherwise fetches and caches.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        const cache = await caches.open(RUNTIME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serves the cached copy immediately and refreshes it in the background; waits for the network only on a cache miss.
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(RUNTIME);
+    const cached = await cache.match(event.request);
+    const refresh = fetch(event.request).then((response) => {
+        if (isCacheable(response)) cache.put(event.request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (request.destination === 'image') event.respondWith(cacheFirst(request));
+        else event.respondWith(networkFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
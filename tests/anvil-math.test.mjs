@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    calculateExpectedDrawsPerMythic,
+    calculateLmCycleMetrics,
+    calculateActualRateFromEffectiveRate,
+    hashSeed,
+    createSeededRandom,
+} from '../js/anvil-math.js';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+
+test('expected draws per mythic match the capped geometric expectation', () => {
+    // With a flat rate p and a guarantee on draw N, E = (1 - (1 - p)^N) / p.
+    for (const [p, hardPity] of [[0.02, 50], [0.0125, 80], [0.1, 10], [0.5, 1], [1, 30]]) {
+        close(calculateExpectedDrawsPerMythic(p, hardPity), (1 - Math.pow(1 - p, hardPity)) / p);
+    }
+});
+
+test('expected draws per mythic reject invalid inputs', () => {
+    assert.ok(Number.isNaN(calculateExpectedDrawsPerMythic(0, 50)));
+    assert.ok(Number.isNaN(calculateExpectedDrawsPerMythic(1.5, 50)));
+    assert.ok(Number.isNaN(calculateExpectedDrawsPerMythic(0.02, 0)));
+});
+
+test('soft pity lowers the expected draws per mythic', () => {
+    const flat = calculateExpectedDrawsPerMythic(0.02, 50);
+    const soft = calculateExpectedDrawsPerMythic(0.02, 50, { type: 'ramp', startPull: 40, ratePerPull: 0.05 });
+    assert.ok(soft < flat);
+});
+
+test('LM cycle metrics follow the guarantee streak', () => {
+    // A cycle ends on the first LM or on the forced LM after `g` non-LM mythics, so it holds
+    // sum_{i<g} (i+1) r q^i + (g+1) q^g mythics, and every one but the last is a non-LM.
+    const lmYield = 40, nmYield = 5;
+    for (const [r, g] of [[0.25, 3], [0.5, 1], [0.1, 5], [1, 3], [0, 2]]) {
+        const q = 1 - r;
+        let pulls = (g + 1) * Math.pow(q, g);
+        for (let i = 0; i < g; i++) pulls += (i + 1) * r * Math.pow(q, i);
+        const metrics = calculateLmCycleMetrics(lmYield, nmYield, r, g);
+        close(metrics.expectedMythicPullsPerLmCycle, pulls);
+        close(metrics.averageShardsPerEffectiveMythic, (lmYield + nmYield * (pulls - 1)) / pulls);
+        assert.equal(metrics.worstCaseMythicPullsPerLmCycle, g + 1);
+    }
+});
+
+test('LM cycle metrics reject invalid inputs', () => {
+    assert.ok(Number.isNaN(calculateLmCycleMetrics(40, 5, 1.2, 3).expectedMythicPullsPerLmCycle));
+    assert.ok(Number.isNaN(calculateLmCycleMetrics(40, 5, 0.25, -1).averageShardsPerEffectiveMythic));
+});
+
+test('actual rate round-trips through the effective rate', () => {
+    for (const g of [1, 3, 5]) {
+        for (const actual of [0.05, 0.25, 0.5, 0.9]) {
+            const effective = 1 / calculateLmCycleMetrics(1, 0, actual, g).expectedMythicPullsPerLmCycle;
+            assert.ok(effective > actual);
+            close(calculateActualRateFromEffectiveRate(effective, g), actual);
+        }
+    }
+    assert.equal(calculateActualRateFromEffectiveRate(0, 3), 0);
+    assert.equal(calculateActualRateFromEffectiveRate(1, 3), 1);
+});
+
+test('seed hashing is stable', () => {
+    assert.equal(hashSeed('dcdl'), 3499837046);
+    assert.equal(hashSeed('Batman'), 1051776761);
+    assert.equal(hashSeed(''), 167010153);
+});
+
+test('seeded random sources replay the same sequence', () => {
+    const random = createSeededRandom('dcdl');
+    assert.deepEqual([random(), random(), random()], [0.7046566777862608, 0.29750890377908945, 0.4016689248383045]);
+
+    const a = createSeededRandom('season-1'), b = createSeededRandom('season-1'), c = createSeededRandom('season-2');
+    const first = Array.from({ length: 100 }, a);
+    assert.deepEqual(Array.from({ length: 100 }, b), first);
+    assert.notDeepEqual(Array.from({ length: 100 }, c), first);
+    assert.ok(first.every(x => x >= 0 && x < 1));
+});
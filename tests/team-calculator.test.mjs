@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TeamCalculator } from '../js/team-calculator.js';
+import { createSeededRandom } from '../js/anvil-math.js';
+
+// The scoring constants the calculator reads, as in GAME_CONSTANTS in teams.js.
+const CONSTANTS = {
+    SYNERGY_ACTIVATION_COUNT: 3,
+    SYNERGY_DEPTH_BONUS: 450,
+    CLASS_DIVERSITY_MULTIPLIER: 1.15,
+    INDIVIDUAL_SCORE_WEIGHT: 1.25,
+    ALLOCATION_POOL_SIZE: 150,
+};
+
+const SYNERGIES = [
+    { name: 'Bats', bonusType: 'percentage', bonusValue: 10 },
+    { name: 'Titans', bonusType: 'flat', bonusValue: 300 },
+    { name: 'Justice', bonusType: 'flat', bonusValue: 100, tiers: [{ countRequired: 2 }, { countRequired: 4 }] },
+];
+
+const champion = (id, individualScore, fields = {}) => ({ id, name: `Champion ${id}`, individualScore, class: 'Guardian', inherentSynergies: [], ...fields });
+
+const noProgress = async () => {};
+
+test('allocation rations healers when the best team would take them all', async () => {
+    // Both healers are the strongest champions and share a synergy, so the first greedy team takes both.
+    const roster = [
+        champion('h1', 900, { isHealer: true, inherentSynergies: ['Titans'] }),
+        champion('h2', 880, { isHealer: true, inherentSynergies: ['Titans'] }),
+        ...Array.from({ length: 8 }, (_, i) => champion(`c${i}`, 500 - i * 10, { inherentSynergies: i < 3 ? ['Titans'] : [] })),
+    ];
+    const calculator = new TeamCalculator(SYNERGIES, CONSTANTS);
+    const teams = await calculator.allocateTeams(roster, {
+        teamRequirements: [{ requireHealer: true }, { requireHealer: true }], objective: 'total', updateProgress: noProgress,
+    });
+    assert.equal(teams.length, 2);
+    teams.forEach(team => assert.equal(team.members.filter(member => member.isHealer === true).length, 1));
+    assert.equal(new Set(teams.flatMap(team => team.members.map(member => member.id))).size, 10);
+});
+
+// Brute-force reference for searchTeams: every 5-combination that `isAllowed`, scored with evaluateTeam, best first.
+const combinations = (items, k, start = 0, current = [], out = []) => {
+    if (current.length === k) { out.push([...current]); return out; }
+    for (let i = start; i < items.length; i++) {
+        current.push(items[i]);
+        combinations(items, k, i + 1, current, out);
+        current.pop();
+    }
+    return out;
+};
+const bruteForce = (calculator, roster, keep, isAllowed = () => true) => combinations(roster, 5)
+    .filter(isAllowed)
+    .map(members => calculator.evaluateTeam(members))
+    .sort((a, b) => b.comparisonScore - a.comparisonScore)
+    .slice(0, keep);
+const scoresOf = (teams) => teams.map(team => team.comparisonScore.toFixed(6));
+
+const CLASSES = ['Assassin', 'Firepower', 'Guardian', 'Healer', 'Intimidator', 'Magical', 'N/A'];
+const RARITIES = ['Epic', 'Legendary', 'Mythic', 'Limited Mythic'];
+
+// A random scenario: a few synergies of every kind and a roster of 6 to 13 champions.
+const randomScenario = (random) => {
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    const synergyCount = 2 + Math.floor(random() * 4);
+    const synergies = Array.from({ length: synergyCount }, (_, i) => (random() < 0.5
+        ? { name: `S${i}`, bonusType: 'percentage', bonusValue: Math.round(random() * 30) }
+        : { name: `S${i}`, bonusType: 'flat', bonusValue: Math.round(random() * 800), tiers: random() < 0.4 ? [{ countRequired: 2 }, { countRequired: 4 }] : undefined }));
+    const roster = Array.from({ length: 6 + Math.floor(random() * 8) }, (_, i) => champion(i + 100, Math.round(200 + random() * 800), {
+        baseRarity: pick(RARITIES), class: pick(CLASSES), isHealer: random() < 0.25,
+        inherentSynergies: Array.from({ length: Math.floor(random() * 3) }, () => `S${Math.floor(random() * synergyCount)}`),
+    }));
+    return { calculator: new TeamCalculator(synergies, CONSTANTS), roster, pick };
+};
+
+test('searchTeams finds the same top teams as scoring every combination', async () => {
+    const random = createSeededRandom('search-teams');
+    for (let trial = 0; trial < 60; trial++) {
+        const { calculator, roster } = randomScenario(random);
+        const requireHealer = random() < 0.3 && roster.some(champ => champ.isHealer);
+        const keep = 1 + Math.floor(random() * 5);
+        const expected = bruteForce(calculator, roster, keep, members => !requireHealer || members.some(champ => champ.isHealer));
+        const teams = await calculator.searchTeams(roster, { requireHealer, keep, onProgress: () => {} });
+        assert.deepEqual(scoresOf(teams), scoresOf(expected), `trial ${trial}`);
+    }
+});
+
+test('searchTeams partitions cover every team exactly once', async () => {
+    const random = createSeededRandom('search-partitions');
+    for (let trial = 0; trial < 30; trial++) {
+        const { calculator, roster } = randomScenario(random);
+        const keep = 1 + Math.floor(random() * 5);
+        const count = 2 + Math.floor(random() * 3);
+        let total = 0;
+        const parts = [];
+        for (let index = 0; index < count; index++) {
+            let partTotal = 0;
+            parts.push(...await calculator.searchTeams(roster, { requireHealer: false, keep, partition: { index, count }, onProgress: (fraction, scored, all) => { partTotal = all; } }));
+            total += partTotal;
+        }
+        assert.equal(total, combinations(roster, 5).length, `trial ${trial}`);
+        const merged = parts.sort((a, b) => b.comparisonScore - a.comparisonScore).slice(0, keep);
+        assert.deepEqual(scoresOf(merged), scoresOf(bruteForce(calculator, roster, keep)), `trial ${trial}`);
+    }
+});
+
+test('searchTeams skips teams that overlap an avoided team too much', async () => {
+    const random = createSeededRandom('search-avoid');
+    for (let trial = 0; trial < 40; trial++) {
+        const { calculator, roster } = randomScenario(random);
+        const [best] = bruteForce(calculator, roster, 1);
+        const maxOverlap = Math.floor(random() * 5);
+        const keep = 1 + Math.floor(random() * 3);
+        const bestIds = new Set(best.members.map(member => member.id));
+        const expected = bruteForce(calculator, roster, keep, members => members.filter(champ => bestIds.has(champ.id)).length <= maxOverlap);
+        const teams = await calculator.searchTeams(roster, { requireHealer: false, keep, avoidTeams: [best], maxOverlap, onProgress: () => {} });
+        assert.deepEqual(scoresOf(teams), scoresOf(expected), `trial ${trial}`);
+    }
+});
+
+test('searchTeams applies the optimizer constraints', async () => {
+    const random = createSeededRandom('search-constraints');
+    let checked = 0;
+    for (let trial = 0; trial < 80; trial++) {
+        const { calculator, roster, pick } = randomScenario(random);
+        const ids = roster.map(champ => champ.id);
+        const constraints = {
+            lockedIds: random() < 0.4 ? [pick(ids)] : [],
+            bannedIds: random() < 0.4 ? [pick(ids), pick(ids)] : [],
+            minCounts: random() < 0.5 ? [{ kind: 'synergy', name: 'S0', count: 1 + Math.floor(random() * 2) }] : [],
+            requiredClasses: random() < 0.3 ? [pick(CLASSES.slice(0, 6))] : [],
+            forbiddenClasses: random() < 0.3 ? [pick(CLASSES.slice(0, 6))] : [],
+            maxLimitedMythics: random() < 0.4 ? Math.floor(random() * 3) : null,
+        };
+        const isAllowed = (members) => constraints.lockedIds.every(id => members.some(champ => champ.id === id))
+            && members.every(champ => !constraints.bannedIds.includes(champ.id) && !constraints.forbiddenClasses.includes(champ.class))
+            && constraints.requiredClasses.every(name => members.some(champ => champ.class === name))
+            && constraints.minCounts.every(rule => members.filter(champ => champ.inherentSynergies.includes(rule.name)).length >= rule.count)
+            && (constraints.maxLimitedMythics === null || members.filter(champ => champ.baseRarity === 'Limited Mythic').length <= constraints.maxLimitedMythics);
+        const keep = 1 + Math.floor(random() * 3);
+        const expected = bruteForce(calculator, roster, keep, isAllowed);
+        let teams;
+        try {
+            teams = await calculator.searchTeams(roster, { requireHealer: false, constraints, keep, onProgress: () => {} });
+        } catch (error) {
+            // resolveConstraints only rejects constraints that rule out every team.
+            assert.equal(expected.length, 0, `trial ${trial}: ${error.message}`);
+            continue;
+        }
+        assert.deepEqual(scoresOf(teams), scoresOf(expected), `trial ${trial}`);
+        checked++;
+    }
+    assert.ok(checked > 40);
+});